@@ -2,7 +2,15 @@
 importScripts('lib/browser-polyfill.min.js');
 
 // Import required dependencies
+importScripts('src/utils/url-canonicalizer.js');
+importScripts('src/utils/domain-utils.js');
+importScripts('src/utils/category-registry.js');
+importScripts('src/utils/retention-policy.js');
 importScripts('src/data/database.js');
+importScripts('src/llm/provider-registry.js');
+importScripts('src/llm/request-layer.js');
+importScripts('src/llm/stream-parser.js');
+importScripts('src/llm/model-pricing.js');
 importScripts('src/config/config.js');
 
 // Then import the actual background script
@@ -13,6 +13,888 @@
 // Background only handles API calls and message passing
 
 
+// Rule actions run on tabs (see RULE_ACTIONS in src/utils/constants.js)
+const RULE_TAB_ACTIONS = ['close', 'save_close', 'pin', 'mute', 'move_to_window', 'bookmark'];
+const RULE_CLOSING_ACTIONS = ['close', 'save_close'];
+const RULE_ACTIONS_ALARM = 'rule-actions-sweep';
+const RETENTION_ALARM = 'retention-cleanup';
+const HIBERNATION_ALARM = 'hibernation-sweep';
+
+// AutoCategorizer - categorize-on-open mode: rules and the local model run on every
+// loaded tab, and tabs they are unsure about are batched for an LLM pass once tab activity settles
+class AutoCategorizer {
+  constructor() {
+    this.pendingTabs = new Map(); // tabId -> tab waiting for the local pass
+    this.llmQueue = new Map();    // tabId -> tab waiting for the LLM pass
+    this.localTimer = null;
+    this.llmTimer = null;
+    this.settings = null;
+    this.offscreenPromise = null;
+    
+    // Settings are written by the popup - drop the cached copy when they change
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.settings) {
+        this.settings = null;
+      }
+    });
+  }
+
+  async getSettings() {
+    if (!this.settings) {
+      const data = await browser.storage.local.get('settings');
+      this.settings = data.settings || {};
+    }
+    return this.settings;
+  }
+
+  /**
+   * Queue a tab that finished loading for the local pass
+   * @param {Object} tab - Browser tab
+   */
+  async enqueue(tab) {
+    if (!tab.url || !/^https?:/.test(tab.url)) return;
+    
+    const settings = await this.getSettings();
+    if (!settings.autoCategorize) return;
+    
+    // Saved URLs already have a category
+    const saved = await globalThis.tabDatabase.getUrlInfo(tab.url);
+    if (saved && saved.category > 0) return;
+    
+    // Reloads keep the category found earlier (the badge resets on navigation)
+    const currentTab = globalThis.tabDatabase.cache.currentTabs.get(tab.url);
+    if (currentTab?.category) {
+      this.updateBadge(tab.id, currentTab.category);
+      return;
+    }
+    
+    // Fields rule conditions can refer to
+    this.pendingTabs.set(tab.id, {
+      id: tab.id,
+      url: tab.url,
+      title: tab.title || '',
+      pinned: tab.pinned,
+      audible: tab.audible,
+      windowId: tab.windowId,
+      tabOpenTime: currentTab?.tabOpenTimes?.[tab.id],
+      lastAccessed: tab.lastAccessed || currentTab?.lastAccessed
+    });
+    
+    clearTimeout(this.localTimer);
+    this.localTimer = setTimeout(() => {
+      this.runLocalPass().catch(error => {
+        console.error('Auto-categorization error:', error);
+      });
+    }, CONFIG.AUTO_CATEGORIZE.LOCAL_BATCH_DELAY_MS);
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId - Tab ID
+   */
+  remove(tabId) {
+    this.pendingTabs.delete(tabId);
+    this.llmQueue.delete(tabId);
+  }
+
+  async runLocalPass() {
+    const tabs = [...this.pendingTabs.values()];
+    this.pendingTabs.clear();
+    if (tabs.length === 0) return;
+    
+    const settings = await this.getSettings();
+    const predictions = await this.categorizeLocally(tabs, settings);
+    // Tabs a rule keeps away from the LLM settle for the local result
+    const excludedIds = new Set(await ruleActionRunner.getLLMExcludedTabIds(tabs, settings));
+    let queued = false;
+    
+    for (const tab of tabs) {
+      const prediction = predictions[tab.id];
+      if (prediction && (prediction.confidence >= CONFIG.AUTO_CATEGORIZE.CONFIDENCE_THRESHOLD || excludedIds.has(tab.id))) {
+        await this.applyCategory(tab, prediction);
+      } else if (!excludedIds.has(tab.id)) {
+        this.llmQueue.set(tab.id, tab);
+        queued = true;
+      }
+    }
+    
+    if (queued && settings.useLLM !== false) {
+      // Restart the idle timer so bursts of new tabs end up in one LLM call
+      clearTimeout(this.llmTimer);
+      this.llmTimer = setTimeout(() => {
+        this.runLLMPass().catch(error => {
+          console.error('Auto-categorization LLM pass error:', error);
+        });
+      }, CONFIG.AUTO_CATEGORIZE.LLM_IDLE_DELAY_MS);
+    }
+  }
+
+  async runLLMPass() {
+    const settings = await this.getSettings();
+    const provider = settings.provider;
+    const model = settings.model || settings.selectedModels?.[provider];
+    const apiKey = settings.apiKeys?.[provider];
+    if (!settings.autoCategorize || !provider || !model || (!apiKey && !CONFIG.PROVIDERS[provider]?.apiKeyOptional)) return;
+    
+    const tabs = [...this.llmQueue.values()].slice(0, CONFIG.AUTO_CATEGORIZE.LLM_BATCH_SIZE);
+    tabs.forEach(tab => this.llmQueue.delete(tab.id));
+    if (tabs.length === 0) return;
+    
+    const result = await handleCategorizeTabs({
+      tabs,
+      apiKey,
+      provider,
+      model,
+      customPrompt: settings.customPrompt,
+      baseUrl: settings.providerBaseUrls?.[provider],
+      fallbacks: (settings.fallbackProviders || [])
+        .filter(fallback => fallback.provider !== provider || fallback.model !== model)
+        .map(fallback => ({
+          ...fallback,
+          apiKey: settings.apiKeys?.[fallback.provider],
+          baseUrl: settings.providerBaseUrls?.[fallback.provider]
+        })),
+      monthlyBudget: settings.monthlyBudget || 0
+    }, { persist: false });
+    
+    if (!result.success) {
+      console.warn('Auto-categorization LLM pass skipped:', result.error);
+      return;
+    }
+    
+    // Vote again with the LLM answers so confidence matches the popup's categorization
+    const predictions = await this.categorizeLocally(tabs, settings, result.data);
+    for (const tab of tabs) {
+      if (predictions[tab.id]) {
+        await this.applyCategory(tab, predictions[tab.id]);
+      }
+    }
+    
+    // Anything beyond the batch size waits for the next idle period
+    if (this.llmQueue.size > 0) {
+      this.llmTimer = setTimeout(() => {
+        this.runLLMPass().catch(error => {
+          console.error('Auto-categorization LLM pass error:', error);
+        });
+      }, CONFIG.AUTO_CATEGORIZE.LLM_IDLE_DELAY_MS);
+    }
+  }
+
+  /**
+   * Browser state rule conditions can refer to (same shape as getRuleContext in categorization-service.js)
+   * @param {Array} [openTabs] - All open tabs, if already queried
+   * @returns {Promise<Object>} { now, currentWindowId, windowDomains }
+   */
+  async getRuleContext(openTabs = null) {
+    const [focusedWindow, tabs] = await Promise.all([
+      browser.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null),
+      openTabs || browser.tabs.query({}).catch(() => [])
+    ]);
+    return {
+      now: Date.now(),
+      currentWindowId: focusedWindow?.id,
+      windowDomains: globalThis.domainUtils.getWindowDomains(tabs)
+    };
+  }
+
+  /**
+   * Run rules + local model via the offscreen document (Chrome) or a dynamic import (Firefox)
+   * @returns {Promise<Object>} Predictions by tab ID: { category, confidence, source }
+   */
+  async categorizeLocally(tabs, settings, llmResults = null) {
+    const localSettings = {
+      rules: settings.rules || [],
+      rulePacks: settings.rulePacks || [],
+      ruleContext: await this.getRuleContext(),
+      useML: settings.useML,
+      customCategories: settings.customCategories || []
+    };
+    
+    // Firefox background pages have a DOM and can load the ES modules directly
+    if (typeof document !== 'undefined') {
+      const { categorizeLocally } = await import(browser.runtime.getURL('src/ml/categorization/local-categorizer.js'));
+      return categorizeLocally(tabs, localSettings, llmResults);
+    }
+    
+    await this.ensureOffscreenDocument();
+    const response = await browser.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'categorizeLocally',
+      data: { tabs, settings: localSettings, llmResults }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Local categorization failed');
+    }
+    return response.predictions;
+  }
+
+  async ensureOffscreenDocument() {
+    if (!this.offscreenPromise) {
+      this.offscreenPromise = (async () => {
+        const contexts = await browser.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+        if (contexts.length === 0) {
+          await browser.offscreen.createDocument({
+            url: 'offscreen.html',
+            reasons: ['WORKERS'],
+            justification: 'Run the local tab categorization model'
+          });
+        }
+      })().catch(error => {
+        this.offscreenPromise = null;
+        throw error;
+      });
+    }
+    return this.offscreenPromise;
+  }
+
+  /**
+   * Store a tab's category in currentTabs, show it on the badge and tell open popups
+   */
+  async applyCategory(tab, prediction) {
+    const record = await globalThis.tabDatabase.setCurrentTabCategory(tab.url, prediction);
+    if (!record) return; // Tab closed or navigated away meanwhile
+    
+    this.updateBadge(tab.id, prediction.category);
+    tabTracker.broadcastToPopups('tabCategorized', { tabId: tab.id, currentTab: record });
+    tabStripGrouper.scheduleSync();
+  }
+
+  updateBadge(tabId, category) {
+    const action = browser.action || browser.browserAction;
+    // User categories show the first letters of their name in their own color
+    const custom = globalThis.categoryRegistry.isCustomCategory(category) && globalThis.categoryRegistry.getCategory(category);
+    const badge = custom ? { text: custom.name.substring(0, 3).toUpperCase(), color: custom.color } : CONFIG.AUTO_CATEGORIZE.BADGE[category];
+    
+    action.setBadgeText({ tabId, text: badge ? badge.text : '' }).catch(() => {});
+    if (badge) {
+      action.setBadgeBackgroundColor({ tabId, color: badge.color }).catch(() => {});
+    }
+  }
+}
+
+// RuleActionRunner - runs the actions matching rules ask for (close, save and close, pin, mute,
+// move to a named window, bookmark) and logs each one with what is needed to undo it
+class RuleActionRunner {
+  constructor() {
+    this.applied = null;          // Promise of Set of "tabId|url|ruleId|type" - actions already run on a page
+    this.windowNames = null;      // window name -> windowId, for windows opened by move actions
+  }
+
+  /**
+   * Call a rule-actions.js function: directly on Firefox, via the offscreen document on Chrome
+   */
+  async call(method, ...args) {
+    if (typeof document !== 'undefined') {
+      const ruleActions = await import(browser.runtime.getURL('src/modules/rule-actions.js'));
+      return ruleActions[method](...args);
+    }
+    
+    await autoCategorizer.ensureOffscreenDocument();
+    const response = await browser.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'ruleActions',
+      data: { method, args }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Rule action evaluation failed');
+    }
+    return response.result;
+  }
+
+  /**
+   * Quick check before evaluating rules (disabled packs are filtered out later)
+   * @param {Object} settings - Settings
+   * @param {Array<string>} [types] - Only these action types
+   */
+  hasActions(settings, types = null) {
+    return (settings.rules || []).some(rule =>
+      rule.enabled !== false && (rule.actions || []).some(action => !types || types.includes(action.type)));
+  }
+
+  getRuleSettings(settings) {
+    return { rules: settings.rules || [], rulePacks: settings.rulePacks || [] };
+  }
+
+  /**
+   * Tab fields rule conditions and idle checks use
+   */
+  toRuleTab(tab) {
+    const currentTab = globalThis.tabDatabase.cache.currentTabs.get(tab.url);
+    return {
+      id: tab.id,
+      url: tab.url,
+      title: tab.title || '',
+      pinned: tab.pinned,
+      audible: tab.audible,
+      active: tab.active,
+      windowId: tab.windowId,
+      tabOpenTime: currentTab?.tabOpenTimes?.[tab.id],
+      lastAccessed: tab.lastAccessed || currentTab?.lastAccessed
+    };
+  }
+
+  /**
+   * IDs of tabs a rule keeps away from the LLM
+   * @param {Array} tabs - Tabs with rule fields
+   * @param {Object} settings - Settings
+   * @returns {Promise<Array>} Tab IDs
+   */
+  async getLLMExcludedTabIds(tabs, settings) {
+    if (!this.hasActions(settings, ['no_llm'])) return [];
+    return this.call('getLLMExcludedTabIds', tabs, this.getRuleSettings(settings), await autoCategorizer.getRuleContext());
+  }
+
+  /**
+   * Run the actions due for a tab that finished loading
+   * @param {Object} tab - Browser tab
+   */
+  async onTabLoaded(tab) {
+    if (!tab.url || !/^https?:/.test(tab.url)) return;
+    
+    const settings = await autoCategorizer.getSettings();
+    if (!this.hasActions(settings, RULE_TAB_ACTIONS)) return;
+    
+    await this.run([tab], settings);
+  }
+
+  /**
+   * Periodic pass so idle-based close actions fire without new page loads
+   * Only closing actions run here - pinning a tab again after the user unpinned it would be unwelcome.
+   */
+  async sweep() {
+    const settings = await autoCategorizer.getSettings();
+    if (!this.hasActions(settings, RULE_CLOSING_ACTIONS)) return;
+    
+    const tabs = (await browser.tabs.query({})).filter(tab => tab.url && /^https?:/.test(tab.url));
+    await this.run(tabs, settings, { closingOnly: true });
+  }
+
+  /**
+   * Actions already run, kept in session storage so a service worker restart doesn't run them again
+   * @returns {Promise<Set<string>>} "tabId|url|ruleId|type" keys
+   */
+  getApplied() {
+    if (!this.applied) {
+      this.applied = Promise.resolve(browser.storage.session?.get('ruleActionsApplied'))
+        .catch(() => null)
+        .then(data => new Set(data?.ruleActionsApplied || []));
+    }
+    return this.applied;
+  }
+
+  async saveApplied(applied) {
+    await browser.storage.session?.set({ ruleActionsApplied: [...applied] }).catch(() => {});
+  }
+
+  async run(tabs, settings, { closingOnly = false } = {}) {
+    const applied = await this.getApplied();
+    const context = await autoCategorizer.getRuleContext();
+    const due = await this.call('getDueTabActions', tabs.map(tab => this.toRuleTab(tab)), this.getRuleSettings(settings), context);
+    
+    for (const tab of tabs) {
+      const matches = due[tab.id] || [];
+      if (closingOnly && !matches.some(({ action }) => RULE_CLOSING_ACTIONS.includes(action.type))) continue;
+      
+      for (const match of matches) {
+        const key = `${tab.id}|${tab.url}|${match.ruleId}|${match.action.type}`;
+        if (applied.has(key)) continue;
+        applied.add(key);
+        await this.saveApplied(applied);
+        
+        try {
+          await this.execute(tab, match);
+        } catch (error) {
+          console.error(`Rule action ${match.action.type} failed:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Forget actions run on a closed tab
+   * @param {number} tabId - Tab ID
+   */
+  async forget(tabId) {
+    const applied = await this.getApplied();
+    const prefix = `${tabId}|`;
+    const keys = [...applied].filter(key => key.startsWith(prefix));
+    if (keys.length === 0) return;
+    
+    keys.forEach(key => applied.delete(key));
+    await this.saveApplied(applied);
+  }
+
+  /**
+   * Run one action and log it
+   * @param {Object} tab - Browser tab
+   * @param {Object} match - { ruleId, category, action }
+   */
+  async execute(tab, { ruleId, category, action }) {
+    const entry = {
+      type: action.type,
+      ruleId,
+      url: tab.url,
+      title: tab.title || '',
+      tabId: tab.id,
+      windowId: tab.windowId,
+      index: tab.index,
+      pinned: tab.pinned
+    };
+    
+    switch (action.type) {
+      case 'close':
+        await browser.tabs.remove(tab.id);
+        break;
+        
+      case 'save_close': {
+        const saved = await globalThis.tabDatabase.getUrlInfo(tab.url);
+        entry.previousCategory = saved?.category || 0;
+        entry.category = category;
+        const urlId = await globalThis.tabDatabase.getOrCreateUrl({
+          url: tab.url,
+          title: tab.title || '',
+          favIconUrl: tab.favIconUrl
+        }, category);
+        await globalThis.tabDatabase.recordCloseEvent(urlId);
+        await browser.tabs.remove(tab.id);
+        break;
+      }
+        
+      case 'pin':
+        if (tab.pinned) return;
+        await browser.tabs.update(tab.id, { pinned: true });
+        break;
+        
+      case 'mute':
+        if (tab.mutedInfo?.muted) return;
+        await browser.tabs.update(tab.id, { muted: true });
+        break;
+        
+      case 'move_to_window': {
+        const name = String(action.window || '').trim();
+        if (!name) return;
+        
+        const windowId = await this.getNamedWindow(name);
+        if (windowId === tab.windowId) return;
+        
+        if (windowId !== null) {
+          await browser.tabs.move(tab.id, { windowId, index: -1 });
+          entry.toWindowId = windowId;
+        } else {
+          const createdWindow = await browser.windows.create({ tabId: tab.id, focused: false });
+          await this.rememberWindow(name, createdWindow.id);
+          entry.toWindowId = createdWindow.id;
+        }
+        entry.windowName = name;
+        break;
+      }
+        
+      case 'bookmark': {
+        // Optional permission - granted when a rule with a bookmark action is saved
+        if (!browser.bookmarks) return;
+        
+        const existing = await browser.bookmarks.search({ url: tab.url });
+        if (existing.length > 0) return;
+        
+        const parentId = await this.getBookmarkFolder(action.folder || CONFIG.RULE_ACTIONS.BOOKMARK_FOLDER);
+        const bookmark = await browser.bookmarks.create({ parentId, title: tab.title || tab.url, url: tab.url });
+        entry.bookmarkId = bookmark.id;
+        break;
+      }
+        
+      default:
+        return;
+    }
+    
+    entry.id = await globalThis.tabDatabase.recordAction(entry);
+    await globalThis.tabDatabase.pruneActionLog(CONFIG.RULE_ACTIONS.LOG_LIMIT, RULE_TAB_ACTIONS);
+    tabTracker.broadcastToPopups('ruleActionRun', { entry });
+  }
+
+  /**
+   * Find the window opened earlier for a name
+   * Names live in session storage: window IDs don't survive a browser restart.
+   * @returns {Promise<number|null>} Window ID, or null if it has to be opened
+   */
+  async getNamedWindow(name) {
+    if (!this.windowNames) {
+      const data = await browser.storage.session?.get('ruleWindowNames').catch(() => null);
+      this.windowNames = new Map(Object.entries(data?.ruleWindowNames || {}));
+    }
+    
+    const key = name.toLowerCase();
+    const windowId = this.windowNames.get(key);
+    if (windowId === undefined) return null;
+    
+    const exists = await browser.windows.get(windowId).then(() => true, () => false);
+    if (!exists) {
+      await this.rememberWindow(name, undefined);
+      return null;
+    }
+    return windowId;
+  }
+
+  async rememberWindow(name, windowId) {
+    const key = name.toLowerCase();
+    if (windowId === undefined) {
+      this.windowNames.delete(key);
+    } else {
+      this.windowNames.set(key, windowId);
+    }
+    await browser.storage.session?.set({ ruleWindowNames: Object.fromEntries(this.windowNames) }).catch(() => {});
+  }
+
+  /**
+   * Find or create a top-level bookmark folder
+   * @returns {Promise<string>} Folder ID
+   */
+  async getBookmarkFolder(title) {
+    const folders = (await browser.bookmarks.search({ title })).filter(node => !node.url);
+    if (folders.length > 0) return folders[0].id;
+    
+    const folder = await browser.bookmarks.create({ title });
+    return folder.id;
+  }
+
+  /**
+   * Reverse a logged action
+   * The action log is also the popup's undo journal: it records closing tabs (close_tabs)
+   * and deleting saved tabs (delete_saved) there, and they are undone here like rule actions.
+   * @param {number} entryId - Action log entry ID
+   * @returns {Promise<Object>} Updated entry
+   * @throws {Error} If the action can't be undone any more
+   */
+  async undo(entryId) {
+    const entry = await globalThis.tabDatabase.getActionLogEntry(entryId);
+    if (!entry) throw new Error('Action not found');
+    if (entry.undoneAt) throw new Error('This action was already undone');
+    
+    switch (entry.type) {
+      case 'close':
+      case 'save_close': {
+        const windowExists = await browser.windows.get(entry.windowId).then(() => true, () => false);
+        await browser.tabs.create({
+          url: entry.url,
+          pinned: Boolean(entry.pinned),
+          active: false,
+          ...(windowExists ? { windowId: entry.windowId, index: entry.index } : {})
+        });
+        if (entry.type === 'save_close') {
+          await globalThis.tabDatabase.updateUrlCategory(entry.url, entry.previousCategory);
+        }
+        break;
+      }
+        
+      case 'pin':
+        await browser.tabs.update((await this.getLoggedTab(entry)).id, { pinned: false });
+        break;
+        
+      case 'mute':
+        await browser.tabs.update((await this.getLoggedTab(entry)).id, { muted: false });
+        break;
+        
+      case 'move_to_window': {
+        const tab = await this.getLoggedTab(entry);
+        const windowExists = await browser.windows.get(entry.windowId).then(() => true, () => false);
+        if (windowExists) {
+          await browser.tabs.move(tab.id, { windowId: entry.windowId, index: entry.index });
+        } else {
+          await browser.windows.create({ tabId: tab.id });
+        }
+        break;
+      }
+        
+      case 'bookmark':
+        if (!browser.bookmarks) throw new Error('Bookmark permission is no longer granted');
+        await browser.bookmarks.remove(entry.bookmarkId);
+        break;
+        
+      case 'close_tabs':
+        await this.reopenTabs(entry.tabs);
+        break;
+        
+      case 'delete_saved':
+        await globalThis.tabDatabase.restoreUrlSnapshots(entry.urls);
+        break;
+        
+      default:
+        throw new Error(`Unknown action: ${entry.type}`);
+    }
+    
+    return globalThis.tabDatabase.updateActionLogEntry(entryId, { undoneAt: Date.now() });
+  }
+
+  /**
+   * Reopen closed tabs in their windows (or a new window for each window that was closed),
+   * skipping URLs that are open again
+   * @param {Array} tabs - [{ url, windowId, index, pinned }]
+   */
+  async reopenTabs(tabs) {
+    await tabTracker.init();
+    const openUrls = new Set((await browser.tabs.query({})).map(tab => tab.url));
+    const byWindow = new Map();
+    tabs.filter(tab => !openUrls.has(tab.url)).forEach(tab => {
+      if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+      byWindow.get(tab.windowId).push(tab);
+    });
+    
+    for (const [windowId, windowTabs] of byWindow) {
+      windowTabs.sort((a, b) => a.index - b.index);
+      const windowExists = await browser.windows.get(windowId).then(() => true, () => false);
+      if (windowExists) {
+        for (const tab of windowTabs) {
+          await browser.tabs.create({ url: tab.url, windowId, index: tab.index, pinned: Boolean(tab.pinned), active: false });
+        }
+      } else {
+        const createdWindow = await browser.windows.create({ url: windowTabs.map(tab => tab.url) });
+        const createdTabs = (createdWindow.tabs || []).sort((a, b) => a.index - b.index);
+        for (let i = 0; i < windowTabs.length; i++) {
+          if (windowTabs[i].pinned && createdTabs[i]) {
+            await browser.tabs.update(createdTabs[i].id, { pinned: true });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * The tab an action ran on, if it's still showing the same page
+   */
+  async getLoggedTab(entry) {
+    const tab = await browser.tabs.get(entry.tabId).catch(() => null);
+    if (!tab || tab.url !== entry.url) {
+      throw new Error('The tab is no longer open');
+    }
+    return tab;
+  }
+}
+
+// TabStripGrouper - "Apply to tab strip" mode: a native tab group per category (or per domain) in
+// each window, titled and colored like the category. Groups it didn't make (tracked by ID, so a
+// user's group titled like a category stays theirs) and pinned tabs are left alone.
+// Browsers without tabGroups (Firefox) keep their tab strip as it is.
+class TabStripGrouper {
+  constructor() {
+    this.syncTimer = null;
+    this.syncQueue = Promise.resolve();
+    this.ownGroupIds = null;    // Promise of Set of IDs of groups this made
+    
+    // The mode, category names or colors may have changed
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.settings) {
+        this.scheduleSync();
+      }
+    });
+  }
+
+  isSupported() {
+    return typeof browser.tabs.group === 'function' && typeof browser.tabGroups?.query === 'function';
+  }
+
+  /**
+   * Sync once tab changes settle
+   */
+  scheduleSync() {
+    if (!this.isSupported()) return;
+    
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.sync().catch(error => {
+        console.error('Tab strip grouping error:', error);
+      });
+    }, CONFIG.TAB_STRIP_GROUPS.SYNC_DELAY_MS);
+  }
+
+  /**
+   * Group every normal window's tabs (one sync at a time)
+   * @returns {Promise<Object>} { supported, mode, windows, grouped, ungrouped }
+   */
+  sync() {
+    const run = this.syncQueue.then(() => this.syncWindows());
+    this.syncQueue = run.catch(() => {});
+    return run;
+  }
+
+  async syncWindows() {
+    const settings = await autoCategorizer.getSettings();
+    const mode = settings.tabStripGroups || 'off';
+    const results = { supported: this.isSupported(), mode, windows: 0, grouped: 0, ungrouped: 0 };
+    if (!results.supported || (mode !== 'category' && mode !== 'domain')) return results;
+    
+    await tabTracker.init();
+    globalThis.categoryRegistry.configure(settings);
+    
+    // Forget groups that were closed or emptied since the last sync
+    const ownGroupIds = await this.getOwnGroupIds();
+    const openGroupIds = new Set((await browser.tabGroups.query({})).map(group => group.id));
+    ownGroupIds.forEach(groupId => {
+      if (!openGroupIds.has(groupId)) ownGroupIds.delete(groupId);
+    });
+    
+    const windows = await browser.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    for (const win of windows) {
+      try {
+        await this.syncWindow(win, mode, results, ownGroupIds);
+        results.windows++;
+      } catch (error) {
+        // Windows closing mid-sync
+        console.error('Error grouping window tabs:', error);
+      }
+    }
+    
+    await browser.storage.session?.set({ tabStripGroupIds: [...ownGroupIds] }).catch(() => {});
+    return results;
+  }
+
+  /**
+   * IDs of the groups this made, kept in session storage (group IDs don't survive a browser restart)
+   * @returns {Promise<Set<number>>}
+   */
+  getOwnGroupIds() {
+    if (!this.ownGroupIds) {
+      this.ownGroupIds = Promise.resolve(browser.storage.session?.get('tabStripGroupIds'))
+        .catch(() => null)
+        .then(data => new Set(data?.tabStripGroupIds || []));
+    }
+    return this.ownGroupIds;
+  }
+
+  async syncWindow(win, mode, results, ownGroupIds) {
+    const tabs = (win.tabs || []).filter(tab => !tab.pinned);
+    const groups = await browser.tabGroups.query({ windowId: win.id });
+    
+    const targets = new Map(); // tabId -> { title, color } of the group it belongs in
+    for (const tab of tabs) {
+      const target = await this.getTargetGroup(tab, mode);
+      if (target) targets.set(tab.id, target);
+    }
+    
+    // Domains with a single tab aren't worth a group
+    if (mode === 'domain') {
+      const counts = new Map();
+      targets.forEach(target => counts.set(target.title, (counts.get(target.title) || 0) + 1));
+      targets.forEach((target, tabId) => {
+        if (counts.get(target.title) < CONFIG.TAB_STRIP_GROUPS.MIN_DOMAIN_TABS) targets.delete(tabId);
+      });
+    }
+    
+    // Groups made in either mode, so switching modes regroups them
+    const ownGroups = new Map(groups.filter(group => ownGroupIds.has(group.id)).map(group => [group.id, group]));
+    const groupsByTitle = new Map();
+    ownGroups.forEach(group => {
+      if (!groupsByTitle.has(group.title)) groupsByTitle.set(group.title, group);
+    });
+    
+    const toGroup = new Map(); // title -> tab IDs
+    const toUngroup = [];
+    for (const tab of tabs) {
+      const grouped = tab.groupId !== undefined && tab.groupId !== -1;
+      if (grouped && !ownGroups.has(tab.groupId)) continue; // The user's own group
+      
+      const target = targets.get(tab.id);
+      const current = grouped ? ownGroups.get(tab.groupId) : null;
+      if (!target) {
+        if (current) toUngroup.push(tab.id);
+      } else if (!current || current.title !== target.title) {
+        if (!toGroup.has(target.title)) toGroup.set(target.title, []);
+        toGroup.get(target.title).push(tab.id);
+      }
+    }
+    
+    if (toUngroup.length > 0) {
+      await browser.tabs.ungroup(toUngroup);
+      results.ungrouped += toUngroup.length;
+    }
+    
+    for (const [title, tabIds] of toGroup) {
+      const existing = groupsByTitle.get(title);
+      const groupId = await browser.tabs.group(existing
+        ? { tabIds, groupId: existing.id }
+        : { tabIds, createProperties: { windowId: win.id } });
+      if (!existing) {
+        ownGroupIds.add(groupId);
+        groupsByTitle.set(title, { id: groupId, title, color: null });
+      }
+      results.grouped += tabIds.length;
+    }
+    
+    // Titles of new groups, and colors of categories that changed color
+    const colors = new Map([...targets.values()].map(target => [target.title, target.color]));
+    for (const [title, group] of groupsByTitle) {
+      const color = colors.get(title);
+      if (color && group.color !== color) {
+        await browser.tabGroups.update(group.id, { title, color });
+      }
+    }
+  }
+
+  /**
+   * The group a tab belongs in
+   * @param {Object} tab - Browser tab
+   * @param {string} mode - 'category' or 'domain'
+   * @returns {Promise<Object|null>} { title, color }, or null to leave it ungrouped
+   */
+  async getTargetGroup(tab, mode) {
+    if (!/^https?:/.test(tab.url || '')) return null;
+    
+    if (mode === 'domain') {
+      const domain = this.getDomain(tab.url);
+      return domain ? { title: domain, color: this.getDomainColor(domain) } : null;
+    }
+    
+    const category = await getOpenTabCategory(tab.url);
+    const info = category ? globalThis.categoryRegistry.getCategory(category) : null;
+    return info ? { title: info.name, color: this.getNearestColor(info.color) } : null;
+  }
+
+  /**
+   * Root domain, as the popup's Domain grouping shows it
+   */
+  getDomain(url) {
+    try {
+      const hostname = new URL(url).hostname;
+      return hostname ? globalThis.domainUtils.getRootDomain(hostname) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Tab group color closest to a category color
+   * @param {string} hex - Category color (#rrggbb)
+   * @returns {string} Tab group color name
+   */
+  getNearestColor(hex) {
+    const rgb = value => [1, 3, 5].map(i => parseInt(value.substring(i, i + 2), 16));
+    if (!/^#[0-9a-f]{6}$/i.test(hex || '')) return 'grey';
+    
+    const [r, g, b] = rgb(hex);
+    let nearest = 'grey';
+    let nearestDistance = Infinity;
+    for (const [name, value] of Object.entries(CONFIG.TAB_STRIP_GROUPS.COLORS)) {
+      const [cr, cg, cb] = rgb(value);
+      const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+      if (distance < nearestDistance) {
+        nearest = name;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Stable color per domain, so a domain's group keeps its color across windows
+   */
+  getDomainColor(domain) {
+    const names = Object.keys(CONFIG.TAB_STRIP_GROUPS.COLORS);
+    let hash = 0;
+    for (const char of domain) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return names[hash % names.length];
+  }
+}
+
 // TabTracker class for managing tab state in background
 class TabTracker {
   constructor() {
@@ -89,6 +971,9 @@ class TabTracker {
       if (currentTab) {
         await globalThis.tabDatabase.removeTabFromCurrentTab(currentTab.url, tabId);
       }
+      autoCategorizer.remove(tabId);
+      await ruleActionRunner.forget(tabId);
+      tabStripGrouper.scheduleSync();
       
       // Broadcast to connected popups
       this.broadcastToPopups('tabRemoved', { tabId, windowId: removeInfo.windowId });
@@ -140,6 +1025,17 @@ class TabTracker {
       
       // Broadcast to connected popups
       this.broadcastToPopups('tabUpdated', { tabId, changeInfo, tab });
+      
+      // Categorize-on-open (no-op unless enabled in settings)
+      if (changeInfo.status === 'complete') {
+        autoCategorizer.enqueue(tab).catch(error => {
+          console.error('Error queueing tab for auto-categorization:', error);
+        });
+        ruleActionRunner.onTabLoaded(tab).catch(error => {
+          console.error('Error running rule actions:', error);
+        });
+        tabStripGrouper.scheduleSync();
+      }
     } catch (error) {
       console.error('Error handling tab updated:', error);
     }
@@ -263,8 +1159,11 @@ class TabTracker {
   }
 }
 
-// Create global tab tracker instance
+// Create global tab tracker, auto-categorizer, rule action runner and tab strip grouper instances
 const tabTracker = new TabTracker();
+const autoCategorizer = new AutoCategorizer();
+const ruleActionRunner = new RuleActionRunner();
+const tabStripGrouper = new TabStripGrouper();
 
 // Initialize database and tab tracker
 async function initializeBackground() {
@@ -280,21 +1179,269 @@ async function initializeBackground() {
 // Start initialization
 initializeBackground();
 
-// Shared function to extract JSON from LLM responses
-function extractJSONFromResponse(content, providerName) {
-  // Extract JSON from response
-  let categorization;
-  try {
-    // Clean the content first - remove any potential whitespace or newlines
-    const cleanedContent = content.trim();
-    
-    // Try to parse the entire response as JSON first
-    categorization = JSON.parse(cleanedContent);
-  } catch (e) {
-    
-    // Method 1: Try to find JSON object boundaries
-    const firstBrace = content.indexOf('{');
-    const lastBrace = content.lastIndexOf('}');
+// Saved URLs are stored canonicalized; when the canonicalization settings change (or on the first
+// run with canonicalization), merge the saved URLs that now canonicalize to the same URL
+let urlCanonicalizationQueue = Promise.resolve();
+
+async function applyUrlCanonicalization() {
+  const data = await browser.storage.local.get(['settings', 'urlCanonicalizationSignature']);
+  globalThis.urlCanonicalizer.configure(data.settings || {});
+  
+  const signature = globalThis.urlCanonicalizer.getSignature();
+  if (signature === data.urlCanonicalizationSignature) return;
+  
+  await tabTracker.init();
+  const results = await globalThis.tabDatabase.mergeDuplicateUrls();
+  
+  // Failed merges are retried on the next start
+  if (results.errors.length === 0) {
+    await browser.storage.local.set({ urlCanonicalizationSignature: signature });
+  }
+}
+
+function queueUrlCanonicalization() {
+  urlCanonicalizationQueue = urlCanonicalizationQueue
+    .then(applyUrlCanonicalization)
+    .catch(error => {
+      console.error('Error merging canonicalized URLs:', error);
+    });
+}
+
+queueUrlCanonicalization();
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.settings) {
+    globalThis.categoryRegistry.configure(changes.settings.newValue || {});
+    queueUrlCanonicalization();
+  }
+});
+
+// User categories (prompt, response validation, badges) come from settings
+browser.storage.local.get('settings').then(data => {
+  globalThis.categoryRegistry.configure(data.settings || {});
+}).catch(error => {
+  console.error('Error loading categories:', error);
+});
+
+/**
+ * Create a periodic alarm unless it already exists
+ * Creating an alarm replaces one with the same name and restarts its period, and the service
+ * worker runs this file on every wake-up, so recreating it each time would keep postponing it.
+ * @param {string} name - Alarm name
+ * @param {number} periodInMinutes - Period
+ */
+async function ensureAlarm(name, periodInMinutes) {
+  const existing = await browser.alarms.get(name);
+  if (!existing || existing.periodInMinutes !== periodInMinutes) {
+    await browser.alarms.create(name, { periodInMinutes });
+  }
+}
+
+// Idle-based rule actions are re-checked periodically (registered at top level so the alarm wakes the worker)
+ensureAlarm(RULE_ACTIONS_ALARM, CONFIG.RULE_ACTIONS.SWEEP_INTERVAL_MINUTES).catch(error => {
+  console.error('Error scheduling rule action sweep:', error);
+});
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== RULE_ACTIONS_ALARM) return;
+  try {
+    await tabTracker.init();
+    await ruleActionRunner.sweep();
+  } catch (error) {
+    console.error('Rule action sweep failed:', error);
+  }
+});
+
+// Retention rules archive and delete saved tabs nobody opened for a while (see src/utils/retention-policy.js)
+async function applyUrlRetention() {
+  const data = await browser.storage.local.get('settings');
+  globalThis.categoryRegistry.configure(data.settings || {});
+  
+  await tabTracker.init();
+  const results = await globalThis.tabDatabase.cleanupOldUrls(data.settings?.retentionRules || []);
+  
+  const lastRun = {
+    timestamp: Date.now(),
+    archived: results.urlsArchived,
+    deleted: results.urlsDeleted,
+    errors: results.errors.length
+  };
+  await browser.storage.local.set({ retentionLastRun: lastRun });
+  return lastRun;
+}
+
+ensureAlarm(RETENTION_ALARM, CONFIG.DATABASE.RETENTION_CHECK_MINUTES).catch(error => {
+  console.error('Error scheduling retention cleanup:', error);
+});
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== RETENTION_ALARM) return;
+  try {
+    await applyUrlRetention();
+  } catch (error) {
+    console.error('Retention cleanup failed:', error);
+  }
+});
+
+/**
+ * Category of an open tab: its saved category, else the one categorize-on-open found
+ * @param {string} url - Tab URL
+ * @returns {Promise<number>} Category ID (0 when uncategorized)
+ */
+async function getOpenTabCategory(url) {
+  const saved = await globalThis.tabDatabase.getUrlInfo(url);
+  return saved?.category || globalThis.tabDatabase.cache.currentTabs.get(url)?.category || 0;
+}
+
+// Hibernation discards tabs (tabs.discard): they keep their place in the tab strip and reload
+// when selected, without using memory meanwhile
+async function hibernateTabs(tabIds, { automatic = false } = {}) {
+  const results = { hibernated: 0, skipped: 0 };
+  
+  for (const tabId of tabIds) {
+    const tab = await browser.tabs.get(tabId).catch(() => null);
+    // The active tab can't be discarded, and discarding a playing tab would stop it
+    if (!tab || tab.active || tab.audible || tab.discarded) {
+      results.skipped++;
+      continue;
+    }
+    
+    try {
+      await browser.tabs.discard(tabId);
+      results.hibernated++;
+    } catch (error) {
+      console.error(`Error hibernating tab ${tabId}:`, error);
+      results.skipped++;
+    }
+  }
+  
+  if (results.hibernated > 0) {
+    const { hibernationStats = {} } = await browser.storage.local.get('hibernationStats');
+    await browser.storage.local.set({
+      hibernationStats: {
+        total: (hibernationStats.total || 0) + results.hibernated,
+        automatic: (hibernationStats.automatic || 0) + (automatic ? results.hibernated : 0),
+        lastHibernated: Date.now()
+      }
+    });
+  }
+  return results;
+}
+
+/**
+ * Hibernate tabs in the policy's categories that nobody looked at for the idle time
+ * (lastAccessed from the currentTabs store, or the browser's own when it is more recent)
+ */
+async function applyHibernationPolicy() {
+  const settings = await autoCategorizer.getSettings();
+  if (!settings.autoHibernate) return { hibernated: 0, skipped: 0 };
+  
+  await tabTracker.init();
+  const categories = settings.hibernateCategories || CONFIG.HIBERNATION.DEFAULT_CATEGORIES;
+  const idleMs = (settings.hibernateIdleMinutes || CONFIG.HIBERNATION.DEFAULT_IDLE_MINUTES) * 60 * 1000;
+  const now = Date.now();
+  
+  const tabs = await browser.tabs.query({ active: false, pinned: false, audible: false, discarded: false });
+  const dueTabIds = [];
+  for (const tab of tabs) {
+    if (!tab.url || !/^https?:/.test(tab.url)) continue;
+    
+    const currentTab = globalThis.tabDatabase.cache.currentTabs.get(tab.url);
+    const lastAccessed = Math.max(new Date(currentTab?.lastAccessed || 0).getTime() || 0, tab.lastAccessed || 0);
+    if (!lastAccessed || now - lastAccessed < idleMs) continue;
+    
+    if (categories.includes(await getOpenTabCategory(tab.url))) {
+      dueTabIds.push(tab.id);
+    }
+  }
+  
+  return hibernateTabs(dueTabIds, { automatic: true });
+}
+
+ensureAlarm(HIBERNATION_ALARM, CONFIG.HIBERNATION.CHECK_INTERVAL_MINUTES).catch(error => {
+  console.error('Error scheduling hibernation sweep:', error);
+});
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== HIBERNATION_ALARM) return;
+  try {
+    await applyHibernationPolicy();
+  } catch (error) {
+    console.error('Hibernation policy failed:', error);
+  }
+});
+
+// Session snapshots are restored here so the popup closing as the new windows take focus
+// doesn't cut the restore short
+async function restoreSession(sessionId) {
+  await tabTracker.init();
+  const session = await globalThis.tabDatabase.getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const openTabs = await browser.tabs.query({});
+  const openUrls = new Set(openTabs.map(tab => tab.url));
+  const canGroup = typeof browser.tabs.group === 'function' && typeof browser.tabGroups?.update === 'function';
+  const results = { windows: 0, restored: 0, skipped: 0 };
+  
+  for (const snapshotWindow of session.windows) {
+    const tabs = snapshotWindow.tabs.filter(tab => !openUrls.has(tab.url));
+    results.skipped += snapshotWindow.tabs.length - tabs.length;
+    if (tabs.length === 0) continue;
+    
+    const createData = { url: tabs.map(tab => tab.url) };
+    if (snapshotWindow.incognito) {
+      createData.incognito = true;
+    }
+    if (['maximized', 'fullscreen'].includes(snapshotWindow.state)) {
+      createData.state = snapshotWindow.state;
+    }
+    const createdWindow = await browser.windows.create(createData);
+    const createdTabs = (createdWindow.tabs || await browser.tabs.query({ windowId: createdWindow.id }))
+      .sort((a, b) => a.index - b.index);
+    results.windows++;
+    results.restored += tabs.length;
+    
+    // Pinned tabs come first in a window, so pinning them in order keeps the order
+    for (let i = 0; i < tabs.length; i++) {
+      if (tabs[i].pinned && createdTabs[i]) {
+        await browser.tabs.update(createdTabs[i].id, { pinned: true });
+      }
+    }
+    
+    // Tab groups (Chrome; browsers without tabGroups get the tabs ungrouped)
+    if (!canGroup) continue;
+    for (let groupIndex = 0; groupIndex < (snapshotWindow.groups || []).length; groupIndex++) {
+      const tabIds = tabs
+        .map((tab, i) => (tab.group === groupIndex && createdTabs[i] ? createdTabs[i].id : null))
+        .filter(id => id !== null);
+      if (tabIds.length === 0) continue;
+      
+      try {
+        const groupId = await browser.tabs.group({ tabIds, createProperties: { windowId: createdWindow.id } });
+        const { title, color, collapsed } = snapshotWindow.groups[groupIndex];
+        await browser.tabGroups.update(groupId, { title, color, collapsed });
+      } catch (error) {
+        console.error('Error restoring tab group:', error);
+      }
+    }
+  }
+  
+  return results;
+}
+
+// Shared function to extract JSON from LLM responses
+function extractJSONFromResponse(content, providerName) {
+  // Extract JSON from response
+  let categorization;
+  try {
+    // Clean the content first - remove any potential whitespace or newlines
+    const cleanedContent = content.trim();
+    
+    // Try to parse the entire response as JSON first
+    categorization = JSON.parse(cleanedContent);
+  } catch (e) {
+    
+    // Method 1: Try to find JSON object boundaries
+    const firstBrace = content.indexOf('{');
+    const lastBrace = content.lastIndexOf('}');
     
     if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
       const jsonString = content.substring(firstBrace, lastBrace + 1).trim();
@@ -392,6 +1539,90 @@ browser.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     return true; // Will respond asynchronously
   }
   
+  if (request.action === 'testProviderConnection') {
+    handleTestProviderConnection(request.data)
+      .then(result => {
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('Background error testing provider connection:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'runPromptBench') {
+    handleRunPromptBench(request.data)
+      .then(result => {
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('Background error running prompt bench:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'undoRuleAction') {
+    ruleActionRunner.undo(request.data.id)
+      .then(entry => {
+        sendResponse({ success: true, entry });
+      })
+      .catch(error => {
+        console.error('Background error undoing rule action:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'applyRetention') {
+    applyUrlRetention()
+      .then(lastRun => {
+        sendResponse({ success: true, lastRun });
+      })
+      .catch(error => {
+        console.error('Background error applying retention rules:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'hibernateTabs') {
+    hibernateTabs(request.data.tabIds)
+      .then(results => {
+        sendResponse({ success: true, results });
+      })
+      .catch(error => {
+        console.error('Background error hibernating tabs:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'syncTabStripGroups') {
+    tabStripGrouper.sync()
+      .then(results => {
+        sendResponse({ success: true, results });
+      })
+      .catch(error => {
+        console.error('Background error grouping tabs:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'restoreSession') {
+    restoreSession(request.data.id)
+      .then(results => {
+        sendResponse({ success: true, results });
+      })
+      .catch(error => {
+        console.error('Background error restoring session:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
   // Handle moveTabToCategory (now just acknowledges since popup handles its own state)
   if (request.action === 'moveTabToCategory') {
     // Simply acknowledge the request - the popup will update its own state
@@ -413,9 +1644,47 @@ browser.runtime.onMessage.addListener((request, _sender, sendResponse) => {
   return false;
 });
 
-async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPrompt, savedUrls = [] }) {
+// Streaming categorization: partial results are posted on the port as each tab is parsed,
+// followed by the same result the categorizeTabs message returns
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'categorize-stream') return;
+  
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+  
+  const post = (message) => {
+    if (!disconnected) {
+      port.postMessage(message);
+    }
+  };
+  
+  port.onMessage.addListener((request) => {
+    handleCategorizeTabs(request.data, { onPartial: data => post({ type: 'partial', data }) })
+      .then(result => post({ type: 'result', result }))
+      .catch(error => {
+        console.error('Background streaming categorization error:', error);
+        post({ type: 'result', result: { success: false, error: error.message } });
+      });
+  });
+});
+
+async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPrompt, baseUrl, fallbacks = [], explain = false, monthlyBudget = 0, savedUrls = [] }, { onPartial = null, persist = true } = {}) {
   
   try {
+    // Block LLM calls once the monthly budget cap is reached (popup falls back to rules + ML)
+    if (monthlyBudget > 0) {
+      const monthlySpend = await globalThis.tabDatabase.getMonthlyLLMSpend();
+      if (monthlySpend >= monthlyBudget) {
+        return {
+          success: false,
+          budgetExceeded: true,
+          error: `Monthly LLM budget of $${monthlyBudget.toFixed(2)} reached`
+        };
+      }
+    }
+    
     // Convert saved URLs array to Set for faster lookup
     const savedUrlsSet = new Set(savedUrls);
     
@@ -424,34 +1693,35 @@ async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPromp
     
     // If no tabs to categorize after filtering, return empty result
     if (deduplicatedTabs.length === 0) {
-      return { success: true, data: { 1: [], 2: [], 3: [] } };
+      return { success: true, data: globalThis.categoryRegistry.createCategoryBuckets() };
     }
     
-    let categorized;
+    // Streamed entries are expanded to their original tabs and forwarded as they are parsed
+    const handlePartial = onPartial && ((tab, category, categorizedBy) => {
+      const partial = expandCategorizedResults({ [category]: [tab] }, urlToOriginalTabs);
+      partial[category].forEach(expandedTab => {
+        expandedTab.categorizedBy = categorizedBy;
+      });
+      onPartial(partial);
+    });
     
-    switch (provider) {
-      case 'Claude':
-        categorized = await callClaudeAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'OpenAI':
-        categorized = await callOpenAIAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'Gemini':
-        categorized = await callGeminiAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'DeepSeek':
-        categorized = await callDeepSeekAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'Grok':
-        categorized = await callGrokAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
-    }
+    const { categorized, categorizedBy } = await callProvidersWithFailover(
+      [{ provider, model, apiKey, baseUrl }, ...fallbacks],
+      deduplicatedTabs,
+      customPrompt,
+      { explain, onPartial: handlePartial, monthlyBudget }
+    );
     
     // Map categorized results back to all original tabs
     const expandedCategorized = expandCategorizedResults(categorized, urlToOriginalTabs);
     
+    // Record which provider produced each category
+    globalThis.categoryRegistry.getSavedCategoryIds().forEach(category => {
+      expandedCategorized[category].forEach(tab => {
+        tab.categorizedBy = categorizedBy;
+      });
+    });
+    
     // Add saved tabs to category 1 (can be closed) so they show up in the UI
     savedTabsMap.forEach((tabs) => {
       if (tabs.length > 0) {
@@ -476,17 +1746,22 @@ async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPromp
     
     
     // Save all categorized tabs to database (including category 1)
-    try {
-      await globalThis.tabDatabase.saveCategorizedTabs(expandedCategorized);
-    } catch (error) {
-      console.error('Background: Error saving to database:', error);
+    // Background auto-categorization only labels open tabs, it doesn't save them
+    if (persist) {
+      try {
+        await globalThis.tabDatabase.saveCategorizedTabs(expandedCategorized);
+      } catch (error) {
+        console.error('Background: Error saving to database:', error);
+      }
     }
     
-    // Build urlToDuplicateIds for the response
+    // Build urlToDuplicateIds for the response (keyed by each tab's own URL, which the popup looks up)
     const urlToDuplicateIds = {};
-    urlToOriginalTabs.forEach((tabs, url) => {
+    urlToOriginalTabs.forEach((tabs) => {
       if (tabs.length > 1) {
-        urlToDuplicateIds[url] = tabs.map(t => t.id);
+        tabs.forEach(tab => {
+          urlToDuplicateIds[tab.url] = tabs.map(t => t.id);
+        });
       }
     });
     
@@ -497,14 +1772,15 @@ async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPromp
   }
 }
 
-// Deduplicate tabs by URL, keeping track of all tabs with the same URL
+// Deduplicate tabs by canonical URL (tracking parameters, anchors etc. don't make a different page),
+// keeping track of all tabs with the same URL
 function deduplicateTabs(tabs, savedUrls = new Set()) {
   const urlToOriginalTabs = new Map();
   const savedTabsMap = new Map(); // Track tabs that match saved URLs
   const deduplicatedTabs = [];
   
   tabs.forEach((tab, index) => {
-    const url = tab.url;
+    const url = globalThis.urlCanonicalizer.canonicalizeUrl(tab.url);
     
     // Check if URL is already saved
     if (savedUrls.has(url)) {
@@ -536,12 +1812,12 @@ function deduplicateTabs(tabs, savedUrls = new Set()) {
 
 // Expand categorized results to show deduplicated tabs but track all duplicate IDs
 function expandCategorizedResults(categorized, urlToOriginalTabs) {
-  const expanded = { 0: [], 1: [], 2: [], 3: [] };
+  const expanded = globalThis.categoryRegistry.createCategoryBuckets(true);
   
-  [0, 1, 2, 3].forEach(category => {
+  globalThis.categoryRegistry.getAllCategoryIds().forEach(category => {
     if (categorized[category]) {
       categorized[category].forEach(deduplicatedTab => {
-        const originalTabs = urlToOriginalTabs.get(deduplicatedTab.url) || [];
+        const originalTabs = urlToOriginalTabs.get(globalThis.urlCanonicalizer.canonicalizeUrl(deduplicatedTab.url)) || [];
         if (originalTabs.length > 0) {
           // Use the first tab as the representative, but include all duplicate IDs
           const representativeTab = { ...originalTabs[0] };
@@ -551,6 +1827,11 @@ function expandCategorizedResults(categorized, urlToOriginalTabs) {
           // Add array of all tab IDs that have this URL (for closing duplicates)
           representativeTab.duplicateIds = originalTabs.map(tab => tab.id);
           
+          // Carry the LLM's confidence and reason (explain mode)
+          if (deduplicatedTab.llmExplanation) {
+            representativeTab.llmExplanation = deduplicatedTab.llmExplanation;
+          }
+          
           // Add duplicate count to title if there are duplicates
           if (originalTabs.length > 1) {
             representativeTab.duplicateCount = originalTabs.length;
@@ -566,170 +1847,397 @@ function expandCategorizedResults(categorized, urlToOriginalTabs) {
 }
 
 // Common prompt for all LLMs
-function getCategorizationPrompt(tabs, customPrompt) {
+function getCategorizationPrompt(tabs, customPrompt, { structured = false, explain = false } = {}) {
   
   // Use custom prompt if provided and different from default
   const userEditablePart = (customPrompt && customPrompt !== CONFIG.DEFAULT_PROMPT) ? customPrompt : CONFIG.DEFAULT_PROMPT;
   
   // Prepare minimal tab data for LLM - only what's needed for categorization
-  const minimalTabs = tabs.map(tab => {
+  const minimalTabs = tabs.map((tab, index) => {
     // Create minimal tab object with only necessary fields
     const minimalTab = {
-      id: tab.deduplicatedId || tab.id || tab.tempId || tabs.indexOf(tab),
+      id: getPromptTabId(tab, index),
       title: tab.title,
       url: tab.url.length > 128 ? tab.url.substring(0, 128) + '...' : tab.url
     };
     
+    // Page content is only present when the user opted into content extraction
+    if (tab.pageContent) {
+      minimalTab.content = [tab.pageContent.description, tab.pageContent.excerpt]
+        .filter(Boolean)
+        .join(' | ');
+    }
+    
     return minimalTab;
   });
   
   
   // Combine user-editable part with system-enforced suffix
   // This ensures LLMs always return properly formatted JSON regardless of user edits
-  const fullPrompt = userEditablePart + CONFIG.PROMPT_SYSTEM_SUFFIX;
+  // (with structured output the schema defines the format, so the suffix only lists tabs)
+  let suffix;
+  if (structured) {
+    suffix = CONFIG.PROMPT_STRUCTURED_SUFFIX + (explain ? CONFIG.PROMPT_EXPLAIN_NOTE : '');
+  } else {
+    suffix = explain ? CONFIG.PROMPT_EXPLAIN_SUFFIX : CONFIG.PROMPT_SYSTEM_SUFFIX;
+  }
+  if (minimalTabs.some(tab => tab.content)) {
+    suffix += CONFIG.PROMPT_CONTENT_NOTE;
+  }
+  // User categories are described after the user's prompt, which only knows the built-in ones
+  const fullPrompt = userEditablePart + globalThis.categoryRegistry.describeCategoriesForPrompt() + suffix;
   
   // Replace placeholders in the prompt
   return fullPrompt
+    .replace(/\{CATEGORY_IDS\}/g, globalThis.categoryRegistry.getPromptCategoryList())
     .replace('{FREQUENT_DOMAINS}', CONFIG.FREQUENT_DOMAINS.join(', '))
     .replace('{TABS_DATA}', JSON.stringify(minimalTabs, null, 2));
 }
 
-async function callClaudeAPI(tabs, apiKey, model, customPrompt) {
+/**
+ * Try each provider/model candidate in order until one categorizes the tabs
+ * Candidates with an open circuit are skipped, as are models of unknown cost while a budget cap is set;
+ * provider errors move on to the next candidate, except bad request, auth and not-found errors.
+ * @param {Array<Object>} candidates - [{ provider, model, apiKey, baseUrl }], primary first
+ * @param {Array} tabs - Deduplicated tabs to categorize
+ * @param {string} customPrompt - User-editable prompt part
+ * @param {Object} [options] - { explain, onPartial } passed through to callProviderAPI, and monthlyBudget
+ * @returns {Promise<Object>} { categorized, categorizedBy: { provider, model } }
+ */
+async function callProvidersWithFailover(candidates, tabs, customPrompt, options = {}) {
+  let lastError = null;
   
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    return { 1: [], 2: [], 3: [] };
+  for (const { provider, model, apiKey, baseUrl } of candidates) {
+    if (!provider || !model) continue;
+    
+    if (globalThis.llmRequestLayer.isCircuitOpen(provider)) {
+      console.warn(`Skipping ${provider}: circuit open after repeated failures`);
+      lastError = lastError || new Error(`${provider} is temporarily unavailable`);
+      continue;
+    }
+    
+    if (options.monthlyBudget > 0 && !(await hasKnownCost(provider, model, apiKey))) {
+      console.warn(`Skipping ${provider}/${model}: no pricing data to count against the monthly budget`);
+      lastError = lastError || new Error(`${provider}/${model} has no pricing data and can't be used with a monthly LLM budget`);
+      continue;
+    }
+    
+    try {
+      const categorized = await callProviderAPI(provider, tabs, apiKey, model, customPrompt, baseUrl, {
+        ...options,
+        // Tag streamed entries with the candidate that produced them
+        onPartial: options.onPartial && ((tab, category) => options.onPartial(tab, category, { provider, model }))
+      });
+      return { categorized, categorizedBy: { provider, model } };
+    } catch (error) {
+      if (error.failover === false) {
+        throw error;
+      }
+      lastError = error;
+      if (candidates.length > 1) {
+        console.warn(`${provider}/${model} failed, trying next provider:`, error.message);
+      }
+    }
   }
   
-  try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    
-
-  const requestHeaders = {
-    'Content-Type': 'application/json',
-    'x-api-key': apiKey,
-    'anthropic-version': '2023-06-01',
-    'anthropic-dangerous-direct-browser-access': 'true'
-  };
+  throw lastError || new Error('No LLM provider configured');
+}
 
-  
-  const requestBody = {
-    model: model,
-    max_tokens: 4096,
-    temperature: 0.3,
-    messages: [{
-      role: 'user',
-      content: prompt
-    }]
-  };
+/**
+ * Check whether calls to a model can be counted against the budget cap
+ * Keyless endpoints (local servers) bill nothing; any other model needs pricing data.
+ * @returns {Promise<boolean>}
+ */
+async function hasKnownCost(provider, model, apiKey) {
+  if (!apiKey && CONFIG.PROVIDERS[provider]?.apiKeyOptional) return true;
+  return (await globalThis.pricingService.getModelPricing(provider, model)) !== null;
+}
 
+// ID a tab is listed under in the prompt (and keyed by in the response)
+function getPromptTabId(tab, index) {
+  return String(tab.deduplicatedId || tab.id || tab.tempId || index);
+}
 
-  let response;
+/**
+ * Call an LLM provider through its registered adapter
+ * Tabs the model leaves out of its response are re-requested up to
+ * CONFIG.MISSING_TAB_RETRIES times before being marked uncategorized.
+ * @param {string} provider - Provider name (key in the provider registry)
+ * @param {Array} tabs - Deduplicated tabs to categorize
+ * @param {string} apiKey - Provider API key
+ * @param {string} model - Model ID
+ * @param {string} customPrompt - User-editable prompt part
+ * @param {string} [baseUrl] - Endpoint base URL for providers that require one
+ * @param {Object} [options]
+ * @param {boolean} [options.explain] - Ask for confidence and reason per tab (stored as tab.llmExplanation)
+ * @param {Function} [options.onPartial] - Called with (tab, category) as each entry is parsed;
+ *   requests are streamed when given and the provider supports it
+ * @returns {Promise<Object>} Tabs organized by category
+ */
+async function callProviderAPI(provider, tabs, apiKey, model, customPrompt, baseUrl, { explain = false, onPartial = null } = {}) {
+  const adapter = globalThis.llmProviderRegistry.get(provider);
+  if (!adapter) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+  
+  // Safety check - don't call API if no tabs
+  if (!tabs || tabs.length === 0) {
+    return globalThis.categoryRegistry.createCategoryBuckets();
+  }
+  
   try {
-    response = await fetch(CONFIG.PROVIDERS.Claude.apiUrl, {
-      method: 'POST',
-      headers: requestHeaders,
-      body: JSON.stringify(requestBody)
+    const categorization = {};
+    const explanations = {};
+    let pendingTabs = tabs;
+    
+    const tabsById = new Map(tabs.map((tab, index) => [getPromptTabId(tab, index), tab]));
+    const onEntry = onPartial && ((id, category, explanation) => {
+      const tab = tabsById.get(id);
+      if (tab) {
+        onPartial(explanation ? { ...tab, llmExplanation: explanation } : tab, category);
+      }
+    });
+    
+    for (let attempt = 0; attempt <= CONFIG.MISSING_TAB_RETRIES && pendingTabs.length > 0; attempt++) {
+      // Keep the IDs from the full batch so re-requested tabs map back correctly
+      const pendingIds = pendingTabs.map(tab => getPromptTabId(tab, tabs.indexOf(tab)));
+      const result = await requestCategorization(adapter, pendingTabs, pendingIds, { apiKey, model, customPrompt, baseUrl, explain, onEntry });
+      
+      Object.assign(categorization, result.categorization);
+      Object.assign(explanations, result.explanations);
+      pendingTabs = pendingTabs.filter((tab, i) => !(pendingIds[i] in categorization));
+      
+      if (pendingTabs.length > 0 && attempt < CONFIG.MISSING_TAB_RETRIES) {
+        console.warn(`${adapter.name} omitted ${pendingTabs.length} tab(s), re-requesting`);
+      }
+    }
+    
+    const annotatedTabs = tabs.map((tab, index) => {
+      const explanation = explanations[getPromptTabId(tab, index)];
+      return explanation ? { ...tab, llmExplanation: explanation } : tab;
     });
-  } catch (fetchError) {
-    console.error('Fetch failed:', fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
+    
+    return organizeTabs(annotatedTabs, categorization);
+  } catch (error) {
+    console.error(`Error calling ${provider} API:`, error);
+    throw error;
   }
+}
 
-  if (!response.ok) {
-    let errorText;
+/**
+ * Send one categorization request and validate the result against the requested tab IDs
+ * @param {Object} adapter - Provider adapter
+ * @param {Array} tabs - Tabs to include in the prompt
+ * @param {Array<string>} tabIds - Prompt ID for each tab (same order as tabs)
+ * @param {Object} params - { apiKey, model, customPrompt, baseUrl, explain, onEntry }
+ *   onEntry(id, category, explanation) streams the response when the adapter supports it
+ * @returns {Promise<Object>} { categorization, explanations } (only valid entries)
+ */
+async function requestCategorization(adapter, tabs, tabIds, { apiKey, model, customPrompt, baseUrl, explain, onEntry = null }) {
+  const structured = adapter.supportsStructuredOutput === true;
+  const stream = typeof onEntry === 'function' && adapter.supportsStreaming === true;
+  const promptTabs = tabs.map((tab, i) => ({ ...tab, deduplicatedId: tabIds[i] }));
+  const prompt = getCategorizationPrompt(promptTabs, customPrompt, { structured, explain });
+  const schema = structured ? globalThis.buildCategorizationSchema({ explain }) : null;
+  const { url, options } = adapter.buildRequest({ prompt, model, apiKey, baseUrl, schema, stream });
+  
+  // Retries, backoff, rate limiting and circuit breaking live in src/llm/request-layer.js
+  const startTime = Date.now();
+  const response = await globalThis.llmRequestLayer.fetch(adapter, url, options);
+  
+  const { content, usage: reportedUsage } = stream
+    ? await readStreamedCompletion(adapter, response, tabIds, onEntry)
+    : await readCompletion(adapter, response);
+  const latencyMs = Date.now() - startTime;
+  
+  // Servers that ignore stream_options.include_usage (some local Custom endpoints) would go unmetered
+  const usage = reportedUsage || (stream ? estimateUsage(prompt, content) : null);
+  
+  // Ledger failures must never break categorization, but the entry has to be stored
+  // before the next request checks the budget
+  await recordLLMUsage(adapter, model, usage, { tabCount: tabs.length, latencyMs }).catch(error => {
+    console.error('Error recording LLM usage:', error);
+  });
+  
+  if (!content) {
+    throw new Error(`Invalid response format from ${adapter.name}`);
+  }
+  
+  // Schema-constrained output is plain JSON; free text needs the brace parser
+  let parsed;
+  if (structured) {
     try {
-      errorText = await response.text();
+      parsed = JSON.parse(content);
     } catch (e) {
-      errorText = 'Unable to read error response';
+      console.warn(`${adapter.name} structured response was not valid JSON, falling back to text parser`);
+      parsed = extractJSONFromResponse(content, adapter.name);
     }
-    console.error('Claude API error response:', response.status, errorText);
-    throw new Error(`API request failed: ${response.status} - ${errorText}`);
+  } else {
+    parsed = extractJSONFromResponse(content, adapter.name);
   }
+  
+  return validateCategorization(parsed, tabIds);
+}
+
+/**
+ * Estimate token usage from text length (about 4 characters per token)
+ * @param {string} prompt - Prompt sent
+ * @param {string} content - Completion received
+ * @returns {Object} { inputTokens, outputTokens, estimated }
+ */
+function estimateUsage(prompt, content) {
+  return {
+    inputTokens: Math.ceil((prompt || '').length / 4),
+    outputTokens: Math.ceil((content || '').length / 4),
+    estimated: true
+  };
+}
 
+// Read a complete (non-streamed) provider response
+async function readCompletion(adapter, response) {
   const data = await response.json();
+  return {
+    content: adapter.parseResponse(data),
+    usage: adapter.parseUsage ? adapter.parseUsage(data) : null
+  };
+}
+
+/**
+ * Read a streamed provider response, reporting each valid entry as soon as it is parsed
+ * The full text is still returned so the final result goes through the regular parse and validation.
+ * @param {Object} adapter - Provider adapter
+ * @param {Response} response - Event-stream response
+ * @param {Array<string>} tabIds - Requested tab IDs
+ * @param {Function} onEntry - Called with (id, category, explanation) once per tab
+ * @returns {Promise<Object>} { content, usage }
+ */
+async function readStreamedCompletion(adapter, response, tabIds, onEntry) {
+  let content = '';
+  let usage = null;
+  const reportedIds = new Set();
   
+  const parser = new globalThis.IncrementalJSONParser(({ value, key, depth }) => {
+    // Array items are schema entries; top-level members are "<id>": category pairs
+    let entry;
+    if (depth === 2) {
+      entry = { categorizations: [value] };
+    } else if (key !== 'categorizations') {
+      entry = { [key]: value };
+    } else {
+      return;
+    }
+    
+    const { categorization, explanations } = validateCategorization(entry, tabIds);
+    Object.entries(categorization).forEach(([id, category]) => {
+      if (reportedIds.has(id)) return;
+      reportedIds.add(id);
+      onEntry(id, category, explanations[id] || null);
+    });
+  });
   
-  if (!data.content || !data.content[0] || !data.content[0].text) {
-    throw new Error('Invalid response format from Claude');
-  }
-  
-  const content = data.content[0].text;
-  const categorization = extractJSONFromResponse(content, 'Claude');
-  
+  await globalThis.readServerSentEvents(response, event => {
+    const delta = adapter.parseStreamEvent(event);
+    if (delta.text) {
+      content += delta.text;
+      parser.push(delta.text);
+    }
+    if (delta.usage) {
+      usage = { ...usage, ...delta.usage };
+    }
+  });
   
-  return organizeTabs(tabs, categorization);
+  return { content, usage };
+}
+
+/**
+ * Record token usage, latency and cost of one LLM call in the usage ledger
+ * @param {Object} adapter - Provider adapter
+ * @param {string} model - Model ID
+ * @param {Object|null} usage - { inputTokens, outputTokens } reported by the provider, or estimated ({ estimated: true })
+ * @param {Object} details - { tabCount, latencyMs }
+ */
+async function recordLLMUsage(adapter, model, usage, { tabCount, latencyMs }) {
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  const cost = usage
+    ? await globalThis.pricingService.getUsageCost(adapter.name, model, inputTokens, outputTokens)
+    : null;
   
-  } catch (error) {
-    console.error('Error in callClaudeAPI:', error);
-    throw error;
-  }
+  await globalThis.tabDatabase.recordLLMUsage({
+    provider: adapter.name,
+    model,
+    tabCount,
+    inputTokens,
+    outputTokens,
+    latencyMs,
+    cost, // null when the provider reported no usage or the model has no pricing data
+    estimated: usage?.estimated === true // Tokens and cost guessed from text length, not reported
+  });
 }
 
-// OpenAI API implementation
-async function callOpenAIAPI(tabs, apiKey, model, customPrompt) {
+/**
+ * Normalize a parsed response keeping only requested IDs with valid categories
+ * Accepts the schema shape ({ categorizations: [{ id, category, confidence?, reason? }] }),
+ * the legacy { "id": category } map and the explain-mode { "id": { category, confidence, reason } } map
+ * @param {Object} parsed - Parsed model output
+ * @param {Array<string>} tabIds - Requested tab IDs
+ * @returns {Object} { categorization: { id: category }, explanations: { id: { confidence, reason } } }
+ */
+function validateCategorization(parsed, tabIds) {
+  const entries = Array.isArray(parsed?.categorizations)
+    ? parsed.categorizations.map(item => [item?.id, item])
+    : Object.entries(parsed || {});
   
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    return { 1: [], 2: [], 3: [] };
-  }
+  const requestedIds = new Set(tabIds);
+  const categorization = {};
+  const explanations = {};
   
-  try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    
-    // Log the exact prompt being sent
-    
-    const requestBody = {
-      model: model,
-      messages: [{
-        role: 'system',
-        content: 'You are a helpful assistant that categorizes browser tabs.'
-      }, {
-        role: 'user',
-        content: prompt
-      }],
-      temperature: 0.3,
-      max_tokens: 4096
-    };
-    
-    // Log the complete request body
-    
-    const response = await fetch(CONFIG.PROVIDERS.OpenAI.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} - ${errorText}`);
+  entries.forEach(([id, entry]) => {
+    const key = String(id);
+    const category = (entry && typeof entry === 'object') ? entry.category : entry;
+    const value = Number(category);
+    
+    if (!requestedIds.has(key)) {
+      console.warn(`Ignoring categorization for unknown tab ID ${key}`);
+      return;
     }
-    
-    const data = await response.json();
-    
-    // Log the complete response
-    
-    if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-      throw new Error('Invalid response format from OpenAI');
+    if (!globalThis.categoryRegistry.isSavedCategory(value)) {
+      console.warn(`Ignoring invalid category ${category} for tab ${key}`);
+      return;
     }
+    categorization[key] = value;
     
-    const content = data.choices[0].message.content;
-    const categorization = extractJSONFromResponse(content, 'OpenAI');
-    
-    return organizeTabs(tabs, categorization);
-  } catch (error) {
-    console.error('Error in callOpenAIAPI:', error);
-    throw error;
+    const explanation = normalizeExplanation(entry);
+    if (explanation) {
+      explanations[key] = explanation;
+    }
+  });
+  
+  return { categorization, explanations };
+}
+
+// Extract { confidence, reason } from an explain-mode entry (null if absent)
+function normalizeExplanation(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  
+  let confidence = entry.confidence === undefined || entry.confidence === null ? NaN : Number(entry.confidence);
+  if (isNaN(confidence)) {
+    confidence = null;
+  } else {
+    // Some models answer on a 0-100 scale
+    if (confidence > 1) confidence = confidence / 100;
+    confidence = Math.min(1, Math.max(0, confidence));
   }
+  const reason = typeof entry.reason === 'string' ? entry.reason.trim().substring(0, 200) : '';
+  
+  if (confidence === null && !reason) return null;
+  return { confidence, reason };
 }
 
 // Helper function to organize tabs
 function organizeTabs(tabs, categorization) {
   
-  const organized = { 0: [], 1: [], 2: [], 3: [] };  // Include category 0 for uncategorized
+  const organized = globalThis.categoryRegistry.createCategoryBuckets(true);  // Include category 0 for uncategorized
   
   tabs.forEach((tab, index) => {
     // Check for categorization by tab ID (for regular tabs) or by index (for imported tabs)
@@ -758,7 +2266,7 @@ function organizeTabs(tabs, categorization) {
       }
       
       // Ensure category is valid
-      if (![0, 1, 2, 3].includes(category)) {
+      if (!globalThis.categoryRegistry.getAllCategoryIds().includes(category)) {
         console.warn(`Invalid category ${category} for tab at index ${index}, marking as uncategorized`);
         category = 0;
       }
@@ -788,199 +2296,28 @@ function organizeTabs(tabs, categorization) {
   return organized;
 }
 
-// Gemini API implementation
-async function callGeminiAPI(tabs, apiKey, model, customPrompt) {
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    return { 1: [], 2: [], 3: [] };
-  }
-  
-  try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    
-    // Gemini uses a different URL structure with the model in the path
-    const url = CONFIG.PROVIDERS.Gemini.apiUrl.replace('{model}', model) + `?key=${apiKey}`;
-    
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 4096
-      }
-    };
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content || 
-        !data.candidates[0].content.parts || !data.candidates[0].content.parts[0]) {
-      throw new Error('Invalid response format from Gemini');
-    }
-    
-    const content = data.candidates[0].content.parts[0].text;
-    const categorization = extractJSONFromResponse(content, 'Gemini');
-    
-    return organizeTabs(tabs, categorization);
-  } catch (error) {
-    console.error('Error in callGeminiAPI:', error);
-    throw error;
-  }
-}
-
-// DeepSeek API implementation (OpenAI-compatible)
-async function callDeepSeekAPI(tabs, apiKey, model, customPrompt) {
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    return { 1: [], 2: [], 3: [] };
-  }
-  
-  try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    
-    const requestBody = {
-      model: model,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      temperature: 0.3,
-      max_tokens: 4096
-    };
-    
-    const response = await fetch(CONFIG.PROVIDERS.DeepSeek.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-      throw new Error('Invalid response format from DeepSeek');
-    }
-    
-    const content = data.choices[0].message.content;
-    const categorization = extractJSONFromResponse(content, 'DeepSeek');
-    
-    return organizeTabs(tabs, categorization);
-  } catch (error) {
-    console.error('Error in callDeepSeekAPI:', error);
-    throw error;
-  }
-}
-
-// Grok API implementation (OpenAI-compatible)
-async function callGrokAPI(tabs, apiKey, model, customPrompt) {
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    return { 1: [], 2: [], 3: [] };
-  }
-  
-  try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    
-    const requestBody = {
-      model: model,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      temperature: 0.3,
-      max_tokens: 4096
-    };
-    
-    const response = await fetch(CONFIG.PROVIDERS.Grok.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-      throw new Error('Invalid response format from Grok');
-    }
-    
-    const content = data.choices[0].message.content;
-    const categorization = extractJSONFromResponse(content, 'Grok');
-    
-    return organizeTabs(tabs, categorization);
-  } catch (error) {
-    console.error('Error in callGrokAPI:', error);
-    throw error;
-  }
-}
-
 // Handle fetching models for a provider
-async function handleFetchModels({ provider, apiKey }) {
+async function handleFetchModels({ provider, apiKey, baseUrl }) {
   
-  const providerConfig = CONFIG.PROVIDERS[provider];
+  const adapter = globalThis.llmProviderRegistry.get(provider);
   
-  // If no models URL, return empty array
-  if (!providerConfig.modelsUrl) {
+  // Unknown provider or no models URL - return empty array
+  if (!adapter || !adapter.modelsUrl) {
     return { success: true, models: [] };
   }
   
   // If no API key, return empty array (user needs to add API key first)
-  if (!apiKey) {
+  if (!apiKey && !adapter.apiKeyOptional) {
     return { success: true, models: [], needsApiKey: true };
   }
   
+  // Custom endpoints can't be queried until the user enters a base URL
+  if (adapter.requiresBaseUrl && !baseUrl) {
+    return { success: true, models: [], needsBaseUrl: true };
+  }
+  
   try {
-    let models = [];
-    
-    switch (provider) {
-      case 'Claude':
-        models = await fetchClaudeModels(apiKey);
-        break;
-      case 'OpenAI':
-        models = await fetchOpenAIModels(apiKey);
-        break;
-      case 'Gemini':
-        models = await fetchGeminiModels(apiKey);
-        break;
-      case 'DeepSeek':
-        models = await fetchDeepSeekModels(apiKey);
-        break;
-      case 'Grok':
-        models = await fetchGrokModels(apiKey);
-        break;
-      default:
-        models = providerConfig.models;
-    }
-    
+    const models = await fetchProviderModels(adapter, apiKey, baseUrl);
     return { success: true, models };
   } catch (error) {
     console.error('Error fetching models:', error);
@@ -989,185 +2326,68 @@ async function handleFetchModels({ provider, apiKey }) {
   }
 }
 
-// Fetch Claude models
-async function fetchClaudeModels(apiKey) {
+// Fetch and normalize the model list through the provider adapter
+async function fetchProviderModels(adapter, apiKey, baseUrl) {
+  const { url, options } = adapter.getModelsRequest(apiKey, baseUrl);
+  const response = await fetch(url, options);
   
-  try {
-    const response = await fetch(CONFIG.PROVIDERS.Claude.modelsUrl, {
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Process Claude models
-    const models = data.data
-      .map(model => ({
-        id: model.id,
-        name: model.display_name || model.id,
-        created_at: model.created_at
-      }))
-      // Sort by creation date (newest first)
-      .sort((a, b) => {
-        if (a.created_at && b.created_at) {
-          return new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
-        }
-        // Fallback to alphabetical if no creation date
-        return a.id.localeCompare(b.id);
-      });
-    
-    return models;
-  } catch (error) {
-    console.error('Error fetching Claude models:', error);
-    throw error; // Let the parent handler deal with it
+  if (!response.ok) {
+    throw new Error(`Failed to fetch models: ${response.status}`);
   }
-}
-
-// Fetch OpenAI models
-async function fetchOpenAIModels(apiKey) {
   
-  try {
-    const response = await fetch(CONFIG.PROVIDERS.OpenAI.modelsUrl, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Filter for chat models (or any model that supports chat completions)
-    const chatModels = data.data
-      .filter(model => {
-        // Include models that support chat completions
-        return model.id.includes('gpt') || 
-               model.id.includes('chatgpt') || 
-               model.id.includes('o1') ||
-               (model.capabilities && model.capabilities.includes('chat'));
-      })
-      .map(model => ({
-        id: model.id,
-        name: model.name || model.id.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-        created: model.created
-      }))
-      // Sort by creation time (newest first)
-      .sort((a, b) => {
-        if (a.created && b.created) {
-          return b.created - a.created;
-        }
-        return b.id.localeCompare(a.id);
-      });
-    
-    return chatModels;
-  } catch (error) {
-    console.error('Error fetching OpenAI models:', error);
-    throw error;
-  }
+  const data = await response.json();
+  return adapter.parseModels(data);
 }
 
-// Fetch Gemini models
-async function fetchGeminiModels(apiKey) {
+// Test a provider endpoint by listing its models and timing the round trip
+async function handleTestProviderConnection({ provider, apiKey, baseUrl }) {
+  const adapter = globalThis.llmProviderRegistry.get(provider);
+  if (!adapter) {
+    return { success: false, error: `Unknown provider: ${provider}` };
+  }
   
-  try {
-    const response = await fetch(`${CONFIG.PROVIDERS.Gemini.modelsUrl}?key=${apiKey}`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    const models = data.models
-      .filter(model => model.supportedGenerationMethods.includes('generateContent'))
-      .map(model => ({
-        id: model.name.split('/').pop(),
-        name: model.displayName || model.name.split('/').pop()
-      }))
-      // Reverse the order to show newest models first
-      .reverse();
-    
-    return models;
-  } catch (error) {
-    console.error('Error fetching Gemini models:', error);
-    throw error;
+  if (!apiKey && !adapter.apiKeyOptional) {
+    return { success: false, error: 'API key is required' };
   }
-}
-
-// Placeholder functions for other providers
-async function fetchDeepSeekModels(apiKey) {
-  // DeepSeek uses OpenAI-compatible API
+  
+  const startTime = Date.now();
   try {
-    const response = await fetch(CONFIG.PROVIDERS.DeepSeek.modelsUrl, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    const models = data.data
-      .map(model => ({
-        id: model.id,
-        name: model.id
-      }))
-      // Sort alphabetically since DeepSeek doesn't provide creation dates
-      .sort((a, b) => a.id.localeCompare(b.id));
-    
-    return models;
+    const models = await fetchProviderModels(adapter, apiKey, baseUrl);
+    return { success: true, latencyMs: Date.now() - startTime, models };
   } catch (error) {
-    console.error('Error fetching DeepSeek models:', error);
-    throw error;
+    console.error(`Error testing ${provider} connection:`, error);
+    return { success: false, latencyMs: Date.now() - startTime, error: error.message };
   }
 }
 
-async function fetchGrokModels(apiKey) {
-  // Similar to OpenAI format
-  try {
-    const response = await fetch(CONFIG.PROVIDERS.Grok.modelsUrl, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
+/**
+ * Categorize a labelled sample for the prompt test bench
+ * Unlike categorizeTabs nothing is saved; usage is still recorded in the ledger.
+ * @param {Object} params
+ * @param {Array} params.tabs - Sample tabs ({ id, url, title, domain })
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model ID
+ * @param {string} params.apiKey - Provider API key
+ * @param {string} [params.baseUrl] - Endpoint base URL for providers that require one
+ * @param {string} params.prompt - Prompt variant under test
+ * @returns {Promise<Object>} { success, predictions: { [tabId]: category }, latencyMs }
+ */
+async function handleRunPromptBench({ tabs, provider, model, apiKey, baseUrl, prompt }) {
+  const startTime = Date.now();
+  
+  // The popup leaves these out of the sample; never send them even if one slips through
+  const excludedIds = new Set(await ruleActionRunner.getLLMExcludedTabIds(tabs, await autoCategorizer.getSettings()));
+  const allowedTabs = tabs.filter(tab => !excludedIds.has(tab.id));
+  const organized = allowedTabs.length > 0
+    ? await callProviderAPI(provider, allowedTabs, apiKey, model, prompt, baseUrl)
+    : {};
+  
+  const predictions = {};
+  Object.entries(organized).forEach(([category, categoryTabs]) => {
+    categoryTabs.forEach(tab => {
+      predictions[tab.id] = parseInt(category);
     });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    const models = data.data
-      .map(model => ({
-        id: model.id,
-        name: model.id,
-        created: model.created
-      }))
-      // Sort by creation time (newest first)
-      .sort((a, b) => {
-        if (a.created && b.created) {
-          return b.created - a.created;
-        }
-        // Fallback to alphabetical if no creation date
-        return a.id.localeCompare(b.id);
-      });
-    
-    return models;
-  } catch (error) {
-    console.error('Error fetching Grok models:', error);
-    throw error;
-  }
+  });
+  
+  return { success: true, predictions, latencyMs: Date.now() - startTime };
 }
-
@@ -0,0 +1,45 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Offscreen document entry point - local categorization and rule action requests from the background service worker
+ */
+
+import { categorizeLocally } from './src/ml/categorization/local-categorizer.js';
+import { getDueTabActions, getLLMExcludedTabIds } from './src/modules/rule-actions.js';
+
+// rule-actions.js functions the background may call
+const RULE_ACTION_METHODS = { getDueTabActions, getLLMExcludedTabIds };
+
+browser.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+  // Popup messages to the background reach this document too - leave them alone
+  if (request.target !== 'offscreen') return false;
+  
+  if (request.action === 'categorizeLocally') {
+    const { tabs, settings, llmResults } = request.data;
+    globalThis.categoryRegistry.configure(settings);
+    categorizeLocally(tabs, settings, llmResults)
+      .then(predictions => {
+        sendResponse({ success: true, predictions });
+      })
+      .catch(error => {
+        console.error('Offscreen local categorization error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'ruleActions') {
+    const { method, args } = request.data;
+    try {
+      if (!RULE_ACTION_METHODS[method]) {
+        throw new Error(`Unknown rule action method: ${method}`);
+      }
+      sendResponse({ success: true, result: RULE_ACTION_METHODS[method](...args) });
+    } catch (error) {
+      console.error('Offscreen rule action error:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+    return false;
+  }
+  
+  return false;
+});
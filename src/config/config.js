@@ -6,57 +6,9 @@
 
 // Configuration for the extension
 const CONFIG = {
-  // LLM Provider configurations
-  PROVIDERS: {
-    Claude: {
-      name: 'Claude',
-      apiUrl: 'https://api.anthropic.com/v1/messages',
-      modelsUrl: 'https://api.anthropic.com/v1/models',
-      apiKeyPlaceholder: 'sk-ant-api03-...',
-      apiKeyUrl: 'https://console.anthropic.com/settings/keys',
-      headers: {
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      models: [] // Will be fetched dynamically
-    },
-    OpenAI: {
-      name: 'OpenAI',
-      apiUrl: 'https://api.openai.com/v1/chat/completions',
-      modelsUrl: 'https://api.openai.com/v1/models',
-      apiKeyPlaceholder: 'sk-...',
-      apiKeyUrl: 'https://platform.openai.com/api-keys',
-      headers: {},
-      models: [] // Will be fetched dynamically
-    },
-    Gemini: {
-      name: 'Gemini',
-      apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
-      modelsUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
-      apiKeyPlaceholder: 'AIza...',
-      apiKeyUrl: 'https://aistudio.google.com/app/apikey',
-      headers: {},
-      models: [] // Will be fetched dynamically
-    },
-    DeepSeek: {
-      name: 'DeepSeek',
-      apiUrl: 'https://api.deepseek.com/v1/chat/completions',
-      modelsUrl: 'https://api.deepseek.com/v1/models',
-      apiKeyPlaceholder: 'sk-...',
-      apiKeyUrl: 'https://platform.deepseek.com/api_keys',
-      headers: {},
-      models: [] // Will be fetched dynamically
-    },
-    Grok: {
-      name: 'Grok',
-      apiUrl: 'https://api.x.ai/v1/chat/completions',
-      modelsUrl: 'https://api.x.ai/v1/models',
-      apiKeyPlaceholder: 'xai-...',
-      apiKeyUrl: 'https://console.x.ai/team',
-      headers: {},
-      models: [] // Will be fetched dynamically
-    }
-  },
+  // LLM Provider configurations - generated from the provider registry
+  // (src/llm/provider-registry.js must be loaded before this file)
+  PROVIDERS: globalThis.llmProviderRegistry ? globalThis.llmProviderRegistry.toConfig() : {},
   
   // Default settings
   DEFAULT_PROVIDER: 'Claude',
@@ -127,19 +79,131 @@ const CONFIG = {
   // This ensures LLMs always return properly formatted JSON responses
   PROMPT_SYSTEM_SUFFIX: `
 
-  For each tab, assign a category (1, 2, or 3) based on the title and URL.
+  For each tab, assign a category ({CATEGORY_IDS}) based on the title and URL.
 
   Tabs data:
   {TABS_DATA}
 
-  Respond with ONLY a JSON object where keys are tab IDs and values are category numbers (1, 2, or 3).
+  Respond with ONLY a JSON object where keys are tab IDs and values are category numbers ({CATEGORY_IDS}).
   Example: {"0": 1, "1": 3, "2": 2}`,
   
+  // Suffix used instead of PROMPT_SYSTEM_SUFFIX when the provider enforces a response schema
+  PROMPT_STRUCTURED_SUFFIX: `
+
+  For each tab, assign a category ({CATEGORY_IDS}) based on the title and URL.
+
+  Tabs data:
+  {TABS_DATA}
+
+  Return one categorization for every tab ID in the tabs data.`,
+  
+  // Explain mode: replaces PROMPT_SYSTEM_SUFFIX when the provider returns free text
+  PROMPT_EXPLAIN_SUFFIX: `
+
+  For each tab, assign a category ({CATEGORY_IDS}) based on the title and URL.
+
+  Tabs data:
+  {TABS_DATA}
+
+  Respond with ONLY a JSON object where keys are tab IDs and values are objects with:
+  "category" ({CATEGORY_IDS}), "confidence" (0 to 1) and "reason" (a short phrase, at most 12 words).
+  Example: {"0": {"category": 1, "confidence": 0.9, "reason": "Search results page"}}`,
+  
+  // Explain mode: appended to PROMPT_STRUCTURED_SUFFIX when the provider enforces a schema
+  PROMPT_EXPLAIN_NOTE: `
+  For each tab also give your confidence (0 to 1) and a short reason (at most 12 words).`,
+  
+  // Appended to the suffix when tabs carry extracted page content
+  PROMPT_CONTENT_NOTE: `
+  Some tabs include a "content" field with the page's meta description and the start of its visible text.
+  Use it when the title or URL alone is ambiguous (e.g. "Untitled", "Dashboard").`,
+  
+  // Opt-in page content extraction
+  CONTENT_EXTRACTION: {
+    MAX_DESCRIPTION_CHARS: 200,  // Meta description length sent to the LLM
+    MAX_EXCERPT_CHARS: 400,      // Visible text excerpt length sent to the LLM
+    TIMEOUT_MS: 2000,            // Per-tab limit; slow or hung pages are skipped
+    CONCURRENCY: 4,              // Tabs read in parallel
+    // Never read by default (users can edit the list); subdomains match too
+    DEFAULT_DENY_DOMAINS: [
+      'mail.google.com',
+      'outlook.live.com',
+      'outlook.office.com',
+      'web.whatsapp.com',
+      'messages.google.com',
+      'accounts.google.com',
+      'paypal.com',
+      'chase.com',
+      'bankofamerica.com',
+      'wellsfargo.com',
+      '1password.com',
+      'bitwarden.com',
+      'lastpass.com'
+    ]
+  },
+  
+  // Categorize-on-open background mode
+  AUTO_CATEGORIZE: {
+    CONFIDENCE_THRESHOLD: 0.6,   // Below this the tab is queued for the LLM pass
+    LOCAL_BATCH_DELAY_MS: 500,   // Tabs finishing load within this window share one local pass
+    LLM_IDLE_DELAY_MS: 20000,    // LLM pass runs once no new unsure tab arrived for this long
+    LLM_BATCH_SIZE: 50,
+    // Toolbar badge per category (text must fit in ~4 characters)
+    BADGE: {
+      1: { text: 'IGN', color: '#9E9E9E' },
+      2: { text: 'USE', color: '#1E88E5' },
+      3: { text: 'IMP', color: '#E53935' }
+    }
+  },
+  
+  // Rule actions run by the background
+  RULE_ACTIONS: {
+    SWEEP_INTERVAL_MINUTES: 5,   // How often idle-based close actions are re-checked
+    BOOKMARK_FOLDER: 'AI Tab Manager', // Folder used when a bookmark action names none
+    LOG_LIMIT: 500               // Rule action log entries kept (oldest are dropped)
+  },
+  
+  // Undo for closing tabs and deleting saved tabs from the popup (shares the rule action log)
+  UNDO_JOURNAL: {
+    LOG_LIMIT: 100               // Journal entries kept - deletions carry whole saved tab snapshots
+  },
+  
+  // Native tab groups kept in sync with categories or domains (browsers with tabGroups only)
+  TAB_STRIP_GROUPS: {
+    SYNC_DELAY_MS: 1500,         // Tab changes within this window share one sync
+    MIN_DOMAIN_TABS: 2,          // Domains with fewer tabs in a window stay ungrouped
+    // Tab group colors by RGB (category colors get the nearest one)
+    COLORS: {
+      grey: '#5f6368',
+      blue: '#1a73e8',
+      red: '#d93025',
+      yellow: '#f9ab00',
+      green: '#1e8e3e',
+      pink: '#d01884',
+      purple: '#a142f4',
+      cyan: '#007b83',
+      orange: '#fa903e'
+    }
+  },
+  
+  // Hibernation: idle tabs are discarded (tabs.discard) instead of closed
+  HIBERNATION: {
+    CHECK_INTERVAL_MINUTES: 5,   // How often the idle policy runs
+    DEFAULT_IDLE_MINUTES: 120,   // Idle time before a tab is hibernated
+    DEFAULT_CATEGORIES: [2],     // Categories the policy hibernates (Useful)
+    ESTIMATED_TAB_MB: 80         // Memory a loaded tab typically uses (extensions can't measure it per tab)
+  },
+  
+  // Times a batch is re-sent for tabs the model left out of its response
+  MISSING_TAB_RETRIES: 2,
+  
   // Database maintenance settings
   DATABASE: {
-    // URL retention period in seconds (default: 1 year = 365 * 24 * 60 * 60)
+    // Age at which expiring categories (Ignore by default) are deleted when no retention rule
+    // matches, in seconds (default: 1 year = 365 * 24 * 60 * 60)
     // Set to a small value (e.g., 60) for testing
-    URL_RETENTION_SECONDS: 365 * 24 * 60 * 60
+    URL_RETENTION_SECONDS: 365 * 24 * 60 * 60,
+    RETENTION_CHECK_MINUTES: 6 * 60  // How often the background applies retention rules
   }
 };
 
@@ -6,7 +6,7 @@
 class TabDatabase {
   constructor() {
     this.dbName = 'AITabManagerDB';
-    this.dbVersion = 4; // Version 4: Added currentTabs table
+    this.dbVersion = 9; // Version 9: Added sessions table
     this.db = null;
     
     // In-memory cache indexed by URL
@@ -15,6 +15,8 @@ class TabDatabase {
       urlsById: new Map(),    // Map<id, urlRecord> for quick ID lookups
       events: new Map(),      // Map<urlId, Array<event>>
       currentTabs: new Map(), // Map<url, currentTabRecord>
+      tags: new Map(),        // Map<tagId, tagRecord>
+      urlTags: new Map(),     // Map<urlId, Set<tagId>>
       initialized: false
     };
   }
@@ -87,6 +89,52 @@ class TabDatabase {
           currentTabsStore.createIndex('lastAccessed', 'lastAccessed', { unique: false });
         }
 
+        // LLM usage ledger - one entry per LLM call with tokens and cost
+        if (!db.objectStoreNames.contains('llmUsage')) {
+          console.log('Creating llmUsage object store');
+          const usageStore = db.createObjectStore('llmUsage', { keyPath: 'id', autoIncrement: true });
+          usageStore.createIndex('timestamp', 'timestamp', { unique: false });
+          usageStore.createIndex('provider', 'provider', { unique: false });
+        }
+
+        // Action log - automated tab actions with what is needed to undo them
+        if (!db.objectStoreNames.contains('actionLog')) {
+          console.log('Creating actionLog object store');
+          const actionStore = db.createObjectStore('actionLog', { keyPath: 'id', autoIncrement: true });
+          actionStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        // Tags table - user-defined tags and collections for saved URLs
+        if (!db.objectStoreNames.contains('tags')) {
+          console.log('Creating tags object store');
+          const tagStore = db.createObjectStore('tags', { keyPath: 'id', autoIncrement: true });
+          tagStore.createIndex('name', 'name', { unique: true });
+          tagStore.createIndex('kind', 'kind', { unique: false });
+        }
+
+        // URL tags table - one entry per URL/tag assignment
+        if (!db.objectStoreNames.contains('urlTags')) {
+          console.log('Creating urlTags object store');
+          const urlTagStore = db.createObjectStore('urlTags', { keyPath: ['urlId', 'tagId'] });
+          urlTagStore.createIndex('urlId', 'urlId', { unique: false });
+          urlTagStore.createIndex('tagId', 'tagId', { unique: false });
+        }
+
+        // Archived URLs table - tombstones of saved URLs removed by retention rules
+        // (their ML training data is kept, so the model still learns from them)
+        if (!db.objectStoreNames.contains('archivedUrls')) {
+          console.log('Creating archivedUrls object store');
+          const archiveStore = db.createObjectStore('archivedUrls', { keyPath: 'url' });
+          archiveStore.createIndex('archivedAt', 'archivedAt', { unique: false });
+        }
+
+        // Sessions table - snapshots of the windows a close-all or save-and-close closed
+        if (!db.objectStoreNames.contains('sessions')) {
+          console.log('Creating sessions object store');
+          const sessionStore = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+          sessionStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
       };
     });
   }
@@ -131,6 +179,20 @@ class TabDatabase {
         });
       }
       
+      // Load tags and their assignments
+      let tags = [];
+      let urlTags = [];
+      if (this.db.objectStoreNames.contains('tags')) {
+        const tagsTransaction = this.db.transaction(['tags', 'urlTags'], 'readonly');
+        const tagsRequest = tagsTransaction.objectStore('tags').getAll();
+        const urlTagsRequest = tagsTransaction.objectStore('urlTags').getAll();
+        
+        [tags, urlTags] = await Promise.all([tagsRequest, urlTagsRequest].map(request => new Promise((resolve, reject) => {
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })));
+      }
+      
       // Populate URL caches
       urls.forEach(url => {
         this.cache.urls.set(url.url, url);
@@ -159,6 +221,17 @@ class TabDatabase {
         this.cache.currentTabs.set(tab.url, tab);
       });
       
+      // Populate tag caches
+      tags.forEach(tag => {
+        this.cache.tags.set(tag.id, tag);
+      });
+      urlTags.forEach(({ urlId, tagId }) => {
+        if (!this.cache.urlTags.has(urlId)) {
+          this.cache.urlTags.set(urlId, new Set());
+        }
+        this.cache.urlTags.get(urlId).add(tagId);
+      });
+      
       this.cache.initialized = true;
       
       // const endTime = performance.now(); // Uncomment for performance debugging
@@ -169,6 +242,15 @@ class TabDatabase {
     }
   }
 
+  /**
+   * Reload the cache from the database (picks up changes another context made)
+   */
+  async reloadCache() {
+    ['urls', 'urlsById', 'events', 'currentTabs', 'tags', 'urlTags'].forEach(name => this.cache[name].clear());
+    this.cache.initialized = false;
+    await this.initializeCache();
+  }
+
 
   /**
    * Helper method to update URL in database
@@ -209,7 +291,7 @@ class TabDatabase {
       const store = transaction.objectStore('urls');
       const index = store.index('url');
       
-      const request = index.get(url);
+      const request = index.get(this.canonicalUrl(url));
       
       request.onsuccess = () => {
         resolve(request.result || null);
@@ -230,7 +312,9 @@ class TabDatabase {
     }
     
     const now = new Date().toISOString();
-    const existing = this.cache.urls.get(tabData.url);
+    const url = this.canonicalUrl(tabData.url);
+    const originalUrl = tabData.originalUrl || tabData.url;
+    const existing = this.cache.urls.get(url);
     
     if (existing) {
       // Update the record with new data
@@ -242,6 +326,12 @@ class TabDatabase {
         needsUpdate = true;
       }
       
+      // Keep the URL as last visited - the canonical URL may not load the same page
+      if (existing.originalUrl !== originalUrl) {
+        existing.originalUrl = originalUrl;
+        needsUpdate = true;
+      }
+      
       // Update category if different and new category is not 0
       if (existing.category !== category && category !== 0) {
         existing.category = category;
@@ -249,6 +339,12 @@ class TabDatabase {
         needsUpdate = true;
       }
       
+      // Record which LLM provider/model produced the category
+      if (tabData.categorizedBy && category !== 0) {
+        existing.categorizedBy = tabData.categorizedBy;
+        needsUpdate = true;
+      }
+      
       // Update favicon if provided
       if (tabData.favIconUrl && existing.favicon !== tabData.favIconUrl) {
         existing.favicon = tabData.favIconUrl;
@@ -278,7 +374,7 @@ class TabDatabase {
       
       if (needsUpdate) {
         // Update cache
-        this.cache.urls.set(tabData.url, existing);
+        this.cache.urls.set(existing.url, existing);
         this.cache.urlsById.set(existing.id, existing);
         
         // Persist to database
@@ -292,12 +388,14 @@ class TabDatabase {
       
       // Create new URL entry
       const urlData = {
-        url: tabData.url,
+        url: url,
+        originalUrl: originalUrl,
         title: tabData.title,
-        domain: tabData.domain || this.extractDomain(tabData.url),
+        domain: tabData.domain || this.extractDomain(url),
         category: category,
         firstSeen: now,
         lastCategorized: category !== 0 ? now : null,
+        categorizedBy: tabData.categorizedBy || null,
         lastAccessed: now,
         favicon: tabData.favIconUrl || null,
         savedDate: now,
@@ -320,7 +418,7 @@ class TabDatabase {
         // Handle constraint error - URL already exists
         if (error.name === 'ConstraintError') {
           // Try to find the existing entry in the database
-          const existingInDb = await this.getUrlByUrl(tabData.url);
+          const existingInDb = await this.getUrlByUrl(url);
           if (existingInDb) {
             // Add to cache
             this.cache.urls.set(existingInDb.url, existingInDb);
@@ -334,6 +432,11 @@ class TabDatabase {
               needsUpdate = true;
             }
             
+            if (existingInDb.originalUrl !== originalUrl) {
+              existingInDb.originalUrl = originalUrl;
+              needsUpdate = true;
+            }
+            
             if (existingInDb.category !== category && category !== 0) {
               existingInDb.category = category;
               existingInDb.lastCategorized = now;
@@ -479,7 +582,7 @@ class TabDatabase {
       const index = store.index('url');
 
       // URL is now unique, so we can use get() instead of getAll()
-      const request = index.get(url);
+      const request = index.get(this.canonicalUrl(url));
       request.onsuccess = () => {
         resolve(request.result || null);
       };
@@ -499,7 +602,7 @@ class TabDatabase {
       const index = store.index('url');
       
       // Find the URL record
-      const request = index.get(url);
+      const request = index.get(this.canonicalUrl(url));
       request.onsuccess = () => {
         const record = request.result;
         if (!record) {
@@ -545,7 +648,7 @@ class TabDatabase {
       const index = store.index('url');
       
       // Find the URL record - now unique
-      const request = index.get(url);
+      const request = index.get(this.canonicalUrl(url));
       request.onsuccess = () => {
         const record = request.result;
         if (!record) {
@@ -609,6 +712,8 @@ class TabDatabase {
           }
         }
         
+        urlData.tags = this.getTagNamesForUrl(url.id);
+        
         results.push(urlData);
       }
     }
@@ -638,7 +743,7 @@ class TabDatabase {
       throw new Error('Database cache not initialized. This should never happen.');
     }
     
-    const categories = options.categories || [1, 2, 3]; // All categories by default
+    const categories = options.categories || this.getSavedCategoryIds(); // All categories by default
     const results = [];
     
     // Get URLs from cache
@@ -657,6 +762,8 @@ class TabDatabase {
           }
         }
         
+        urlData.tags = this.getTagNamesForUrl(url.id);
+        
         results.push(urlData);
       }
     }
@@ -754,7 +861,7 @@ class TabDatabase {
    */
   async deleteUrl(urlId) {
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['urls', 'events'], 'readwrite');
+      const transaction = this.db.transaction(['urls', 'events', 'urlTags'], 'readwrite');
       const urlStore = transaction.objectStore('urls');
       const eventStore = transaction.objectStore('events');
       const eventIndex = eventStore.index('urlId');
@@ -762,6 +869,15 @@ class TabDatabase {
       // Delete URL
       urlStore.delete(urlId);
 
+      // Delete its tag assignments
+      transaction.objectStore('urlTags').index('urlId').openCursor(IDBKeyRange.only(urlId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+
       // Delete all events for this URL
       const request = eventIndex.openCursor(IDBKeyRange.only(urlId));
       request.onsuccess = (event) => {
@@ -783,9 +899,12 @@ class TabDatabase {
             // Remove events from cache
             this.cache.events.delete(urlId);
           }
+          this.cache.urlTags.delete(urlId);
+        }
+        // Notify sync service of database change (popup only)
+        if (typeof globalThis.notifyDatabaseChange === 'function') {
+          globalThis.notifyDatabaseChange();
         }
-        // Notify sync service of database change
-        notifyDatabaseChange();
         resolve();
       };
       transaction.onerror = () => reject(transaction.error);
@@ -823,8 +942,10 @@ class TabDatabase {
                 this.cache.urlsById.set(cachedRecord.id, cachedRecord);
               }
             }
-            // Notify sync service of database change
-            notifyDatabaseChange();
+            // Notify sync service of database change (popup only)
+            if (typeof globalThis.notifyDatabaseChange === 'function') {
+              globalThis.notifyDatabaseChange();
+            }
             resolve();
           };
           updateRequest.onerror = () => reject(updateRequest.error);
@@ -837,9 +958,55 @@ class TabDatabase {
     });
   }
 
+  /**
+   * Move every saved URL in a category to another one (used when a user category is deleted)
+   * @param {number} fromCategory - Category being emptied
+   * @param {number} toCategory - Category the URLs move to
+   * @returns {Promise<number>} Number of URLs moved
+   */
+  async moveUrlsToCategory(fromCategory, toCategory) {
+    const urlIds = Array.from(this.cache.urlsById.values())
+      .filter(url => url.category === fromCategory)
+      .map(url => url.id);
+    
+    for (const urlId of urlIds) {
+      await this.updateUrlCategoryById(urlId, toCategory);
+    }
+    return urlIds.length;
+  }
+
 
 
   // Utility functions
+  
+  /**
+   * Get the categories tabs can be saved in (see src/utils/category-registry.js)
+   * @returns {number[]} [1, 2, 3, ...user category IDs]
+   */
+  getSavedCategoryIds() {
+    return globalThis.categoryRegistry ? globalThis.categoryRegistry.getSavedCategoryIds() : [1, 2, 3];
+  }
+  
+  /**
+   * Get a category's display name (see src/utils/category-registry.js)
+   * @param {number} category - Category ID
+   * @returns {string} Category name
+   */
+  getCategoryName(category) {
+    return globalThis.categoryRegistry
+      ? globalThis.categoryRegistry.getCategoryName(category)
+      : ({ 1: 'Ignore', 2: 'Useful', 3: 'Important' }[category] || 'Uncategorized');
+  }
+  
+  /**
+   * Canonicalize a URL the way saved URLs are stored (see src/utils/url-canonicalizer.js)
+   * @param {string} url - URL as the browser reports it
+   * @returns {string} Canonical URL
+   */
+  canonicalUrl(url) {
+    return globalThis.urlCanonicalizer ? globalThis.urlCanonicalizer.canonicalizeUrl(url) : url;
+  }
+
   extractDomain(url) {
     try {
       // Handle special URL schemes before using URL constructor
@@ -900,7 +1067,7 @@ class TabDatabase {
   async exportAsCSV(urls = null, includeMLData = false) {
     // If no URLs provided, get all saved URLs
     if (!urls) {
-      urls = await this.getSavedUrls([1, 2, 3], true);
+      urls = await this.getSavedUrls(this.getSavedCategoryIds(), true);
     }
     
     // Escape fields that might contain commas or quotes
@@ -927,6 +1094,7 @@ class TabDatabase {
       'title', 
       'domain',
       'category',
+      'categoryName',
       'firstSeen',
       'lastCategorized',
       'lastAccessed',
@@ -934,7 +1102,8 @@ class TabDatabase {
       'savedDate',
       'firstOpened',
       'lastOpened',
-      'lastCloseTime'
+      'lastCloseTime',
+      'tags'
     ];
     
     if (includeMLData) {
@@ -992,6 +1161,7 @@ class TabDatabase {
         escapeCSV(url.title),
         escapeCSV(url.domain),
         escapeCSV(url.category), // Export as number (1,2,3) not name
+        escapeCSV(this.getCategoryName(url.category)), // User categories are matched by name on import
         escapeCSV(timestampToUTC(url.firstSeen)),
         escapeCSV(timestampToUTC(url.lastCategorized)),
         escapeCSV(timestampToUTC(url.lastAccessed)),
@@ -999,7 +1169,8 @@ class TabDatabase {
         escapeCSV(timestampToUTC(url.savedDate)),
         escapeCSV(timestampToUTC(url.firstOpened)),
         escapeCSV(timestampToUTC(url.lastOpened)),
-        escapeCSV(timestampToUTC(url.lastCloseTime))
+        escapeCSV(timestampToUTC(url.lastCloseTime)),
+        escapeCSV((url.tags || this.getTagNamesForUrl(url.id)).join('; '))
       ];
       
       if (includeMLData) {
@@ -1100,11 +1271,13 @@ class TabDatabase {
     const titleIdx = headers.findIndex(h => h === 'title' || h.includes('title'));
     const urlIdx = headers.findIndex(h => h === 'url' || (h.includes('url') && !h.includes('curl')));
     const domainIdx = headers.findIndex(h => h === 'domain' || h.includes('domain'));
-    const categoryIdx = headers.findIndex(h => h === 'category' || h.includes('category'));
+    const categoryIdx = headers.findIndex(h => h === 'category' || (h.includes('category') && h !== 'categoryname'));
+    const categoryNameIdx = headers.findIndex(h => h === 'categoryname');
     // const savedDateIdx = headers.findIndex(h => h.includes('saved') && h.includes('date')); // Unused - for future use
     // const savedTimeIdx = headers.findIndex(h => h.includes('saved') && h.includes('time')); // Unused - for future use
     const closedDateIdx = headers.findIndex(h => h.includes('closed') && h.includes('date'));
     const closedTimeIdx = headers.findIndex(h => h.includes('closed') && h.includes('time'));
+    const tagsIdx = headers.findIndex(h => h === 'tags');
     
     if (titleIdx === -1 || urlIdx === -1) {
       throw new Error('CSV must contain at least Title and URL columns');
@@ -1168,6 +1341,13 @@ class TabDatabase {
         category = categoryMap[categoryStr] || 0;
       }
       
+      // User categories are matched by name (their numbers may differ between browsers)
+      const categoryName = categoryNameIdx !== -1 ? row[categoryNameIdx] : (categoryIdx !== -1 ? row[categoryIdx] : '');
+      const userCategory = globalThis.categoryRegistry?.findCategoryByName(categoryName);
+      if (userCategory) {
+        category = userCategory.id;
+      }
+      
       // Parse dates
       // Note: savedDate parsing logic preserved but not currently used
       // This may be needed for future features that track import timestamps
@@ -1230,6 +1410,11 @@ class TabDatabase {
             }
           }
           
+          // Tags are separated by semicolons
+          if (tagsIdx !== -1 && row[tagsIdx]) {
+            await this.addTagNamesToUrl(urlId, row[tagsIdx].split(';').map(tag => tag.trim()));
+          }
+          
           imported.push({ title, url, category, line: i + 1 });
         } else {
           needsCategorization.push({ title, url, line: i + 1 });
@@ -1301,9 +1486,10 @@ class TabDatabase {
     
     // Now delete from main database
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['urls', 'events'], 'readwrite');
+      const transaction = this.db.transaction(['urls', 'events', 'urlTags'], 'readwrite');
       const urlStore = transaction.objectStore('urls');
       const eventStore = transaction.objectStore('events');
+      const urlTagStore = transaction.objectStore('urlTags');
       let deletedCount = 0;
       
       const request = urlStore.openCursor();
@@ -1325,8 +1511,18 @@ class TabDatabase {
                 this.cache.urlsById.delete(urlId);
                 this.cache.events.delete(urlId);
               }
+              this.cache.urlTags.delete(urlId);
             }
             
+            // Delete associated tag assignments
+            urlTagStore.index('urlId').openCursor(IDBKeyRange.only(urlId)).onsuccess = (tagEvent) => {
+              const tagCursor = tagEvent.target.result;
+              if (tagCursor) {
+                tagCursor.delete();
+                tagCursor.continue();
+              }
+            };
+            
             // Delete associated events
             const eventIndex = eventStore.index('urlId');
             const eventRequest = eventIndex.openCursor(IDBKeyRange.only(urlId));
@@ -1349,25 +1545,39 @@ class TabDatabase {
   }
 
   /**
-   * Clean up URLs that haven't been accessed in the retention period
-   * Only deletes tabs in the "Ignore" category (category 1)
-   * "Useful" and "Important" tabs are kept indefinitely
-   * Also deletes all related data (events, predictions, training data, etc.)
+   * Get the saved URLs retention rules would archive or delete now
+   * @param {Array} rules - Retention rules (settings.retentionRules, see src/utils/retention-policy.js)
+   * @returns {Array} [{ id, url, title, domain, category, lastAccessed, action, rule }] oldest first
+   */
+  planUrlRetention(rules = []) {
+    if (!this.cache.initialized) {
+      throw new Error('Database cache not initialized. This should never happen.');
+    }
+
+    const retentionSeconds = CONFIG.DATABASE?.URL_RETENTION_SECONDS || (365 * 24 * 60 * 60);
+    return globalThis.retentionPolicy.planRetention(Array.from(this.cache.urlsById.values()), rules, {
+      defaultAgeMs: retentionSeconds * 1000
+    });
+  }
+
+  /**
+   * Archive and delete the saved URLs retention rules pick
+   * Archived URLs leave a tombstone and keep their ML training data; deleted URLs also lose
+   * their predictions and training data. Both lose their events and tags.
+   * Without rules, Ignore tabs and user categories set to expire are deleted once nobody opened
+   * them for CONFIG.DATABASE.URL_RETENTION_SECONDS; "Useful" and "Important" tabs are kept.
+   * @param {Array} rules - Retention rules
    * @returns {Promise<Object>} Cleanup results
    */
-  async cleanupOldUrls() {
+  async cleanupOldUrls(rules = []) {
     
     // Import config if not available
     if (typeof CONFIG === 'undefined') {
       await import('./config.js');
     }
     
-    const retentionSeconds = CONFIG.DATABASE?.URL_RETENTION_SECONDS || (365 * 24 * 60 * 60);
-    const cutoffTime = Date.now() - (retentionSeconds * 1000);
-    const cutoffISO = new Date(cutoffTime).toISOString();
-    
-    
     const results = {
+      urlsArchived: 0,
       urlsDeleted: 0,
       eventsDeleted: 0,
       predictionsDeleted: 0,
@@ -1376,67 +1586,266 @@ class TabDatabase {
       errors: []
     };
     
-    try {
-      // Collect URLs to delete
-      const urlsToDelete = [];
-      const transaction = this.db.transaction(['urls'], 'readonly');
-      const urlStore = transaction.objectStore('urls');
-      
-      await new Promise((resolve, reject) => {
-        const request = urlStore.openCursor();
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            const url = cursor.value;
-            // Only delete tabs in "Ignore" category (1) that are older than retention period
-            // Categories: 1=Ignore, 2=Useful, 3=Important
-            if (url.lastAccessed < cutoffISO && url.category === 1) {
-              urlsToDelete.push({
-                id: url.id,
-                url: url.url,
-                lastAccessed: url.lastAccessed,
-                category: url.category
-              });
-            }
-            cursor.continue();
-          } else {
-            resolve();
-          }
-        };
-        request.onerror = () => reject(request.error);
-      });
-      
-      
-      // Delete each URL and its related data
-      for (const urlData of urlsToDelete) {
-        try {
+    // The popup and the background each keep a cache - plan from what is stored now
+    await this.reloadCache();
+    const plan = this.planUrlRetention(rules);
+    
+    for (const urlData of plan) {
+      try {
+        if (urlData.action === globalThis.retentionPolicy.RETENTION_ACTIONS.ARCHIVE) {
+          await this.archiveUrl(urlData);
+          results.urlsArchived++;
+        } else {
           // Delete from ML database first
           const mlDeleteCounts = await this.deleteUrlFromMLDatabase(urlData.url);
           results.predictionsDeleted += mlDeleteCounts.predictions;
           results.trainingDataDeleted += mlDeleteCounts.trainingData;
-          
-          // Delete from main database
-          await this.deleteUrl(urlData.id);
           results.urlsDeleted++;
-          results.eventsDeleted++; // deleteUrl also deletes events
-          
-        } catch (error) {
-          console.error(`Error deleting URL ${urlData.url}:`, error);
-          results.errors.push({
-            url: urlData.url,
-            error: error.message
-          });
         }
+        
+        // Delete from main database
+        await this.deleteUrl(urlData.id);
+        results.eventsDeleted++; // deleteUrl also deletes events
+        
+      } catch (error) {
+        console.error(`Error removing URL ${urlData.url}:`, error);
+        results.errors.push({
+          url: urlData.url,
+          error: error.message
+        });
       }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Store a tombstone for a URL removed by a retention rule
+   * @param {Object} urlData - Planned removal { url, title, domain, category, lastAccessed, rule }
+   * @returns {Promise<void>}
+   */
+  async archiveUrl(urlData) {
+    if (!this.db.objectStoreNames.contains('archivedUrls')) {
+      throw new Error('Archive not available');
+    }
+
+    const record = this.cache.urlsById.get(urlData.id) || urlData;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['archivedUrls'], 'readwrite');
+      transaction.objectStore('archivedUrls').put({
+        url: record.url,
+        title: record.title,
+        domain: record.domain,
+        category: record.category,
+        savedDate: record.savedDate || null,
+        lastAccessed: record.lastAccessed || null,
+        tags: this.getTagNamesForUrl(urlData.id),
+        rule: urlData.rule,
+        archivedAt: new Date().toISOString()
+      });
       
-      return results;
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get archived URL tombstones
+   * @returns {Promise<Array>} Tombstones, newest first
+   */
+  async getArchivedUrls() {
+    if (!this.db.objectStoreNames.contains('archivedUrls')) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['archivedUrls'], 'readonly');
+      const request = transaction.objectStore('archivedUrls').index('archivedAt').getAll();
       
-    } catch (error) {
-      console.error('❌ Cleanup failed:', error);
-      throw error;
+      request.onsuccess = () => resolve(request.result.reverse());
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Merge saved URLs that canonicalize to the same URL
+   * Run when canonicalization options change (and once for URLs saved before canonicalization).
+   * @returns {Promise<Object>} { merged, renamed, errors }
+   */
+  async mergeDuplicateUrls() {
+    if (!this.cache.initialized) {
+      throw new Error('Database cache not initialized. This should never happen.');
+    }
+
+    // Group saved records by canonical URL
+    const groups = new Map();
+    this.cache.urls.forEach(record => {
+      const url = this.canonicalUrl(record.url);
+      if (!groups.has(url)) {
+        groups.set(url, []);
+      }
+      groups.get(url).push(record);
+    });
+
+    const results = { merged: 0, renamed: 0, errors: [] };
+
+    for (const [url, records] of groups) {
+      if (records.length === 1 && records[0].url === url) continue;
+
+      try {
+        await this.mergeUrlRecords(url, records);
+        if (records.length > 1) {
+          results.merged += records.length - 1;
+        } else {
+          results.renamed++;
+        }
+      } catch (error) {
+        console.error(`Error merging saved URLs for ${url}:`, error);
+        results.errors.push({ url, error: error.message });
+      }
     }
+
+    // Notify sync service of database change (popup only)
+    if ((results.merged > 0 || results.renamed > 0) && typeof globalThis.notifyDatabaseChange === 'function') {
+      globalThis.notifyDatabaseChange();
+    }
+
+    return results;
   }
-  
+
+  /**
+   * Merge records into one stored under the canonical URL, moving their events to it
+   * @private
+   */
+  async mergeUrlRecords(url, records) {
+    const time = value => (value ? new Date(value).getTime() : 0);
+    const latestBy = field => [...records].sort((a, b) => time(b[field]) - time(a[field]))[0];
+    const earliest = field => records
+      .map(record => record[field])
+      .filter(Boolean)
+      .sort((a, b) => time(a) - time(b))[0] || null;
+
+    // Keep the record already at the canonical URL, otherwise the oldest one
+    const keeper = records.find(record => record.url === url) ||
+      [...records].sort((a, b) => time(a.firstSeen) - time(b.firstSeen))[0];
+    const others = records.filter(record => record !== keeper);
+
+    // The most recent categorization wins; titles and favicons come from the most recent visit
+    const categorized = records.filter(record => record.category > 0);
+    const latestCategorized = categorized.length > 0
+      ? [...categorized].sort((a, b) => time(b.lastCategorized) - time(a.lastCategorized))[0]
+      : keeper;
+    const latestAccessed = latestBy('lastAccessed');
+
+    // Records saved before canonicalization keep the URL they were saved under as the one to open
+    const merged = {
+      ...keeper,
+      url,
+      originalUrl: latestAccessed.originalUrl || latestAccessed.url,
+      domain: this.extractDomain(url),
+      title: latestAccessed.title || keeper.title,
+      favicon: latestAccessed.favicon || keeper.favicon || null,
+      category: latestCategorized.category,
+      lastCategorized: latestCategorized.lastCategorized || null,
+      categorizedBy: latestCategorized.categorizedBy || null,
+      firstSeen: earliest('firstSeen') || keeper.firstSeen,
+      savedDate: earliest('savedDate') || keeper.savedDate,
+      firstOpened: earliest('firstOpened') || keeper.firstOpened,
+      lastAccessed: latestAccessed.lastAccessed || keeper.lastAccessed,
+      lastOpened: latestBy('lastOpened').lastOpened || keeper.lastOpened
+    };
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['urls', 'events', 'urlTags'], 'readwrite');
+      const urlStore = transaction.objectStore('urls');
+      const eventIndex = transaction.objectStore('events').index('urlId');
+      const urlTagStore = transaction.objectStore('urlTags');
+
+      // Deletes run before the put, so the unique url index never sees both
+      others.forEach(record => urlStore.delete(record.id));
+      urlStore.put(merged);
+
+      others.forEach(record => {
+        const request = eventIndex.openCursor(IDBKeyRange.only(record.id));
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            cursor.update({ ...cursor.value, urlId: keeper.id });
+            cursor.continue();
+          }
+        };
+      });
+
+      // Tag assignments are keyed by URL ID, so they are re-added under the kept record
+      others.forEach(record => {
+        const request = urlTagStore.index('urlId').openCursor(IDBKeyRange.only(record.id));
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            urlTagStore.put({ ...cursor.value, urlId: keeper.id });
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    // Update cache
+    const events = this.cache.events.get(keeper.id) || [];
+    const tagIds = this.cache.urlTags.get(keeper.id) || new Set();
+    others.forEach(record => {
+      this.cache.urls.delete(record.url);
+      this.cache.urlsById.delete(record.id);
+      (this.cache.events.get(record.id) || []).forEach(event => {
+        events.push({ ...event, urlId: keeper.id });
+      });
+      this.cache.events.delete(record.id);
+      (this.cache.urlTags.get(record.id) || []).forEach(tagId => tagIds.add(tagId));
+      this.cache.urlTags.delete(record.id);
+    });
+    if (tagIds.size > 0) {
+      this.cache.urlTags.set(keeper.id, tagIds);
+    }
+    events.sort((a, b) => time(b.closeTime) - time(a.closeTime));
+    if (events.length > 0) {
+      this.cache.events.set(keeper.id, events);
+    }
+
+    this.cache.urls.delete(keeper.url);
+    this.cache.urls.set(url, merged);
+    this.cache.urlsById.set(keeper.id, merged);
+  }
+
+  /**
+   * Open the ML database
+   * The Chrome background service worker can't import modules, so there it opens the
+   * version the popup already created.
+   * @private
+   */
+  async openMLDatabase() {
+    let name;
+    let version;
+    if (typeof document !== 'undefined') {
+      ({ DB_NAME: name, DB_VERSION: version } = await import('./src/ml/storage/ml-database.js'));
+    } else {
+      const databases = typeof indexedDB.databases === 'function' ? await indexedDB.databases() : [];
+      const existing = databases.find(db => db.name === 'TabClassifierML');
+      if (!existing) {
+        throw new Error('ML database not created yet');
+      }
+      ({ name, version } = existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Delete URL data from ML database
    * @private
@@ -1444,17 +1853,11 @@ class TabDatabase {
   async deleteUrlFromMLDatabase(url) {
     try {
       // First, try to use the performance tracker if available
-      if (window.mlPerformanceTracker && typeof window.mlPerformanceTracker.handleUrlDeletion === 'function') {
-        await window.mlPerformanceTracker.handleUrlDeletion(url);
+      if (globalThis.mlPerformanceTracker && typeof globalThis.mlPerformanceTracker.handleUrlDeletion === 'function') {
+        await globalThis.mlPerformanceTracker.handleUrlDeletion(url);
         
         // Still need to delete training data separately
-        // Import DB constants to get correct version
-        const { DB_NAME, DB_VERSION } = await import('./src/ml/storage/ml-database.js');
-        const mlDb = await new Promise((resolve, reject) => {
-          const request = indexedDB.open(DB_NAME, DB_VERSION);
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = () => reject(request.error);
-        });
+        const mlDb = await this.openMLDatabase();
         
         let trainingDeleted = 0;
         const trainingTx = mlDb.transaction(['trainingData'], 'readwrite');
@@ -1482,13 +1885,7 @@ class TabDatabase {
       }
       
       // Fallback: Manual deletion with metrics adjustment
-      // Import DB constants if not already imported
-      const { DB_NAME, DB_VERSION } = await import('./src/ml/storage/ml-database.js');
-      const mlDb = await new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
+      const mlDb = await this.openMLDatabase();
       
       let deletedCounts = {
         predictions: 0,
@@ -1644,7 +2041,7 @@ class TabDatabase {
       const index = store.index('url');
 
       // Find the tab by URL
-      const getRequest = index.get(url);
+      const getRequest = index.get(this.canonicalUrl(url));
       
       getRequest.onsuccess = () => {
         const urlRecord = getRequest.result;
@@ -1949,6 +2346,50 @@ class TabDatabase {
     });
   }
 
+  /**
+   * Store the background categorization of an open URL
+   * @param {string} url - The URL
+   * @param {Object} categoryInfo - { category, confidence, source }
+   * @returns {Promise<Object|null>} Updated record, or null if the URL is no longer open
+   */
+  async setCurrentTabCategory(url, { category, confidence, source }) {
+    if (!this.db.objectStoreNames.contains('currentTabs')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['currentTabs'], 'readwrite');
+      const store = transaction.objectStore('currentTabs');
+      const getRequest = store.index('url').get(url);
+
+      getRequest.onsuccess = () => {
+        const existing = getRequest.result;
+        if (!existing) {
+          resolve(null);
+          return;
+        }
+
+        const updated = {
+          ...existing,
+          category,
+          categoryConfidence: confidence,
+          categorySource: source,
+          categorizedAt: new Date().toISOString()
+        };
+
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => {
+          // Update cache
+          this.cache.currentTabs.set(url, updated);
+          resolve(updated);
+        };
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
   /**
    * Get all current tabs
    * @returns {Promise<Array>} Array of current tab records
@@ -1991,6 +2432,601 @@ class TabDatabase {
     });
   }
 
+  /**
+   * Record token usage and cost of an LLM call
+   * @param {Object} entry - { provider, model, tabCount, inputTokens, outputTokens, latencyMs, cost }
+   * @returns {Promise<number>} Entry ID
+   */
+  async recordLLMUsage(entry) {
+    if (!this.db.objectStoreNames.contains('llmUsage')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['llmUsage'], 'readwrite');
+      const store = transaction.objectStore('llmUsage');
+      const request = store.add({ timestamp: Date.now(), ...entry });
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get LLM usage entries recorded since a point in time
+   * @param {number} since - Timestamp in ms (0 for all entries)
+   * @returns {Promise<Array>} Usage entries, oldest first
+   */
+  async getLLMUsage(since = 0) {
+    if (!this.db.objectStoreNames.contains('llmUsage')) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['llmUsage'], 'readonly');
+      const index = transaction.objectStore('llmUsage').index('timestamp');
+      const request = index.getAll(IDBKeyRange.lowerBound(since));
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get total LLM spend for the current calendar month, as counted against the budget cap
+   * @returns {Promise<number>} Cost in dollars (estimated calls included, calls with unknown pricing count as 0)
+   */
+  async getMonthlyLLMSpend() {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    const entries = await this.getLLMUsage(monthStart);
+    return entries.reduce((total, entry) => total + (entry.cost || 0), 0);
+  }
+
+  /**
+   * Record an automated tab action
+   * @param {Object} entry - { type, ruleId, url, title, tabId, windowId, index, undo }
+   * @returns {Promise<number|null>} Entry ID
+   */
+  async recordAction(entry) {
+    if (!this.db.objectStoreNames.contains('actionLog')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['actionLog'], 'readwrite');
+      const store = transaction.objectStore('actionLog');
+      const request = store.add({ timestamp: Date.now(), undoneAt: null, ...entry });
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get the most recent action log entries
+   * @param {number} limit - Maximum entries
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getActionLog(limit = 100) {
+    if (!this.db.objectStoreNames.contains('actionLog')) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['actionLog'], 'readonly');
+      const index = transaction.objectStore('actionLog').index('timestamp');
+      const request = index.openCursor(null, 'prev');
+      const entries = [];
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && entries.length < limit) {
+          entries.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a single action log entry
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async getActionLogEntry(id) {
+    if (!this.db.objectStoreNames.contains('actionLog')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['actionLog'], 'readonly');
+      const request = transaction.objectStore('actionLog').get(id);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Update fields of an action log entry (e.g. undoneAt)
+   * @param {number} id - Entry ID
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} Updated entry, or null if it no longer exists
+   */
+  async updateActionLogEntry(id, changes) {
+    if (!this.db.objectStoreNames.contains('actionLog')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['actionLog'], 'readwrite');
+      const store = transaction.objectStore('actionLog');
+      const getRequest = store.get(id);
+      
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          resolve(null);
+          return;
+        }
+        
+        const updated = { ...getRequest.result, ...changes };
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve(updated);
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  /**
+   * Drop the oldest action log entries of some types beyond a limit
+   * Rule actions and the popup's undo journal share the log but each keep their own number of entries.
+   * @param {number} keep - Entries to keep
+   * @param {string[]} types - Entry types counted against the limit (others are left alone)
+   * @returns {Promise<void>}
+   */
+  async pruneActionLog(keep, types) {
+    if (!this.db.objectStoreNames.contains('actionLog')) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['actionLog'], 'readwrite');
+      const request = transaction.objectStore('actionLog').index('timestamp').openCursor(null, 'prev');
+      let seen = 0;
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        if (types.includes(cursor.value.type)) {
+          seen++;
+          if (seen > keep) {
+            cursor.delete();
+          }
+        }
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Capture what deleting saved URLs removes, so the deletion can be undone
+   * @param {number[]} urlIds - URL IDs about to be deleted
+   * @returns {Promise<Array>} [{ record, events, tagIds, trainingData }]
+   */
+  async snapshotUrlsForUndo(urlIds) {
+    let mlDb = null;
+    try {
+      mlDb = await this.openMLDatabase();
+    } catch (error) {
+      console.warn('ML training data not captured for undo:', error);
+    }
+
+    const snapshots = [];
+    for (const urlId of urlIds) {
+      const record = this.cache.urlsById.get(urlId);
+      if (!record) continue;
+
+      let trainingData = [];
+      if (mlDb && mlDb.objectStoreNames.contains('trainingData')) {
+        trainingData = await new Promise((resolve) => {
+          const request = mlDb.transaction(['trainingData'], 'readonly')
+            .objectStore('trainingData').index('url').getAll(IDBKeyRange.only(record.url));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve([]);
+        });
+      }
+
+      snapshots.push({
+        record: { ...record },
+        events: (this.cache.events.get(urlId) || []).map(event => ({ ...event })),
+        tagIds: Array.from(this.cache.urlTags.get(urlId) || []),
+        trainingData
+      });
+    }
+
+    mlDb?.close();
+    return snapshots;
+  }
+
+  /**
+   * Put deleted saved URLs back with their events, tags and ML training data
+   * URLs saved again since they were deleted are left as they are.
+   * @param {Array} snapshots - From snapshotUrlsForUndo
+   * @returns {Promise<Object>} { restored, skipped }
+   */
+  async restoreUrlSnapshots(snapshots) {
+    // The popup and the background each keep a cache - check against what is stored now
+    await this.reloadCache();
+    const toRestore = snapshots.filter(snapshot => !this.cache.urls.has(snapshot.record.url));
+
+    if (toRestore.length > 0) {
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['urls', 'events', 'urlTags'], 'readwrite');
+        toRestore.forEach(({ record, events, tagIds }) => {
+          transaction.objectStore('urls').put(record);
+          events.forEach(event => transaction.objectStore('events').put(event));
+          tagIds
+            .filter(tagId => this.cache.tags.has(tagId))
+            .forEach(tagId => transaction.objectStore('urlTags').put({ urlId: record.id, tagId }));
+        });
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+
+      const trainingData = toRestore.flatMap(snapshot => snapshot.trainingData || []);
+      if (trainingData.length > 0) {
+        try {
+          const mlDb = await this.openMLDatabase();
+          await new Promise((resolve, reject) => {
+            const transaction = mlDb.transaction(['trainingData'], 'readwrite');
+            trainingData.forEach(row => transaction.objectStore('trainingData').put(row));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+          });
+          mlDb.close();
+        } catch (error) {
+          console.warn('ML training data not restored:', error);
+        }
+      }
+
+      await this.reloadCache();
+      if (typeof globalThis.notifyDatabaseChange === 'function') {
+        globalThis.notifyDatabaseChange();
+      }
+    }
+
+    return { restored: toRestore.length, skipped: snapshots.length - toRestore.length };
+  }
+
+  /**
+   * Save a session snapshot
+   * @param {Object} session - { name, source, windows: [{ state, incognito, tabs, groups }] }
+   * @returns {Promise<number|null>} Session ID, or null if sessions aren't available
+   */
+  async saveSession(session) {
+    if (!this.db.objectStoreNames.contains('sessions')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readwrite');
+      const request = transaction.objectStore('sessions').add({ createdAt: Date.now(), ...session });
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get session snapshots
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async getSessions() {
+    if (!this.db.objectStoreNames.contains('sessions')) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readonly');
+      const request = transaction.objectStore('sessions').index('createdAt').getAll();
+      
+      request.onsuccess = () => resolve(request.result.reverse());
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a single session snapshot
+   * @param {number} id - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async getSession(id) {
+    if (!this.db.objectStoreNames.contains('sessions')) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readonly');
+      const request = transaction.objectStore('sessions').get(id);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Rename a session snapshot
+   * @param {number} id - Session ID
+   * @param {string} name - New name
+   * @returns {Promise<Object|null>} Updated session, or null if it no longer exists
+   */
+  async renameSession(id, name) {
+    const session = await this.getSession(id);
+    if (!session) return null;
+
+    const updated = { ...session, name };
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readwrite');
+      const request = transaction.objectStore('sessions').put(updated);
+      
+      request.onsuccess = () => resolve(updated);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete a session snapshot
+   * @param {number} id - Session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(id) {
+    if (!this.db.objectStoreNames.contains('sessions')) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readwrite');
+      transaction.objectStore('sessions').delete(id);
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Drop the oldest session snapshots beyond a limit
+   * @param {number} keep - Sessions to keep
+   * @returns {Promise<void>}
+   */
+  async pruneSessions(keep) {
+    if (!this.db.objectStoreNames.contains('sessions')) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readwrite');
+      const request = transaction.objectStore('sessions').index('createdAt').openCursor(null, 'prev');
+      let seen = 0;
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        seen++;
+        if (seen > keep) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get all tags and collections with the number of saved URLs carrying each
+   * @returns {Promise<Array>} [{ id, name, kind, createdAt, count }] sorted by name
+   */
+  async getAllTags() {
+    const counts = new Map();
+    this.cache.urlTags.forEach(tagIds => {
+      tagIds.forEach(tagId => counts.set(tagId, (counts.get(tagId) || 0) + 1));
+    });
+    
+    return Array.from(this.cache.tags.values())
+      .map(tag => ({ ...tag, count: counts.get(tag.id) || 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find a tag by name (case-insensitive)
+   * @param {string} name - Tag name
+   * @returns {Object|null} Tag record or null
+   */
+  findTagByName(name) {
+    const key = String(name || '').trim().toLowerCase();
+    for (const tag of this.cache.tags.values()) {
+      if (tag.name.toLowerCase() === key) {
+        return tag;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create a tag or collection, or return the existing one with that name
+   * @param {string} name - Tag name
+   * @param {string} kind - 'tag' or 'collection'
+   * @returns {Promise<Object>} Tag record
+   */
+  async createTag(name, kind = 'tag') {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Tag name is required');
+    }
+    if (trimmed.includes(';')) {
+      throw new Error('Tag names cannot contain ";" (it separates tags in CSV files)');
+    }
+    
+    const existing = this.findTagByName(trimmed);
+    if (existing) {
+      return existing;
+    }
+    
+    const tag = {
+      name: trimmed,
+      kind: kind === 'collection' ? 'collection' : 'tag',
+      createdAt: new Date().toISOString()
+    };
+    
+    tag.id = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tags'], 'readwrite');
+      const request = transaction.objectStore('tags').add(tag);
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    this.cache.tags.set(tag.id, tag);
+    return tag;
+  }
+
+  /**
+   * Delete a tag and remove it from all URLs
+   * @param {number} tagId - Tag ID
+   * @returns {Promise<void>}
+   */
+  async deleteTag(tagId) {
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tags', 'urlTags'], 'readwrite');
+      const urlTagIndex = transaction.objectStore('urlTags').index('tagId');
+      
+      transaction.objectStore('tags').delete(tagId);
+      
+      const request = urlTagIndex.openCursor(IDBKeyRange.only(tagId));
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    this.cache.tags.delete(tagId);
+    this.cache.urlTags.forEach(tagIds => tagIds.delete(tagId));
+    this.notifyTagChange();
+  }
+
+  /**
+   * Add a tag to URLs
+   * @param {number} tagId - Tag ID
+   * @param {number[]} urlIds - URL IDs
+   * @returns {Promise<void>}
+   */
+  async addTagToUrls(tagId, urlIds) {
+    const added = urlIds.filter(urlId => !this.cache.urlTags.get(urlId)?.has(tagId));
+    if (added.length === 0) return;
+    
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['urlTags'], 'readwrite');
+      const store = transaction.objectStore('urlTags');
+      added.forEach(urlId => store.put({ urlId, tagId, addedAt: new Date().toISOString() }));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    added.forEach(urlId => {
+      if (!this.cache.urlTags.has(urlId)) {
+        this.cache.urlTags.set(urlId, new Set());
+      }
+      this.cache.urlTags.get(urlId).add(tagId);
+    });
+    this.notifyTagChange();
+  }
+
+  /**
+   * Remove a tag from URLs
+   * @param {number} tagId - Tag ID
+   * @param {number[]} urlIds - URL IDs
+   * @returns {Promise<void>}
+   */
+  async removeTagFromUrls(tagId, urlIds) {
+    const removed = urlIds.filter(urlId => this.cache.urlTags.get(urlId)?.has(tagId));
+    if (removed.length === 0) return;
+    
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['urlTags'], 'readwrite');
+      const store = transaction.objectStore('urlTags');
+      removed.forEach(urlId => store.delete([urlId, tagId]));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    removed.forEach(urlId => {
+      const tagIds = this.cache.urlTags.get(urlId);
+      tagIds.delete(tagId);
+      if (tagIds.size === 0) {
+        this.cache.urlTags.delete(urlId);
+      }
+    });
+    this.notifyTagChange();
+  }
+
+  /**
+   * Add tags to a URL by name, creating missing tags (CSV import and sync)
+   * @param {number} urlId - URL ID
+   * @param {string[]} names - Tag names
+   * @param {Object} kinds - Kind of each new tag by name ('tag' when missing)
+   * @returns {Promise<void>}
+   */
+  async addTagNamesToUrl(urlId, names, kinds = {}) {
+    for (const name of names) {
+      if (!String(name || '').trim()) continue;
+      const tag = await this.createTag(name, kinds[name]);
+      await this.addTagToUrls(tag.id, [urlId]);
+    }
+  }
+
+  /**
+   * Get the tag names of a URL
+   * @param {number} urlId - URL ID
+   * @returns {string[]} Tag names sorted alphabetically
+   */
+  getTagNamesForUrl(urlId) {
+    const tagIds = this.cache.urlTags.get(urlId);
+    if (!tagIds) return [];
+    
+    return Array.from(tagIds)
+      .map(tagId => this.cache.tags.get(tagId)?.name)
+      .filter(Boolean)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Notify the sync service that tags changed (popup only)
+   * @private
+   */
+  notifyTagChange() {
+    if (typeof globalThis.notifyDatabaseChange === 'function') {
+      globalThis.notifyDatabaseChange();
+    }
+  }
+
   /**
    * Find current tab by tab ID
    * @param {number} tabId - The tab ID to find
@@ -0,0 +1,587 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * LLM Provider Registry - one adapter per provider describing how to call it
+ */
+
+// Loaded as a classic script before config.js:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+// - Popup: <script> tag in popup.html
+// CONFIG.PROVIDERS is generated from this registry, so adding a provider only
+// requires registering a new adapter here.
+
+/**
+ * Adapter shape:
+ * {
+ *   name: string,                 // Provider key used in settings (e.g. 'Claude')
+ *   apiUrl: string,               // Chat/completion endpoint
+ *   modelsUrl: string,            // Model listing endpoint
+ *   apiKeyPlaceholder: string,    // Settings UI placeholder
+ *   apiKeyUrl: string,            // Where users can create a key
+ *   headers: Object,              // Static headers sent with every request
+ *   label: string,                // Optional display name (defaults to name)
+ *   requiresBaseUrl: boolean,     // Endpoint URLs contain {baseUrl} supplied by the user
+ *   apiKeyOptional: boolean,      // Provider can be used without an API key
+ *   supportsStructuredOutput: boolean, // Honors the `schema` passed to buildRequest
+ *   supportsStreaming: boolean,   // Honors `stream` in buildRequest and implements parseStreamEvent
+ *   rateLimit: { requestsPerMinute }, // Optional client-side rate limit (see request-layer.js)
+ *   getAuthHeaders(apiKey),       // Headers carrying the API key
+ *   buildRequest({ prompt, model, apiKey, baseUrl, schema, stream }) -> { url, options },
+ *   parseResponse(data) -> string|null,   // Text (or JSON text) content of a completion
+ *   parseStreamEvent(event) -> { text, usage }, // Text delta and any usage fields in one server-sent event
+ *   parseUsage(data) -> { inputTokens, outputTokens }|null, // Token usage reported by the provider
+ *   parseModels(data) -> Array<{ id, name, ... }>,
+ *   getModelsRequest(apiKey, baseUrl) -> { url, options }
+ * }
+ */
+
+// Shared request defaults for categorization calls
+const LLM_REQUEST_DEFAULTS = {
+  temperature: 0.3,
+  maxTokens: 4096
+};
+
+// Name used for the categorization schema / tool in structured-output requests
+const CATEGORIZATION_SCHEMA_NAME = 'categorize_tabs';
+
+/**
+ * JSON schema for a categorization response
+ * An array of { id, category } is used instead of an object keyed by tab ID
+ * because strict schema modes can't describe dynamic property names.
+ * The category enum includes the user categories when src/utils/category-registry.js is loaded.
+ * @param {Object} [options]
+ * @param {boolean} [options.explain] - Also require confidence and reason per tab
+ * @returns {Object} JSON schema
+ */
+function buildCategorizationSchema({ explain = false } = {}) {
+  const itemProperties = {
+    id: { type: 'string', description: 'Tab ID exactly as given in the input' },
+    category: { type: 'integer', enum: globalThis.categoryRegistry ? globalThis.categoryRegistry.getSavedCategoryIds() : [1, 2, 3], description: 'Category number' }
+  };
+  if (explain) {
+    itemProperties.confidence = { type: 'number', description: 'Confidence in the category, from 0 to 1' };
+    itemProperties.reason = { type: 'string', description: 'Short reason for the category (at most 12 words)' };
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      categorizations: {
+        type: 'array',
+        description: 'One entry per tab in the input',
+        items: {
+          type: 'object',
+          properties: itemProperties,
+          required: Object.keys(itemProperties),
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['categorizations'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Convert a JSON schema to the OpenAPI subset accepted by Gemini responseSchema
+ * (no additionalProperties, enum only on strings)
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini-compatible schema
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'additionalProperties') return;
+    if (key === 'enum' && schema.type !== 'string') return;
+    converted[key] = (key === 'properties')
+      ? Object.fromEntries(Object.entries(value).map(([prop, propSchema]) => [prop, toGeminiSchema(propSchema)]))
+      : toGeminiSchema(value);
+  });
+  return converted;
+}
+
+class LLMProviderRegistry {
+  constructor() {
+    this.adapters = new Map(); // Map<name, adapter>
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {Object} adapter - Provider adapter (see shape above)
+   * @returns {Object} The registered adapter
+   */
+  register(adapter) {
+    const required = ['name', 'buildRequest', 'parseResponse', 'parseModels', 'getModelsRequest'];
+    const missing = required.filter(key => !adapter || adapter[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Invalid provider adapter: missing ${missing.join(', ')}`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  /**
+   * Get adapter by provider name
+   * @param {string} name - Provider name
+   * @returns {Object|null} Adapter or null
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Check if a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * Get registered provider names in registration order
+   * @returns {string[]}
+   */
+  getNames() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Build the CONFIG.PROVIDERS object (metadata only, no functions)
+   * @returns {Object} Map of provider name to provider config
+   */
+  toConfig() {
+    const providers = {};
+    this.adapters.forEach((adapter, name) => {
+      providers[name] = {
+        name: adapter.name,
+        label: adapter.label || adapter.name,
+        apiUrl: adapter.apiUrl,
+        modelsUrl: adapter.modelsUrl,
+        apiKeyPlaceholder: adapter.apiKeyPlaceholder,
+        apiKeyUrl: adapter.apiKeyUrl,
+        headers: { ...(adapter.headers || {}) },
+        requiresBaseUrl: adapter.requiresBaseUrl === true,
+        apiKeyOptional: adapter.apiKeyOptional === true,
+        baseUrlPlaceholder: adapter.baseUrlPlaceholder || '',
+        models: [] // Will be fetched dynamically
+      };
+    });
+    return providers;
+  }
+}
+
+/**
+ * Resolve an endpoint template against a user-supplied base URL
+ * @param {string} template - URL, possibly containing {baseUrl}
+ * @param {string} baseUrl - User-supplied base URL (e.g. http://localhost:11434/v1)
+ * @returns {string} Resolved URL
+ */
+function resolveEndpointUrl(template, baseUrl) {
+  if (!template.includes('{baseUrl}')) {
+    return template;
+  }
+  
+  const trimmedBase = (baseUrl || '').trim().replace(/\/+$/, '');
+  if (!trimmedBase) {
+    throw new Error('Base URL is required for this provider');
+  }
+  
+  return template.replace('{baseUrl}', trimmedBase);
+}
+
+/**
+ * Sort models newest first, falling back to alphabetical order
+ * @param {Array} models - Models with optional created/created_at fields
+ * @returns {Array} Sorted models
+ */
+function sortModelsByCreation(models) {
+  return models.sort((a, b) => {
+    if (a.created_at && b.created_at) {
+      return new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
+    }
+    if (a.created && b.created) {
+      return b.created - a.created;
+    }
+    // Fallback to alphabetical if no creation date
+    return a.id.localeCompare(b.id);
+  });
+}
+
+/**
+ * Create an adapter for providers exposing the OpenAI chat/completions API
+ * @param {Object} options - Adapter metadata and overrides
+ * @param {string} [options.systemMessage] - Optional system message sent before the prompt
+ * @param {Function} [options.filterModel] - Predicate applied to entries of the models list
+ * @param {Function} [options.mapModel] - Maps a raw model entry to { id, name, ... }
+ * @param {Function} [options.sortModels] - Sorts the mapped model list
+ * @param {boolean} [options.supportsStructuredOutput] - Endpoint accepts response_format json_schema
+ * @returns {Object} Provider adapter
+ */
+function createOpenAICompatibleAdapter(options) {
+  const {
+    systemMessage = null,
+    filterModel = () => true,
+    mapModel = model => ({ id: model.id, name: model.id, created: model.created }),
+    sortModels = sortModelsByCreation,
+    ...metadata
+  } = options;
+
+  return {
+    headers: {},
+    supportsStructuredOutput: false,
+    supportsStreaming: true,
+    ...metadata,
+
+    getAuthHeaders(apiKey) {
+      return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    },
+
+    buildRequest({ prompt, model, apiKey, baseUrl, schema, stream = false }) {
+      const messages = [];
+      if (systemMessage) {
+        messages.push({ role: 'system', content: systemMessage });
+      }
+      messages.push({ role: 'user', content: prompt });
+
+      const body = {
+        model: model,
+        messages,
+        temperature: LLM_REQUEST_DEFAULTS.temperature,
+        max_tokens: LLM_REQUEST_DEFAULTS.maxTokens
+      };
+      if (schema && this.supportsStructuredOutput) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: CATEGORIZATION_SCHEMA_NAME, strict: true, schema }
+        };
+      }
+      if (stream) {
+        body.stream = true;
+        // Usage arrives in a final chunk with empty choices
+        body.stream_options = { include_usage: true };
+      }
+
+      return {
+        url: resolveEndpointUrl(this.apiUrl, baseUrl),
+        options: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.headers,
+            ...this.getAuthHeaders(apiKey)
+          },
+          body: JSON.stringify(body)
+        }
+      };
+    },
+
+    parseResponse(data) {
+      return data?.choices?.[0]?.message?.content || null;
+    },
+
+    parseStreamEvent(event) {
+      return {
+        text: event?.choices?.[0]?.delta?.content || '',
+        usage: this.parseUsage(event)
+      };
+    },
+
+    parseUsage(data) {
+      if (!data?.usage) return null;
+      return {
+        inputTokens: data.usage.prompt_tokens || 0,
+        outputTokens: data.usage.completion_tokens || 0
+      };
+    },
+
+    getModelsRequest(apiKey, baseUrl) {
+      return {
+        url: resolveEndpointUrl(this.modelsUrl, baseUrl),
+        options: { headers: { ...this.headers, ...this.getAuthHeaders(apiKey) } }
+      };
+    },
+
+    parseModels(data) {
+      return sortModels((data.data || []).filter(filterModel).map(mapModel));
+    }
+  };
+}
+
+// Create global registry instance
+const llmProviderRegistry = new LLMProviderRegistry();
+
+// Claude (Anthropic Messages API)
+llmProviderRegistry.register({
+  name: 'Claude',
+  apiUrl: 'https://api.anthropic.com/v1/messages',
+  modelsUrl: 'https://api.anthropic.com/v1/models',
+  apiKeyPlaceholder: 'sk-ant-api03-...',
+  apiKeyUrl: 'https://console.anthropic.com/settings/keys',
+  headers: {
+    'anthropic-version': '2023-06-01',
+    'anthropic-dangerous-direct-browser-access': 'true'
+  },
+  // Structured output via a forced tool call whose input_schema is the response schema
+  supportsStructuredOutput: true,
+  supportsStreaming: true,
+
+  getAuthHeaders(apiKey) {
+    return { 'x-api-key': apiKey };
+  },
+
+  buildRequest({ prompt, model, apiKey, schema, stream = false }) {
+    const body = {
+      model: model,
+      max_tokens: LLM_REQUEST_DEFAULTS.maxTokens,
+      temperature: LLM_REQUEST_DEFAULTS.temperature,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    };
+    if (schema) {
+      body.tools = [{
+        name: CATEGORIZATION_SCHEMA_NAME,
+        description: 'Record the category assigned to each tab',
+        input_schema: schema
+      }];
+      body.tool_choice = { type: 'tool', name: CATEGORIZATION_SCHEMA_NAME };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: this.apiUrl,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.headers,
+          ...this.getAuthHeaders(apiKey)
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  parseResponse(data) {
+    const blocks = data?.content || [];
+    // Tool use returns already-parsed input; hand it back as JSON text like other providers
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    return blocks.find(block => block.type === 'text')?.text || null;
+  },
+
+  parseStreamEvent(event) {
+    switch (event?.type) {
+      case 'message_start':
+        return { text: '', usage: { inputTokens: event.message?.usage?.input_tokens || 0 } };
+      case 'content_block_delta':
+        // Tool input streams as partial JSON, which concatenates to the same text parseResponse returns
+        return { text: event.delta?.text || event.delta?.partial_json || '', usage: null };
+      case 'message_delta':
+        return { text: '', usage: event.usage ? { outputTokens: event.usage.output_tokens || 0 } : null };
+      case 'error':
+        throw new Error(`Claude stream error: ${event.error?.message || 'unknown error'}`);
+      default:
+        return { text: '', usage: null };
+    }
+  },
+
+  parseUsage(data) {
+    if (!data?.usage) return null;
+    return {
+      inputTokens: data.usage.input_tokens || 0,
+      outputTokens: data.usage.output_tokens || 0
+    };
+  },
+
+  getModelsRequest(apiKey) {
+    return {
+      url: this.modelsUrl,
+      options: { headers: { ...this.headers, ...this.getAuthHeaders(apiKey) } }
+    };
+  },
+
+  parseModels(data) {
+    return sortModelsByCreation((data.data || []).map(model => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      created_at: model.created_at
+    })));
+  }
+});
+
+// OpenAI
+llmProviderRegistry.register(createOpenAICompatibleAdapter({
+  name: 'OpenAI',
+  apiUrl: 'https://api.openai.com/v1/chat/completions',
+  modelsUrl: 'https://api.openai.com/v1/models',
+  apiKeyPlaceholder: 'sk-...',
+  apiKeyUrl: 'https://platform.openai.com/api-keys',
+  systemMessage: 'You are a helpful assistant that categorizes browser tabs.',
+  // Include models that support chat completions
+  filterModel: model => model.id.includes('gpt') ||
+    model.id.includes('chatgpt') ||
+    model.id.includes('o1') ||
+    (model.capabilities && model.capabilities.includes('chat')),
+  supportsStructuredOutput: true,
+  mapModel: model => ({
+    id: model.id,
+    name: model.name || model.id.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+    created: model.created
+  })
+}));
+
+// Gemini (model is part of the URL, key is passed as query parameter)
+llmProviderRegistry.register({
+  name: 'Gemini',
+  apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+  streamUrl: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:streamGenerateContent',
+  modelsUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
+  apiKeyPlaceholder: 'AIza...',
+  apiKeyUrl: 'https://aistudio.google.com/app/apikey',
+  headers: {},
+  supportsStructuredOutput: true,
+  supportsStreaming: true,
+  // Free tier allows 15 requests per minute
+  rateLimit: { requestsPerMinute: 15 },
+
+  getAuthHeaders() {
+    return {};
+  },
+
+  buildRequest({ prompt, model, apiKey, schema, stream = false }) {
+    const generationConfig = {
+      temperature: LLM_REQUEST_DEFAULTS.temperature,
+      maxOutputTokens: LLM_REQUEST_DEFAULTS.maxTokens
+    };
+    if (schema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = toGeminiSchema(schema);
+    }
+
+    // alt=sse switches the streaming endpoint from a JSON array to server-sent events
+    const url = stream
+      ? this.streamUrl.replace('{model}', model) + `?alt=sse&key=${apiKey}`
+      : this.apiUrl.replace('{model}', model) + `?key=${apiKey}`;
+
+    return {
+      url,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          contents: [{
+            parts: [{
+              text: prompt
+            }]
+          }],
+          generationConfig
+        })
+      }
+    };
+  },
+
+  parseResponse(data) {
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text || null;
+  },
+
+  parseStreamEvent(event) {
+    return {
+      text: (event?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+      usage: this.parseUsage(event)
+    };
+  },
+
+  parseUsage(data) {
+    if (!data?.usageMetadata) return null;
+    return {
+      inputTokens: data.usageMetadata.promptTokenCount || 0,
+      outputTokens: data.usageMetadata.candidatesTokenCount || 0
+    };
+  },
+
+  getModelsRequest(apiKey) {
+    return {
+      url: `${this.modelsUrl}?key=${apiKey}`,
+      options: {}
+    };
+  },
+
+  parseModels(data) {
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({
+        id: model.name.split('/').pop(),
+        name: model.displayName || model.name.split('/').pop()
+      }))
+      // Reverse the order to show newest models first
+      .reverse();
+  }
+});
+
+// DeepSeek (OpenAI-compatible, no json_schema support - responses use the text parser)
+llmProviderRegistry.register(createOpenAICompatibleAdapter({
+  name: 'DeepSeek',
+  apiUrl: 'https://api.deepseek.com/v1/chat/completions',
+  modelsUrl: 'https://api.deepseek.com/v1/models',
+  apiKeyPlaceholder: 'sk-...',
+  apiKeyUrl: 'https://platform.deepseek.com/api_keys',
+  mapModel: model => ({ id: model.id, name: model.id }),
+  // Sort alphabetically since DeepSeek doesn't provide creation dates
+  sortModels: models => models.sort((a, b) => a.id.localeCompare(b.id))
+}));
+
+// Grok (OpenAI-compatible)
+llmProviderRegistry.register(createOpenAICompatibleAdapter({
+  name: 'Grok',
+  apiUrl: 'https://api.x.ai/v1/chat/completions',
+  modelsUrl: 'https://api.x.ai/v1/models',
+  apiKeyPlaceholder: 'xai-...',
+  apiKeyUrl: 'https://console.x.ai/team',
+  supportsStructuredOutput: true
+}));
+
+// Custom OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server)
+// The base URL is supplied in settings; host permission is requested at runtime
+// Structured output support varies by server, so responses use the text parser
+llmProviderRegistry.register(createOpenAICompatibleAdapter({
+  name: 'Custom',
+  label: 'Custom (OpenAI-compatible)',
+  apiUrl: '{baseUrl}/chat/completions',
+  modelsUrl: '{baseUrl}/models',
+  apiKeyPlaceholder: 'Optional - leave empty for local servers',
+  apiKeyUrl: '',
+  baseUrlPlaceholder: 'http://localhost:11434/v1',
+  requiresBaseUrl: true,
+  apiKeyOptional: true,
+  // Local servers rarely report creation dates
+  mapModel: model => ({ id: model.id, name: model.id }),
+  sortModels: models => models.sort((a, b) => a.id.localeCompare(b.id))
+}));
+
+// Expose to global scope so config.js and background.js can use it
+globalThis.llmProviderRegistry = llmProviderRegistry;
+globalThis.createOpenAICompatibleAdapter = createOpenAICompatibleAdapter;
+globalThis.resolveEndpointUrl = resolveEndpointUrl;
+globalThis.buildCategorizationSchema = buildCategorizationSchema;
+
+// Only assign to window if it exists (not in service worker)
+if (typeof window !== 'undefined') {
+  window.llmProviderRegistry = llmProviderRegistry;
+}
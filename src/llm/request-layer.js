@@ -0,0 +1,286 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * LLM Request Layer - retries, backoff, rate limiting and circuit breaking for provider calls
+ */
+
+// Loaded as a classic script in the background after provider-registry.js:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+
+const LLM_RETRY_DEFAULTS = {
+  maxRetries: 3,            // Retries after the first attempt
+  baseDelayMs: 1000,        // First backoff delay, doubled on each retry
+  maxDelayMs: 20000,        // Cap for computed backoff delays
+  maxRetryAfterMs: 30000,   // Longer Retry-After values fail fast so failover can kick in
+  requestsPerMinute: 60,    // Default per-provider rate limit (adapters can override via rateLimit)
+  failureThreshold: 3,      // Consecutive failed requests before the circuit opens
+  cooldownMs: 60000         // How long an open circuit rejects requests
+};
+
+// Bad requests, auth errors and unknown models - settings need fixing, another provider won't hide that
+const NO_FAILOVER_STATUSES = [400, 401, 403, 404];
+
+/**
+ * Error raised by the request layer
+ * retryable is true for rate limits, server errors, network errors and open circuits, which are
+ * worth retrying; failover is false for the client errors where trying another provider is wrong.
+ */
+class ProviderRequestError extends Error {
+  constructor(message, { provider, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderRequestError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.failover = !NO_FAILOVER_STATUSES.includes(status);
+  }
+}
+
+/**
+ * Spaces requests to a provider so they don't exceed requestsPerMinute
+ */
+class ProviderRateLimiter {
+  constructor(requestsPerMinute) {
+    this.intervalMs = Math.ceil(60000 / requestsPerMinute);
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Wait until the next request slot is available
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+/**
+ * Per-provider circuit breaker
+ * closed -> open after failureThreshold consecutive failures;
+ * open -> half-open after cooldownMs, where a single trial request decides whether to close again
+ * (other requests are rejected while it is in flight).
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  /**
+   * Check whether a request would be rejected, without taking the half-open trial
+   * @returns {boolean}
+   */
+  isOpen() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+    return this.state === 'open' || (this.state === 'half-open' && this.probing);
+  }
+
+  /**
+   * Take permission to send a request (the trial request when half-open)
+   * @returns {boolean}
+   */
+  acquire() {
+    if (this.isOpen()) return false;
+    if (this.state === 'half-open') {
+      this.probing = true;
+    }
+    return true;
+  }
+
+  /**
+   * Give back a trial request that neither proved nor disproved the provider (e.g. a bad request)
+   */
+  release() {
+    this.probing = false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+class LLMRequestLayer {
+  constructor(options = {}) {
+    this.options = { ...LLM_RETRY_DEFAULTS, ...options };
+    this.rateLimiters = new Map(); // Map<provider, ProviderRateLimiter>
+    this.breakers = new Map();     // Map<provider, CircuitBreaker>
+  }
+
+  getRateLimiter(adapter) {
+    if (!this.rateLimiters.has(adapter.name)) {
+      const requestsPerMinute = adapter.rateLimit?.requestsPerMinute || this.options.requestsPerMinute;
+      this.rateLimiters.set(adapter.name, new ProviderRateLimiter(requestsPerMinute));
+    }
+    return this.rateLimiters.get(adapter.name);
+  }
+
+  getBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      this.breakers.set(providerName, new CircuitBreaker(this.options));
+    }
+    return this.breakers.get(providerName);
+  }
+
+  /**
+   * Check whether a provider's circuit is currently open
+   * @param {string} providerName - Provider name
+   * @returns {boolean}
+   */
+  isCircuitOpen(providerName) {
+    return this.getBreaker(providerName).isOpen();
+  }
+
+  /**
+   * Fetch with rate limiting, retries and circuit breaking
+   * Resolves with an ok Response; throws ProviderRequestError otherwise.
+   * @param {Object} adapter - Provider adapter (name and optional rateLimit are used)
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  async fetch(adapter, url, options) {
+    const breaker = this.getBreaker(adapter.name);
+    if (!breaker.acquire()) {
+      throw new ProviderRequestError(`${adapter.name} is temporarily unavailable (circuit open)`, {
+        provider: adapter.name,
+        retryable: true
+      });
+    }
+
+    const rateLimiter = this.getRateLimiter(adapter);
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      await rateLimiter.acquire();
+
+      try {
+        const response = await this.attempt(adapter, url, options);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable || attempt === this.options.maxRetries) {
+          break;
+        }
+
+        const delayMs = this.getRetryDelay(error, attempt);
+        if (delayMs === null) {
+          break;
+        }
+        console.warn(`${adapter.name} request failed (${error.message}), retrying in ${delayMs}ms`);
+        await sleep(delayMs);
+      }
+    }
+
+    // Only provider-side failures count against the circuit; bad requests and auth errors don't
+    if (lastError.retryable) {
+      breaker.recordFailure();
+    } else {
+      breaker.release();
+    }
+    throw lastError;
+  }
+
+  /**
+   * Single request attempt, converting failures into ProviderRequestError
+   */
+  async attempt(adapter, url, options) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (fetchError) {
+      console.error('Fetch failed:', fetchError);
+      throw new ProviderRequestError(`Network error: ${fetchError.message}`, {
+        provider: adapter.name,
+        retryable: true
+      });
+    }
+
+    if (response.ok) {
+      return response;
+    }
+
+    let errorText;
+    try {
+      errorText = await response.text();
+    } catch (e) {
+      errorText = 'Unable to read error response';
+    }
+    console.error(`${adapter.name} API error response:`, response.status, errorText);
+
+    throw new ProviderRequestError(`API request failed: ${response.status} - ${errorText}`, {
+      provider: adapter.name,
+      status: response.status,
+      retryable: isRetryableStatus(response.status),
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After when given, otherwise exponential backoff with jitter
+   * @returns {number|null} Delay in ms, or null to stop retrying
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return error.retryAfterMs <= this.options.maxRetryAfterMs ? error.retryAfterMs : null;
+    }
+    const backoff = Math.min(this.options.baseDelayMs * Math.pow(2, attempt), this.options.maxDelayMs);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+}
+
+// Rate limits, timeouts and server errors (including Anthropic's 529 overloaded)
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create global instance
+const llmRequestLayer = new LLMRequestLayer();
+
+// Expose to global scope so background.js can use it
+globalThis.llmRequestLayer = llmRequestLayer;
+globalThis.ProviderRequestError = ProviderRequestError;
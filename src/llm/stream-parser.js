@@ -0,0 +1,198 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * LLM Stream Parser - server-sent events reader and incremental JSON parser for streamed completions
+ */
+
+// Loaded as a classic script in the background after request-layer.js:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+
+/**
+ * Read a server-sent events response body, calling onEvent with each parsed data payload
+ * Events whose data is not JSON (e.g. OpenAI's [DONE] marker) are skipped.
+ * @param {Response} response - fetch Response with an event-stream body
+ * @param {Function} onEvent - Called with each event's parsed JSON data
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    // Multi-line data fields are joined with newlines per the SSE spec
+    const data = rawEvent
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (!data || data === '[DONE]') return;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (e) {
+      console.warn('Skipping non-JSON stream event:', data.substring(0, 100));
+      return;
+    }
+    onEvent(payload);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
+/**
+ * Incremental JSON parser for a streamed categorization response
+ * Text is pushed as it arrives; onValue is called as soon as a value nested directly in the
+ * top-level object, or in an array inside it, is complete. That covers both response shapes:
+ * { "categorizations": [ { id, category }, ... ] } and { "<id>": category, ... }.
+ * Text before the first '{' (prose, ```json fences) and after the top-level object is ignored.
+ */
+class IncrementalJSONParser {
+  /**
+   * @param {Function} onValue - Called with { value, key, depth } where depth is the
+   *   nesting level of the containing object/array (1 = top-level object)
+   */
+  constructor(onValue) {
+    this.onValue = onValue;
+    this.buffer = '';
+    this.pos = 0;
+    this.stack = [];           // Open containers: { type, start, key, expectKey, index }
+    this.started = false;
+    this.done = false;
+    this.inString = false;
+    this.escaped = false;
+    this.tokenStart = -1;      // Start of the current string or primitive
+  }
+
+  /**
+   * Feed the next chunk of response text
+   * @param {string} chunk - Text delta
+   */
+  push(chunk) {
+    if (this.done) return;
+    this.buffer += chunk;
+
+    for (; this.pos < this.buffer.length && !this.done; this.pos++) {
+      const char = this.buffer[this.pos];
+
+      if (!this.started) {
+        if (char === '{') {
+          this.started = true;
+          this.openContainer('object');
+        }
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          this.completeString();
+        }
+        continue;
+      }
+
+      // Primitives (numbers, true/false/null) end at the next delimiter
+      if (this.tokenStart !== -1) {
+        if (!/[,}\]\s]/.test(char)) continue;
+        this.completeValue(this.buffer.slice(this.tokenStart, this.pos));
+        this.tokenStart = -1;
+      }
+
+      const container = this.stack[this.stack.length - 1];
+      switch (char) {
+        case '"':
+          this.inString = true;
+          this.tokenStart = this.pos;
+          break;
+        case '{':
+          this.openContainer('object');
+          break;
+        case '[':
+          this.openContainer('array');
+          break;
+        case '}':
+        case ']': {
+          const closed = this.stack.pop();
+          this.completeValue(this.buffer.slice(closed.start, this.pos + 1));
+          break;
+        }
+        case ',':
+          if (container.type === 'object') container.expectKey = true;
+          break;
+        case ':':
+          break;
+        default:
+          if (!/\s/.test(char)) this.tokenStart = this.pos;
+      }
+    }
+  }
+
+  openContainer(type) {
+    this.stack.push({ type, start: this.pos, key: null, expectKey: type === 'object', index: 0 });
+  }
+
+  completeString() {
+    const text = this.buffer.slice(this.tokenStart, this.pos + 1);
+    this.tokenStart = -1;
+
+    const container = this.stack[this.stack.length - 1];
+    if (container.type === 'object' && container.expectKey) {
+      container.key = this.parse(text);
+      container.expectKey = false;
+      return;
+    }
+    this.completeValue(text);
+  }
+
+  completeValue(text) {
+    const container = this.stack[this.stack.length - 1];
+    if (!container) {
+      // The top-level object itself closed
+      this.done = true;
+      return;
+    }
+
+    const key = container.type === 'object' ? container.key : container.index++;
+    const depth = this.stack.length;
+    // Deeper values are reported as part of their enclosing entry
+    if (depth === 1 || (depth === 2 && container.type === 'array')) {
+      const value = this.parse(text);
+      if (value !== undefined) {
+        this.onValue({ value, key, depth });
+      }
+    }
+  }
+
+  parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+}
+
+// Expose to global scope so background.js can use it
+globalThis.readServerSentEvents = readServerSentEvents;
+globalThis.IncrementalJSONParser = IncrementalJSONParser;
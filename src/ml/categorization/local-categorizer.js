@@ -0,0 +1,54 @@
+/*
+ * AI Tab Manager - Local Categorizer
+ * Rules + local model categorization for the background categorize-on-open mode
+ */
+
+import { getMLCategorizer } from './ml-categorizer.js';
+import { getActiveRules } from '../../modules/rules-categorizer.js';
+
+// The popup retrains the model; reload it periodically so background predictions stay current
+const MODEL_RELOAD_INTERVAL_MS = 10 * 60 * 1000;
+
+let loadedAt = 0;
+
+/**
+ * Categorize tabs with rules and the local model (plus LLM results when given)
+ * Uses the same ensemble voting as the popup so confidences are comparable.
+ * @param {Array} tabs - Tabs with id, url and title
+ * @param {Object} settings - { rules, rulePacks, ruleContext, useML }
+ * @param {Object|null} llmResults - LLM results by category ({ 1: [tabs], 2: [tabs], 3: [tabs] })
+ * @returns {Promise<Object>} Predictions by tab ID: { category, confidence, source }
+ */
+export async function categorizeLocally(tabs, settings = {}, llmResults = null) {
+  const forceReload = Date.now() - loadedAt > MODEL_RELOAD_INTERVAL_MS;
+  const categorizer = await getMLCategorizer(forceReload, settings);
+  if (forceReload) {
+    loadedAt = Date.now();
+  }
+
+  const rules = getActiveRules(settings);
+  const { metadata } = await categorizer.categorizeTabs(tabs, {
+    rules,
+    ruleContext: settings.ruleContext || {},
+    llmResults,
+    useML: settings.useML !== false,
+    useRules: rules.length > 0,
+    useLLM: llmResults !== null
+  });
+
+  // Tabs no method could decide are left out (voting skips them)
+  const predictions = {};
+  Object.entries(metadata || {}).forEach(([tabId, decision]) => {
+    predictions[tabId] = {
+      category: decision.category,
+      confidence: decision.combinedConfidence ?? decision.confidence ?? 0,
+      source: decision.source || null
+    };
+  });
+
+  return predictions;
+}
+
+export default {
+  categorizeLocally
+};
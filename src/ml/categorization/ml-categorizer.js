@@ -171,6 +171,7 @@ export class MLCategorizer {
     
     const {
       rules = [],
+      ruleContext = {},
       llmResults = null,
       useLLM = true,
       useML = true,
@@ -182,7 +183,7 @@ export class MLCategorizer {
     
     // 1. Rule-based predictions
     if (useRules && rules.length > 0) {
-      allPredictions.rules = await this.getRulePredictions(tabs, rules);
+      allPredictions.rules = await this.getRulePredictions(tabs, rules, ruleContext);
     }
     
     // 2. ML predictions
@@ -204,10 +205,15 @@ export class MLCategorizer {
     // 4. Ensemble voting
     const votingResults = await this.voter.vote(allPredictions);
     
-    // 5. Format final results
-    const finalResults = this.formatFinalResults(tabs, votingResults);
+    // 5. "At least" rules raise the voted category
+    if (useRules && rules.length > 0) {
+      await this.applyCategoryFloors(tabs, votingResults, rules, ruleContext);
+    }
+    
+    // 6. Format final results
+    const finalResults = this.formatFinalResults(tabs, votingResults, allPredictions.llm);
     
-    // 6. Track performance for enabled methods
+    // 7. Track performance for enabled methods
     await this.trackPerformance(votingResults);
     
     return finalResults;
@@ -215,63 +221,27 @@ export class MLCategorizer {
   
   /**
    * Get rule-based predictions
+   * @param {Array} tabs - Tabs to categorize
+   * @param {Array} rules - Rules (flat rules are migrated on the fly)
+   * @param {Object} ruleContext - { now, currentWindowId, windowDomains } for window/time conditions
    */
-  async getRulePredictions(tabs, rules) {
+  async getRulePredictions(tabs, rules, ruleContext = {}) {
     const predictions = {};
     
-    // Import rule application logic
-    const { applyRulesToTabs } = await import('../../modules/categorization-service.js');
-    const { extractDomain } = await import('../../utils/helpers.js');
-    const { RULE_TYPES, RULE_FIELDS } = await import('../../utils/constants.js');
+    // Import rule evaluation logic
+    const { findMatchingRule } = await import('../../modules/rules-categorizer.js');
     
-    // Apply rules to each tab
     tabs.forEach(tab => {
-      let category = null;
-      let confidence = 1.0; // Rules are deterministic
-      
-      // Check each rule
-      for (const rule of rules) {
-        if (!rule.enabled) continue;
-        
-        let matches = false;
-        
-        switch (rule.type) {
-          case RULE_TYPES.DOMAIN:
-            const tabDomain = extractDomain(tab.url);
-            matches = tabDomain === rule.value;
-            break;
-            
-          case RULE_TYPES.URL_CONTAINS:
-            matches = tab.url.includes(rule.value);
-            break;
-            
-          case RULE_TYPES.TITLE_CONTAINS:
-            matches = tab.title && tab.title.includes(rule.value);
-            break;
-            
-          case RULE_TYPES.REGEX:
-            try {
-              const regex = new RegExp(rule.value);
-              const field = rule.field === RULE_FIELDS.TITLE ? tab.title : tab.url;
-              matches = regex.test(field);
-            } catch (e) {
-              console.error('Invalid regex:', rule.value, e);
-            }
-            break;
-        }
-        
-        if (matches) {
-          category = rule.category;
-          break; // Apply first matching rule only
-        }
-      }
+      // Apply first matching rule only
+      const rule = findMatchingRule(tab, rules, ruleContext);
       
       // Store prediction if matched
-      if (category !== null) {
+      if (rule) {
         predictions[tab.id] = {
-          category,
-          confidence,
-          source: 'rules'
+          category: rule.category,
+          confidence: 1.0, // Rules are deterministic
+          source: 'rules',
+          ruleId: rule.id
         };
       }
     });
@@ -279,6 +249,35 @@ export class MLCategorizer {
     return predictions;
   }
   
+  /**
+   * Raise voted categories to the minimum set by matching "at least" rules
+   * Tabs no method could decide get the minimum category.
+   * @param {Array} tabs - Tabs that were voted on
+   * @param {Object} votingResults - Voter result ({ categories, metadata }), updated in place
+   * @param {Array} rules - Rules (flat rules are migrated on the fly)
+   * @param {Object} ruleContext - { now, currentWindowId, windowDomains }
+   */
+  async applyCategoryFloors(tabs, votingResults, rules, ruleContext = {}) {
+    const { getCategoryFloor, meetsCategoryFloor } = await import('../../modules/rules-categorizer.js');
+    const metadata = votingResults.metadata || (votingResults.metadata = {});
+    
+    tabs.forEach(tab => {
+      const floor = getCategoryFloor(tab, rules, ruleContext);
+      const voted = votingResults.categories[tab.id];
+      if (meetsCategoryFloor(voted, floor)) return;
+      
+      votingResults.categories[tab.id] = floor;
+      metadata[tab.id] = {
+        ...metadata[tab.id],
+        category: floor,
+        votedCategory: voted ?? null,
+        source: 'rules',
+        combinedConfidence: metadata[tab.id]?.combinedConfidence ?? 1.0,
+        reasoning: 'Raised to the minimum category of an "at least" rule'
+      };
+    });
+  }
+  
   /**
    * Get ML predictions
    */
@@ -354,8 +353,11 @@ export class MLCategorizer {
       categoryTabs.forEach(tab => {
         predictions[tab.id] = {
           category: parseInt(category),
-          confidence: 0.8, // Default LLM confidence
-          source: 'llm'
+          // Use the LLM's own confidence in explain mode, otherwise a fixed default
+          confidence: tab.llmExplanation?.confidence ?? 0.8,
+          reason: tab.llmExplanation?.reason || null,
+          source: 'llm',
+          categorizedBy: tab.categorizedBy || null // Provider/model that answered (may be a fallback)
         };
       });
     });
@@ -366,13 +368,8 @@ export class MLCategorizer {
   /**
    * Format final results for categorization service
    */
-  formatFinalResults(tabs, votingResults) {
-    const categorized = {
-      [TAB_CATEGORIES.UNCATEGORIZED]: [],
-      [TAB_CATEGORIES.CAN_CLOSE]: [],
-      [TAB_CATEGORIES.SAVE_LATER]: [],
-      [TAB_CATEGORIES.IMPORTANT]: []
-    };
+  formatFinalResults(tabs, votingResults, llmPredictions = {}) {
+    const categorized = globalThis.categoryRegistry.createCategoryBuckets(true);
     
     const metadata = votingResults.metadata || {};
     
@@ -385,6 +382,17 @@ export class MLCategorizer {
           ...tab,
           mlMetadata: metadata[tab.id]
         };
+        const llmPrediction = llmPredictions[tab.id];
+        if (llmPrediction?.categorizedBy) {
+          tabWithMetadata.categorizedBy = llmPrediction.categorizedBy;
+        }
+        if (llmPrediction?.reason) {
+          tabWithMetadata.llmExplanation = {
+            category: llmPrediction.category,
+            confidence: llmPrediction.confidence,
+            reason: llmPrediction.reason
+          };
+        }
         categorized[category].push(tabWithMetadata);
       } else {
         // Uncategorized
@@ -4,6 +4,7 @@
  */
 
 import { getTrainingData } from '../storage/ml-database.js';
+import { ML_CONFIG } from '../model-config.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -35,7 +36,7 @@ export async function validateAllTrainingData() {
     if (typeof category !== 'number' || 
         !Number.isInteger(category) || 
         category < 0 || 
-        category > 3) {
+        category >= ML_CONFIG.model.output.numClasses) {
       
       report.invalidRecords++;
       
@@ -78,7 +79,7 @@ export async function validateAllTrainingData() {
   logger.mlDiagnostic('Category distribution:');
   const sortedCategories = Array.from(report.categoryDistribution.entries()).sort((a, b) => a[0] - b[0]);
   sortedCategories.forEach(([category, count]) => {
-    const isValid = Number.isInteger(category) && category >= 0 && category <= 3;
+    const isValid = Number.isInteger(category) && category >= 0 && category < ML_CONFIG.model.output.numClasses;
     logger.mlDiagnostic(`   Category ${category}: ${count} records ${isValid ? '' : '⚠️ INVALID'}`);
   });
   
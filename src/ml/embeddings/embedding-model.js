@@ -113,7 +113,7 @@ export function createFeatureEmbedder(vocabulary) {
  */
 export function prepareEmbeddingInputs(tab, vocabulary) {
   // Encode tokens
-  const encoded = vocabulary.encode(tab.url, tab.title);
+  const encoded = vocabulary.encode(tab.url, tab.title, null, null, tab.pageContent);
   
   // Extract engineered features - simplified to match expected shape
   const urlFeatures = extractAllFeatures(tab.url);
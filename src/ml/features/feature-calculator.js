@@ -20,7 +20,7 @@ export async function calculateFeaturesForTrainingData(data) {
     
     // Calculate features using the same function used during training
     const inputs = prepareEmbeddingInputs(
-      { url: data.url, title: data.title },
+      { url: data.url, title: data.title, pageContent: data.pageContent },
       vocabulary
     );
     
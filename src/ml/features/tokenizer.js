@@ -1,8 +1,24 @@
 /*
  * AI Tab Manager - Text Tokenizer
- * Tokenization for URLs and titles
+ * Tokenization for URLs, titles and extracted page content
  */
 
+// Common stop words removed from titles and page content
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+  'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'be',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+  'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these',
+  'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which',
+  'who', 'when', 'where', 'why', 'how', 'all', 'each', 'every', 'some',
+  'any', 'few', 'more', 'most', 'other', 'into', 'through', 'during',
+  'before', 'after', 'above', 'below', 'up', 'down', 'out', 'off', 'over',
+  'under', 'again', 'then', 'once'
+]);
+
+// Maximum content tokens per tab so page text can't crowd out the title
+const MAX_CONTENT_TOKENS = 16;
+
 /**
  * Tokenize a URL into meaningful parts with n-grams
  * @param {string} url - URL to tokenize
@@ -86,19 +102,7 @@ export function tokenizeTitle(title, includeNGrams = true) {
     .filter(token => token.length > 1);
   
   // Remove common stop words
-  const stopWords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-    'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'be',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-    'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these',
-    'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which',
-    'who', 'when', 'where', 'why', 'how', 'all', 'each', 'every', 'some',
-    'any', 'few', 'more', 'most', 'other', 'into', 'through', 'during',
-    'before', 'after', 'above', 'below', 'up', 'down', 'out', 'off', 'over',
-    'under', 'again', 'then', 'once'
-  ]);
-  
-  const filteredTokens = tokens.filter(token => !stopWords.has(token));
+  const filteredTokens = tokens.filter(token => !STOP_WORDS.has(token));
   
   // Start with individual tokens
   const result = [...filteredTokens];
@@ -120,6 +124,28 @@ export function tokenizeTitle(title, includeNGrams = true) {
   return result;
 }
 
+/**
+ * Tokenize extracted page content (meta description + excerpt)
+ * Tokens are prefixed so they stay distinct from the same words in titles.
+ * @param {Object} pageContent - { description, excerpt } from page content extraction
+ * @param {number} maxTokens - Maximum number of tokens to return
+ * @returns {Array<string>} Unique content tokens in order of appearance
+ */
+export function tokenizeContent(pageContent, maxTokens = MAX_CONTENT_TOKENS) {
+  if (!pageContent) return [];
+  
+  const text = `${pageContent.description || ''} ${pageContent.excerpt || ''}`;
+  const words = text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 2 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+  
+  return [...new Set(words)]
+    .slice(0, maxTokens)
+    .map(token => `content_${token}`);
+}
+
 /**
  * Extract n-grams from tokens
  * @param {Array<string>} tokens - Array of tokens
@@ -271,6 +297,7 @@ export function getTokenStats(tokens) {
 export default {
   tokenizeURL,
   tokenizeTitle,
+  tokenizeContent,
   extractNGrams,
   extractCharNGrams,
   combineTokens,
@@ -5,7 +5,7 @@
 
 import { ML_CONFIG } from '../model-config.js';
 import { saveVocabulary, loadVocabulary } from '../storage/ml-database.js';
-import { tokenizeURL, tokenizeTitle, isValidToken } from './tokenizer.js';
+import { tokenizeURL, tokenizeTitle, tokenizeContent, isValidToken } from './tokenizer.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -44,11 +44,11 @@ export class Vocabulary {
   }
   
   /**
-   * Add tokens from a URL and title
+   * Add tokens from a URL, title and optional extracted page content
    */
-  addDocument(url, title) {
+  addDocument(url, title, pageContent = null) {
     const urlTokens = tokenizeURL(url);
-    const titleTokens = tokenizeTitle(title);
+    const titleTokens = [...tokenizeTitle(title), ...tokenizeContent(pageContent)];
     
     // Count all tokens
     [...urlTokens, ...titleTokens].forEach(token => {
@@ -265,13 +265,15 @@ export class Vocabulary {
   
   /**
    * Encode a URL and title to token IDs
+   * Page content tokens (if any) fill the title sequence after the title's own tokens,
+   * so the model input shape is unchanged.
    */
-  encode(url, title, maxUrlLength = null, maxTitleLength = null) {
+  encode(url, title, maxUrlLength = null, maxTitleLength = null, pageContent = null) {
     maxUrlLength = maxUrlLength || ML_CONFIG.model.inputFeatures.maxUrlLength;
     maxTitleLength = maxTitleLength || ML_CONFIG.model.inputFeatures.maxTitleLength;
     
     const urlTokens = tokenizeURL(url);
-    const titleTokens = tokenizeTitle(title);
+    const titleTokens = [...tokenizeTitle(title), ...tokenizeContent(pageContent)];
     
     // Convert tokens to IDs
     const urlIds = urlTokens
@@ -499,7 +501,7 @@ export async function updateVocabulary(documents, options = {}) {
   
   // Always add documents to update token counts
   documents.forEach(doc => {
-    vocab.addDocument(doc.url, doc.title);
+    vocab.addDocument(doc.url, doc.title, doc.pageContent);
   });
   
   if (!vocab.finalized) {
@@ -4,12 +4,33 @@
  */
 
 import { ML_CONFIG } from '../model-config.js';
-import { addTrainingData, recordMetric } from '../storage/ml-database.js';
+import { addTrainingData, getTrainingData, recordMetric } from '../storage/ml-database.js';
 import { getTrustManager } from '../trust/trust-manager.js';
 import logger from '../../utils/logger.js';
 import { getModelTrainer } from '../training/trainer.js';
 import { getPerformanceTracker } from '../trust/performance-tracker.js';
 import { calculateFeaturesForTrainingData } from '../features/feature-calculator.js';
+import { RULE_GROUP_OPS, RULE_CONDITION_FIELDS, RULE_OPERATORS } from '../../utils/constants.js';
+import { getConditionKey } from '../../modules/rules-categorizer.js';
+
+// Corrections needed before a pattern is considered significant
+const MIN_PATTERN_SUPPORT = 3;
+
+// Recent corrections kept per pattern (used as suggestion examples)
+const MAX_PATTERN_EXAMPLES = 50;
+
+const urlContains = (value) => ({ field: RULE_CONDITION_FIELDS.URL, operator: RULE_OPERATORS.CONTAINS, value });
+const urlMatches = (value) => ({ field: RULE_CONDITION_FIELDS.URL, operator: RULE_OPERATORS.MATCHES, value });
+
+// Rule conditions for the patterns found by extractUrlPatterns
+const URL_PATTERN_CONDITIONS = {
+  search: urlContains('/search'),
+  auth: { op: RULE_GROUP_OPS.OR, conditions: [urlContains('/login'), urlContains('/signin')] },
+  checkout: { op: RULE_GROUP_OPS.OR, conditions: [urlContains('/checkout'), urlContains('/cart')] },
+  docs: { op: RULE_GROUP_OPS.OR, conditions: [urlContains('/docs'), urlContains('/documentation')] },
+  date_path: urlMatches('/\\d{4}/\\d{2}/'),
+  uuid: urlMatches('[a-f0-9]{8}-[a-f0-9]{4}')
+};
 
 /**
  * Feedback Processor for continuous learning
@@ -20,6 +41,7 @@ export class FeedbackProcessor {
     this.performanceTracker = getPerformanceTracker();
     this.pendingFeedback = [];
     this.correctionPatterns = new Map();
+    this.correctionPatternsLoaded = false;
     this.learningQueue = [];
     this.isProcessing = false;
   }
@@ -277,8 +299,8 @@ export class FeedbackProcessor {
       this.correctionPatterns.set(pattern, {
         count: 0,
         examples: [],
-        domains: new Set(),
-        urlPatterns: new Set()
+        domains: new Map(),     // domain -> correction count
+        urlPatterns: new Map()  // URL pattern -> correction count
       });
     }
     
@@ -288,22 +310,45 @@ export class FeedbackProcessor {
     
     // Extract domain
     try {
-      const domain = new URL(tab.url).hostname;
-      patternData.domains.add(domain);
+      const domain = new URL(tab.url).hostname.replace(/^www\./, '');
+      patternData.domains.set(domain, (patternData.domains.get(domain) || 0) + 1);
     } catch (e) {
       // Invalid URL
     }
     
     // Look for URL patterns
     const urlPatterns = this.extractUrlPatterns(tab.url);
-    urlPatterns.forEach(p => patternData.urlPatterns.add(p));
+    urlPatterns.forEach(p => patternData.urlPatterns.set(p, (patternData.urlPatterns.get(p) || 0) + 1));
     
     // Keep only recent examples
-    if (patternData.examples.length > 10) {
+    if (patternData.examples.length > MAX_PATTERN_EXAMPLES) {
       patternData.examples.shift();
     }
   }
   
+  /**
+   * Rebuild correction patterns from stored corrections
+   * Patterns are otherwise only tracked in memory, so they'd be lost whenever the popup closes.
+   * Each corrected URL counts once, with its latest correction.
+   */
+  async loadCorrectionPatterns() {
+    if (this.correctionPatternsLoaded) return;
+    
+    const trainingData = await getTrainingData();
+    this.correctionPatterns = new Map();
+    
+    trainingData
+      .filter(record => record.corrected && record.metadata?.originalCategory !== undefined)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(record => {
+        if (record.metadata.originalCategory !== record.category) {
+          this.trackCorrectionPattern(record, record.metadata.originalCategory, record.category);
+        }
+      });
+    
+    this.correctionPatternsLoaded = true;
+  }
+  
   /**
    * Extract patterns from URL
    */
@@ -422,12 +467,12 @@ export class FeedbackProcessor {
     const patterns = [];
     
     this.correctionPatterns.forEach((data, pattern) => {
-      if (data.count >= 3) { // Significant pattern
+      if (data.count >= MIN_PATTERN_SUPPORT) { // Significant pattern
         patterns.push({
           pattern,
           count: data.count,
-          domains: Array.from(data.domains).slice(0, 5),
-          urlPatterns: Array.from(data.urlPatterns),
+          domains: Array.from(data.domains.keys()).slice(0, 5),
+          urlPatterns: Array.from(data.urlPatterns.keys()),
           suggestion: this.generateRuleSuggestion(pattern, data)
         });
       }
@@ -443,31 +488,80 @@ export class FeedbackProcessor {
    * Generate rule suggestion from pattern
    */
   generateRuleSuggestion(pattern, data) {
+    return this.generateRuleSuggestions(pattern, data)[0] || null;
+  }
+  
+  /**
+   * Generate rule suggestions (domain and URL pattern rules) from one correction pattern
+   * @param {string} pattern - "from->to"
+   * @param {Object} data - Pattern data
+   * @param {number} minSupport - Corrections a suggestion needs
+   * @returns {Array} [{ category, condition, support, examples }] - most supported first
+   */
+  generateRuleSuggestions(pattern, data, minSupport = MIN_PATTERN_SUPPORT) {
     const [, to] = pattern.split('->').map(Number);
+    const suggestions = [];
+    
+    data.domains.forEach((support, domain) => {
+      if (support >= minSupport) {
+        suggestions.push({
+          category: to,
+          condition: {
+            op: RULE_GROUP_OPS.AND,
+            conditions: [{ field: RULE_CONDITION_FIELDS.DOMAIN, operator: RULE_OPERATORS.IS, value: domain }]
+          },
+          support,
+          examples: data.examples.filter(example => {
+            try {
+              const hostname = new URL(example.url).hostname.replace(/^www\./, '');
+              return hostname === domain;
+            } catch (e) {
+              return false;
+            }
+          })
+        });
+      }
+    });
     
-    // Check if there's a dominant domain
-    if (data.domains.size === 1) {
-      const domain = Array.from(data.domains)[0];
-      return {
-        type: 'domain',
-        value: domain,
-        category: to,
-        confidence: 0.9
-      };
-    }
+    data.urlPatterns.forEach((support, urlPattern) => {
+      if (support >= minSupport && URL_PATTERN_CONDITIONS[urlPattern]) {
+        suggestions.push({
+          category: to,
+          condition: { op: RULE_GROUP_OPS.AND, conditions: [URL_PATTERN_CONDITIONS[urlPattern]] },
+          support,
+          examples: data.examples.filter(example => this.extractUrlPatterns(example.url).includes(urlPattern))
+        });
+      }
+    });
     
-    // Check for URL patterns
-    if (data.urlPatterns.size > 0) {
-      const mostCommon = Array.from(data.urlPatterns)[0];
-      return {
-        type: 'url_pattern',
-        value: mostCommon,
-        category: to,
-        confidence: 0.7
-      };
-    }
+    return suggestions.sort((a, b) => b.support - a.support);
+  }
+  
+  /**
+   * Get rule suggestions from all correction patterns
+   * Suggestions for the same rule coming from different original categories are merged.
+   * @param {number} minSupport - Corrections a suggestion needs
+   * @returns {Array} [{ key, category, condition, support, examples }]
+   */
+  getRuleSuggestions(minSupport = MIN_PATTERN_SUPPORT) {
+    const merged = new Map();
+    
+    this.correctionPatterns.forEach((data, pattern) => {
+      this.generateRuleSuggestions(pattern, data, 1).forEach(suggestion => {
+        const key = `${suggestion.category}:${getConditionKey(suggestion.condition)}`;
+        const existing = merged.get(key);
+        if (existing) {
+          existing.support += suggestion.support;
+          existing.examples.push(...suggestion.examples);
+        } else {
+          merged.set(key, { key, ...suggestion, examples: [...suggestion.examples] });
+        }
+      });
+    });
     
-    return null;
+    return Array.from(merged.values())
+      .filter(suggestion => suggestion.support >= minSupport)
+      .sort((a, b) => b.support - a.support);
   }
   
   /**
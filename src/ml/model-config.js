@@ -21,7 +21,10 @@ export const ML_CONFIG = {
     },
      
     output: {
-      numClasses: 4,         // Number of categories (0-3)
+      // Number of categories: 0-3 plus user categories (a new category means retraining)
+      get numClasses() {
+        return globalThis.categoryRegistry ? globalThis.categoryRegistry.getNumClasses() : 4;
+      },
       activation: 'softmax'  // Output activation
     }
   },
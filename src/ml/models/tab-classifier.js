@@ -8,6 +8,7 @@ import { loadTensorFlow, getTensorFlow } from '../tensorflow-loader.js';
 import { createFeatureEmbedder, prepareEmbeddingInputs } from '../embeddings/embedding-model.js';
 import { saveModel, loadModel, FEATURE_VERSION } from '../storage/ml-database.js';
 import { getOrCreateVocabulary } from '../features/vocabulary.js';
+import { calculateConfusionMatrix, calculatePerClassMetrics } from '../training/validation.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -285,11 +286,12 @@ export class TabClassifier {
         calculatedFeatureCount++;
       }
       
-      // Validate category is in valid range [0, 3]
+      // Validate category is in valid range [0, numClasses - 1]
       const category = example.category;
-      if (typeof category !== 'number' || category < 0 || category > 3 || !Number.isInteger(category)) {
+      const maxCategory = ML_CONFIG.model.output.numClasses - 1;
+      if (typeof category !== 'number' || category < 0 || category > maxCategory || !Number.isInteger(category)) {
         logger.error(`Invalid category at index ${labels.length}: ${category}`, example);
-        throw new Error(`Invalid category value: ${category}. Must be integer in range [0, 3]`);
+        throw new Error(`Invalid category value: ${category}. Must be integer in range [0, ${maxCategory}]`);
       }
       
       labels.push(category);
@@ -568,7 +570,7 @@ export class TabClassifier {
         accuracy: this.metadata.accuracy,
         trainingSamples: this.metadata.trainingSamples,
         inputShape: this.model.inputs.map(i => i.shape),
-        outputShape: [[null, 4]], // We know the output is always [batch_size, 4 categories]
+        outputShape: [[null, ML_CONFIG.model.output.numClasses]], // [batch_size, categories]
         metadata: this.metadata
       });
       
@@ -718,7 +720,13 @@ export class TabClassifier {
       
       // IMPORTANT: Set needsInitialTraining to false for loaded models
       // This prevents BackgroundMLService from thinking the model needs training
-      classifier.needsInitialTraining = false;
+      // Unless categories were added or removed since: the model keeps predicting its old
+      // categories until a new one is trained with the current number of outputs
+      const outputClasses = loadedModel.outputs[0].shape[1];
+      classifier.needsInitialTraining = outputClasses !== ML_CONFIG.model.output.numClasses;
+      if (classifier.needsInitialTraining) {
+        logger.mlArchitecture(`Model has ${outputClasses} outputs but there are ${ML_CONFIG.model.output.numClasses} categories - retraining`);
+      }
       
       // Check if loaded model is healthy
       const isHealthy = await classifier.checkModelHealth();
@@ -842,42 +850,14 @@ export class TabClassifier {
    * Calculate confusion matrix
    */
   calculateConfusionMatrix(trueLabels, predictions) {
-    const numClasses = ML_CONFIG.model.output.numClasses;
-    const matrix = Array(numClasses).fill(null).map(() => Array(numClasses).fill(0));
-    
-    for (let i = 0; i < trueLabels.length; i++) {
-      matrix[trueLabels[i]][predictions[i]]++;
-    }
-    
-    return matrix;
+    return calculateConfusionMatrix(trueLabels, predictions);
   }
   
   /**
    * Calculate per-class metrics from confusion matrix
    */
   calculatePerClassMetrics(confusionMatrix) {
-    const metrics = [];
-    const numClasses = confusionMatrix.length;
-    
-    for (let i = 0; i < numClasses; i++) {
-      const tp = confusionMatrix[i][i];
-      const fp = confusionMatrix.reduce((sum, row, j) => sum + (j !== i ? row[i] : 0), 0);
-      const fn = confusionMatrix[i].reduce((sum, val, j) => sum + (j !== i ? val : 0), 0);
-      
-      const precision = tp / (tp + fp) || 0;
-      const recall = tp / (tp + fn) || 0;
-      const f1 = 2 * (precision * recall) / (precision + recall) || 0;
-      
-      metrics.push({
-        class: i,
-        precision,
-        recall,
-        f1,
-        support: tp + fn
-      });
-    }
-    
-    return metrics;
+    return calculatePerClassMetrics(confusionMatrix);
   }
 }
 
@@ -570,6 +570,7 @@ export async function addTrainingData(data) {
   const trainingExample = {
     url: data.url,
     title: data.title,
+    pageContent: data.pageContent || null, // Kept so features can be recalculated with content tokens
     features: data.features || null, // Store null if not provided
     featureVersion: data.featureVersion || null,
     category: data.category,
@@ -613,6 +614,8 @@ export async function addTrainingData(data) {
             category: trainingExample.category,
             features: trainingExample.features || mostRecent.features,
             featureVersion: trainingExample.featureVersion || mostRecent.featureVersion,
+            // Page content travels with the features it was calculated from
+            pageContent: trainingExample.features ? trainingExample.pageContent : (mostRecent.pageContent || null),
             timestamp: Date.now(),
             source: trainingExample.source,
             corrected: trainingExample.corrected,
@@ -1066,6 +1069,7 @@ export async function recordPrediction(prediction) {
       llm: prediction.llm
     },
     confidences: prediction.confidences || {}, // Individual method confidences
+    llmReason: prediction.llmReason || null, // LLM's short explanation (explain mode)
     weights: prediction.weights || {}, // Trust weights for each method
     final: prediction.final,
     source: prediction.source,
@@ -62,7 +62,7 @@ export class ModelTrainer {
       item.category !== null &&
       Number.isInteger(item.category) &&
       item.category >= 0 && 
-      item.category <= 3
+      item.category < ML_CONFIG.model.output.numClasses
     );
     
     
@@ -152,8 +152,8 @@ function validateExample(example) {
   
   if (example.category === undefined || example.category === null) {
     errors.push('Missing category');
-  } else if (!Number.isInteger(example.category) || example.category < 0 || example.category > 3) {
-    errors.push('Invalid category (must be 0-3)');
+  } else if (!Number.isInteger(example.category) || example.category < 0 || example.category >= ML_CONFIG.model.output.numClasses) {
+    errors.push(`Invalid category (must be 0-${ML_CONFIG.model.output.numClasses - 1})`);
   }
   
   // Check optional fields
@@ -208,6 +208,54 @@ export function validatePredictions(predictions, tabs) {
   };
 }
 
+/**
+ * Calculate confusion matrix (rows = true class, columns = predicted class)
+ * Shared by TabClassifier.evaluate and the prompt test bench.
+ * @param {Array<number>} trueLabels - True class per example
+ * @param {Array<number>} predictions - Predicted class per example
+ * @param {number} numClasses - Number of classes
+ * @returns {Array<Array<number>>} Confusion matrix
+ */
+export function calculateConfusionMatrix(trueLabels, predictions, numClasses = ML_CONFIG.model.output.numClasses) {
+  const matrix = Array(numClasses).fill(null).map(() => Array(numClasses).fill(0));
+  
+  for (let i = 0; i < trueLabels.length; i++) {
+    matrix[trueLabels[i]][predictions[i]]++;
+  }
+  
+  return matrix;
+}
+
+/**
+ * Calculate per-class precision, recall and F1 from a confusion matrix
+ * @param {Array<Array<number>>} confusionMatrix - Confusion matrix
+ * @returns {Array<Object>} { class, precision, recall, f1, support } per class
+ */
+export function calculatePerClassMetrics(confusionMatrix) {
+  const metrics = [];
+  const numClasses = confusionMatrix.length;
+  
+  for (let i = 0; i < numClasses; i++) {
+    const tp = confusionMatrix[i][i];
+    const fp = confusionMatrix.reduce((sum, row, j) => sum + (j !== i ? row[i] : 0), 0);
+    const fn = confusionMatrix[i].reduce((sum, val, j) => sum + (j !== i ? val : 0), 0);
+    
+    const precision = tp / (tp + fp) || 0;
+    const recall = tp / (tp + fn) || 0;
+    const f1 = 2 * (precision * recall) / (precision + recall) || 0;
+    
+    metrics.push({
+      class: i,
+      precision,
+      recall,
+      f1,
+      support: tp + fn
+    });
+  }
+  
+  return metrics;
+}
+
 /**
  * Clean training data
  * @param {Array} data - Raw training data
@@ -329,6 +377,8 @@ export default {
   validateTrainingData,
   validateExample,
   validatePredictions,
+  calculateConfusionMatrix,
+  calculatePerClassMetrics,
   cleanTrainingData,
   analyzeDataQuality
 };
\ No newline at end of file
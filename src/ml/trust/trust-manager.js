@@ -296,7 +296,7 @@ export class TrustManager {
     const voteDetails = [];
     
     // Calculate weighted votes for each category
-    for (let category = 0; category <= 3; category++) {
+    for (let category = 0; category < ML_CONFIG.model.output.numClasses; category++) {
       votes[category] = 0;
     }
     
@@ -43,7 +43,7 @@ export class EnsembleVoter {
       const confidences = {
         rules: rules?.[tabId]?.confidence || 1.0, // Rules are deterministic
         model: model?.[tabId]?.confidence || 0.5,
-        llm: llm?.[tabId]?.confidence || 0.8
+        llm: llm?.[tabId]?.confidence ?? 0.8 // Reported by the LLM in explain mode
       };
       
       // Make decision using trust manager
@@ -425,7 +425,7 @@ export class EnsembleVoter {
    */
   getCategoryName(category) {
     const names = ['Uncategorized', 'Ignore', 'Useful', 'Important'];
-    return names[category] || 'Unknown';
+    return names[category] || globalThis.categoryRegistry?.getCategory(category)?.name || 'Unknown';
   }
   
   /**
@@ -3,6 +3,10 @@
  * Web Worker for background categorization
  */
 
+// Categories (including user categories) and domain helpers shared with the popup and the background
+importScripts('../../utils/category-registry.js');
+importScripts('../../utils/domain-utils.js');
+
 // Worker state
 let isProcessing = false;
 let mlCategorizer = null;
@@ -65,7 +69,8 @@ async function handleCategorize(data, jobId) {
   
   try {
     const { tabs, settings, batchSize = 100 } = data;
-    const results = { 0: [], 1: [], 2: [], 3: [] };
+    self.categoryRegistry.configure(settings);
+    const results = self.categoryRegistry.createCategoryBuckets(true);
     
     // Split tabs into batches
     const batches = [];
@@ -103,26 +108,43 @@ async function handleCategorize(data, jobId) {
         domain: extractDomain(tab.url)
       }));
       
+      // Tabs a rule keeps private are categorized without the LLM
+      const llmBatch = processedBatch.filter(tab => !tab.excludeFromLLM);
+      
       // Check if LLM is enabled and we need to get LLM results
       let llmResults = null;
-      if (settings.useLLM) {
+      if (settings.useLLM && llmBatch.length > 0) {
         const apiKey = settings.apiKeys?.[settings.provider];
         const provider = settings.provider;
         const model = settings.model || settings.selectedModels?.[provider];
         const customPrompt = settings.customPrompt;
         const savedUrls = settings.savedUrls || [];
+        const baseUrl = settings.providerBaseUrls?.[provider];
+        // Ordered provider/model pairs tried by the background if the primary fails
+        const fallbacks = (settings.fallbackProviders || [])
+          .filter(fallback => fallback.provider !== provider || fallback.model !== model)
+          .map(fallback => ({
+            provider: fallback.provider,
+            model: fallback.model,
+            apiKey: settings.apiKeys?.[fallback.provider],
+            baseUrl: settings.providerBaseUrls?.[fallback.provider]
+          }));
         
-        if (apiKey && provider && model) {
+        if ((apiKey || settings.apiKeyOptional) && provider && model) {
           // Request LLM categorization from main thread
           self.postMessage({
             type: 'LLM_REQUEST',
             jobId,
             data: {
-              tabs: processedBatch,
+              tabs: llmBatch,
               apiKey,
               provider,
               model,
               customPrompt,
+              baseUrl,
+              fallbacks,
+              explain: settings.explainCategorization === true,
+              monthlyBudget: settings.monthlyBudget || 0,
               savedUrls
             }
           });
@@ -141,7 +163,7 @@ async function handleCategorize(data, jobId) {
             setTimeout(() => {
               self.removeEventListener('message', handleMessage);
               resolve(null); // Continue without LLM if timeout
-            }, 60000); // 60 second timeout for LLM
+            }, 120000); // 2 minute timeout for LLM (allows for retries and provider failover)
           });
         }
       }
@@ -153,6 +175,7 @@ async function handleCategorize(data, jobId) {
       // Categorize using ML categorizer (handles ensemble voting for consistent confidence)
       const mlResults = await categorizer.categorizeTabs(processedBatch, {
         rules: settings.rules || [],
+        ruleContext: settings.ruleContext || {},
         llmResults,
         useML: settings.useML !== false,
         useRules: (settings.rules?.length || 0) > 0,
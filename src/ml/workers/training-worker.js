@@ -1013,8 +1013,8 @@ async function handleTrain(data, jobId) {
       const originalValProbs = await valPreds.data();
       
       // Build confusion matrices
-      const trainConfMatrix = buildConfusionMatrix(trainTrueArray, trainPredArray);
-      const valConfMatrix = buildConfusionMatrix(valTrueArray, valPredArray);
+      const trainConfMatrix = buildConfusionMatrix(trainTrueArray, trainPredArray, modelConfig.numClasses);
+      const valConfMatrix = buildConfusionMatrix(valTrueArray, valPredArray, modelConfig.numClasses);
       
       mlLogger.mlConfusion('TRAINING:');
       logConfusionMatrix(trainConfMatrix, 'train');
@@ -1498,9 +1498,10 @@ function prepareData(trainingData, config, vocabulary) {
       
       // Validate category
       const category = example.category;
-      if (typeof category !== 'number' || category < 0 || category > 3 || !Number.isInteger(category)) {
+      const maxCategory = (config.numClasses || 4) - 1;
+      if (typeof category !== 'number' || category < 0 || category > maxCategory || !Number.isInteger(category)) {
         mlLogger.error(`Invalid category: ${category}`, example);
-        throw new Error(`Invalid category value: ${category}. Must be integer in range [0, 3]`);
+        throw new Error(`Invalid category value: ${category}. Must be integer in range [0, ${maxCategory}]`);
       }
       
       labels.push(category);
@@ -2138,9 +2139,9 @@ function balanceClassesTemporally(data, options = {}) {
 
 /**
  * Build confusion matrix from true and predicted class arrays
+ * @param {number} numClasses - 0=uncategorized, 1=ignore, 2=useful, 3=important, then user categories
  */
-function buildConfusionMatrix(trueClasses, predClasses) {
-  const numClasses = 4; // 0=uncategorized, 1=ignore, 2=useful, 3=important
+function buildConfusionMatrix(trueClasses, predClasses, numClasses = 4) {
   const matrix = Array(numClasses).fill(null).map(() => Array(numClasses).fill(0));
   
   for (let i = 0; i < trueClasses.length; i++) {
@@ -2168,7 +2169,7 @@ function logConfusionMatrix(matrix, prefix) {
   for (let i = 0; i < matrix.length; i++) {
     const rowTotal = matrix[i].reduce((a, b) => a + b, 0);
     const row = matrix[i].map(count => count.toString().padStart(6)).join('');
-    mlLogger.mlConfusion(`${prefix} ${categories[i]}${row} (${rowTotal})`);
+    mlLogger.mlConfusion(`${prefix} ${categories[i] || `Cat${i}`.padEnd(6)}${row} (${rowTotal})`);
     correctPredictions += matrix[i][i]; // Diagonal elements are correct predictions
   }
   
@@ -2336,7 +2337,7 @@ function prepareBalancedTrainingData(trainingData) {
     item.features.urlTokens && 
     item.features.titleTokens && 
     item.features.engineeredFeatures &&
-    item.category >= 1 && item.category <= 3 // Valid categories
+    item.category >= 1 // Valid categories (prepareData checks the upper bound)
   );
 }
 
@@ -396,7 +396,7 @@ export class WorkerManager {
         embeddingDim: ML_CONFIG.model.inputFeatures.embeddingDim, // Fixed path
         maxUrlLength: ML_CONFIG.model.inputFeatures.maxUrlLength,
         maxTitleLength: ML_CONFIG.model.inputFeatures.maxTitleLength,
-        numClasses: 4,
+        numClasses: ML_CONFIG.model.output.numClasses,
         featureTransformUnits: ML_CONFIG.model.architecture.featureTransformUnits,
         hiddenUnits: ML_CONFIG.model.architecture.hiddenUnits, // Add hidden units config
         dropout: ML_CONFIG.model.architecture.dropout,
@@ -608,6 +608,13 @@ export class WorkerManager {
           return null;
         }
         
+        // Categories were added or removed since - the output layer no longer fits, train from scratch
+        const outputClasses = weights[weights.length - 1]?.shape?.[0];
+        if (outputClasses !== modelConfig.numClasses) {
+          logger.mlTraining(`⚠️ ${source} has ${outputClasses} outputs but there are ${modelConfig.numClasses} categories, training a new model`);
+          return null;
+        }
+        
         // Get training history from model metadata (single source of truth)
         let trainingHistory = model.metadata?.trainingHistory;
         
@@ -3,8 +3,9 @@
  * App Initializer - handles application initialization
  */
 
-import { DOM_IDS, EVENTS, TAB_TYPES, TAB_CATEGORIES, CATEGORY_NAMES } from '../utils/constants.js';
+import { DOM_IDS, EVENTS, TAB_TYPES, TAB_CATEGORIES } from '../utils/constants.js';
 import { $id, show } from '../utils/dom-helpers.js';
+import { getCategoryName } from '../utils/helpers.js';
 import { initializeTheme, showStatus, updateCategorizeBadge } from './ui-manager.js';
 import { state, loadSavedState, setInitializationComplete, savePopupState, updateState, resetGroupCollapseStates } from './state-manager.js';
 import { setupEventListeners } from './event-handlers.js';
@@ -47,7 +48,7 @@ function initializeCategoryNames() {
     if (categorySection) {
       const nameElement = categorySection.querySelector('.category-name');
       if (nameElement) {
-        nameElement.textContent = CATEGORY_NAMES[category];
+        nameElement.textContent = getCategoryName(category);
       }
     }
   });
@@ -415,10 +416,7 @@ export async function initializeApp() {
     // Initialize database
     await window.tabDatabase.init();
     
-    // Run URL cleanup asynchronously (don't block app startup)
-    window.tabDatabase.cleanupOldUrls().catch(error => {
-      logger.error('URL cleanup failed:', error);
-    });
+    // Old URL cleanup runs in the background (retention rules, see background.js)
     
     // Initialize tab renderer strategies
     await initializeTabRenderer();
@@ -701,12 +699,7 @@ async function loadCategorizedTabsFromBackground() {
   } catch (error) {
     logger.error('Error loading categorized tabs from background:', error);
     // Initialize empty state on error
-    state.categorizedTabs = {
-      0: [], // uncategorized
-      1: [], // can close  
-      2: [], // save later
-      3: []  // important
-    };
+    state.categorizedTabs = globalThis.categoryRegistry.createCategoryBuckets(true);
     state.urlToDuplicateIds = {};
   }
 }
@@ -3,11 +3,15 @@
  * Categorization Service - handles tab categorization using LLMs
  */
 
-import { TAB_CATEGORIES, STATUS_MESSAGES, CATEGORY_NAMES, RULE_TYPES, RULE_FIELDS, DOM_IDS, LIMITS } from '../utils/constants.js';
-import { extractDomain, smartConfirm } from '../utils/helpers.js';
+import { TAB_CATEGORIES, STATUS_MESSAGES, DOM_IDS, LIMITS } from '../utils/constants.js';
+import { smartConfirm, getCategoryName } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 import MessageService from '../services/MessageService.js';
 import { getUnifiedDatabase } from '../services/UnifiedDatabaseService.js';
+import PageContentService from '../services/PageContentService.js';
+import ChromeAPIService from '../services/ChromeAPIService.js';
+import { applyRulesToTabs, getActiveRules, getWindowDomains } from './rules-categorizer.js';
+import { hasRuleActions, isExcludedFromLLM } from './rule-actions.js';
 import { state, updateState, clearCategorizedTabs, savePopupState } from './state-manager.js';
 import { showStatus, clearStatusByProcessKey, updateCategorizeBadge, hideApiKeyPrompt } from './ui-manager.js';
 import { getCurrentTabs } from './tab-data-source.js';
@@ -49,8 +53,11 @@ export async function handleCategorize() {
   const apiKey = state.settings.apiKeys[state.settings.provider];
   const provider = state.settings.provider;
   const model = state.settings.model || state.settings.selectedModels[provider];
+  const providerConfig = CONFIG?.PROVIDERS?.[provider];
+  const hasCredentials = apiKey || providerConfig?.apiKeyOptional;
+  const hasBaseUrl = !providerConfig?.requiresBaseUrl || state.settings.providerBaseUrls?.[provider];
   
-  if (!apiKey || !provider || !model) {
+  if (!hasCredentials || !hasBaseUrl || !provider || !model) {
     showStatus(STATUS_MESSAGES.ERROR_NO_API_KEY, 'error', 5000);
     await enableCategorizeButtons(); // Re-enable buttons on API key error
     return;
@@ -60,68 +67,136 @@ export async function handleCategorize() {
   await categorizeTabs();
 }
 
+// Rule evaluation lives in rules-categorizer.js (shared with the worker and the background)
+export { applyRulesToTabs };
+
+/**
+ * Get the browser state rule conditions can refer to (window, other tabs in it, time)
+ * @returns {Promise<Object>} { now, currentWindowId, windowDomains }
+ */
+export async function getRuleContext() {
+  try {
+    const [currentWindow, openTabs] = await Promise.all([
+      ChromeAPIService.getLastFocusedWindow(),
+      ChromeAPIService.getAllTabs()
+    ]);
+    return { now: Date.now(), currentWindowId: currentWindow?.id, windowDomains: getWindowDomains(openTabs) };
+  } catch (error) {
+    return { now: Date.now() };
+  }
+}
+
 /**
- * Apply rules to categorize tabs
- * @param {Array} tabs - Array of tabs to categorize
- * @param {Array} rules - Array of rules to apply
- * @returns {Object} Object with categorized tabs and remaining uncategorized tabs
+ * Flag tabs that rules keep away from the LLM (privacy)
+ * Flagged tabs are still categorized by rules and the local model.
+ * @param {Array} tabs - Tabs to categorize
+ * @param {Object} ruleContext - From getRuleContext
+ * @returns {Array} Tabs, with excludeFromLLM set where a rule asks for it
  */
-export function applyRulesToTabs(tabs, rules) {
-  const categorizedByRules = {
-    [TAB_CATEGORIES.CAN_CLOSE]: [],
-    [TAB_CATEGORIES.SAVE_LATER]: [],
-    [TAB_CATEGORIES.IMPORTANT]: []
+function markLLMExcludedTabs(tabs, ruleContext) {
+  const ruleSettings = { rules: state.settings?.rules, rulePacks: state.settings?.rulePacks };
+  if (!hasRuleActions(ruleSettings)) return tabs;
+  
+  return tabs.map(tab => isExcludedFromLLM(tab, ruleSettings, ruleContext) ? { ...tab, excludeFromLLM: true } : tab);
+}
+
+/**
+ * Save streamed LLM results and refresh the Categorize view as they arrive
+ * Each partial result is saved (in arrival order) so the view, which reads categories from the
+ * database, moves the tabs; refreshes are coalesced. Streamed categories are the LLM's alone -
+ * rule overrides and "at least" floors only apply to the final results - so the run must end
+ * with settle(), which puts back every streamed URL the final save doesn't overwrite.
+ * @param {Set<string>} streamedUrls - Collects URLs saved from the stream
+ * @returns {Object} { onPartial, flush, settle }
+ */
+function createStreamedResultHandler(streamedUrls) {
+  const database = window.tabDatabase;
+  const previousRecords = new Map(); // URL -> saved record before the stream touched it (null if none)
+  let pendingSave = Promise.resolve();
+  let refreshTimer = null;
+  let settled = false;
+  
+  const refreshView = async () => {
+    refreshTimer = null;
+    markContentDirty('current');
+    const { updateCurrentTabContent } = await import('./content-manager.js');
+    await updateCurrentTabContent(true);
+  };
+  
+  const savePartial = async (partial) => {
+    for (const category of globalThis.categoryRegistry.getSavedCategoryIds()) {
+      for (const tab of partial[category] || []) {
+        if (!previousRecords.has(tab.url)) {
+          const existing = database.cache.urls.get(database.canonicalUrl(tab.url));
+          previousRecords.set(tab.url, existing ? { ...existing } : null);
+        }
+        streamedUrls.add(tab.url);
+        await database.getOrCreateUrl(tab, parseInt(category));
+      }
+    }
+  };
+  
+  const onPartial = (partial) => {
+    if (settled) return;
+    
+    pendingSave = pendingSave
+      .then(() => savePartial(partial))
+      .then(() => {
+        if (!refreshTimer) {
+          refreshTimer = setTimeout(() => {
+            refreshView().catch(error => console.error('Error refreshing streamed results:', error));
+          }, LIMITS.STREAM_RENDER_DELAY_MS);
+        }
+      })
+      .catch(error => console.error('Error saving streamed results:', error));
+  };
+  
+  const flush = async () => {
+    await pendingSave;
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
   };
-  const uncategorizedTabs = [];
   
-  tabs.forEach(tab => {
-    let categorized = false;
+  /**
+   * Restore streamed URLs missing from the final results
+   * @param {Object} [finalResults] - Categorized tabs the final save writes (none when the run failed)
+   */
+  const settle = async (finalResults = null) => {
+    if (settled) return;
+    settled = true;
+    await flush();
     
-    // Check each rule
-    for (const rule of rules) {
-      if (!rule.enabled) continue;
+    const finalUrls = new Set(globalThis.categoryRegistry.getSavedCategoryIds()
+      .flatMap(category => (finalResults?.[category] || []).map(tab => tab.url)));
+    
+    let restored = 0;
+    for (const [url, previous] of previousRecords) {
+      if (finalUrls.has(url)) continue;
       
-      let matches = false;
+      const current = database.cache.urls.get(database.canonicalUrl(url));
+      if (!current) continue;
       
-      switch (rule.type) {
-        case RULE_TYPES.DOMAIN: {
-          const tabDomain = extractDomain(tab.url);
-          matches = tabDomain === rule.value;
-          break;
+      try {
+        if (previous) {
+          await database.updateUrlInDB(previous);
+          database.cache.urls.set(previous.url, previous);
+          database.cache.urlsById.set(previous.id, previous);
+        } else {
+          await database.deleteUrl(current.id);
         }
-          
-        case RULE_TYPES.URL_CONTAINS:
-          matches = tab.url.includes(rule.value);
-          break;
-          
-        case RULE_TYPES.TITLE_CONTAINS:
-          matches = tab.title && tab.title.includes(rule.value);
-          break;
-          
-        case RULE_TYPES.REGEX:
-          try {
-            const regex = new RegExp(rule.value);
-            const field = rule.field === RULE_FIELDS.TITLE ? tab.title : tab.url;
-            matches = regex.test(field);
-          } catch (e) {
-            console.error('Invalid regex:', rule.value, e);
-          }
-          break;
-      }
-      
-      if (matches) {
-        categorizedByRules[rule.category].push(tab);
-        categorized = true;
-        break; // Apply first matching rule only
+        restored++;
+      } catch (error) {
+        console.error(`Error restoring streamed result for ${url}:`, error);
       }
     }
     
-    if (!categorized) {
-      uncategorizedTabs.push(tab);
+    // Without final results the caller won't refresh the view
+    if (restored > 0 && !finalResults) {
+      await refreshView();
     }
-  });
+  };
   
-  return { categorizedByRules, uncategorizedTabs };
+  return { onPartial, flush, settle };
 }
 
 /**
@@ -138,24 +213,25 @@ export async function categorizeBatches(tabs, options = {}) {
   const {
     batchSize = state.settings?.batchSize || LIMITS.BATCH_SIZE_DEFAULT,
     onProgress = null,
-    settings = state.settings
+    settings = state.settings,
+    source = null
   } = options;
-  
+  const isCSVImport = source === 'csv_import';
   
   if (tabs.length === 0) {
     if (onProgress) onProgress({ processed: 0, total: 0, currentBatch: 0, totalBatches: 0, status: 'completed' });
-    return {
-      [TAB_CATEGORIES.UNCATEGORIZED]: [],
-      [TAB_CATEGORIES.CAN_CLOSE]: [],
-      [TAB_CATEGORIES.SAVE_LATER]: [],
-      [TAB_CATEGORIES.IMPORTANT]: []
-    };
+    return globalThis.categoryRegistry.createCategoryBuckets(true);
   }
   
   // Always use Web Worker for categorization if available
   const useWorker = typeof Worker !== 'undefined';
+  const ruleContext = await getRuleContext();
+  tabs = markLLMExcludedTabs(tabs, ruleContext);
   
   if (useWorker) {
+    const streamedUrls = new Set();
+    let streamHandler = null;
+    
     // Use Web Worker for large batches to avoid blocking UI
     try {
       // Create worker without module type (uses dynamic imports like training-worker)
@@ -170,9 +246,23 @@ export async function categorizeBatches(tabs, options = {}) {
         throw workerError; // Let outer catch handle fallback
       }
       
+      // Skip the LLM entirely once the monthly budget cap is reached
+      let useLLM = settings?.useLLM;
+      if (useLLM && settings?.monthlyBudget > 0) {
+        try {
+          const monthlySpend = await window.tabDatabase.getMonthlyLLMSpend();
+          if (monthlySpend >= settings.monthlyBudget) {
+            useLLM = false;
+            showStatus(STATUS_MESSAGES.WARNING_BUDGET_EXCEEDED, 'warning', 5000);
+          }
+        } catch (error) {
+          console.error('Error checking LLM budget:', error);
+        }
+      }
+      
       // Get saved URLs before creating the Promise
       let savedUrls = [];
-      if (settings?.useLLM) {
+      if (useLLM) {
         try {
           const savedTabs = await window.tabDatabase.getAllSavedTabs();
           savedUrls = savedTabs
@@ -183,6 +273,9 @@ export async function categorizeBatches(tabs, options = {}) {
         }
       }
       
+      // Stream LLM results into the view as they are parsed (not for CSV imports, which have no view)
+      streamHandler = !isCSVImport ? createStreamedResultHandler(streamedUrls) : null;
+      
       const workerResults = await new Promise((resolve, reject) => {
         const jobId = Date.now().toString();
         let completed = false;
@@ -197,7 +290,13 @@ export async function categorizeBatches(tabs, options = {}) {
               worker.postMessage({
                 type: 'CATEGORIZE',
                 jobId,
-                data: { tabs, settings, batchSize }
+                data: {
+                  tabs,
+                  // Per-run overrides: budget check result, provider capabilities from CONFIG, and
+                  // only the active rules (not disabled ones or those in disabled rule packs)
+                  settings: { ...settings, rules: getActiveRules(settings), useLLM, apiKeyOptional: settingsForWorker.apiKeyOptional, ruleContext },
+                  batchSize
+                }
               });
               break;
               
@@ -211,8 +310,12 @@ export async function categorizeBatches(tabs, options = {}) {
                   provider: data.provider,
                   model: data.model,
                   customPrompt: data.customPrompt,
+                  baseUrl: data.baseUrl,
+                  fallbacks: data.fallbacks,
+                  explain: data.explain,
+                  monthlyBudget: data.monthlyBudget,
                   savedUrls: data.savedUrls
-                });
+                }, { onPartial: streamHandler?.onPartial });
                 
                 // Send results back to worker
                 worker.postMessage({
@@ -227,6 +330,17 @@ export async function categorizeBatches(tabs, options = {}) {
                 let userMessage = 'LLM categorization failed';
                 const errorString = error.toString();
                 
+                if (errorString.includes('Monthly LLM budget')) {
+                  // Budget cap hit mid-run - not an API problem, the worker falls back to rules + ML
+                  showStatus(STATUS_MESSAGES.WARNING_BUDGET_EXCEEDED, 'warning', 5000);
+                  worker.postMessage({
+                    type: 'LLM_RESPONSE',
+                    jobId: messageJobId,
+                    llmResults: null
+                  });
+                  break;
+                }
+                
                 if (errorString.includes('402') || errorString.includes('Insufficient Balance')) {
                   userMessage = `${data.provider} API: Insufficient balance - please check your account`;
                 } else if (errorString.includes('401') || errorString.includes('Unauthorized')) {
@@ -319,12 +433,17 @@ export async function categorizeBatches(tabs, options = {}) {
         // Create a clean copy of settings for serialization
         const settingsForWorker = {
           useML: settings?.useML,
-          useLLM: settings?.useLLM,
-          rules: settings?.rules || [],
+          useLLM: useLLM,
+          rules: getActiveRules(settings),
           provider: settings?.provider,
           model: settings?.model,
           selectedModels: settings?.selectedModels || {},
           apiKeys: settings?.apiKeys || {},
+          providerBaseUrls: settings?.providerBaseUrls || {},
+          fallbackProviders: settings?.fallbackProviders || [],
+          explainCategorization: settings?.explainCategorization === true,
+          monthlyBudget: settings?.monthlyBudget || 0,
+          apiKeyOptional: CONFIG?.PROVIDERS?.[settings?.provider]?.apiKeyOptional === true,
           customPrompt: settings?.customPrompt,
           batchSize: settings?.batchSize,
           savedUrls: savedUrls
@@ -370,23 +489,28 @@ export async function categorizeBatches(tabs, options = {}) {
         }
       });
       
+      // Streamed partial saves must finish before saved URLs are read
+      if (streamHandler) {
+        await streamHandler.flush();
+      }
+      
       // Get already saved URLs to avoid re-saving them
+      // (URLs saved from the stream during this run still get their final ensemble result)
       let savedUrlSet = new Set();
       try {
         const savedTabs = await window.tabDatabase.getAllSavedTabs();
         savedUrlSet = new Set(savedTabs
-          .filter(tab => tab.category !== 0)
+          .filter(tab => tab.category !== 0 && !streamedUrls.has(tab.url))
           .map(tab => tab.url));
       } catch (error) {
         console.error('Error getting saved tabs for filtering:', error);
       }
       
       // Filter out any tabs that are already saved in the database
-      const filteredCategorizedTabs = {
-        [TAB_CATEGORIES.CAN_CLOSE]: (workerResults[TAB_CATEGORIES.CAN_CLOSE] || []).filter(tab => !savedUrlSet.has(tab.url)),
-        [TAB_CATEGORIES.SAVE_LATER]: (workerResults[TAB_CATEGORIES.SAVE_LATER] || []).filter(tab => !savedUrlSet.has(tab.url)),
-        [TAB_CATEGORIES.IMPORTANT]: (workerResults[TAB_CATEGORIES.IMPORTANT] || []).filter(tab => !savedUrlSet.has(tab.url))
-      };
+      const filteredCategorizedTabs = {};
+      globalThis.categoryRegistry.getSavedCategoryIds().forEach(category => {
+        filteredCategorizedTabs[category] = (workerResults[category] || []).filter(tab => !savedUrlSet.has(tab.url));
+      });
       
       // Filter predictions to match filtered tabs
       const filteredPredictions = {};
@@ -396,6 +520,11 @@ export async function categorizeBatches(tabs, options = {}) {
         }
       }
       
+      // Streamed URLs the final save doesn't overwrite go back to how they were
+      if (streamHandler) {
+        await streamHandler.settle(filteredCategorizedTabs);
+      }
+      
       // Save categorized tabs to database using UnifiedDatabaseService for ML sync
       const unifiedDB = await getUnifiedDatabase();
       await unifiedDB.saveCategorizedTabs(filteredCategorizedTabs, {
@@ -403,29 +532,26 @@ export async function categorizeBatches(tabs, options = {}) {
         model: settings.model,
         closedAfterSave: false,
         mlEnabled: settings.useML,
-        source: settings.source || 'ensemble_categorization',
+        source: isCSVImport ? 'csv_import' : 'ensemble_categorization',
         mlMetadata: {}  // Worker doesn't provide separate metadata
       }, filteredPredictions);
       
       // Only update UI state if this is not a CSV import
-      const isCSVImport = settings.source === 'csv_import';
-      
       if (!isCSVImport) {
         // Get current state for merging
         const currentState = await getCurrentTabs();
         const existingCategorized = currentState.categorizedTabs || {};
         
         // Merge worker results with existing categorized tabs
-        const mergedResult = {
-          [TAB_CATEGORIES.UNCATEGORIZED]: [],
-          [TAB_CATEGORIES.CAN_CLOSE]: [...(workerResults[TAB_CATEGORIES.CAN_CLOSE] || [])],
-          [TAB_CATEGORIES.SAVE_LATER]: [...(workerResults[TAB_CATEGORIES.SAVE_LATER] || [])],
-          [TAB_CATEGORIES.IMPORTANT]: [...(workerResults[TAB_CATEGORIES.IMPORTANT] || [])]
-        };
+        const savedCategories = globalThis.categoryRegistry.getSavedCategoryIds();
+        const mergedResult = { [TAB_CATEGORIES.UNCATEGORIZED]: [] };
+        savedCategories.forEach(cat => {
+          mergedResult[cat] = [...(workerResults[cat] || [])];
+        });
         
         // Keep existing categorized tabs that weren't recategorized
         const processedIds = new Set(tabs.map(t => t.id));
-        [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(cat => {
+        savedCategories.forEach(cat => {
           const existing = existingCategorized[cat] || [];
           existing.forEach(tab => {
             if (!processedIds.has(tab.id)) {
@@ -444,6 +570,7 @@ export async function categorizeBatches(tabs, options = {}) {
         // Update saved badge count since we just saved tabs
         const { loadSavedTabsCount } = await import('./saved-tabs-manager.js');
         await loadSavedTabsCount();
+        refreshTabStripGroups();
         
         // Save state
         await savePopupState();
@@ -485,7 +612,7 @@ export async function categorizeBatches(tabs, options = {}) {
               }
             }
             
-            if (finalCategory >= 1 && finalCategory <= 3 && tab) {
+            if (globalThis.categoryRegistry.isSavedCategory(finalCategory) && tab) {
               const trackingData = {
                 tabId: tab.id,
                 url: tab.url,
@@ -497,10 +624,11 @@ export async function categorizeBatches(tabs, options = {}) {
                 weights: predictionData.weights || {},
                 confidence: predictionData.combinedConfidence || predictionData.confidence || 0,
                 agreement: predictionData.agreement,
-                source: predictionData.source
+                source: predictionData.source,
+                llmReason: tab.llmExplanation?.reason || null
               };
               
-              await performanceTracker.recordPrediction(trackingData, finalCategory, settings.source || 'auto_categorization');
+              await performanceTracker.recordPrediction(trackingData, finalCategory, isCSVImport ? 'csv_import' : 'auto_categorization');
             }
           }
         } catch (error) {
@@ -515,6 +643,11 @@ export async function categorizeBatches(tabs, options = {}) {
         error: workerError.message || workerError,
         tabCount: tabs.length
       });
+      
+      // Nothing from a failed run is kept, including results streamed before it failed
+      if (streamHandler) {
+        await streamHandler.settle().catch(error => console.error('Error restoring streamed results:', error));
+      }
       throw workerError; // Always throw - no fallback
     }
   } else {
@@ -535,7 +668,7 @@ export async function categorizeTabs() {
     const { categorizedTabs } = await getCurrentTabs();
     
     // Get uncategorized tabs (category 0)
-    const uncategorizedTabs = categorizedTabs[TAB_CATEGORIES.UNCATEGORIZED] || [];
+    let uncategorizedTabs = categorizedTabs[TAB_CATEGORIES.UNCATEGORIZED] || [];
     
     // If no uncategorized tabs, nothing to categorize
     if (uncategorizedTabs.length === 0) {
@@ -568,6 +701,13 @@ export async function categorizeTabs() {
       }
     };
     
+    // Attach page excerpts when the user opted in (only open tabs have readable content)
+    if (state.settings?.useContentExtraction && state.settings?.useLLM) {
+      uncategorizedTabs = markLLMExcludedTabs(uncategorizedTabs, await getRuleContext());
+      showStatus(STATUS_MESSAGES.LOADING_PAGE_CONTENT, 'loading', 0, 'batch-processing');
+      uncategorizedTabs = await PageContentService.extractForTabs(uncategorizedTabs, state.settings);
+    }
+    
     // Use batch categorization
     // IMPORTANT: categorizeBatches returns ONLY newly categorized tabs, not merged results
     const result = await categorizeBatches(uncategorizedTabs, {
@@ -663,6 +803,17 @@ export async function refreshCategorization() {
   return categorizeTabs();
 }
 
+/**
+ * Regroup the browser's tab strip after categories changed (when "Apply to tab strip" is on)
+ */
+function refreshTabStripGroups() {
+  if (!state.settings?.tabStripGroups || state.settings.tabStripGroups === 'off') return;
+  
+  MessageService.syncTabStripGroups().catch(error => {
+    logger.error('Error grouping tabs:', error);
+  });
+}
+
 /**
  * Move a tab to a different category
  * @param {Object} tab - Tab to move
@@ -724,6 +875,7 @@ export async function moveTabToCategory(tab, fromCategory, toCategory, type = 'c
     await savePopupState();
     
     updateCategorizeBadge();
+    refreshTabStripGroups();
     
     // Update saved badge count if tab was moved to/from any saved category (1, 2, or 3)
     if (toCategory === TAB_CATEGORIES.CAN_CLOSE || toCategory === TAB_CATEGORIES.SAVE_LATER || toCategory === TAB_CATEGORIES.IMPORTANT ||
@@ -756,7 +908,7 @@ export async function moveTabToCategory(tab, fromCategory, toCategory, type = 'c
     }
     
     if (!silent) {
-      showStatus(`Moved to ${CATEGORY_NAMES[toCategory]}`, 'success');
+      showStatus(`Moved to ${getCategoryName(toCategory)}`, 'success');
     }
     
   } catch (error) {
@@ -833,7 +985,7 @@ async function collectPredictions(tabs, categorizedTabs, mlResults, llmResults)
       const predictionData = {};
       
       // Rules-based prediction
-      const ruleResult = applyRulesToTabs([tab], state.settings.rules);
+      const ruleResult = applyRulesToTabs([tab], getActiveRules(state.settings), await getRuleContext());
       if (ruleResult.categorizedByRules && Object.keys(ruleResult.categorizedByRules).length > 0) {
         // Find which category this tab was assigned to
         let assignedCategory = null;
@@ -0,0 +1,188 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Category Editor - user categories next to Ignore, Useful and Important
+ */
+
+import { DOM_IDS, TAB_CATEGORIES } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { showPrompt, showConfirm } from '../utils/dialog-utils.js';
+import { showStatus } from './ui-manager.js';
+import { state, updateState } from './state-manager.js';
+import { initializeRulesUI } from './settings-manager.js';
+import StorageService from '../services/StorageService.js';
+
+const RETENTION_LABELS = {
+  keep: 'Keep until deleted',
+  expire: 'Expire like Ignore'
+};
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Save user categories and refresh everything that lists categories
+ * The background and the categorization worker pick the categories up from the saved settings.
+ * @param {Array} categories - [{ id, name, color, icon, description, retention }]
+ */
+async function saveCategories(categories) {
+  const registry = globalThis.categoryRegistry;
+  state.settings.customCategories = categories;
+  state.settings.lastCustomCategoryId = Math.max(
+    state.settings.lastCustomCategoryId || 0,
+    ...categories.map(category => category.id)
+  );
+  registry.configure(state.settings);
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+
+  renderCategoryList();
+  initializeRulesUI();
+
+  const { markContentDirty } = await import('./content-manager.js');
+  markContentDirty('all');
+}
+
+/**
+ * Add a user category
+ */
+async function addCategory() {
+  const name = await showPrompt('Name of the new category:', {
+    title: 'New Category',
+    placeholder: 'Reference',
+    confirmText: 'Create'
+  });
+  if (!name || !name.trim()) return;
+
+  const registry = globalThis.categoryRegistry;
+  if (registry.findCategoryByName(name)) {
+    showStatus(`There is already a "${name.trim()}" category`, 'error');
+    return;
+  }
+
+  const categories = registry.getCustomCategories();
+  categories.push({
+    id: registry.getNextCustomId(categories, state.settings.lastCustomCategoryId || 0),
+    name: name.trim(),
+    retention: registry.CATEGORY_RETENTION.KEEP
+  });
+  await saveCategories(categories);
+  showStatus(`Added "${name.trim()}" - the classifier retrains to learn it`, 'success', 3000);
+}
+
+/**
+ * Update one field of a user category
+ * @param {number} id - Category ID
+ * @param {string} field - name, color, icon, description or retention
+ * @param {string} value - New value
+ */
+async function updateCategory(id, field, value) {
+  const registry = globalThis.categoryRegistry;
+  if (field === 'name') {
+    const existing = registry.findCategoryByName(value);
+    if (!value.trim() || (existing && existing.id !== id)) {
+      showStatus(value.trim() ? `There is already a "${value.trim()}" category` : 'A category needs a name', 'error');
+      renderCategoryList();
+      return;
+    }
+  }
+
+  const categories = registry.getCustomCategories()
+    .map(category => category.id === id ? { ...category, [field]: value } : category);
+  await saveCategories(categories);
+}
+
+/**
+ * Delete a user category - its saved tabs move to Useful and its rules are removed
+ * @param {number} id - Category ID
+ */
+async function deleteCategory(id) {
+  const registry = globalThis.categoryRegistry;
+  const category = registry.getCategory(id);
+  if (!category) return;
+
+  const savedTabs = window.tabDatabase
+    ? await window.tabDatabase.getAllSavedTabs({ categories: [id] })
+    : [];
+  const ruleCount = (state.settings.rules || []).filter(rule => rule.category === id).length;
+
+  const confirmed = await showConfirm(
+    `Delete "${category.name}"? Its ${savedTabs.length} saved tab${savedTabs.length === 1 ? '' : 's'} move to Useful` +
+    `${ruleCount > 0 ? ` and its ${ruleCount} rule${ruleCount === 1 ? ' is' : 's are'} removed` : ''}.`,
+    { title: 'Delete Category', confirmText: 'Delete', confirmType: 'warning' }
+  );
+  if (!confirmed) return;
+
+  try {
+    if (window.tabDatabase) {
+      await window.tabDatabase.moveUrlsToCategory(id, TAB_CATEGORIES.SAVE_LATER);
+    }
+    state.settings.rules = (state.settings.rules || []).filter(rule => rule.category !== id);
+    await saveCategories(registry.getCustomCategories().filter(c => c.id !== id));
+    showStatus(`Deleted "${category.name}"`, 'success', 2000);
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    showStatus(`Could not delete category: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Render the user categories
+ */
+export function renderCategoryList() {
+  const list = $id(DOM_IDS.CUSTOM_CATEGORIES_LIST);
+  if (!list) return;
+
+  const categories = globalThis.categoryRegistry.getCustomCategories();
+  if (categories.length === 0) {
+    list.innerHTML = '<div class="setting-help-text">No categories of your own yet.</div>';
+    return;
+  }
+
+  const retentionOptions = selected => Object.entries(RETENTION_LABELS)
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  list.innerHTML = categories.map(category => `
+    <div class="custom-category-row" data-category-id="${category.id}">
+      <input type="color" class="custom-category-color" data-field="color" value="${category.color}" title="Color">
+      <input type="text" class="setting-input custom-category-icon" data-field="icon" value="${escapeHtml(category.icon)}" maxlength="4" placeholder="${escapeHtml(category.name.charAt(0).toUpperCase())}" title="Icon (emoji or up to 4 characters)">
+      <input type="text" class="setting-input custom-category-name" data-field="name" value="${escapeHtml(category.name)}" title="Name">
+      <select class="setting-select custom-category-retention" data-field="retention" title="Saved tabs nobody opened">
+        ${retentionOptions(category.retention)}
+      </select>
+      <button class="secondary-btn custom-category-delete" title="Delete category">Delete</button>
+      <input type="text" class="setting-input custom-category-description" data-field="description" value="${escapeHtml(category.description)}" placeholder="What belongs here (helps the AI choose it)">
+    </div>
+  `).join('');
+}
+
+/**
+ * Set up the category editor
+ */
+export function initializeCategoryEditor() {
+  renderCategoryList();
+
+  $id(DOM_IDS.ADD_CATEGORY_BTN)?.addEventListener('click', addCategory);
+
+  // Rows are re-rendered, so handle their controls on the list
+  const list = $id(DOM_IDS.CUSTOM_CATEGORIES_LIST);
+  list?.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    const row = e.target.closest('.custom-category-row');
+    if (!field || !row) return;
+    updateCategory(parseInt(row.dataset.categoryId), field, e.target.value);
+  });
+  list?.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('custom-category-delete')) return;
+    const row = e.target.closest('.custom-category-row');
+    deleteCategory(parseInt(row.dataset.categoryId));
+  });
+}
+
+export default {
+  initializeCategoryEditor,
+  renderCategoryList
+};
@@ -6,7 +6,7 @@
 
 import { TAB_CATEGORIES } from '../utils/constants.js';
 import { ChromeAPIService } from '../services/ChromeAPIService.js';
-import { extractDomain } from '../utils/helpers.js';
+import { canonicalizeUrl, extractDomain } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
 export class CurrentTabsProcessor {
@@ -23,9 +23,11 @@ export class CurrentTabsProcessor {
       // 1. Get all open tabs from browser
       const allTabs = await browser.tabs.query({});
       
+      // Native tab group titles, for grouping by tab group
+      const tabGroupTitles = await this.getTabGroupTitles();
       
       // 2. Get all saved URLs from database for matching
-      const savedUrls = await this.database.getSavedUrls([1, 2, 3]); // All categories
+      const savedUrls = await this.database.getSavedUrls(globalThis.categoryRegistry.getSavedCategoryIds()); // All categories
       const urlToCategoryMap = new Map();
       
       // Build lookup map with URL as key
@@ -40,15 +42,10 @@ export class CurrentTabsProcessor {
       });
       
       // 3. Initialize categorized tabs structure
-      const categorizedTabs = {
-        [TAB_CATEGORIES.UNCATEGORIZED]: [],
-        [TAB_CATEGORIES.CAN_CLOSE]: [],
-        [TAB_CATEGORIES.SAVE_LATER]: [],
-        [TAB_CATEGORIES.IMPORTANT]: []
-      };
+      const categorizedTabs = globalThis.categoryRegistry.createCategoryBuckets(true);
       
       const urlToDuplicateIds = {};
-      const urlToTabsMap = new Map(); // For duplicate detection
+      const urlToTabsMap = new Map(); // For duplicate detection (by canonical URL)
       const matchedUrls = new Set(); // Track URLs that match saved URLs
       
       // 4. Process each tab
@@ -72,13 +69,18 @@ export class CurrentTabsProcessor {
         }
         
         
-        // Check if saved in database (by URL only)
-        const savedInfo = urlToCategoryMap.get(tab.url);
-        const category = savedInfo ? savedInfo.category : TAB_CATEGORIES.UNCATEGORIZED;
+        // Check if saved in database (saved URLs are canonical)
+        const canonicalUrl = canonicalizeUrl(tab.url);
+        const savedInfo = urlToCategoryMap.get(canonicalUrl);
         
         // Get temporal data from currentTabs cache if available
         const currentTabData = this.database.cache.currentTabs.get(tab.url);
         
+        // Unsaved tabs may have been categorized in the background on open
+        // (into a user category that may have been deleted since)
+        const backgroundCategory = categorizedTabs[currentTabData?.category] ? currentTabData.category : TAB_CATEGORIES.UNCATEGORIZED;
+        const category = savedInfo ? savedInfo.category : backgroundCategory;
+        
         // Create tab entry
         // Get the specific open time for this tab
         const tabOpenTime = currentTabData?.tabOpenTimes?.[tab.id] || 
@@ -95,7 +97,11 @@ export class CurrentTabsProcessor {
           pinned: tab.pinned,
           audible: tab.audible,
           mutedInfo: tab.mutedInfo,
-          lastAccessed: tab.lastAccessed || Date.now(),
+          discarded: tab.discarded, // Hibernated
+          tabGroup: tabGroupTitles.get(tab.groupId) || null,
+          // Browsers without tab.lastAccessed fall back to the last activation TabTracker recorded
+          lastAccessed: tab.lastAccessed ||
+                        (currentTabData?.lastAccessed ? new Date(currentTabData.lastAccessed).getTime() : Date.now()),
           domain: extractDomain(tab.url),
           // Include temporal data from background tracking
           firstOpened: currentTabData?.firstOpened || Date.now(),
@@ -104,6 +110,13 @@ export class CurrentTabsProcessor {
           tabOpenTime: tabOpenTime
         };
         
+        if (!savedInfo && currentTabData?.category) {
+          tabEntry.autoCategorized = {
+            confidence: currentTabData.categoryConfidence,
+            source: currentTabData.categorySource
+          };
+        }
+        
         // Mark as saved if found in database
         if (savedInfo) {
           tabEntry.alreadySaved = true;
@@ -119,13 +132,13 @@ export class CurrentTabsProcessor {
         }
         
         // Track duplicates
-        if (!urlToTabsMap.has(tab.url)) {
-          urlToTabsMap.set(tab.url, []);
+        if (!urlToTabsMap.has(canonicalUrl)) {
+          urlToTabsMap.set(canonicalUrl, []);
         }
-        urlToTabsMap.get(tab.url).push(tab.id);
+        urlToTabsMap.get(canonicalUrl).push(tab);
         
-        // Check if this URL already exists in the category
-        const existingIndex = categorizedTabs[category].findIndex(t => t.url === tab.url);
+        // Check if this URL (or a variant of it) already exists in the category
+        const existingIndex = categorizedTabs[category].findIndex(t => canonicalizeUrl(t.url) === canonicalUrl);
         
         if (existingIndex !== -1) {
           // URL already exists - add to duplicates
@@ -147,10 +160,12 @@ export class CurrentTabsProcessor {
         }
       }
       
-      // 5. Build duplicate mapping
-      urlToTabsMap.forEach((tabIds, url) => {
-        if (tabIds.length > 1) {
-          urlToDuplicateIds[url] = tabIds;
+      // 5. Build duplicate mapping (keyed by each tab's own URL)
+      urlToTabsMap.forEach((tabs) => {
+        if (tabs.length > 1) {
+          tabs.forEach(tab => {
+            urlToDuplicateIds[tab.url] = tabs.map(t => t.id);
+          });
         }
       });
       
@@ -174,17 +189,32 @@ export class CurrentTabsProcessor {
     } catch (error) {
       logger.error('Error processing current tabs:', error);
       return { 
-        categorizedTabs: {
-          [TAB_CATEGORIES.UNCATEGORIZED]: [],
-          [TAB_CATEGORIES.CAN_CLOSE]: [],
-          [TAB_CATEGORIES.SAVE_LATER]: [],
-          [TAB_CATEGORIES.IMPORTANT]: []
-        }, 
+        categorizedTabs: globalThis.categoryRegistry.createCategoryBuckets(true), 
         urlToDuplicateIds: {} 
       };
     }
   }
   
+  /**
+   * Get the titles of the browser's tab groups (user-made or from "Apply to tab strip")
+   * Browsers without tab groups (Firefox) leave every tab ungrouped.
+   * @returns {Promise<Map>} groupId -> title
+   */
+  async getTabGroupTitles() {
+    const titles = new Map();
+    if (typeof browser.tabGroups?.query !== 'function') return titles;
+    
+    try {
+      const groups = await browser.tabGroups.query({});
+      groups.forEach(group => {
+        titles.set(group.id, group.title || `Untitled (${group.color})`);
+      });
+    } catch (error) {
+      logger.error('Error reading tab groups:', error);
+    }
+    return titles;
+  }
+  
   /**
    * Get default favicon for a URL
    */
@@ -226,13 +256,23 @@ export class CurrentTabsProcessor {
         if (message.type === 'fullState') {
           // Initial state - sync with background's current tabs tracking
           this.syncWithBackgroundState(message.data.currentTabs);
-        } else if (onTabChange) {
+          return;
+        }
+        
+        if (message.type === 'tabCategorized') {
+          // Background categorized a tab on open - the popup's cache doesn't see that write
+          const { currentTab } = message.data;
+          this.database.cache.currentTabs.set(currentTab.url, currentTab);
+        }
+        
+        if (onTabChange) {
           // Tab events
           const eventMap = {
             'tabCreated': 'created',
             'tabRemoved': 'removed',
             'tabUpdated': 'updated',
             'tabActivated': 'activated',
+            'tabCategorized': 'categorized',
             'windowRemoved': 'windowRemoved'
           };
           
@@ -287,7 +327,7 @@ export class CurrentTabsProcessor {
     
     // Update saved URLs with temporal data from background tracking
     for (const bgTab of currentTabs) {
-      const savedUrl = await this.database.cache.urls.get(bgTab.url);
+      const savedUrl = await this.database.cache.urls.get(canonicalizeUrl(bgTab.url));
       if (savedUrl) {
         // Update temporal fields if background has older data
         if (bgTab.firstOpened && (!savedUrl.firstOpened || 
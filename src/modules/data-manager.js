@@ -187,6 +187,10 @@ export class DataManager {
           groupingService.setCountBy(['category', 'domain']);
           break;
         
+        case GROUPING_OPTIONS.TAB_GROUP:
+          Object.assign(groupingService, TabGroupingConfigurations.byTabGroup());
+          break;
+        
         // Legacy groupings
         case 'window':
           Object.assign(groupingService, TabGroupingConfigurations.byWindow());
@@ -332,6 +336,9 @@ export class DataManager {
         case 'domain':
           Object.assign(groupingService, TabGroupingConfigurations.byDomain());
           break;
+        case GROUPING_OPTIONS.TAG:
+          Object.assign(groupingService, TabGroupingConfigurations.byTag());
+          break;
         case GROUPING_OPTIONS.SAVED_DATE:
         case 'savedDate':
         case 'saveDate':
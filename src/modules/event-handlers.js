@@ -5,6 +5,7 @@
 
 import { DOM_IDS, EVENTS, TAB_CATEGORIES, LIMITS } from '../utils/constants.js';
 import { $id, on, createElement } from '../utils/dom-helpers.js';
+import { canonicalizeUrl, getOpenUrl } from '../utils/helpers.js';
 import { state, updateState, savePopupState, debouncedSaveState, saveGroupCollapseStates, setGlobalCollapseStatus } from './state-manager.js';
 import stateManager from './state-manager.js';
 import { switchToTab, setTheme, showStatus } from './ui-manager.js';
@@ -14,6 +15,7 @@ import { onGroupingChange as handleGroupingChange, toggleAllGroups } from './ui-
 import { handleCSVImport } from './import-export.js';
 import { updateModelDropdown } from './settings-manager.js';
 import { updateCurrentTabContent, updateSavedTabContent } from './content-manager.js';
+import { setupTagHandlers } from './tag-manager.js';
 import logger from '../utils/logger.js';
 
 // Flicker-free UI system removed - using simple approach
@@ -128,6 +130,9 @@ export function setupEventListeners() {
     });
   });
   
+  // Tag context menu and multi-select on saved tabs
+  setupTagHandlers();
+  
   // Event delegation for group/category header clicks (collapse/expand)
   // Use bubbling phase (default) to allow button onclick handlers to execute first
   on(document, 'click', async (e) => {
@@ -280,6 +285,8 @@ export function setupEventListeners() {
       targetCategory = TAB_CATEGORIES.SAVE_LATER;
     } else if (categoryBtn.classList.contains('category-can-close')) {
       targetCategory = TAB_CATEGORIES.CAN_CLOSE;
+    } else if (categoryBtn.dataset.targetCategory) {
+      targetCategory = parseInt(categoryBtn.dataset.targetCategory);
     }
     
     // Don't do anything if button is disabled or same category
@@ -366,6 +373,61 @@ export function setupEventListeners() {
 
 
 
+  // Event delegation for hibernate buttons (current tabs, their categories and groups)
+  on(document, 'click', async (e) => {
+    const hibernateBtn = e.target.closest('.hibernate-btn, .category-hibernate-btn, .group-hibernate-btn');
+    if (!hibernateBtn) return;
+    
+    e.stopPropagation();
+    
+    try {
+      const tabOps = await import('./tab-operations.js');
+      const tabItem = hibernateBtn.closest('.tab-item');
+      const section = hibernateBtn.closest('.group-section, .category-section');
+      
+      if (tabItem) {
+        const tabId = parseInt(tabItem.dataset.tabId);
+        const { getCurrentTabs } = await import('./tab-data-source.js');
+        const { categorizedTabs } = await getCurrentTabs();
+        const tab = Object.values(categorizedTabs || {}).flat().find(t => t.id === tabId);
+        await tabOps.hibernateTab(tab || { id: tabId });
+      } else if (section && section.classList.contains('category-section')) {
+        await tabOps.hibernateCategory(parseInt(section.dataset.category));
+      } else if (section) {
+        const tabs = Array.from(section.querySelectorAll('.tab-item'))
+          .map(tabEl => ({ id: parseInt(tabEl.dataset.tabId) }))
+          .filter(tab => tab.id);
+        await tabOps.hibernateTabsInGroup(tabs);
+      }
+    } catch (error) {
+      logger.error('Error hibernating tabs:', error);
+    }
+  });
+
+  // Event delegation for gather buttons (move a category's or group's current tabs into one window)
+  on(document, 'click', async (e) => {
+    const gatherBtn = e.target.closest('.category-gather-btn, .group-gather-btn');
+    if (!gatherBtn) return;
+    
+    e.stopPropagation();
+    
+    try {
+      const tabOps = await import('./tab-operations.js');
+      const section = gatherBtn.closest('.group-section, .category-section');
+      
+      if (section && section.classList.contains('category-section')) {
+        await tabOps.gatherCategory(parseInt(section.dataset.category));
+      } else if (section) {
+        const tabs = Array.from(section.querySelectorAll('.tab-item'))
+          .map(tabEl => ({ id: parseInt(tabEl.dataset.tabId) }))
+          .filter(tab => tab.id);
+        await tabOps.gatherTabsInGroup(tabs);
+      }
+    } catch (error) {
+      logger.error('Error gathering tabs:', error);
+    }
+  });
+
   // Event delegation for saved tab group/category action buttons
   on(document, 'click', async (e) => {
     // Handle Open All buttons in saved tabs
@@ -628,12 +690,23 @@ export function setupEventListeners() {
       { id: TAB_CATEGORIES.CAN_CLOSE, name: 'Ignore', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>' }
     ];
     
+    // User categories go between Useful and Ignore
+    globalThis.categoryRegistry.getCustomCategories().forEach(customCategory => {
+      categories.splice(categories.length - 1, 0, customCategory);
+    });
+    
     categories.forEach(cat => {
       const option = createElement('div', {
         className: 'category-dropdown-option',
-        innerHTML: `${cat.icon} <span>${cat.name}</span>`,
+        innerHTML: cat.builtIn === false ? '<span class="category-custom-icon"></span> <span></span>' : `${cat.icon} <span></span>`,
         style: 'display: flex; align-items: center; gap: 8px; padding: 8px 16px; cursor: pointer; transition: background 0.2s;'
       });
+      option.lastElementChild.textContent = cat.name;
+      if (cat.builtIn === false) {
+        const customIcon = option.querySelector('.category-custom-icon');
+        customIcon.textContent = cat.icon || cat.name.charAt(0).toUpperCase();
+        customIcon.style.setProperty('--category-color', cat.color);
+      }
       
       option.addEventListener('mouseenter', () => {
         option.style.background = 'var(--md-sys-color-surface-variant)';
@@ -731,14 +804,7 @@ export function setupEventListeners() {
         return;
       }
       
-      // Category names for display
-      const categoryNames = {
-        [TAB_CATEGORIES.IMPORTANT]: 'Important',
-        [TAB_CATEGORIES.SAVE_LATER]: 'Useful',
-        [TAB_CATEGORIES.CAN_CLOSE]: 'Ignore'
-      };
-      
-      const categoryName = categoryNames[targetCategory];
+      const categoryName = globalThis.categoryRegistry.getCategoryName(targetCategory);
       
       // Show confirmation dialog
       const confirmMessage = `Are you sure you want to assign all ${tabCount} uncategorized tabs to "${categoryName}"?`;
@@ -836,8 +902,8 @@ export function setupEventListeners() {
           // Chrome's tabs.query({ url }) fails with long URLs, so we query all tabs
           const allTabs = await ChromeAPIService.queryTabs({});
           
-          // Find exact URL match
-          const existingTab = allTabs.find(t => t.url === tab.url);
+          // Find a tab with the same canonical URL (saved URLs are canonical)
+          const existingTab = allTabs.find(t => canonicalizeUrl(t.url) === tab.url);
           
           if (existingTab) {
             // Tab already exists, just activate it
@@ -850,7 +916,7 @@ export function setupEventListeners() {
             }
           } else {
             // Tab not open, create new one
-            browser.tabs.create({ url: tab.url });
+            browser.tabs.create({ url: getOpenUrl(tab) });
           }
         }
       }
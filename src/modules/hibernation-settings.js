@@ -0,0 +1,122 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Hibernation Settings - the idle policy that discards tabs instead of closing them, and its savings
+ */
+
+import { DOM_IDS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { getCategoryName, formatDateTime } from '../utils/helpers.js';
+import { state, updateState } from './state-manager.js';
+import StorageService from '../services/StorageService.js';
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Format an estimated amount of memory
+ * @param {number} mb - Megabytes
+ * @returns {string} e.g. "640 MB" or "1.2 GB"
+ */
+function formatMemory(mb) {
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb} MB`;
+}
+
+async function saveHibernationSettings() {
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Show the idle time and categories only while the policy is on
+ */
+function updatePolicyVisibility() {
+  const fields = $id(DOM_IDS.HIBERNATION_POLICY_FIELDS);
+  if (fields) {
+    fields.style.display = state.settings.autoHibernate ? 'block' : 'none';
+  }
+}
+
+/**
+ * Render a checkbox per category the policy can hibernate
+ */
+function renderCategoryCheckboxes() {
+  const list = $id(DOM_IDS.HIBERNATE_CATEGORIES_LIST);
+  if (!list) return;
+
+  const selected = state.settings.hibernateCategories || CONFIG.HIBERNATION.DEFAULT_CATEGORIES;
+  const categoryIds = globalThis.categoryRegistry.getDisplayOrder().map(Number).filter(id => id !== 0);
+  list.innerHTML = categoryIds.map(id => `
+    <label class="hibernate-category">
+      <input type="checkbox" value="${id}" ${selected.includes(id) ? 'checked' : ''}>
+      ${escapeHtml(getCategoryName(id))}
+    </label>
+  `).join('');
+}
+
+/**
+ * Show how many tabs are hibernated now, the memory that saves, and the totals so far
+ * Tab memory can't be measured from an extension, so savings are estimated per tab.
+ */
+export async function renderHibernationStats() {
+  const element = $id(DOM_IDS.HIBERNATION_STATS);
+  if (!element) return;
+
+  const [hibernatedTabs, { hibernationStats }] = await Promise.all([
+    browser.tabs.query({ discarded: true }),
+    browser.storage.local.get('hibernationStats')
+  ]);
+
+  const now = hibernatedTabs.length;
+  const saving = now > 0 ? `, saving about ${formatMemory(now * CONFIG.HIBERNATION.ESTIMATED_TAB_MB)}` : '';
+  const totals = hibernationStats
+    ? ` ${hibernationStats.total} hibernated so far (${hibernationStats.automatic} automatically), last ${formatDateTime(hibernationStats.lastHibernated)}.`
+    : '';
+  element.textContent = `${now} tab${now === 1 ? '' : 's'} hibernated now${saving}.${totals}`;
+}
+
+/**
+ * Set up the hibernation settings
+ */
+export function initializeHibernationSettings() {
+  const checkbox = $id(DOM_IDS.AUTO_HIBERNATE_CHECKBOX);
+  if (checkbox) {
+    checkbox.checked = state.settings.autoHibernate === true;
+    checkbox.addEventListener('change', async (e) => {
+      state.settings.autoHibernate = e.target.checked;
+      updatePolicyVisibility();
+      await saveHibernationSettings();
+    });
+  }
+
+  const idleSelect = $id(DOM_IDS.HIBERNATE_IDLE_SELECT);
+  if (idleSelect) {
+    idleSelect.value = String(state.settings.hibernateIdleMinutes || CONFIG.HIBERNATION.DEFAULT_IDLE_MINUTES);
+    idleSelect.addEventListener('change', async () => {
+      state.settings.hibernateIdleMinutes = parseInt(idleSelect.value);
+      await saveHibernationSettings();
+    });
+  }
+
+  const list = $id(DOM_IDS.HIBERNATE_CATEGORIES_LIST);
+  if (list) {
+    renderCategoryCheckboxes();
+    list.addEventListener('change', async () => {
+      state.settings.hibernateCategories = Array.from(list.querySelectorAll('input:checked'))
+        .map(input => parseInt(input.value));
+      await saveHibernationSettings();
+    });
+  }
+
+  updatePolicyVisibility();
+  renderHibernationStats().catch(error => {
+    console.error('Error loading hibernation stats:', error);
+  });
+}
+
+export default {
+  initializeHibernationSettings,
+  renderHibernationStats
+};
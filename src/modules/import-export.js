@@ -5,15 +5,31 @@
 
 import { DOM_IDS, TAB_TYPES, LIMITS } from '../utils/constants.js';
 import { $id } from '../utils/dom-helpers.js';
-import { smartConfirm, parseCSVLine } from '../utils/helpers.js';
+import { smartConfirm, parseCSVLine, getCategoryName } from '../utils/helpers.js';
 import { showConfirmWithCheckboxes } from '../utils/dialog-utils.js';
 import { showStatus } from './ui-manager.js';
 import { state } from './state-manager.js';
+import { getActiveRules } from './rules-categorizer.js';
 import { showSavedTabsContent } from './saved-tabs-manager.js';
 import { dataManager } from './data-manager.js';
 import { getUnifiedDatabase } from '../services/UnifiedDatabaseService.js';
 // Database is available as window.tabDatabase
 
+/**
+ * Resolve the category of an imported CSV row
+ * The name wins over the number: user categories may be numbered differently in the browser that exported.
+ * @param {string|null} value - category column (number or name)
+ * @param {string|null} name - categoryName column
+ * @returns {number} Category ID, or 0 if the row needs categorization
+ */
+function resolveCSVCategory(value, name) {
+  const byName = globalThis.categoryRegistry.findCategoryByName(name) || globalThis.categoryRegistry.findCategoryByName(value);
+  if (byName) return byName.id;
+  
+  const id = parseInt(value);
+  return globalThis.categoryRegistry.isSavedCategory(id) ? id : 0;
+}
+
 /**
  * Export tabs to CSV file
  */
@@ -46,6 +62,8 @@ export async function exportToCSV() {
       // Default to all categories if no filters set
       categories.push(1, 2, 3);
     }
+    const builtInCategoryCount = categories.length;
+    categories.push(...globalThis.categoryRegistry.getCustomCategories().map(category => category.id));
     
     // Get current grouping type
     const groupingType = state.popupState?.groupingSelections?.saved || 'category';
@@ -63,14 +81,21 @@ export async function exportToCSV() {
     
     // The processedData has a groups structure from the aggregation service
     if (processedData.groups) {
-      // Iterate through all groups
+      // Iterate through all groups (grouping by tag lists a tab under each of its tags)
+      const seenUrls = new Set();
+      const addTabs = tabs => tabs.forEach(tab => {
+        if (!seenUrls.has(tab.url)) {
+          seenUrls.add(tab.url);
+          allTabs.push(tab);
+        }
+      });
       Object.values(processedData.groups).forEach(group => {
         if (Array.isArray(group)) {
           // Each group is directly an array of items
-          allTabs.push(...group);
+          addTabs(group);
         } else if (group.items && Array.isArray(group.items)) {
           // Fallback: group might be an object with items property
-          allTabs.push(...group.items);
+          addTabs(group.items);
         }
       });
     } else if (processedData.items && Array.isArray(processedData.items)) {
@@ -85,8 +110,8 @@ export async function exportToCSV() {
     // Add filter information if any filters are active
     const filterInfo = [];
     if (searchQuery) filterInfo.push(`Search: "${searchQuery}"`);
-    if (categories.length < 3) {
-      const categoryNames = categories.map(c => [null, 'Ignore', 'Useful', 'Important'][c]).filter(Boolean);
+    if (builtInCategoryCount < 3) {
+      const categoryNames = categories.map(getCategoryName);
       filterInfo.push(`Categories: ${categoryNames.join(', ')}`);
     }
     
@@ -180,7 +205,8 @@ export async function handleCSVImport(event) {
         if (h === 'url' || (h.includes('url') && !h.includes('curl'))) columnMap.url = index;
         if (h === 'title' || h.includes('title')) columnMap.title = index;
         if (h === 'domain' || h.includes('domain')) columnMap.domain = index;
-        if (h === 'category' || h.includes('category')) columnMap.category = index;
+        if (h === 'categoryname') columnMap.categoryName = index;
+        else if (h === 'category' || h.includes('category')) columnMap.category = index;
         if (h === 'firstseen') columnMap.firstSeen = index;
         if (h === 'lastcategorized') columnMap.lastCategorized = index;
         if (h === 'lastaccessed') columnMap.lastAccessed = index;
@@ -189,6 +215,7 @@ export async function handleCSVImport(event) {
         if (h === 'firstopened') columnMap.firstOpened = index;
         if (h === 'lastopened') columnMap.lastOpened = index;
         if (h === 'lastclosetime') columnMap.lastCloseTime = index;
+        if (h === 'tags') columnMap.tags = index;
         
         // ML Prediction fields
         if (h === 'mlpredictiontimestamp') columnMap.mlPredictionTimestamp = index;
@@ -276,7 +303,7 @@ export async function handleCSVImport(event) {
           url,
           title,
           domain: getValue('domain') || window.tabDatabase.extractDomain(url),
-          category: recategorizeAll ? 0 : (getInt('category') || 0),
+          category: recategorizeAll ? 0 : resolveCSVCategory(getValue('category'), getValue('categoryName')),
           // Temporal fields
           firstSeen: getTimestamp('firstSeen'),
           lastCategorized: getTimestamp('lastCategorized'),
@@ -286,6 +313,8 @@ export async function handleCSVImport(event) {
           firstOpened: getTimestamp('firstOpened'),
           lastOpened: getTimestamp('lastOpened'),
           lastCloseTime: getTimestamp('lastCloseTime'),
+          // Tags are separated by semicolons
+          tags: (getValue('tags') || '').split(';').map(tag => tag.trim()).filter(Boolean),
           // ML fields (only if not recategorizing)
           mlData: !recategorizeAll ? (() => {
             const hasPredictionData = getValue('mlPredictionTimestamp');
@@ -334,7 +363,7 @@ export async function handleCSVImport(event) {
         tabsToImport.push(tabData);
         
         // If category is 0 or invalid, it needs categorization
-        if (!tabData.category || tabData.category < 1 || tabData.category > 3) {
+        if (!globalThis.categoryRegistry.isSavedCategory(tabData.category)) {
           tabsNeedingCategorization.push(tabData);
         }
       }
@@ -389,15 +418,10 @@ export async function handleCSVImport(event) {
         
       } else {
         // All tabs are already categorized - save them directly
-        const categorizedTabs = {
-          0: [],
-          1: [],
-          2: [],
-          3: []
-        };
+        const categorizedTabs = globalThis.categoryRegistry.createCategoryBuckets(true);
         
         tabsToImport.forEach(tab => {
-          if (tab.category >= 0 && tab.category <= 3) {
+          if (categorizedTabs[tab.category]) {
             categorizedTabs[tab.category].push(tab);
           }
         });
@@ -414,12 +438,15 @@ export async function handleCSVImport(event) {
       
       // Ensure we have a result
       if (!categorizationResult) {
-        categorizationResult = {
-          0: [],
-          1: [],
-          2: [],
-          3: []
-        };
+        categorizationResult = globalThis.categoryRegistry.createCategoryBuckets(true);
+      }
+      
+      // Tag imported tabs (they are saved by now)
+      for (const tab of tabsToImport.filter(tab => tab.tags.length > 0)) {
+        const savedUrl = await window.tabDatabase.getUrlByUrl(tab.url);
+        if (savedUrl) {
+          await window.tabDatabase.addTagNamesToUrl(savedUrl.id, tab.tags);
+        }
       }
       
       // Count imported tabs
@@ -521,7 +548,7 @@ function buildCategorizationMethodsList(settings) {
   
   // Rules are always available if configured
   if (settings.rules && settings.rules.length > 0) {
-    const enabledRules = settings.rules.filter(r => r.enabled).length;
+    const enabledRules = getActiveRules(settings).length;
     if (enabledRules > 0) {
       methods.push(`- Rule-based categorization (${enabledRules} active rules)`);
     }
@@ -0,0 +1,561 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Prompt Bench - named prompt variants with history and A/B comparison on labelled saved tabs
+ */
+
+import { DOM_IDS, LIMITS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { smartConfirm, getCategoryName } from '../utils/helpers.js';
+import { showStatus, downloadFile } from './ui-manager.js';
+import { state, updateState } from './state-manager.js';
+import { updatePromptStatus } from './settings-manager.js';
+import StorageService from '../services/StorageService.js';
+import MessageService from '../services/MessageService.js';
+import { hasRuleActions, isExcludedFromLLM } from './rule-actions.js';
+import { getRuleContext } from './categorization-service.js';
+import { calculateConfusionMatrix, calculatePerClassMetrics } from '../ml/training/validation.js';
+
+const FIXTURE_VERSION = 1;
+const BENCH_BATCH_SIZE = 50;
+const CURRENT_PROMPT_ID = 'current';
+
+// Built-in and user categories a fixture samples from
+function getBenchCategories() {
+  return globalThis.categoryRegistry.getSavedCategoryIds();
+}
+
+// === Prompt Variants ===
+
+/**
+ * Get saved prompt variants
+ * @returns {Array} [{ id, name, history: [{ prompt, savedAt }] }] - newest revision first
+ */
+export function getPromptVariants() {
+  return state.settings.promptVariants || [];
+}
+
+/**
+ * Save a prompt as a named variant
+ * Saving under an existing name adds a revision instead of creating a new variant.
+ * @param {string} name - Variant name
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<Object>} The saved variant
+ */
+export async function savePromptVariant(name, prompt) {
+  const variants = getPromptVariants();
+  let variant = variants.find(v => v.name === name);
+
+  if (!variant) {
+    variant = {
+      id: `variant_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      name,
+      history: []
+    };
+    variants.push(variant);
+  }
+
+  // Skip no-op revisions so history only records real edits
+  if (variant.history[0]?.prompt !== prompt) {
+    variant.history = [{ prompt, savedAt: Date.now() }, ...variant.history]
+      .slice(0, LIMITS.PROMPT_HISTORY_MAX);
+  }
+
+  state.settings.promptVariants = variants;
+  state.settings.activePromptVariantId = variant.id;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  return variant;
+}
+
+/**
+ * Make a variant revision the prompt used for categorization
+ * @param {string} variantId - Variant ID
+ * @param {number} revisionIndex - Index into the variant history (0 = latest)
+ */
+export async function activatePromptVariant(variantId, revisionIndex = 0) {
+  const variant = getPromptVariants().find(v => v.id === variantId);
+  const revision = variant?.history[revisionIndex];
+  if (!revision) return;
+
+  state.settings.customPrompt = revision.prompt;
+  state.settings.isPromptCustomized = revision.prompt !== CONFIG.DEFAULT_PROMPT;
+  state.settings.activePromptVariantId = variantId;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+
+  const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
+  if (promptTextarea) {
+    promptTextarea.value = revision.prompt;
+  }
+  updatePromptStatus();
+}
+
+/**
+ * Delete a prompt variant and its history
+ * @param {string} variantId - Variant ID
+ */
+export async function deletePromptVariant(variantId) {
+  state.settings.promptVariants = getPromptVariants().filter(v => v.id !== variantId);
+  if (state.settings.activePromptVariantId === variantId) {
+    state.settings.activePromptVariantId = null;
+  }
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+// Prompt text for a bench arm: the current prompt or the latest revision of a variant
+function getArmPrompt(variantId) {
+  if (variantId === CURRENT_PROMPT_ID) {
+    return state.settings.customPrompt || CONFIG.DEFAULT_PROMPT;
+  }
+  return getPromptVariants().find(v => v.id === variantId)?.history[0]?.prompt || null;
+}
+
+// === Test Bench ===
+
+// 32-bit FNV-1a hash, used for stable sampling and fixture keys
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Fixture key for an arm; any change to provider, model or prompt text records new responses
+function getArmKey({ provider, model, prompt }) {
+  return `${provider}/${model}/${hashString(prompt).toString(36)}`;
+}
+
+/**
+ * Build a labelled sample from saved tabs, using their saved category as the label
+ * Tabs are picked per category in URL-hash order, so the same saved tabs always give the same sample.
+ * Tabs a rule keeps away from the LLM are never sampled, since live runs send the sample to the provider.
+ * @param {number} sampleSize - Total sample size (split evenly across categories)
+ * @returns {Promise<Array>} [{ url, title, domain, label }]
+ */
+export async function buildLabelledSample(sampleSize) {
+  const categories = getBenchCategories();
+  let savedTabs = await window.tabDatabase.getAllSavedTabs({ categories });
+  const perCategory = Math.ceil(sampleSize / categories.length);
+
+  const ruleSettings = { rules: state.settings?.rules, rulePacks: state.settings?.rulePacks };
+  if (hasRuleActions(ruleSettings)) {
+    const ruleContext = await getRuleContext();
+    savedTabs = savedTabs.filter(tab => !isExcludedFromLLM(tab, ruleSettings, ruleContext));
+  }
+
+  return categories.flatMap(category => savedTabs
+    .filter(tab => tab.category === category)
+    .sort((a, b) => hashString(a.url) - hashString(b.url))
+    .slice(0, perCategory)
+    .map(tab => ({ url: tab.url, title: tab.title, domain: tab.domain, label: category })));
+}
+
+// Fixture samples match when they contain the same URLs with the same labels
+function isSameSample(sampleA, sampleB) {
+  return sampleA.length === sampleB.length &&
+    sampleA.every((tab, i) => tab.url === sampleB[i].url && tab.label === sampleB[i].label);
+}
+
+/**
+ * Get predictions for one arm, live (recording into the fixture) or replayed from the fixture
+ * @param {Object} arm - { label, provider, model, prompt }
+ * @param {Object} fixture - Bench fixture
+ * @param {boolean} offline - Replay recorded responses instead of calling the provider
+ * @returns {Promise<Object>} { [url]: category }
+ */
+async function getArmPredictions(arm, fixture, offline) {
+  const key = getArmKey(arm);
+
+  if (offline) {
+    const recorded = fixture.responses[key];
+    if (!recorded) {
+      throw new Error(`No recorded responses for ${arm.label} (${arm.provider}/${arm.model}) in the fixture`);
+    }
+    return recorded.predictions;
+  }
+
+  const apiKey = state.settings.apiKeys?.[arm.provider];
+  const baseUrl = state.settings.providerBaseUrls?.[arm.provider];
+  const predictions = {};
+
+  for (let i = 0; i < fixture.sample.length; i += BENCH_BATCH_SIZE) {
+    // IDs start at 1 so they survive the prompt's truthy tab ID lookup
+    const batch = fixture.sample.slice(i, i + BENCH_BATCH_SIZE)
+      .map((tab, j) => ({ id: i + j + 1, url: tab.url, title: tab.title, domain: tab.domain }));
+
+    const result = await MessageService.runPromptBench({
+      tabs: batch,
+      provider: arm.provider,
+      model: arm.model,
+      apiKey,
+      baseUrl,
+      prompt: arm.prompt
+    });
+
+    batch.forEach(tab => {
+      predictions[tab.url] = result.predictions[tab.id] ?? 0;
+    });
+  }
+
+  fixture.responses[key] = {
+    provider: arm.provider,
+    model: arm.model,
+    prompt: arm.prompt,
+    recordedAt: Date.now(),
+    predictions
+  };
+  return predictions;
+}
+
+/**
+ * Score predictions against the sample labels
+ * Per-category agreement is the share of the user's tabs in that category the model agreed with (recall).
+ * @param {Array} sample - Labelled sample
+ * @param {Object} predictions - { [url]: category }
+ * @returns {Object} { agreement, confusionMatrix, perClassMetrics, uncategorized }
+ */
+export function scorePredictions(sample, predictions) {
+  const trueLabels = sample.map(tab => tab.label);
+  const predicted = sample.map(tab => predictions[tab.url] ?? 0);
+
+  // Class 0 (uncategorized) is kept so omitted tabs count as disagreements
+  // (fixtures may carry labels of user categories deleted since, so size the matrix to fit them)
+  const numClasses = Math.max(globalThis.categoryRegistry.getNumClasses(), ...trueLabels, ...predicted) + 1;
+  const confusionMatrix = calculateConfusionMatrix(trueLabels, predicted, numClasses);
+  const matches = trueLabels.filter((label, i) => label === predicted[i]).length;
+
+  return {
+    agreement: sample.length > 0 ? matches / sample.length : 0,
+    confusionMatrix,
+    perClassMetrics: calculatePerClassMetrics(confusionMatrix),
+    uncategorized: predicted.filter(category => category === 0).length
+  };
+}
+
+/**
+ * Run an A/B comparison of two prompt/provider/model arms
+ * Live runs build the sample from saved tabs and record responses into the stored fixture;
+ * offline runs replay the stored (or imported) fixture without any provider calls.
+ * @param {Object} params
+ * @param {Array<Object>} params.arms - Two arms: { label, provider, model, prompt }
+ * @param {number} params.sampleSize - Labelled sample size for live runs
+ * @param {boolean} params.offline - Replay the recorded fixture
+ * @returns {Promise<Object>} { sample, arms: [{ ...arm, score }], armAgreement }
+ */
+export async function runPromptBench({ arms, sampleSize, offline }) {
+  let fixture = await StorageService.loadPromptBenchFixture();
+
+  if (offline) {
+    if (!fixture) {
+      throw new Error('No recorded fixture - run the bench live or import a fixture first');
+    }
+  } else {
+    const sample = await buildLabelledSample(sampleSize);
+    if (sample.length === 0) {
+      throw new Error('No saved tabs to sample');
+    }
+    // A different sample invalidates previously recorded responses
+    if (!fixture || fixture.version !== FIXTURE_VERSION || !isSameSample(fixture.sample, sample)) {
+      fixture = { version: FIXTURE_VERSION, createdAt: Date.now(), sample, responses: {} };
+    }
+  }
+
+  const results = [];
+  for (const arm of arms) {
+    const predictions = await getArmPredictions(arm, fixture, offline);
+    results.push({ ...arm, predictions, score: scorePredictions(fixture.sample, predictions) });
+  }
+
+  if (!offline) {
+    await StorageService.savePromptBenchFixture(fixture);
+  }
+
+  const [a, b] = results;
+  const sameCount = fixture.sample.filter(tab => (a.predictions[tab.url] ?? 0) === (b.predictions[tab.url] ?? 0)).length;
+
+  return {
+    sample: fixture.sample,
+    arms: results,
+    armAgreement: fixture.sample.length > 0 ? sameCount / fixture.sample.length : 0
+  };
+}
+
+// === UI ===
+
+/**
+ * Initialize prompt variant and test bench controls
+ */
+export function initializePromptBench() {
+  renderPromptVariantControls();
+  renderBenchArmControls();
+
+  const sampleSizeInput = $id('promptBenchSampleSize');
+  if (sampleSizeInput && !sampleSizeInput.value) {
+    sampleSizeInput.value = LIMITS.PROMPT_BENCH_SAMPLE_DEFAULT;
+  }
+
+  $id(DOM_IDS.PROMPT_VARIANT_SELECT)?.addEventListener('change', onVariantSelect);
+  $id(DOM_IDS.PROMPT_HISTORY_SELECT)?.addEventListener('change', onRevisionSelect);
+  $id(DOM_IDS.SAVE_PROMPT_VARIANT_BTN)?.addEventListener('click', onSaveVariant);
+  $id(DOM_IDS.DELETE_PROMPT_VARIANT_BTN)?.addEventListener('click', onDeleteVariant);
+  $id(DOM_IDS.RUN_PROMPT_BENCH_BTN)?.addEventListener('click', onRunBench);
+  $id(DOM_IDS.EXPORT_BENCH_FIXTURE_BTN)?.addEventListener('click', exportFixture);
+  $id(DOM_IDS.IMPORT_BENCH_FIXTURE_BTN)?.addEventListener('click', () => $id('benchFixtureFileInput')?.click());
+  $id('benchFixtureFileInput')?.addEventListener('change', importFixture);
+}
+
+function createOption(value, text) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = text;
+  return option;
+}
+
+/**
+ * Render the variant and revision selects
+ */
+function renderPromptVariantControls() {
+  const variantSelect = $id(DOM_IDS.PROMPT_VARIANT_SELECT);
+  const historySelect = $id(DOM_IDS.PROMPT_HISTORY_SELECT);
+  const nameInput = $id(DOM_IDS.PROMPT_VARIANT_NAME_INPUT);
+  if (!variantSelect || !historySelect) return;
+
+  const variants = getPromptVariants();
+  const active = variants.find(v => v.id === state.settings.activePromptVariantId);
+
+  variantSelect.innerHTML = '';
+  variantSelect.appendChild(createOption('', variants.length ? 'Select a variant...' : 'No saved variants'));
+  variants.forEach(variant => variantSelect.appendChild(createOption(variant.id, variant.name)));
+  variantSelect.value = active?.id || '';
+
+  historySelect.innerHTML = '';
+  (active?.history || []).forEach((revision, index) => {
+    const label = `${index === 0 ? 'Latest' : `Revision ${active.history.length - index}`} - ${new Date(revision.savedAt).toLocaleString()}`;
+    historySelect.appendChild(createOption(index, label));
+  });
+  historySelect.disabled = !active;
+
+  if (nameInput && active) {
+    nameInput.value = active.name;
+  }
+}
+
+/**
+ * Render the A/B arm selects (prompt variant + provider), keeping current choices
+ */
+function renderBenchArmControls() {
+  document.querySelectorAll('.prompt-bench-arm').forEach(armRow => {
+    const variantSelect = armRow.querySelector('.bench-variant-select');
+    const providerSelect = armRow.querySelector('.bench-provider-select');
+    const modelInput = armRow.querySelector('.bench-model-input');
+
+    const selectedVariant = variantSelect.value || CURRENT_PROMPT_ID;
+    variantSelect.innerHTML = '';
+    variantSelect.appendChild(createOption(CURRENT_PROMPT_ID, 'Current prompt'));
+    getPromptVariants().forEach(variant => variantSelect.appendChild(createOption(variant.id, variant.name)));
+    variantSelect.value = getArmPrompt(selectedVariant) !== null ? selectedVariant : CURRENT_PROMPT_ID;
+
+    if (!providerSelect.options.length) {
+      Object.keys(CONFIG?.PROVIDERS || {}).forEach(name => {
+        providerSelect.appendChild(createOption(name, CONFIG.PROVIDERS[name].label || name));
+      });
+      providerSelect.value = state.settings.provider;
+    }
+
+    if (!modelInput.value) {
+      modelInput.value = state.settings.model || state.settings.selectedModels?.[state.settings.provider] || '';
+    }
+  });
+}
+
+async function onVariantSelect(e) {
+  if (!e.target.value) return;
+  await activatePromptVariant(e.target.value, 0);
+  renderPromptVariantControls();
+}
+
+async function onRevisionSelect(e) {
+  const variantId = $id(DOM_IDS.PROMPT_VARIANT_SELECT)?.value;
+  if (!variantId) return;
+  await activatePromptVariant(variantId, parseInt(e.target.value));
+  showStatus('Revision loaded into the prompt', 'success', 2000);
+}
+
+async function onSaveVariant() {
+  const name = $id(DOM_IDS.PROMPT_VARIANT_NAME_INPUT)?.value.trim();
+  if (!name) {
+    showStatus('Please enter a variant name', 'error');
+    return;
+  }
+
+  await savePromptVariant(name, state.settings.customPrompt || CONFIG.DEFAULT_PROMPT);
+  renderPromptVariantControls();
+  renderBenchArmControls();
+  showStatus(`Prompt saved as "${name}"`, 'success', 2000);
+}
+
+async function onDeleteVariant() {
+  const variantId = $id(DOM_IDS.PROMPT_VARIANT_SELECT)?.value;
+  const variant = getPromptVariants().find(v => v.id === variantId);
+  if (!variant) return;
+
+  const confirmed = await smartConfirm(`Delete prompt variant "${variant.name}" and its history?`, { defaultAnswer: false });
+  if (!confirmed) return;
+
+  await deletePromptVariant(variantId);
+  renderPromptVariantControls();
+  renderBenchArmControls();
+}
+
+// Read the A/B arm settings from the bench UI
+function readBenchArms() {
+  return Array.from(document.querySelectorAll('.prompt-bench-arm')).map(armRow => {
+    const variantId = armRow.querySelector('.bench-variant-select').value;
+    return {
+      label: armRow.dataset.arm,
+      variantName: variantId === CURRENT_PROMPT_ID
+        ? 'Current prompt'
+        : getPromptVariants().find(v => v.id === variantId)?.name,
+      prompt: getArmPrompt(variantId),
+      provider: armRow.querySelector('.bench-provider-select').value,
+      model: armRow.querySelector('.bench-model-input').value.trim()
+    };
+  });
+}
+
+async function onRunBench() {
+  const runBtn = $id(DOM_IDS.RUN_PROMPT_BENCH_BTN);
+  const arms = readBenchArms();
+  const offline = $id('promptBenchOfflineCheckbox')?.checked === true;
+  const sampleSize = parseInt($id('promptBenchSampleSize')?.value) || LIMITS.PROMPT_BENCH_SAMPLE_DEFAULT;
+
+  if (arms.some(arm => !arm.prompt || !arm.provider || !arm.model)) {
+    showStatus('Each arm needs a prompt, provider and model', 'error');
+    return;
+  }
+
+  if (runBtn) runBtn.disabled = true;
+  const container = $id('promptBenchResults');
+  if (container) {
+    container.innerHTML = `<div class="setting-help-text">${offline ? 'Replaying fixture...' : 'Running bench...'}</div>`;
+  }
+
+  try {
+    const result = await runPromptBench({ arms, sampleSize, offline });
+    renderBenchResults(result);
+  } catch (error) {
+    console.error('Prompt bench failed:', error);
+    if (container) container.innerHTML = '';
+    showStatus(`Prompt bench failed: ${error.message}`, 'error', 5000);
+  } finally {
+    if (runBtn) runBtn.disabled = false;
+  }
+}
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Render agreement per category and confusion matrices for both arms
+ * @param {Object} result - runPromptBench result
+ */
+function renderBenchResults({ sample, arms, armAgreement }) {
+  const container = $id('promptBenchResults');
+  if (!container) return;
+
+  const header = arms.map(arm => `<th>${escapeHtml(arm.label)}: ${escapeHtml(arm.variantName || '')}<br>${escapeHtml(arm.provider)}/${escapeHtml(arm.model)}</th>`).join('');
+
+  const categories = getBenchCategories();
+  const categoryRows = categories.map(category => `
+    <tr>
+      <td>${escapeHtml(getCategoryName(category))} (${arms[0].score.perClassMetrics[category].support})</td>
+      ${arms.map(arm => {
+        const metrics = arm.score.perClassMetrics[category];
+        return `<td>${formatPercent(metrics.recall)} <span class="setting-description">F1 ${metrics.f1.toFixed(2)}</span></td>`;
+      }).join('')}
+    </tr>
+  `).join('');
+
+  // Confusion matrix rows are user labels, columns are predictions (including uncategorized)
+  const predictedClasses = [...categories, 0];
+  const matrices = arms.map(arm => `
+    <table class="llm-usage-table">
+      <thead>
+        <tr><th>${escapeHtml(arm.label)}: label \\ predicted</th>${predictedClasses.map(c => `<th>${escapeHtml(getCategoryName(c))}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${categories.map(label => `
+          <tr><td>${escapeHtml(getCategoryName(label))}</td>${predictedClasses.map(c => `<td>${arm.score.confusionMatrix[label][c]}</td>`).join('')}</tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `).join('');
+
+  container.innerHTML = `
+    <table class="llm-usage-table">
+      <thead><tr><th>Agreement with your labels</th>${header}</tr></thead>
+      <tbody>
+        <tr><td>Overall (${sample.length} tabs)</td>${arms.map(arm => `<td>${formatPercent(arm.score.agreement)}</td>`).join('')}</tr>
+        ${categoryRows}
+        <tr><td>Uncategorized</td>${arms.map(arm => `<td>${arm.score.uncategorized}</td>`).join('')}</tr>
+      </tbody>
+    </table>
+    <div class="setting-help-text">A and B agree with each other on ${formatPercent(armAgreement)} of the sample.</div>
+    ${matrices}
+  `;
+}
+
+/**
+ * Download the stored fixture so runs can be replayed elsewhere
+ */
+async function exportFixture() {
+  const fixture = await StorageService.loadPromptBenchFixture();
+  if (!fixture) {
+    showStatus('No recorded fixture yet - run the bench live first', 'error');
+    return;
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  downloadFile(JSON.stringify(fixture, null, 2), `prompt-bench-fixture-${date}.json`, 'application/json');
+}
+
+/**
+ * Replace the stored fixture with an imported one
+ */
+async function importFixture(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const fixture = JSON.parse(await file.text());
+    if (fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.sample) || typeof fixture.responses !== 'object') {
+      throw new Error('Not a prompt bench fixture');
+    }
+
+    await StorageService.savePromptBenchFixture(fixture);
+    showStatus(`Fixture imported (${fixture.sample.length} tabs, ${Object.keys(fixture.responses).length} recorded runs)`, 'success', 3000);
+  } catch (error) {
+    showStatus(`Failed to import fixture: ${error.message}`, 'error');
+  } finally {
+    e.target.value = '';
+  }
+}
+
+export default {
+  getPromptVariants,
+  savePromptVariant,
+  activatePromptVariant,
+  deletePromptVariant,
+  buildLabelledSample,
+  scorePredictions,
+  runPromptBench,
+  initializePromptBench
+};
@@ -0,0 +1,175 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Retention Settings - rules that archive or delete saved tabs nobody opened for a while
+ */
+
+import { DOM_IDS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { getCategoryName, formatDate, formatDateTime } from '../utils/helpers.js';
+import { showConfirm } from '../utils/dialog-utils.js';
+import { showStatus } from './ui-manager.js';
+import { state, updateState } from './state-manager.js';
+import StorageService from '../services/StorageService.js';
+import MessageService from '../services/MessageService.js';
+
+// Planned removals listed in the preview
+const MAX_PREVIEW_ROWS = 50;
+
+const ACTION_LABELS = {
+  archive: 'Archive',
+  delete: 'Delete'
+};
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Get what the rules would archive or delete now
+ * @returns {Array} Planned removals, oldest first
+ */
+function getPlan() {
+  if (!window.tabDatabase) return [];
+  return window.tabDatabase.planUrlRetention(state.settings.retentionRules || []);
+}
+
+/**
+ * Parse and save the rules text
+ * Lines that don't parse are kept in the textarea (and not saved) so they can be fixed.
+ */
+async function onRulesChange(e) {
+  const { rules, errors } = globalThis.retentionPolicy.parseRules(e.target.value);
+  state.settings.retentionRules = rules;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+
+  if (errors.length > 0) {
+    showStatus(`Retention rules: ${errors.join('; ')}`, 'error', 5000);
+  } else {
+    e.target.value = globalThis.retentionPolicy.formatRules(rules);
+    showStatus('Retention rules saved', 'success', 2000);
+  }
+
+  // An open preview would show the old rules
+  const preview = $id(DOM_IDS.RETENTION_PREVIEW);
+  if (preview && preview.innerHTML) {
+    renderRetentionPreview();
+  }
+}
+
+/**
+ * Render what the rules would archive or delete now
+ */
+export function renderRetentionPreview() {
+  const container = $id(DOM_IDS.RETENTION_PREVIEW);
+  if (!container) return;
+
+  let plan;
+  try {
+    plan = getPlan();
+  } catch (error) {
+    console.error('Error previewing retention rules:', error);
+    container.innerHTML = '<div class="setting-help-text">The preview is unavailable right now.</div>';
+    return;
+  }
+
+  if (plan.length === 0) {
+    container.innerHTML = '<div class="setting-help-text">Nothing to archive or delete now.</div>';
+    return;
+  }
+
+  const archived = plan.filter(item => item.action === 'archive').length;
+  const deleted = plan.length - archived;
+  const rows = plan.slice(0, MAX_PREVIEW_ROWS).map(item => `
+    <div class="retention-preview-row">
+      <span class="retention-preview-action ${item.action}">${ACTION_LABELS[item.action]}</span>
+      <span class="retention-preview-tab" title="${escapeHtml(item.url)}">${escapeHtml(item.title || item.url)}</span>
+      <span class="retention-preview-category">${escapeHtml(getCategoryName(item.category))}</span>
+      <span class="retention-preview-date" title="${escapeHtml(item.rule === 'default' ? 'Default: expiring categories after a year' : item.rule)}">${item.lastAccessed ? formatDate(item.lastAccessed) : 'Never opened'}</span>
+    </div>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="retention-preview-summary">${archived} to archive, ${deleted} to delete</div>
+    ${rows}
+    ${plan.length > MAX_PREVIEW_ROWS ? `<div class="setting-help-text">...and ${plan.length - MAX_PREVIEW_ROWS} more</div>` : ''}
+  `;
+}
+
+/**
+ * Show when the rules last ran
+ */
+export async function renderRetentionLastRun() {
+  const element = $id(DOM_IDS.RETENTION_LAST_RUN);
+  if (!element) return;
+
+  const { retentionLastRun } = await browser.storage.local.get('retentionLastRun');
+  element.textContent = retentionLastRun
+    ? `Last run ${formatDateTime(retentionLastRun.timestamp)}: ${retentionLastRun.archived} archived, ${retentionLastRun.deleted} deleted` +
+      `${retentionLastRun.errors > 0 ? `, ${retentionLastRun.errors} failed` : ''}`
+    : 'Not run yet';
+}
+
+/**
+ * Apply the rules now instead of waiting for the background
+ */
+async function runRetentionNow() {
+  let plan;
+  try {
+    plan = getPlan();
+  } catch (error) {
+    plan = [];
+  }
+  if (plan.length === 0) {
+    showStatus('Nothing to archive or delete now', 'info', 2000);
+    return;
+  }
+
+  const confirmed = await showConfirm(
+    `Archive or delete ${plan.length} saved tab${plan.length === 1 ? '' : 's'} now? Deleted tabs can't be restored.`,
+    { title: 'Apply Retention Rules', confirmText: 'Apply', confirmType: 'warning' }
+  );
+  if (!confirmed) return;
+
+  try {
+    const lastRun = await MessageService.applyRetention();
+    showStatus(`${lastRun.archived} archived, ${lastRun.deleted} deleted`, 'success', 3000);
+
+    // The background changed the database - reload this popup's copy
+    await window.tabDatabase.reloadCache();
+    const { markContentDirty } = await import('./content-manager.js');
+    markContentDirty('all');
+  } catch (error) {
+    console.error('Error applying retention rules:', error);
+    showStatus(`Could not apply retention rules: ${error.message}`, 'error');
+  }
+
+  renderRetentionPreview();
+  renderRetentionLastRun();
+}
+
+/**
+ * Set up the retention settings
+ */
+export function initializeRetentionSettings() {
+  const input = $id(DOM_IDS.RETENTION_RULES_INPUT);
+  if (input) {
+    input.value = globalThis.retentionPolicy.formatRules(state.settings.retentionRules || []);
+    input.addEventListener('change', onRulesChange);
+  }
+
+  $id(DOM_IDS.RETENTION_PREVIEW_BTN)?.addEventListener('click', renderRetentionPreview);
+  $id(DOM_IDS.RETENTION_RUN_BTN)?.addEventListener('click', runRetentionNow);
+
+  renderRetentionLastRun().catch(error => {
+    console.error('Error loading last retention run:', error);
+  });
+}
+
+export default {
+  initializeRetentionSettings,
+  renderRetentionPreview,
+  renderRetentionLastRun
+};
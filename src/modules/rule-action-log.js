@@ -0,0 +1,100 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Action Log - actions rules ran in the background and tabs closed or deleted in the popup, with undo
+ */
+
+import { DOM_IDS, RULE_ACTIONS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { getCategoryName } from '../utils/helpers.js';
+import { undoJournalEntry } from './undo-journal.js';
+
+// Log entries shown
+const MAX_ENTRIES = 50;
+
+const ACTION_LABELS = {
+  [RULE_ACTIONS.CLOSE]: 'Closed',
+  [RULE_ACTIONS.SAVE_AND_CLOSE]: 'Saved and closed',
+  [RULE_ACTIONS.PIN]: 'Pinned',
+  [RULE_ACTIONS.MUTE]: 'Muted',
+  [RULE_ACTIONS.MOVE_TO_WINDOW]: 'Moved',
+  [RULE_ACTIONS.BOOKMARK]: 'Bookmarked'
+};
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function describeEntry(entry) {
+  // Undo journal entries from the popup describe themselves
+  if (entry.label) {
+    return entry.label;
+  }
+  const label = ACTION_LABELS[entry.type] || entry.type;
+  if (entry.type === RULE_ACTIONS.MOVE_TO_WINDOW && entry.windowName) {
+    return `${label} to "${entry.windowName}"`;
+  }
+  if (entry.type === RULE_ACTIONS.SAVE_AND_CLOSE && globalThis.categoryRegistry.isSavedCategory(entry.category)) {
+    return `${label} as ${getCategoryName(entry.category)}`;
+  }
+  return label;
+}
+
+/**
+ * Undo a logged action and refresh the log
+ * @param {number} id - Action log entry ID
+ */
+export async function undoRuleAction(id) {
+  await undoJournalEntry(id);
+  renderRuleActionLog();
+}
+
+/**
+ * Render the log of actions rules ran
+ */
+export async function renderRuleActionLog() {
+  const container = $id(DOM_IDS.RULE_ACTION_LOG);
+  if (!container || !window.tabDatabase) return;
+
+  let entries;
+  try {
+    entries = await window.tabDatabase.getActionLog(MAX_ENTRIES);
+  } catch (error) {
+    console.error('Error loading rule action log:', error);
+    container.innerHTML = '<div class="setting-help-text">The action log is unavailable right now.</div>';
+    return;
+  }
+
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="setting-help-text">No actions yet - closing or deleting tabs here, or adding an action to a rule with "Also:", shows up here.</div>';
+    return;
+  }
+
+  container.innerHTML = '';
+  entries.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'rule-action-log-entry';
+    if (entry.undoneAt) {
+      row.classList.add('undone');
+    }
+
+    row.innerHTML = `
+      <span class="rule-action-log-time">${new Date(entry.timestamp).toLocaleString()}</span>
+      <span class="rule-action-log-action">${escapeHtml(describeEntry(entry))}</span>
+      <span class="rule-action-log-tab" title="${escapeHtml(entry.url)}">${escapeHtml(entry.title || entry.url)}</span>
+      <button class="secondary-btn rule-action-log-undo" ${entry.undoneAt ? 'disabled' : ''}>${entry.undoneAt ? 'Undone' : 'Undo'}</button>
+    `;
+
+    if (!entry.undoneAt) {
+      row.querySelector('.rule-action-log-undo').addEventListener('click', () => undoRuleAction(entry.id));
+    }
+
+    container.appendChild(row);
+  });
+}
+
+export default {
+  undoRuleAction,
+  renderRuleActionLog
+};
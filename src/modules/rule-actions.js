@@ -0,0 +1,133 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Actions - which actions matching rules ask for, shared by the popup and the background
+ */
+
+import { RULE_ACTIONS } from '../utils/constants.js';
+import { evaluateCondition, getActiveRules, migrateRule, parseDuration, sortRulesByPriority } from './rules-categorizer.js';
+
+// Actions the background runs on tabs; excluding from the LLM only changes categorization
+export const TAB_ACTIONS = [
+  RULE_ACTIONS.CLOSE,
+  RULE_ACTIONS.SAVE_AND_CLOSE,
+  RULE_ACTIONS.PIN,
+  RULE_ACTIONS.MUTE,
+  RULE_ACTIONS.MOVE_TO_WINDOW,
+  RULE_ACTIONS.BOOKMARK
+];
+
+const CLOSING_ACTIONS = [RULE_ACTIONS.CLOSE, RULE_ACTIONS.SAVE_AND_CLOSE];
+
+/**
+ * Check whether any active rule has actions
+ * @param {Object} settings - { rules, rulePacks }
+ * @returns {boolean} True if there is something to run
+ */
+export function hasRuleActions(settings) {
+  return getActiveRules(settings).some(rule => rule.actions?.length > 0);
+}
+
+/**
+ * Get the actions of every active rule matching a tab
+ * Unlike categories, all matching rules contribute; for each action type the
+ * highest-priority rule asking for it wins.
+ * @param {Object} tab - Tab (same fields as for rule conditions)
+ * @param {Object} settings - { rules, rulePacks }
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {Array} [{ ruleId, category, action }]
+ */
+export function getRuleActions(tab, settings, context = {}) {
+  const matches = [];
+  const seenTypes = new Set();
+
+  sortRulesByPriority(getActiveRules(settings))
+    .filter(rule => rule.actions?.length > 0)
+    .forEach(rule => {
+      const migrated = migrateRule(rule);
+      if (!evaluateCondition(migrated.condition, tab, context)) return;
+
+      migrated.actions.forEach(action => {
+        if (seenTypes.has(action.type)) return;
+        seenTypes.add(action.type);
+        matches.push({ ruleId: migrated.id, category: migrated.category, action });
+      });
+    });
+
+  return matches;
+}
+
+/**
+ * Check whether a tab must not be sent to the LLM (or have its page content read)
+ * @param {Object} tab - Tab
+ * @param {Object} settings - { rules, rulePacks }
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {boolean} True if a matching rule excludes it
+ */
+export function isExcludedFromLLM(tab, settings, context = {}) {
+  return getRuleActions(tab, settings, context)
+    .some(({ action }) => action.type === RULE_ACTIONS.EXCLUDE_FROM_LLM);
+}
+
+/**
+ * Get the IDs of tabs that must not be sent to the LLM
+ * @param {Array} tabs - Tabs
+ * @param {Object} settings - { rules, rulePacks }
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {Array} Tab IDs
+ */
+export function getLLMExcludedTabIds(tabs, settings, context = {}) {
+  return tabs.filter(tab => isExcludedFromLLM(tab, settings, context)).map(tab => tab.id);
+}
+
+/**
+ * Check whether an action should run now
+ * Closing actions wait until the tab has been idle long enough, and never close the tab being looked at.
+ */
+function isActionDue(action, tab, context) {
+  if (!CLOSING_ACTIONS.includes(action.type)) return true;
+  if (tab.active && tab.windowId === context.currentWindowId) return false;
+  if (!action.afterIdle) return true;
+
+  const idleLimit = parseDuration(action.afterIdle);
+  const lastActive = new Date(tab.lastAccessed || NaN).getTime();
+  if (isNaN(idleLimit) || isNaN(lastActive)) return false;
+  return ((context.now ?? Date.now()) - lastActive) / 60000 > idleLimit;
+}
+
+/**
+ * Get the tab actions due for a batch of tabs (the background runs them)
+ * @param {Array} tabs - Browser tabs, with lastAccessed and tabOpenTime
+ * @param {Object} settings - { rules, rulePacks }
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {Object} { [tabId]: [{ ruleId, category, action }] } - only tabs with something due
+ */
+export function getDueTabActions(tabs, settings, context = {}) {
+  const due = {};
+
+  tabs.forEach(tab => {
+    const actions = getRuleActions(tab, settings, context)
+      .filter(({ action }) => TAB_ACTIONS.includes(action.type) && isActionDue(action, tab, context));
+
+    // Closing makes pinning, muting and moving pointless; a bookmark still runs first
+    const closing = actions.find(({ action }) => CLOSING_ACTIONS.includes(action.type));
+    if (closing) {
+      due[tab.id] = [
+        ...actions.filter(({ action }) => action.type === RULE_ACTIONS.BOOKMARK),
+        closing
+      ];
+    } else if (actions.length > 0) {
+      due[tab.id] = actions;
+    }
+  });
+
+  return due;
+}
+
+export default {
+  TAB_ACTIONS,
+  hasRuleActions,
+  getRuleActions,
+  isExcludedFromLLM,
+  getLLMExcludedTabIds,
+  getDueTabActions
+};
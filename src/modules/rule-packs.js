@@ -0,0 +1,541 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Packs - shareable, versioned rule sets that can be imported, exported and toggled as a unit
+ */
+
+import {
+  DOM_IDS,
+  RULE_PACK_SCHEMA,
+  RULE_PACK_SCHEMA_VERSION,
+  RULE_GROUP_OPS,
+  RULE_CONDITION_FIELDS,
+  RULE_FIELD_OPERATORS,
+  RULE_ACTIONS
+} from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { smartConfirm, getCategoryName } from '../utils/helpers.js';
+import { showStatus, downloadFile } from './ui-manager.js';
+import { state, updateState } from './state-manager.js';
+import { initializeRulesUI } from './settings-manager.js';
+import { migrateRule, getConditionKey, describeCondition } from './rules-categorizer.js';
+import StorageService from '../services/StorageService.js';
+
+// Conflict resolutions for an import
+export const CONFLICT_RESOLUTIONS = {
+  KEEP_MINE: 'keep',  // Skip the pack's rule
+  USE_PACK: 'pack'    // Disable my rule and add the pack's
+};
+
+/**
+ * Re-enable rules a pack disabled when it was installed
+ */
+function restoreRulesDisabledBy(rules, packId) {
+  return rules.map(rule => {
+    if (rule.disabledByPack !== packId) return rule;
+    const { disabledByPack, ...restored } = rule;
+    return { ...restored, enabled: true };
+  });
+}
+
+// Import being previewed, waiting for confirmation
+let pendingImport = null;
+
+// === Pack Files ===
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rule-pack';
+}
+
+// Pack rule IDs are stored as "<packId>/<ruleId>" so packs can't collide with each other or user rules
+function getStoredRuleId(packId, ruleId) {
+  return `${packId}/${ruleId}`;
+}
+
+function getPackRuleId(packId, storedId) {
+  const prefix = `${packId}/`;
+  return storedId.startsWith(prefix) ? storedId.slice(prefix.length) : storedId;
+}
+
+/**
+ * Build a rule pack file
+ * @param {Object} info - { id, name, version, description }
+ * @param {Array} rules - Rules to include
+ * @returns {Object} Rule pack
+ */
+export function createRulePack({ id, name, version, description }, rules) {
+  const packId = id || slugify(name);
+  return {
+    schema: RULE_PACK_SCHEMA,
+    schemaVersion: RULE_PACK_SCHEMA_VERSION,
+    id: packId,
+    name,
+    version: version || '1.0.0',
+    description: description || '',
+    exportedAt: new Date().toISOString(),
+    rules: rules.map(rule => ({
+      id: getPackRuleId(packId, rule.id),
+      category: rule.category,
+      priority: rule.priority || 0,
+      ...(rule.minimum ? { minimum: true } : {}),
+      ...(rule.actions?.length > 0 ? { actions: rule.actions } : {}),
+      condition: rule.condition
+    }))
+  };
+}
+
+/**
+ * Check a condition tree from a pack file
+ * @returns {string|null} Problem, or null if valid
+ */
+function validateCondition(node) {
+  if (!node || typeof node !== 'object') return 'missing condition';
+
+  if (node.op === RULE_GROUP_OPS.AND || node.op === RULE_GROUP_OPS.OR) {
+    if (!Array.isArray(node.conditions)) return `"${node.op}" group without conditions`;
+    for (const child of node.conditions) {
+      const problem = validateCondition(child);
+      if (problem) return problem;
+    }
+    return null;
+  }
+  if (node.op === RULE_GROUP_OPS.NOT) {
+    return validateCondition(node.condition);
+  }
+  if (node.op !== undefined) return `unknown group "${node.op}"`;
+
+  if (!Object.values(RULE_CONDITION_FIELDS).includes(node.field)) return `unknown field "${node.field}"`;
+  if (!RULE_FIELD_OPERATORS[node.field].includes(node.operator)) {
+    return `operator "${node.operator}" can't be used with ${node.field}`;
+  }
+  if (node.value === undefined || node.value === null || node.value === '') return `empty ${node.field} value`;
+  return null;
+}
+
+/**
+ * Check a rule's actions from a pack file
+ * @returns {string|null} Problem, or null if valid
+ */
+function validateActions(actions) {
+  if (actions === undefined) return null;
+  if (!Array.isArray(actions)) return 'actions must be a list';
+
+  for (const action of actions) {
+    if (!Object.values(RULE_ACTIONS).includes(action?.type)) return `unknown action "${action?.type}"`;
+    if (action.type === RULE_ACTIONS.MOVE_TO_WINDOW && !String(action.window || '').trim()) {
+      return 'move to window action without a window name';
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse and validate a rule pack file
+ * Rules in the older flat format ({ type, value }) are converted to condition trees.
+ * @param {string} text - File contents
+ * @returns {Object} Rule pack
+ * @throws {Error} If the file isn't a valid rule pack
+ */
+export function parseRulePack(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!pack || pack.schema !== RULE_PACK_SCHEMA) {
+    throw new Error('Not a rule pack');
+  }
+  if (!Number.isInteger(pack.schemaVersion) || pack.schemaVersion > RULE_PACK_SCHEMA_VERSION) {
+    throw new Error(`Rule pack format ${pack.schemaVersion} is newer than this version of the extension supports`);
+  }
+  if (typeof pack.name !== 'string' || !pack.name.trim()) {
+    throw new Error('Rule pack has no name');
+  }
+  if (!Array.isArray(pack.rules)) {
+    throw new Error('Rule pack has no rules');
+  }
+
+  const packId = slugify(pack.id || pack.name);
+  const rules = pack.rules.map((rule, index) => {
+    const migrated = migrateRule({ ...rule, id: String(rule.id ?? index + 1) });
+    if (!globalThis.categoryRegistry.isSavedCategory(migrated.category)) {
+      throw new Error(`Rule ${index + 1}: unknown category ${rule.category}`);
+    }
+    const problem = validateCondition(migrated.condition) || validateActions(migrated.actions);
+    if (problem) {
+      throw new Error(`Rule ${index + 1}: ${problem}`);
+    }
+    return {
+      id: getStoredRuleId(packId, migrated.id),
+      category: migrated.category,
+      enabled: true,
+      priority: Number(migrated.priority) || 0,
+      ...(migrated.minimum === true ? { minimum: true } : {}),
+      ...(migrated.actions?.length > 0 ? { actions: migrated.actions } : {}),
+      packId,
+      condition: migrated.condition
+    };
+  });
+
+  return {
+    id: packId,
+    name: pack.name.trim(),
+    version: String(pack.version || '1.0.0'),
+    description: String(pack.description || ''),
+    rules
+  };
+}
+
+// === Import / Export ===
+
+/**
+ * Work out how a pack merges into the current rules
+ * A pack that is already installed is replaced (its previous rules are removed).
+ * Other rules with the same condition are duplicates (same category) or conflicts (different category).
+ * @param {Object} pack - Parsed rule pack
+ * @returns {Object} { pack, installed, removed, added, duplicates, conflicts: [{ incoming, existing }] }
+ */
+export function planRulePackImport(pack) {
+  // An update starts from the rules as they were before the installed version
+  const rules = restoreRulesDisabledBy(state.settings.rules || [], pack.id);
+  const installed = (state.settings.rulePacks || []).find(p => p.id === pack.id) || null;
+
+  const existingByKey = new Map();
+  rules
+    .filter(rule => rule.packId !== pack.id && rule.enabled !== false)
+    .forEach(rule => {
+      const key = getConditionKey(migrateRule(rule).condition);
+      if (!existingByKey.has(key)) existingByKey.set(key, rule);
+    });
+
+  const plan = {
+    pack,
+    installed,
+    removed: rules.filter(rule => rule.packId === pack.id),
+    added: [],
+    duplicates: [],
+    conflicts: []
+  };
+
+  pack.rules.forEach(incoming => {
+    const existing = existingByKey.get(getConditionKey(incoming.condition));
+    if (!existing) {
+      plan.added.push(incoming);
+    } else if (existing.category === incoming.category) {
+      plan.duplicates.push({ incoming, existing });
+    } else {
+      plan.conflicts.push({ incoming, existing });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Install a planned import
+ * @param {Object} plan - From planRulePackImport
+ * @param {Object} resolutions - { [incoming rule ID]: CONFLICT_RESOLUTIONS.* } (default: keep mine)
+ */
+export async function applyRulePackImport(plan, resolutions = {}) {
+  const { pack } = plan;
+  const usePack = plan.conflicts.filter(({ incoming }) => resolutions[incoming.id] === CONFLICT_RESOLUTIONS.USE_PACK);
+  const replacedIds = new Set(usePack.map(({ existing }) => existing.id));
+
+  // Replaced rules are disabled rather than deleted, and come back if the pack is removed
+  const rules = restoreRulesDisabledBy(state.settings.rules || [], pack.id)
+    .filter(rule => rule.packId !== pack.id)
+    .map(rule => replacedIds.has(rule.id) ? { ...rule, enabled: false, disabledByPack: pack.id } : rule);
+
+  const packInfo = {
+    id: pack.id,
+    name: pack.name,
+    version: pack.version,
+    description: pack.description,
+    enabled: plan.installed ? plan.installed.enabled !== false : true,
+    builtIn: plan.installed?.builtIn === true,
+    installedAt: Date.now()
+  };
+
+  state.settings.rules = [...rules, ...plan.added, ...usePack.map(({ incoming }) => incoming)];
+  state.settings.rulePacks = [
+    ...(state.settings.rulePacks || []).filter(p => p.id !== pack.id),
+    packInfo
+  ];
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Turn an installed pack's rules on or off together
+ * @param {string} packId - Pack ID
+ * @param {boolean} enabled - Enable or disable
+ */
+export async function setRulePackEnabled(packId, enabled) {
+  state.settings.rulePacks = (state.settings.rulePacks || [])
+    .map(pack => pack.id === packId ? { ...pack, enabled } : pack);
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Uninstall a pack and its rules
+ * Rules the pack replaced on import are enabled again.
+ * @param {string} packId - Pack ID
+ */
+export async function removeRulePack(packId) {
+  state.settings.rules = restoreRulesDisabledBy(state.settings.rules || [], packId)
+    .filter(rule => rule.packId !== packId);
+  state.settings.rulePacks = (state.settings.rulePacks || []).filter(pack => pack.id !== packId);
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Build the file for an installed pack
+ * @param {string} packId - Pack ID
+ * @returns {Object|null} Rule pack
+ */
+export function exportRulePack(packId) {
+  const packInfo = (state.settings.rulePacks || []).find(pack => pack.id === packId);
+  if (!packInfo) return null;
+
+  const rules = (state.settings.rules || []).filter(rule => rule.packId === packId && rule.enabled !== false);
+  return createRulePack(packInfo, rules);
+}
+
+function downloadRulePack(pack) {
+  downloadFile(JSON.stringify(pack, null, 2), `${pack.id}-${pack.version}.rules.json`, 'application/json');
+}
+
+// === UI ===
+
+/**
+ * Initialize rule pack controls
+ */
+export function initializeRulePacks() {
+  renderRulePacks();
+
+  $id('exportRulePackBtn')?.addEventListener('click', onExportMyRules);
+  $id('importRulePackBtn')?.addEventListener('click', () => $id('rulePackFileInput')?.click());
+  $id('rulePackFileInput')?.addEventListener('change', onImportFile);
+
+  // Pack rows are re-rendered, so handle their controls on the list
+  const list = $id(DOM_IDS.RULE_PACKS_LIST);
+  list?.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('rule-pack-enabled')) return;
+    await setRulePackEnabled(e.target.dataset.packId, e.target.checked);
+    refreshRules();
+  });
+  list?.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-pack-id]');
+    if (!button) return;
+
+    const packId = button.dataset.packId;
+    if (button.classList.contains('rule-pack-export')) {
+      const pack = exportRulePack(packId);
+      if (pack) downloadRulePack(pack);
+    } else if (button.classList.contains('rule-pack-remove')) {
+      const packInfo = state.settings.rulePacks.find(pack => pack.id === packId);
+      const confirmed = await smartConfirm(`Remove the "${packInfo?.name}" rule pack and its rules?`, { defaultAnswer: false });
+      if (!confirmed) return;
+      await removeRulePack(packId);
+      refreshRules();
+    }
+  });
+}
+
+// Pack changes are saved immediately, so the rules editor is rebuilt from the saved rules
+function refreshRules() {
+  renderRulePacks();
+  initializeRulesUI();
+}
+
+/**
+ * Render installed packs
+ */
+export function renderRulePacks() {
+  const list = $id(DOM_IDS.RULE_PACKS_LIST);
+  if (!list) return;
+
+  const packs = state.settings.rulePacks || [];
+  const rules = state.settings.rules || [];
+  const userRuleCount = rules.filter(rule => !rule.packId && rule.enabled !== false).length;
+
+  list.innerHTML = '';
+  packs.forEach(pack => {
+    const ruleCount = rules.filter(rule => rule.packId === pack.id && rule.enabled !== false).length;
+    const row = document.createElement('div');
+    row.className = 'rule-pack-row';
+    row.innerHTML = `
+      <input type="checkbox" class="rule-pack-enabled" title="Use this pack's rules">
+      <div class="rule-pack-info">
+        <div><strong class="rule-pack-name"></strong> <span class="setting-description rule-pack-meta"></span></div>
+        <div class="setting-description rule-pack-description"></div>
+      </div>
+      <button class="secondary-btn rule-pack-export">Export</button>
+    `;
+    const checkbox = row.querySelector('.rule-pack-enabled');
+    checkbox.checked = pack.enabled !== false;
+    checkbox.dataset.packId = pack.id;
+    row.querySelector('.rule-pack-name').textContent = pack.name;
+    row.querySelector('.rule-pack-meta').textContent = `v${pack.version} · ${ruleCount} rule${ruleCount === 1 ? '' : 's'}`;
+    row.querySelector('.rule-pack-description').textContent = pack.description || '';
+    row.querySelector('.rule-pack-export').dataset.packId = pack.id;
+
+    if (!pack.builtIn) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'secondary-btn rule-pack-remove';
+      removeBtn.textContent = 'Remove';
+      removeBtn.dataset.packId = pack.id;
+      row.appendChild(removeBtn);
+    }
+    list.appendChild(row);
+  });
+
+  const summary = document.createElement('div');
+  summary.className = 'setting-help-text';
+  summary.textContent = `${userRuleCount} rule${userRuleCount === 1 ? '' : 's'} of your own (not in a pack)`;
+  list.appendChild(summary);
+}
+
+/**
+ * Export the user's own rules (not from a pack) as a new pack
+ */
+function onExportMyRules() {
+  const name = $id('rulePackNameInput')?.value.trim();
+  if (!name) {
+    showStatus('Please enter a pack name', 'error');
+    return;
+  }
+
+  const rules = (state.settings.rules || []).filter(rule => !rule.packId && rule.enabled !== false);
+  if (rules.length === 0) {
+    showStatus('You have no rules of your own to export', 'error');
+    return;
+  }
+
+  downloadRulePack(createRulePack({
+    name,
+    version: $id('rulePackVersionInput')?.value.trim(),
+    description: $id('rulePackDescriptionInput')?.value.trim()
+  }, rules));
+}
+
+async function onImportFile(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const pack = parseRulePack(await file.text());
+    pendingImport = planRulePackImport(pack);
+    renderImportPreview(pendingImport);
+  } catch (error) {
+    showStatus(`Failed to import rule pack: ${error.message}`, 'error');
+  } finally {
+    e.target.value = '';
+  }
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Show what an import would change, with a choice per conflicting rule
+ * @param {Object} plan - From planRulePackImport
+ */
+function renderImportPreview(plan) {
+  const container = $id(DOM_IDS.RULE_PACK_IMPORT_PREVIEW);
+  if (!container) return;
+
+  const { pack, installed } = plan;
+  const heading = installed
+    ? `Update "${escapeHtml(pack.name)}" v${escapeHtml(installed.version)} → v${escapeHtml(pack.version)}`
+    : `Install "${escapeHtml(pack.name)}" v${escapeHtml(pack.version)}`;
+
+  const conflictRows = plan.conflicts.map(({ incoming, existing }) => `
+    <tr>
+      <td>${escapeHtml(describeCondition(incoming.condition))}</td>
+      <td>${escapeHtml(getCategoryName(existing.category))}${existing.packId ? '' : ' (yours)'}</td>
+      <td>${escapeHtml(getCategoryName(incoming.category))}</td>
+      <td>
+        <select class="setting-select rule-pack-conflict" data-rule-id="${escapeHtml(incoming.id)}">
+          <option value="${CONFLICT_RESOLUTIONS.KEEP_MINE}">Keep current</option>
+          <option value="${CONFLICT_RESOLUTIONS.USE_PACK}">Use pack</option>
+        </select>
+      </td>
+    </tr>
+  `).join('');
+
+  // Actions run without asking, so call them out before importing
+  const actionTypes = [...new Set(pack.rules.flatMap(rule => (rule.actions || []).map(action => action.type)))]
+    .map(type => type.replace(/_/g, ' '));
+
+  container.innerHTML = `
+    <div><strong>${heading}</strong></div>
+    <div class="setting-description">${escapeHtml(pack.description)}</div>
+    <div class="setting-help-text">
+      ${plan.added.length} new rule${plan.added.length === 1 ? '' : 's'},
+      ${plan.duplicates.length} already present (skipped),
+      ${plan.conflicts.length} conflicting${installed ? `, ${plan.removed.length} from the installed version replaced` : ''}.
+    </div>
+    ${actionTypes.length > 0 ? `
+      <div class="setting-help-text">
+        ⚠️ Rules in this pack act on your tabs: ${escapeHtml(actionTypes.join(', '))}.
+      </div>
+    ` : ''}
+    ${plan.conflicts.length > 0 ? `
+      <table class="llm-usage-table">
+        <thead><tr><th>Condition</th><th>Current</th><th>Pack</th><th>Use</th></tr></thead>
+        <tbody>${conflictRows}</tbody>
+      </table>
+      <div class="setting-help-text">"Use pack" disables the current rule until the pack is removed.</div>
+    ` : ''}
+    <div class="prompt-variant-row">
+      <button class="primary-btn rule-pack-confirm">Import</button>
+      <button class="secondary-btn rule-pack-cancel">Cancel</button>
+    </div>
+  `;
+
+  container.querySelector('.rule-pack-confirm').addEventListener('click', onConfirmImport);
+  container.querySelector('.rule-pack-cancel').addEventListener('click', () => {
+    pendingImport = null;
+    container.innerHTML = '';
+  });
+}
+
+async function onConfirmImport() {
+  const container = $id(DOM_IDS.RULE_PACK_IMPORT_PREVIEW);
+  if (!pendingImport || !container) return;
+
+  const resolutions = {};
+  container.querySelectorAll('.rule-pack-conflict').forEach(select => {
+    resolutions[select.dataset.ruleId] = select.value;
+  });
+
+  try {
+    await applyRulePackImport(pendingImport, resolutions);
+    showStatus(`Imported rule pack "${pendingImport.pack.name}"`, 'success', 2000);
+    pendingImport = null;
+    container.innerHTML = '';
+    refreshRules();
+  } catch (error) {
+    console.error('Error importing rule pack:', error);
+    showStatus(`Failed to import rule pack: ${error.message}`, 'error');
+  }
+}
+
+export default {
+  createRulePack,
+  parseRulePack,
+  planRulePackImport,
+  applyRulePackImport,
+  setRulePackEnabled,
+  removeRulePack,
+  exportRulePack,
+  initializeRulePacks,
+  renderRulePacks
+};
@@ -0,0 +1,155 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Suggestions - rules proposed from the user's category corrections
+ */
+
+import { DOM_IDS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { getCategoryName } from '../utils/helpers.js';
+import { showStatus } from './ui-manager.js';
+import { state, updateState } from './state-manager.js';
+import { addRule } from './settings-manager.js';
+import { createRuleId, evaluateCondition, findMatchingRule, getActiveRules, describeCondition } from './rules-categorizer.js';
+import StorageService from '../services/StorageService.js';
+
+// Example tabs shown per suggestion
+const MAX_EXAMPLES = 3;
+
+// Suggestions shown at once
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Build rule suggestions with support, precision against saved labels and examples
+ * Suggestions that were dismissed, or that current rules already apply to every example, are left out.
+ * @returns {Promise<Array>} [{ key, category, condition, support, precision, matched, examples }]
+ */
+export async function getRuleSuggestions() {
+  const { getFeedbackProcessor } = await import('../ml/learning/feedback-processor.js');
+  const processor = getFeedbackProcessor();
+  await processor.loadCorrectionPatterns();
+
+  const dismissed = new Set(state.settings.dismissedRuleSuggestions || []);
+  const rules = getActiveRules(state.settings);
+  const savedTabs = await window.tabDatabase.getAllSavedTabs();
+
+  return processor.getRuleSuggestions()
+    .filter(suggestion => !dismissed.has(suggestion.key))
+    .filter(suggestion => !suggestion.examples.every(example =>
+      findMatchingRule(example, rules)?.category === suggestion.category))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(suggestion => {
+      // Precision: share of saved tabs the rule would match that are already in its category
+      const matchedTabs = savedTabs.filter(tab => evaluateCondition(suggestion.condition, tab));
+      const agreeing = matchedTabs.filter(tab => tab.category === suggestion.category).length;
+
+      return {
+        ...suggestion,
+        matched: matchedTabs.length,
+        precision: matchedTabs.length > 0 ? agreeing / matchedTabs.length : null,
+        examples: suggestion.examples.slice(-MAX_EXAMPLES).reverse()
+      };
+    });
+}
+
+/**
+ * Turn a suggestion into a saved rule
+ * @param {Object} suggestion - Suggestion from getRuleSuggestions
+ */
+export async function adoptRuleSuggestion(suggestion) {
+  await addRule({
+    id: createRuleId(),
+    category: suggestion.category,
+    enabled: true,
+    priority: 0,
+    condition: suggestion.condition
+  });
+}
+
+/**
+ * Stop a suggestion from being shown again
+ * @param {Object} suggestion - Suggestion from getRuleSuggestions
+ */
+export async function dismissRuleSuggestion(suggestion) {
+  const dismissed = state.settings.dismissedRuleSuggestions || [];
+  if (!dismissed.includes(suggestion.key)) {
+    state.settings.dismissedRuleSuggestions = [...dismissed, suggestion.key];
+    updateState('settings', state.settings);
+    await StorageService.saveSettings(state.settings);
+  }
+}
+
+// === UI ===
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Render the suggested rules list
+ */
+export async function renderRuleSuggestions() {
+  const container = $id(DOM_IDS.RULE_SUGGESTIONS_LIST);
+  if (!container) return;
+
+  let suggestions;
+  try {
+    suggestions = await getRuleSuggestions();
+  } catch (error) {
+    console.error('Error building rule suggestions:', error);
+    container.innerHTML = '<div class="setting-help-text">Suggestions are unavailable right now.</div>';
+    return;
+  }
+
+  if (suggestions.length === 0) {
+    container.innerHTML = '<div class="setting-help-text">No suggestions yet - they appear after you move several similar tabs to the same category.</div>';
+    return;
+  }
+
+  container.innerHTML = '';
+  suggestions.forEach(suggestion => {
+    const card = document.createElement('div');
+    card.className = 'rule-suggestion';
+
+    const precision = suggestion.precision === null
+      ? 'no saved tabs match yet'
+      : `${Math.round(suggestion.precision * 100)}% of ${suggestion.matched} matching saved tab${suggestion.matched === 1 ? '' : 's'} already ${escapeHtml(getCategoryName(suggestion.category))}`;
+    const examples = suggestion.examples
+      .map(example => `<li title="${escapeHtml(example.url)}">${escapeHtml(example.title || example.url)}</li>`)
+      .join('');
+
+    card.innerHTML = `
+      <div class="rule-suggestion-header">
+        <span class="rule-suggestion-rule">
+          ${escapeHtml(describeCondition(suggestion.condition))} → <strong>${escapeHtml(getCategoryName(suggestion.category))}</strong>
+        </span>
+        <button class="secondary-btn rule-suggestion-adopt">Add Rule</button>
+        <button class="secondary-btn rule-suggestion-dismiss">Dismiss</button>
+      </div>
+      <div class="setting-description">
+        ${suggestion.support} correction${suggestion.support === 1 ? '' : 's'} · ${precision}
+      </div>
+      <ul class="rule-suggestion-examples">${examples}</ul>
+    `;
+
+    card.querySelector('.rule-suggestion-adopt').addEventListener('click', async () => {
+      await adoptRuleSuggestion(suggestion);
+      showStatus('Rule added', 'success', 2000);
+      renderRuleSuggestions();
+    });
+    card.querySelector('.rule-suggestion-dismiss').addEventListener('click', async () => {
+      await dismissRuleSuggestion(suggestion);
+      renderRuleSuggestions();
+    });
+
+    container.appendChild(card);
+  });
+}
+
+export default {
+  getRuleSuggestions,
+  adoptRuleSuggestion,
+  dismissRuleSuggestion,
+  renderRuleSuggestions
+};
@@ -1,41 +1,412 @@
 /*
  * AI Tab Manager - Rules-Based Categorizer
- * Handles rule-based categorization without bias
+ * Rule expression model and evaluation shared by the popup, the categorization worker and the background
  */
 
-import { TAB_CATEGORIES } from '../utils/constants.js';
+import {
+  TAB_CATEGORIES,
+  RULE_TYPES,
+  RULE_FIELDS,
+  RULE_GROUP_OPS,
+  RULE_CONDITION_FIELDS,
+  RULE_OPERATORS,
+  RULE_ISSUE_TYPES
+} from '../utils/constants.js';
+
+// Compiled regular expressions by pattern (rules are evaluated for every tab)
+const regexCache = new Map();
+
+/**
+ * Create a unique rule ID
+ * @returns {string} Rule ID
+ */
+export function createRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Convert a flat rule ({ type, value, field }) into the expression model
+ * Rules that already have a condition are returned unchanged.
+ * @param {Object} rule - Rule in either format
+ * @returns {Object} Rule with { id, category, enabled, condition }
+ */
+export function migrateRule(rule) {
+  if (!rule || rule.condition) return rule;
+  
+  const { type, value, pattern, field, ...rest } = rule;
+  const conditionValue = value ?? pattern ?? '';
+  let condition;
+  
+  switch (type) {
+    case RULE_TYPES.DOMAIN:
+      condition = { field: RULE_CONDITION_FIELDS.DOMAIN, operator: RULE_OPERATORS.IS, value: conditionValue };
+      break;
+      
+    // 'titleContains' and 'title' were written by older versions of the rules UI
+    case RULE_TYPES.TITLE_CONTAINS:
+    case 'titleContains':
+    case 'title':
+      condition = { field: RULE_CONDITION_FIELDS.TITLE, operator: RULE_OPERATORS.CONTAINS, value: conditionValue };
+      break;
+      
+    case RULE_TYPES.REGEX:
+      condition = {
+        field: field === RULE_FIELDS.TITLE ? RULE_CONDITION_FIELDS.TITLE : RULE_CONDITION_FIELDS.URL,
+        operator: RULE_OPERATORS.MATCHES,
+        value: conditionValue
+      };
+      break;
+      
+    default:
+      condition = { field: RULE_CONDITION_FIELDS.URL, operator: RULE_OPERATORS.CONTAINS, value: conditionValue };
+  }
+  
+  return {
+    ...rest,
+    id: rule.id || createRuleId(),
+    condition: { op: RULE_GROUP_OPS.AND, conditions: [condition] }
+  };
+}
+
+/**
+ * Migrate a list of rules to the expression model
+ * @param {Array} rules - Rules in either format
+ * @returns {Array} Migrated rules
+ */
+export function migrateRules(rules) {
+  return (rules || []).map(migrateRule);
+}
+
+/**
+ * Evaluate a condition tree against a tab
+ * @param {Object} node - Group ({ op, conditions } / { op: 'not', condition }) or condition ({ field, operator, value })
+ * @param {Object} tab - Tab with url, title and optionally pinned, audible, windowId, tabOpenTime, lastAccessed
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {boolean} True if the tab matches
+ */
+export function evaluateCondition(node, tab, context = {}) {
+  if (!node) return false;
+  
+  switch (node.op) {
+    case RULE_GROUP_OPS.AND:
+      // An empty group never matches, so a blank rule can't swallow every tab
+      return node.conditions.length > 0 && node.conditions.every(child => evaluateCondition(child, tab, context));
+      
+    case RULE_GROUP_OPS.OR:
+      return node.conditions.some(child => evaluateCondition(child, tab, context));
+      
+    case RULE_GROUP_OPS.NOT:
+      return !evaluateCondition(node.condition, tab, context);
+      
+    default:
+      return matchesCondition(node, tab, context);
+  }
+}
+
+/**
+ * Check a single field condition
+ */
+function matchesCondition({ field, operator, value }, tab, context) {
+  const parsedUrl = parseUrl(tab.url);
+  
+  switch (field) {
+    case RULE_CONDITION_FIELDS.PINNED:
+    case RULE_CONDITION_FIELDS.AUDIBLE:
+      return Boolean(tab[field]) === (value === true || value === 'true');
+      
+    case RULE_CONDITION_FIELDS.WINDOW:
+      if (context.currentWindowId === undefined || tab.windowId === undefined) return false;
+      return (tab.windowId === context.currentWindowId) === (value === 'current');
+      
+    case RULE_CONDITION_FIELDS.WINDOW_DOMAIN: {
+      const windowDomains = context.windowDomains?.[tab.windowId];
+      return Boolean(windowDomains) && windowDomains.some(hostname => domainMatches(hostname, value));
+    }
+      
+    case RULE_CONDITION_FIELDS.TIME_OPEN:
+    case RULE_CONDITION_FIELDS.TIME_IDLE: {
+      const since = field === RULE_CONDITION_FIELDS.TIME_IDLE
+        ? tab.lastAccessed
+        : tab.tabOpenTime || tab.firstOpened;
+      const sinceTime = new Date(since || NaN).getTime();
+      const limit = parseDuration(value);
+      if (isNaN(sinceTime) || isNaN(limit)) return false;
+      
+      const minutes = ((context.now ?? Date.now()) - sinceTime) / 60000;
+      return operator === RULE_OPERATORS.LESS_THAN ? minutes < limit : minutes > limit;
+    }
+      
+    case RULE_CONDITION_FIELDS.WEEKDAY: {
+      const day = new Date(context.now ?? Date.now()).getDay();
+      const days = WEEKDAY_VALUES[String(value).toLowerCase()];
+      return Boolean(days) && days.includes(day);
+    }
+      
+    case RULE_CONDITION_FIELDS.HOUR: {
+      const range = parseTimeRange(value);
+      if (!range) return false;
+      
+      const date = new Date(context.now ?? Date.now());
+      const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+      // A range like 22-6 wraps past midnight
+      return range.start <= range.end
+        ? minuteOfDay >= range.start && minuteOfDay < range.end
+        : minuteOfDay >= range.start || minuteOfDay < range.end;
+    }
+      
+    case RULE_CONDITION_FIELDS.QUERY_PARAM: {
+      if (!parsedUrl || !value) return false;
+      const params = parsedUrl.searchParams;
+      if (operator === RULE_OPERATORS.IS) {
+        const [name, ...valueParts] = String(value).split('=');
+        return params.get(name.trim()) === valueParts.join('=').trim();
+      }
+      return params.has(String(value).trim());
+    }
+      
+    case RULE_CONDITION_FIELDS.DOMAIN: {
+      const hostname = parsedUrl ? parsedUrl.hostname.toLowerCase().replace(/^www\./, '') : null;
+      if (operator === RULE_OPERATORS.IS && hostname) {
+        return domainMatches(hostname, value);
+      }
+      return matchesText(hostname, operator, value);
+    }
+      
+    case RULE_CONDITION_FIELDS.PATH:
+      return matchesText(parsedUrl ? parsedUrl.pathname : null, operator, value);
+      
+    case RULE_CONDITION_FIELDS.TITLE:
+      return matchesText(tab.title || '', operator, value);
+      
+    case RULE_CONDITION_FIELDS.URL:
+      return matchesText(tab.url || '', operator, value);
+      
+    default:
+      return false;
+  }
+}
+
+// Days (Date.getDay(), Sunday = 0) each weekday value covers
+const WEEKDAY_VALUES = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  sun: [0],
+  mon: [1],
+  tue: [2],
+  wed: [3],
+  thu: [4],
+  fri: [5],
+  sat: [6]
+};
+
+// Minutes per duration unit; a plain number is minutes
+const DURATION_UNITS = { m: 1, h: 60, d: 1440, w: 10080 };
+
+/**
+ * Parse a duration such as 45, "30m", "4h", "3d" or "2w"
+ * @param {number|string} value - Duration
+ * @returns {number} Minutes, or NaN if not a duration
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  
+  const match = String(value ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/);
+  return match ? parseFloat(match[1]) * DURATION_UNITS[match[2] || 'm'] : NaN;
+}
+
+/**
+ * Parse a local time range such as "9-17" or "22:30-6"
+ * @returns {Object|null} { start, end } in minutes after midnight, or null if invalid
+ */
+function parseTimeRange(value) {
+  const match = String(value ?? '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  
+  const start = parseInt(match[1]) * 60 + parseInt(match[2] || '0');
+  const end = parseInt(match[3]) * 60 + parseInt(match[4] || '0');
+  return start <= 24 * 60 && end <= 24 * 60 ? { start, end } : null;
+}
+
+/**
+ * Domain comparison; a domain also covers its subdomains
+ */
+function domainMatches(hostname, value) {
+  const domain = String(value).trim().toLowerCase().replace(/^www\./, '');
+  return Boolean(domain) && (hostname === domain || hostname.endsWith('.' + domain));
+}
+
+/**
+ * Case-insensitive text comparison
+ */
+function matchesText(text, operator, value) {
+  if (text === null || value === undefined || value === null || String(value) === '') return false;
+  
+  if (operator === RULE_OPERATORS.MATCHES) {
+    const regex = getRegex(String(value));
+    return regex ? regex.test(text) : false;
+  }
+  
+  const haystack = text.toLowerCase();
+  const needle = String(value).toLowerCase();
+  
+  switch (operator) {
+    case RULE_OPERATORS.IS:
+      return haystack === needle;
+    case RULE_OPERATORS.STARTS_WITH:
+      return haystack.startsWith(needle);
+    case RULE_OPERATORS.ENDS_WITH:
+      return haystack.endsWith(needle);
+    case RULE_OPERATORS.CONTAINS:
+      return haystack.includes(needle);
+    default:
+      return false;
+  }
+}
+
+function getRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    try {
+      regexCache.set(pattern, new RegExp(pattern, 'i'));
+    } catch (e) {
+      console.error('Invalid regex pattern:', pattern);
+      regexCache.set(pattern, null);
+    }
+  }
+  return regexCache.get(pattern);
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Map each window to the domains of its tabs, for "window has a tab on" conditions
+ * Shared with the background's rule context (src/utils/domain-utils.js).
+ * @param {Array} tabs - Open tabs with url and windowId
+ * @returns {Object} { [windowId]: [hostname] } (lowercase, without www.)
+ */
+export function getWindowDomains(tabs) {
+  return globalThis.domainUtils.getWindowDomains(tabs);
+}
+
+/**
+ * Get the rules that take part in categorization: enabled rules outside disabled rule packs
+ * @param {Object} settings - { rules, rulePacks }
+ * @returns {Array} Active rules
+ */
+export function getActiveRules(settings) {
+  const disabledPacks = new Set((settings?.rulePacks || [])
+    .filter(pack => pack.enabled === false)
+    .map(pack => pack.id));
+  
+  return (settings?.rules || []).filter(rule => rule.enabled !== false && !disabledPacks.has(rule.packId));
+}
+
+/**
+ * Get a rule's priority (higher runs first, default 0)
+ * @param {Object} rule - Rule
+ * @returns {number} Priority
+ */
+export function getRulePriority(rule) {
+  const priority = Number(rule?.priority);
+  return Number.isFinite(priority) ? priority : 0;
+}
+
+/**
+ * Order rules for evaluation: highest priority first, list order among equal priorities
+ * @param {Array} rules - Rules
+ * @returns {Array} New array in evaluation order
+ */
+export function sortRulesByPriority(rules) {
+  // Array.prototype.sort is stable, so equal priorities keep their list order
+  return [...(rules || [])].sort((a, b) => getRulePriority(b) - getRulePriority(a));
+}
+
+/**
+ * Find the highest-priority enabled rule matching a tab
+ * @param {Object} tab - Tab to check
+ * @param {Array} rules - Rules in either format
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {Object|null} Matching rule (migrated) or null
+ */
+export function findMatchingRule(tab, rules, context = {}) {
+  return findFirstMatch(tab, sortRulesByPriority(rules), context);
+}
+
+// First match in rules that are already in evaluation order
+function findFirstMatch(tab, orderedRules, context) {
+  for (const rule of orderedRules) {
+    // "At least" rules never decide a category on their own
+    if (rule.enabled === false || rule.minimum) continue;
+    
+    const migrated = migrateRule(rule);
+    if (evaluateCondition(migrated.condition, tab, context)) {
+      return migrated;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the lowest category a tab may end up in, from matching "at least" rules
+ * These rules only raise the category chosen by rules, ML or the LLM (Ignore < Useful < Important;
+ * user categories rank alongside Useful).
+ * @param {Object} tab - Tab to check
+ * @param {Array} rules - Rules in either format
+ * @param {Object} context - { now, currentWindowId, windowDomains }
+ * @returns {number|null} Highest category among matching "at least" rules, or null
+ */
+export function getCategoryFloor(tab, rules, context = {}) {
+  let floor = null;
+  for (const rule of rules || []) {
+    if (rule.enabled === false || !rule.minimum) continue;
+    
+    const migrated = migrateRule(rule);
+    const raises = floor === null ||
+      globalThis.categoryRegistry.getCategoryRank(migrated.category) > globalThis.categoryRegistry.getCategoryRank(floor);
+    if (raises && evaluateCondition(migrated.condition, tab, context)) {
+      floor = migrated.category;
+    }
+  }
+  return floor;
+}
+
+/**
+ * Check whether a category already satisfies an "at least" floor
+ * A user category meets a Useful floor (and Useful meets a user category floor) since they rank alike.
+ * @param {number|null} category - Category chosen by rules, ML or the LLM
+ * @param {number|null} floor - From getCategoryFloor
+ * @returns {boolean} True if the category can stay
+ */
+export function meetsCategoryFloor(category, floor) {
+  if (floor === null || floor === undefined) return true;
+  return category !== null && category !== undefined &&
+    globalThis.categoryRegistry.getCategoryRank(category) >= globalThis.categoryRegistry.getCategoryRank(floor);
+}
 
 /**
  * Apply rules to categorize tabs without defaulting to any category
  * @param {Array} tabs - Array of tabs to categorize
  * @param {Array} rules - Array of rules to apply
+ * @param {Object} context - { now, currentWindowId, windowDomains }
  * @returns {Object} Object with categorized tabs and remaining uncategorized tabs
  */
-export function applyRulesToTabs(tabs, rules) {
-  const categorizedByRules = {
-    [TAB_CATEGORIES.CAN_CLOSE]: [],
-    [TAB_CATEGORIES.SAVE_LATER]: [],
-    [TAB_CATEGORIES.IMPORTANT]: []
-  };
+export function applyRulesToTabs(tabs, rules, context = {}) {
+  const categorizedByRules = globalThis.categoryRegistry.createCategoryBuckets();
   const uncategorizedTabs = [];
   
+  const orderedRules = sortRulesByPriority(rules);
+  
   tabs.forEach(tab => {
-    let categorized = false;
-    
-    // Check each rule
-    for (const rule of rules) {
-      if (rule.enabled && matchesRule(tab, rule)) {
-        const categoryKey = getCategoryKey(rule.category);
-        if (categoryKey) {
-          categorizedByRules[categoryKey].push(tab);
-          categorized = true;
-          break; // First matching rule wins
-        }
-      }
-    }
-    
-    // If no rule matched, keep as uncategorized
-    if (!categorized) {
+    // Highest-priority matching rule wins
+    const rule = findFirstMatch(tab, orderedRules, context);
+    if (rule && categorizedByRules[rule.category]) {
+      categorizedByRules[rule.category].push(tab);
+    } else {
       uncategorizedTabs.push(tab);
     }
   });
@@ -43,61 +414,232 @@ export function applyRulesToTabs(tabs, rules) {
   return { categorizedByRules, uncategorizedTabs };
 }
 
+// === Rule Analysis ===
+
 /**
- * Check if a tab matches a rule
- * @param {Object} tab - Tab to check
- * @param {Object} rule - Rule to check against
- * @returns {boolean} True if tab matches rule
- */
-function matchesRule(tab, rule) {
-  const url = tab.url.toLowerCase();
-  const title = (tab.title || '').toLowerCase();
-  const pattern = (rule.pattern || '').toLowerCase();
-  
-  if (!pattern) return false;
-  
-  switch (rule.type) {
-    case 'domain':
-      // Extract domain from URL
-      try {
-        const tabDomain = new URL(tab.url).hostname.toLowerCase();
-        return tabDomain === pattern || tabDomain.endsWith('.' + pattern);
-      } catch (e) {
-        return false;
-      }
+ * Stable text form of a condition, for comparing rules
+ * @param {Object} node - Condition tree
+ * @returns {string} Key that is equal for equivalent trees (ignoring child order and case)
+ */
+export function getConditionKey(node) {
+  if (!node) return '';
+  if (node.op === RULE_GROUP_OPS.NOT) {
+    return `not(${getConditionKey(node.condition)})`;
+  }
+  if (node.op === RULE_GROUP_OPS.AND || node.op === RULE_GROUP_OPS.OR) {
+    // Child order doesn't change what a group matches
+    return `${node.op}(${node.conditions.map(getConditionKey).sort().join(',')})`;
+  }
+  return JSON.stringify([node.field, node.operator, normalizeValue(node)]);
+}
+
+function normalizeValue({ field, value }) {
+  switch (field) {
+    case RULE_CONDITION_FIELDS.DOMAIN:
+    case RULE_CONDITION_FIELDS.WINDOW_DOMAIN:
+      return String(value).trim().toLowerCase().replace(/^www\./, '');
+    case RULE_CONDITION_FIELDS.PINNED:
+    case RULE_CONDITION_FIELDS.AUDIBLE:
+      return value === true || value === 'true';
+    case RULE_CONDITION_FIELDS.TIME_OPEN:
+    case RULE_CONDITION_FIELDS.TIME_IDLE:
+      return parseDuration(value);
+    case RULE_CONDITION_FIELDS.HOUR:
+      return String(value).replace(/\s/g, '');
+    default:
+      return String(value).trim().toLowerCase();
+  }
+}
+
+/**
+ * Check whether every tab matching `narrow` also matches `broad`
+ * Conservative: false means "not provably", so analysis never reports a false shadow.
+ */
+function conditionCovers(broad, narrow) {
+  if (narrow.op === RULE_GROUP_OPS.OR) {
+    return narrow.conditions.length > 0 && narrow.conditions.every(child => conditionCovers(broad, child));
+  }
+  if (broad.op === RULE_GROUP_OPS.AND) {
+    return broad.conditions.length > 0 && broad.conditions.every(child => conditionCovers(child, narrow));
+  }
+  if (broad.op === RULE_GROUP_OPS.OR) {
+    return broad.conditions.some(child => conditionCovers(child, narrow));
+  }
+  if (narrow.op === RULE_GROUP_OPS.AND) {
+    return narrow.conditions.some(child => conditionCovers(broad, child));
+  }
+  return leafImplies(narrow, broad);
+}
+
+/**
+ * Check whether a single condition (or negated condition) implies another
+ */
+function leafImplies(narrow, broad) {
+  if (getConditionKey(narrow) === getConditionKey(broad)) return true;
+  
+  const narrowNot = narrow.op === RULE_GROUP_OPS.NOT;
+  const broadNot = broad.op === RULE_GROUP_OPS.NOT;
+  if (narrowNot || broadNot) {
+    // not(a) implies not(b) when b implies a
+    return narrowNot && broadNot && leafImplies(broad.condition, narrow.condition);
+  }
+  if (narrow.op || broad.op || narrow.field !== broad.field) return false;
+  
+  const narrowValue = normalizeValue(narrow);
+  const broadValue = normalizeValue(broad);
+  
+  switch (broad.field) {
+    case RULE_CONDITION_FIELDS.TIME_OPEN:
+    case RULE_CONDITION_FIELDS.TIME_IDLE:
+      if (narrow.operator !== broad.operator) return false;
+      return broad.operator === RULE_OPERATORS.LESS_THAN ? narrowValue <= broadValue : narrowValue >= broadValue;
       
-    case 'url':
-      return url.includes(pattern);
+    case RULE_CONDITION_FIELDS.WEEKDAY: {
+      const narrowDays = WEEKDAY_VALUES[narrowValue];
+      const broadDays = WEEKDAY_VALUES[broadValue];
+      return Boolean(narrowDays && broadDays) && narrowDays.every(day => broadDays.includes(day));
+    }
       
-    case 'title':
-      return title.includes(pattern);
-      
-    case 'regex':
-      try {
-        const regex = new RegExp(rule.pattern, 'i');
-        return regex.test(url) || regex.test(title);
-      } catch (e) {
-        console.error('Invalid regex pattern:', rule.pattern);
-        return false;
+    case RULE_CONDITION_FIELDS.WINDOW_DOMAIN:
+      return narrowValue === broadValue || narrowValue.endsWith('.' + broadValue);
+      
+    case RULE_CONDITION_FIELDS.QUERY_PARAM:
+      // "has name" is implied by "has name" or "is name=value"
+      return broad.operator === RULE_OPERATORS.HAS && narrowValue.split('=')[0].trim() === broadValue;
+      
+    case RULE_CONDITION_FIELDS.DOMAIN:
+      if (broad.operator === RULE_OPERATORS.IS) {
+        return narrow.operator === RULE_OPERATORS.IS &&
+          (narrowValue === broadValue || narrowValue.endsWith('.' + broadValue));
       }
+      // A domain "is" condition matches subdomains, so for text checks it behaves like "ends with"
+      return textImplies(narrow.operator === RULE_OPERATORS.IS ? RULE_OPERATORS.ENDS_WITH : narrow.operator, narrowValue, broad.operator, broadValue);
+      
+    case RULE_CONDITION_FIELDS.URL:
+    case RULE_CONDITION_FIELDS.PATH:
+    case RULE_CONDITION_FIELDS.TITLE:
+      return textImplies(narrow.operator, narrowValue, broad.operator, broadValue);
       
     default:
       return false;
   }
 }
 
+function textImplies(narrowOp, narrowValue, broadOp, broadValue) {
+  const { IS, CONTAINS, STARTS_WITH, ENDS_WITH } = RULE_OPERATORS;
+  
+  switch (broadOp) {
+    case CONTAINS:
+      return [IS, CONTAINS, STARTS_WITH, ENDS_WITH].includes(narrowOp) && narrowValue.includes(broadValue);
+    case STARTS_WITH:
+      return [IS, STARTS_WITH].includes(narrowOp) && narrowValue.startsWith(broadValue);
+    case ENDS_WITH:
+      return [IS, ENDS_WITH].includes(narrowOp) && narrowValue.endsWith(broadValue);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Domains a rule maps outright (a domain condition, or ANY of domain conditions)
+ */
+function getMappedDomains(condition) {
+  const { DOMAIN } = RULE_CONDITION_FIELDS;
+  const isDomainLeaf = node => node.field === DOMAIN && node.operator === RULE_OPERATORS.IS;
+  
+  if (isDomainLeaf(condition)) return [normalizeValue(condition)];
+  if ((condition.op === RULE_GROUP_OPS.AND && condition.conditions.length === 1) ||
+      (condition.op === RULE_GROUP_OPS.OR && condition.conditions.every(isDomainLeaf))) {
+    return condition.conditions.flatMap(getMappedDomains);
+  }
+  return [];
+}
+
+const describeLeaf = ({ field, operator, value }) =>
+  `${field.replace(/_/g, ' ')} ${operator.replace(/_/g, ' ')} ${value}`;
+
 /**
- * Get category key from category number
- * @param {number} category - Category number
- * @returns {string|null} Category key or null if invalid
+ * Readable text for a condition tree, e.g. "domain is github.com and (title contains PR or pinned is true)"
+ * @param {Object} node - Condition tree
+ * @returns {string} Description
  */
-function getCategoryKey(category) {
-  switch (category) {
-    case 1: return TAB_CATEGORIES.CAN_CLOSE;
-    case 2: return TAB_CATEGORIES.SAVE_LATER;
-    case 3: return TAB_CATEGORIES.IMPORTANT;
-    default: return null;
+export function describeCondition(node) {
+  if (node.op === RULE_GROUP_OPS.NOT) {
+    return `not (${describeCondition(node.condition)})`;
+  }
+  if (node.op === RULE_GROUP_OPS.AND || node.op === RULE_GROUP_OPS.OR) {
+    return node.conditions.map(child => {
+      const text = describeCondition(child);
+      return child.conditions?.length > 1 ? `(${text})` : text;
+    }).join(` ${node.op} `);
   }
+  return describeLeaf(node);
+}
+
+/**
+ * Short text for a condition, e.g. "domain is github.com"
+ */
+function summarizeCondition(node) {
+  if (node.op === RULE_GROUP_OPS.NOT) {
+    return `not ${summarizeCondition(node.condition)}`;
+  }
+  if (node.op === RULE_GROUP_OPS.AND || node.op === RULE_GROUP_OPS.OR) {
+    const first = node.conditions[0] ? summarizeCondition(node.conditions[0]) : '';
+    return node.conditions.length > 1 ? `${first} ${node.op} …` : first;
+  }
+  return describeLeaf(node);
+}
+
+function describeRule(rule) {
+  return `the ${globalThis.categoryRegistry.getCategory(rule.category)?.name || 'other'} rule "${summarizeCondition(rule.condition)}" (priority ${getRulePriority(rule)})`;
+}
+
+/**
+ * Statically check rules for ones that can never apply or disagree with each other
+ * - unreachable: a higher-priority rule matches every tab this rule would
+ * - duplicate: same condition and category as a higher-priority rule
+ * - conflict: same condition, or the same domain, mapped to another category
+ * Each rule is reported once, against the first higher-priority rule that explains the problem.
+ * @param {Array} rules - Rules in either format
+ * @returns {Array} Issues: { type, ruleId, otherRuleId, message }
+ */
+export function analyzeRules(rules) {
+  // "At least" rules don't compete for a tab - every matching one applies
+  const ordered = sortRulesByPriority(rules)
+    .filter(rule => rule.enabled !== false && !rule.minimum)
+    .map(migrateRule);
+  const issues = [];
+  
+  ordered.forEach((rule, index) => {
+    const key = getConditionKey(rule.condition);
+    const domains = getMappedDomains(rule.condition);
+    
+    for (const other of ordered.slice(0, index)) {
+      const sameCategory = other.category === rule.category;
+      let issue = null;
+      
+      if (getConditionKey(other.condition) === key) {
+        issue = sameCategory
+          ? { type: RULE_ISSUE_TYPES.DUPLICATE, message: `Duplicate of ${describeRule(other)}` }
+          : { type: RULE_ISSUE_TYPES.CONFLICT, message: `Same condition as ${describeRule(other)}, which wins - this rule never applies` };
+      } else if (conditionCovers(other.condition, rule.condition)) {
+        issue = { type: RULE_ISSUE_TYPES.UNREACHABLE, message: `Never applies - every tab it matches is caught first by ${describeRule(other)}` };
+      } else if (!sameCategory) {
+        const otherDomains = getMappedDomains(other.condition);
+        const shared = domains.filter(domain => otherDomains.includes(domain));
+        if (shared.length > 0) {
+          issue = { type: RULE_ISSUE_TYPES.CONFLICT, message: `${shared.join(', ')} is also mapped by ${describeRule(other)}, which wins` };
+        }
+      }
+      
+      if (issue) {
+        issues.push({ ...issue, ruleId: rule.id, otherRuleId: other.id });
+        break;
+      }
+    }
+  });
+  
+  return issues;
 }
 
 /**
@@ -114,8 +656,7 @@ export function createRulePrediction(tab, rule, category) {
     confidence: 0.95, // High confidence for explicit rules
     rule: {
       id: rule.id,
-      type: rule.type,
-      pattern: rule.pattern
+      condition: rule.condition
     },
     timestamp: Date.now()
   };
@@ -171,6 +712,21 @@ export function unbiasedFallbackCategorization(tabs) {
 }
 
 export default {
+  createRuleId,
+  migrateRule,
+  migrateRules,
+  evaluateCondition,
+  getWindowDomains,
+  getConditionKey,
+  describeCondition,
+  getActiveRules,
+  getRulePriority,
+  sortRulesByPriority,
+  findMatchingRule,
+  getCategoryFloor,
+  meetsCategoryFloor,
+  parseDuration,
+  analyzeRules,
   applyRulesToTabs,
   createRulePrediction,
   unbiasedFallbackCategorization
@@ -0,0 +1,140 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rules Dry Run - preview how a draft rule set would re-categorize saved and open tabs
+ */
+
+import { getCategoryName } from '../utils/helpers.js';
+import { findMatchingRule, getCategoryFloor, meetsCategoryFloor, sortRulesByPriority } from './rules-categorizer.js';
+import { getRuleContext } from './categorization-service.js';
+import ChromeAPIService from '../services/ChromeAPIService.js';
+
+// Changes listed in the panel; the summary still counts all of them
+const MAX_LISTED_CHANGES = 200;
+
+const TAB_SOURCES = {
+  OPEN: 'open',
+  SAVED: 'saved'
+};
+
+/**
+ * Collect open (http/https) and saved tabs to test rules against
+ * Open tabs get their open and last active times from the current tabs store so time conditions work.
+ * @returns {Promise<Array>} [{ url, title, source, ... }]
+ */
+async function collectTabs() {
+  const openTabs = (await ChromeAPIService.getAllTabs())
+    .filter(tab => tab.url && /^https?:/.test(tab.url))
+    .map(tab => {
+      const currentTab = window.tabDatabase?.cache?.currentTabs?.get(tab.url);
+      return {
+        ...tab,
+        tabOpenTime: currentTab?.tabOpenTimes?.[tab.id],
+        lastAccessed: tab.lastAccessed || currentTab?.lastAccessed,
+        source: TAB_SOURCES.OPEN
+      };
+    });
+
+  const savedTabs = window.tabDatabase
+    ? (await window.tabDatabase.getAllSavedTabs()).map(tab => ({ ...tab, source: TAB_SOURCES.SAVED }))
+    : [];
+
+  return [...openTabs, ...savedTabs];
+}
+
+/**
+ * Rule result for a tab: the deciding rule's category, raised by matching "at least" rules
+ * Without a deciding rule, "at least" rules only set a minimum for ML/LLM.
+ */
+function getRuleResult(tab, orderedRules, context) {
+  const rule = findMatchingRule(tab, orderedRules, context);
+  const floor = getCategoryFloor(tab, orderedRules, context);
+  if (rule) {
+    return { category: meetsCategoryFloor(rule.category, floor) ? rule.category : floor, minimum: false, ruleId: rule.id };
+  }
+  return { category: floor, minimum: floor !== null, ruleId: null };
+}
+
+/**
+ * Apply the saved and draft rule sets to every open and saved tab and diff the results
+ * A category of null means no rule matches (ML/LLM decide).
+ * @param {Array} draftRules - Rules being edited
+ * @param {Array} savedRules - Rules currently in use
+ * @returns {Promise<Object>} { checked, changes: [{ url, title, source, before, after, ruleId }] }
+ *   with before/after as { category, minimum }
+ */
+export async function runRulesDryRun(draftRules, savedRules) {
+  const [tabs, context] = await Promise.all([collectTabs(), getRuleContext()]);
+  const orderedDraft = sortRulesByPriority(draftRules);
+  const orderedSaved = sortRulesByPriority(savedRules);
+
+  const changes = [];
+  tabs.forEach(tab => {
+    const before = getRuleResult(tab, orderedSaved, context);
+    const after = getRuleResult(tab, orderedDraft, context);
+
+    if (before.category !== after.category || before.minimum !== after.minimum) {
+      changes.push({
+        url: tab.url,
+        title: tab.title || tab.url,
+        source: tab.source,
+        before: { category: before.category, minimum: before.minimum },
+        after: { category: after.category, minimum: after.minimum },
+        ruleId: after.ruleId
+      });
+    }
+  });
+
+  return { checked: tabs.length, changes };
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+const formatCategory = ({ category, minimum }) => {
+  if (category === null) return 'No rule';
+  return minimum ? `At least ${getCategoryName(category)}` : getCategoryName(category);
+};
+
+/**
+ * Render a dry run diff
+ * @param {Object} result - runRulesDryRun result
+ * @param {HTMLElement} container - Panel element
+ */
+export function renderRulesDryRun({ checked, changes }, container) {
+  if (changes.length === 0) {
+    container.innerHTML = `<div class="setting-help-text">No category changes across ${checked} open and saved tabs.</div>`;
+    return;
+  }
+
+  const openCount = changes.filter(change => change.source === TAB_SOURCES.OPEN).length;
+  const rows = changes.slice(0, MAX_LISTED_CHANGES).map(change => `
+    <tr>
+      <td class="rules-dry-run-tab" title="${escapeHtml(change.url)}">${escapeHtml(change.title)}</td>
+      <td>${change.source === TAB_SOURCES.OPEN ? 'Open' : 'Saved'}</td>
+      <td>${escapeHtml(formatCategory(change.before))} → <strong>${escapeHtml(formatCategory(change.after))}</strong></td>
+    </tr>
+  `).join('');
+  const more = changes.length > MAX_LISTED_CHANGES
+    ? `<div class="setting-help-text">…and ${changes.length - MAX_LISTED_CHANGES} more</div>`
+    : '';
+
+  container.innerHTML = `
+    <div class="setting-help-text">
+      ${changes.length} of ${checked} tabs would change (${openCount} open, ${changes.length - openCount} saved).
+      "No rule" tabs are left to ML/LLM; "At least" tabs can only be raised by them.
+    </div>
+    <table class="llm-usage-table">
+      <thead><tr><th>Tab</th><th>Source</th><th>Rule result</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${more}
+  `;
+}
+
+export default {
+  runRulesDryRun,
+  renderRulesDryRun
+};
@@ -10,6 +10,7 @@ import { state, saveGroupCollapseStates } from './state-manager.js';
 import { preloadFavicons } from '../utils/favicon-loader.js';
 import { unifiedSearchService } from '../services/UnifiedSearchService.js';
 import { uiDataAdapter } from './ui-data-adapter.js';
+import { applyTagSelection } from './tag-manager.js';
 import { createCategorySection as createUnifiedCategorySection, createGroupSection as createUnifiedGroupSection } from './tab-display.js';
 // Database is available as window.window.tabDatabase
 
@@ -81,6 +82,9 @@ export async function showSavedTabsContent(groupingType, includeCanClose = null)
       }
     }
     
+    // User categories have no filter button - they are always shown
+    categories.push(...globalThis.categoryRegistry.getCustomCategories().map(category => category.id));
+    
     // Process data using clean architecture
     const processedData = await window.dataManager.getSavedTabsData({
       searchQuery,
@@ -181,6 +185,9 @@ export async function showSavedTabsContent(groupingType, includeCanClose = null)
       // Full replacement for grouping changes, search state changes, or fallback
       savedContent.innerHTML = newHTML;
       
+      // Keep multi-selected tabs highlighted
+      applyTagSelection(savedContent);
+      
       // Empty group handling is now centralized in renderSectionsToHTML
       
       // Restore scroll position after replacement
@@ -240,8 +247,8 @@ export async function showSavedTabs() {
  */
 export async function loadSavedTabsCount() {
   try {
-    // Count ALL saved tabs - categories 1 (Can Close), 2 (Save Later), and 3 (Important)
-    const savedUrls = await window.window.tabDatabase.getSavedUrls([1, 2, 3]);
+    // Count ALL saved tabs - categories 1 (Can Close), 2 (Save Later), 3 (Important) and user categories
+    const savedUrls = await window.window.tabDatabase.getSavedUrls(globalThis.categoryRegistry.getSavedCategoryIds());
     updateSavedBadge(savedUrls.length);
     return savedUrls.length;
   } catch (error) {
@@ -408,8 +415,11 @@ async function loadSavedTabsLegacy(groupingType, includeCanClose, savedContent)
       return;
     }
     
-    // Set categories to include
-    const categories = includeCanClose ? [1, 2, 3] : [2, 3];
+    // Set categories to include (user categories are always shown)
+    const categories = [
+      ...(includeCanClose ? [1, 2, 3] : [2, 3]),
+      ...globalThis.categoryRegistry.getCustomCategories().map(category => category.id)
+    ];
     
     // Get saved tabs from database directly
     const savedUrls = await window.window.tabDatabase.getSavedUrls(categories);
@@ -0,0 +1,196 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Session Snapshots - the windows a close-all or save-and-close closed, restorable as they were
+ */
+
+import { DOM_IDS, LIMITS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { formatDateTime } from '../utils/helpers.js';
+import { showPrompt, showConfirm } from '../utils/dialog-utils.js';
+import { showStatus } from './ui-manager.js';
+import MessageService from '../services/MessageService.js';
+import logger from '../utils/logger.js';
+
+// Tabs that can be opened again (not browser pages like chrome://settings)
+const RESTORABLE_URL = /^(https?|ftp|file):/i;
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Snapshot the windows of tabs about to be closed: tab order, pinned state and tab groups
+ * Failing to snapshot never stops the tabs from closing.
+ * @param {Array} tabIds - IDs of the tabs being closed
+ * @param {string} name - Session name (can be renamed later)
+ * @param {string} source - What closed the tabs (close_all, close_saved, category_save)
+ * @returns {Promise<number|null>} Session ID, or null if nothing was captured
+ */
+export async function captureSessionSnapshot(tabIds, name, source) {
+  if (!window.tabDatabase || tabIds.length === 0) return null;
+
+  try {
+    const closing = new Set(tabIds);
+    const canReadGroups = typeof browser.tabGroups?.get === 'function';
+    const allWindows = await browser.windows.getAll({ populate: true, windowTypes: ['normal'] });
+
+    const windows = [];
+    for (const win of allWindows) {
+      const tabs = (win.tabs || [])
+        .filter(tab => closing.has(tab.id) && RESTORABLE_URL.test(tab.url))
+        .sort((a, b) => a.index - b.index);
+      if (tabs.length === 0) continue;
+
+      // Tabs point at their group by position in the window's groups list (-1 when ungrouped)
+      const groupIds = [...new Set(tabs.map(tab => tab.groupId).filter(id => id !== undefined && id !== -1))];
+      const groups = [];
+      for (const groupId of groupIds) {
+        const group = canReadGroups ? await browser.tabGroups.get(groupId).catch(() => null) : null;
+        groups.push({ title: group?.title || '', color: group?.color || 'grey', collapsed: !!group?.collapsed });
+      }
+
+      windows.push({
+        state: win.state,
+        incognito: win.incognito,
+        tabs: tabs.map(tab => ({
+          url: tab.url,
+          title: tab.title,
+          pinned: tab.pinned,
+          group: groupIds.indexOf(tab.groupId)
+        })),
+        groups
+      });
+    }
+
+    if (windows.length === 0) return null;
+
+    const id = await window.tabDatabase.saveSession({
+      name,
+      source,
+      tabCount: windows.reduce((sum, win) => sum + win.tabs.length, 0),
+      windows
+    });
+    await window.tabDatabase.pruneSessions(LIMITS.SESSIONS_KEPT);
+    return id;
+  } catch (error) {
+    logger.error('Error capturing session snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Restore a session's windows (the background opens them, skipping URLs already open)
+ * @param {number} id - Session ID
+ */
+async function restoreSession(id) {
+  try {
+    const results = await MessageService.restoreSession(id);
+    const skipped = results.skipped > 0 ? `, ${results.skipped} already open` : '';
+    showStatus(`Restored ${results.restored} tabs in ${results.windows} window${results.windows === 1 ? '' : 's'}${skipped}`, 'success', 3000);
+  } catch (error) {
+    logger.error('Error restoring session:', error);
+    showStatus(`Could not restore session: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Rename a session
+ * @param {Object} session - Session
+ */
+async function renameSession(session) {
+  const name = await showPrompt('Session name:', {
+    title: 'Rename Session',
+    defaultValue: session.name,
+    confirmText: 'Rename'
+  });
+  if (!name || !name.trim()) return;
+
+  await window.tabDatabase.renameSession(session.id, name.trim());
+  renderSessionList();
+}
+
+/**
+ * Delete a session
+ * @param {Object} session - Session
+ */
+async function deleteSession(session) {
+  const confirmed = await showConfirm(`Delete the "${session.name}" session? Its tabs stay saved.`, {
+    title: 'Delete Session',
+    confirmText: 'Delete',
+    confirmType: 'warning'
+  });
+  if (!confirmed) return;
+
+  await window.tabDatabase.deleteSession(session.id);
+  renderSessionList();
+}
+
+/**
+ * Render the session list
+ */
+export async function renderSessionList() {
+  const list = $id(DOM_IDS.SESSIONS_LIST);
+  if (!list || !window.tabDatabase) return;
+
+  let sessions;
+  try {
+    sessions = await window.tabDatabase.getSessions();
+  } catch (error) {
+    logger.error('Error loading sessions:', error);
+    list.innerHTML = '<div class="setting-help-text">Sessions are unavailable right now.</div>';
+    return;
+  }
+
+  if (sessions.length === 0) {
+    list.innerHTML = '<div class="setting-help-text">No sessions yet - closing all tabs or saving and closing a category takes a snapshot of their windows.</div>';
+    return;
+  }
+
+  list.innerHTML = '';
+  sessions.forEach(session => {
+    const windowCount = session.windows.length;
+    const row = document.createElement('div');
+    row.className = 'session-row';
+    row.innerHTML = `
+      <div class="session-info" title="${escapeHtml(session.windows.flatMap(win => win.tabs.map(tab => tab.title || tab.url)).slice(0, 20).join('\n'))}">
+        <span class="session-name">${escapeHtml(session.name)}</span>
+        <span class="session-meta">${formatDateTime(session.createdAt)} - ${session.tabCount} tab${session.tabCount === 1 ? '' : 's'} in ${windowCount} window${windowCount === 1 ? '' : 's'}</span>
+      </div>
+      <button class="secondary-btn session-restore">Restore</button>
+      <button class="secondary-btn session-rename">Rename</button>
+      <button class="secondary-btn session-delete">Delete</button>
+    `;
+
+    row.querySelector('.session-restore').addEventListener('click', () => restoreSession(session.id));
+    row.querySelector('.session-rename').addEventListener('click', () => renameSession(session));
+    row.querySelector('.session-delete').addEventListener('click', () => deleteSession(session));
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Open the Sessions view
+ */
+export async function showSessionsView() {
+  const dialog = $id(DOM_IDS.SESSIONS_DIALOG);
+  if (!dialog) return;
+
+  await renderSessionList();
+  if (!dialog.dataset.initialized) {
+    dialog.dataset.initialized = 'true';
+    dialog.addEventListener('click', (e) => {
+      if (e.target.dataset.action === 'close') {
+        dialog.close();
+      }
+    });
+  }
+  dialog.showModal();
+}
+
+export default {
+  captureSessionSnapshot,
+  renderSessionList,
+  showSessionsView
+};
@@ -3,13 +3,32 @@
  * Settings Manager - handles all settings UI and persistence
  */
 
-import { DOM_IDS, LIMITS } from '../utils/constants.js';
+import {
+  DOM_IDS,
+  LIMITS,
+  TAB_CATEGORIES,
+  RULE_GROUP_OPS,
+  RULE_CONDITION_FIELDS,
+  RULE_OPERATORS,
+  RULE_FIELD_OPERATORS,
+  RULE_ACTIONS
+} from '../utils/constants.js';
 import { $id } from '../utils/dom-helpers.js';
 import { smartConfirm } from '../utils/helpers.js';
 import { showStatus, hideApiKeyPrompt } from './ui-manager.js';
 import { state, updateState } from './state-manager.js';
+import {
+  createRuleId,
+  migrateRule,
+  migrateRules,
+  getRulePriority,
+  getActiveRules,
+  analyzeRules
+} from './rules-categorizer.js';
 import StorageService from '../services/StorageService.js';
+import ChromeAPIService from '../services/ChromeAPIService.js';
 import MessageService from '../services/MessageService.js';
+import PageContentService from '../services/PageContentService.js';
 import { pricingService } from '../services/pricing-service.js';
 
 // Debounce utility
@@ -33,6 +52,7 @@ export async function initializeSettingsUI() {
   // Set current provider
   const providerSelect = $id(DOM_IDS.PROVIDER_SELECT);
   if (providerSelect) {
+    populateProviderSelect(providerSelect);
     providerSelect.value = state.settings.provider;
   } else {
     console.error('Provider select not found');
@@ -70,6 +90,12 @@ export async function initializeSettingsUI() {
     apiKeyLink.title = `Get ${state.settings.provider} API key`;
   }
   
+  // Show base URL field for custom endpoints
+  updateProviderFields();
+  
+  // Fallback provider list
+  renderFallbackProviders();
+  
   // Set custom prompt
   const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
   if (promptTextarea) {
@@ -97,6 +123,69 @@ export async function initializeSettingsUI() {
     }
   }
   
+  // Set categorize-on-open checkbox
+  const autoCategorizeCheckbox = $id('autoCategorizeCheckbox');
+  if (autoCategorizeCheckbox) {
+    autoCategorizeCheckbox.checked = state.settings.autoCategorize === true;
+  }
+  
+  // Set "Apply to tab strip" mode (browsers without tab groups, like Firefox, can't use it)
+  const tabStripGroupsSelect = $id(DOM_IDS.TAB_STRIP_GROUPS_SELECT);
+  if (tabStripGroupsSelect) {
+    const supported = hasTabStripGroups();
+    tabStripGroupsSelect.value = state.settings.tabStripGroups || 'off';
+    tabStripGroupsSelect.disabled = !supported;
+    const applyBtn = $id(DOM_IDS.TAB_STRIP_GROUPS_APPLY_BTN);
+    if (applyBtn) {
+      applyBtn.disabled = !supported;
+    }
+    const note = $id(DOM_IDS.TAB_STRIP_GROUPS_NOTE);
+    if (note) {
+      note.textContent = supported ? '' : 'This browser has no tab groups';
+    }
+  }
+  
+  // Set explain mode checkbox
+  const explainCheckbox = $id('explainCategorizationCheckbox');
+  if (explainCheckbox) {
+    explainCheckbox.checked = state.settings.explainCategorization === true;
+  }
+  
+  // Set page content extraction checkbox and domain lists
+  const contentCheckbox = $id('useContentExtractionCheckbox');
+  if (contentCheckbox) {
+    contentCheckbox.checked = state.settings.useContentExtraction === true;
+  }
+  const allowDomainsInput = $id(DOM_IDS.CONTENT_ALLOW_DOMAINS_INPUT);
+  if (allowDomainsInput) {
+    allowDomainsInput.value = (state.settings.contentAllowDomains || []).join('\n');
+  }
+  const denyDomainsInput = $id(DOM_IDS.CONTENT_DENY_DOMAINS_INPUT);
+  if (denyDomainsInput) {
+    denyDomainsInput.value = PageContentService.getDenyDomains(state.settings).join('\n');
+  }
+  updateContentExtractionVisibility();
+  
+  // Set URL canonicalization checkbox and exceptions
+  const canonicalizeCheckbox = $id(DOM_IDS.CANONICALIZE_URLS_CHECKBOX);
+  if (canonicalizeCheckbox) {
+    canonicalizeCheckbox.checked = state.settings.canonicalizeUrls !== false;
+  }
+  const overridesInput = $id(DOM_IDS.URL_CANONICALIZATION_OVERRIDES_INPUT);
+  if (overridesInput) {
+    overridesInput.value = globalThis.urlCanonicalizer.formatOverrides(state.settings.urlCanonicalizationOverrides);
+  }
+  updateCanonicalizationVisibility();
+  
+  // Set monthly LLM budget and show usage
+  const monthlyBudgetInput = $id(DOM_IDS.MONTHLY_BUDGET_INPUT);
+  if (monthlyBudgetInput) {
+    monthlyBudgetInput.value = state.settings.monthlyBudget || 0;
+  }
+  renderLLMUsageSummary().catch(error => {
+    console.error('Error rendering LLM usage:', error);
+  });
+  
   // Set ML training settings
   const mlPatienceSelect = $id('mlPatienceSelect');
   if (mlPatienceSelect) {
@@ -153,6 +242,53 @@ export async function initializeSettingsUI() {
   }, 100);
 }
 
+/**
+ * Fill the provider dropdown from CONFIG.PROVIDERS (generated by the provider registry)
+ * @param {HTMLSelectElement} providerSelect - Provider select element
+ */
+function populateProviderSelect(providerSelect) {
+  const providerNames = Object.keys(CONFIG?.PROVIDERS || {});
+  if (providerNames.length === 0) return;
+  
+  providerSelect.innerHTML = '';
+  providerNames.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = CONFIG.PROVIDERS[name].label || CONFIG.PROVIDERS[name].name;
+    providerSelect.appendChild(option);
+  });
+}
+
+/**
+ * Show or hide provider-specific fields (base URL, API key placeholder)
+ */
+function updateProviderFields() {
+  const providerConfig = CONFIG?.PROVIDERS?.[state.settings.provider];
+  
+  const baseUrlField = $id('baseUrlField');
+  if (baseUrlField) {
+    baseUrlField.style.display = providerConfig?.requiresBaseUrl ? 'block' : 'none';
+  }
+  
+  const baseUrlInput = $id(DOM_IDS.BASE_URL_INPUT);
+  if (baseUrlInput) {
+    baseUrlInput.value = state.settings.providerBaseUrls?.[state.settings.provider] || '';
+    if (providerConfig?.baseUrlPlaceholder) {
+      baseUrlInput.placeholder = providerConfig.baseUrlPlaceholder;
+    }
+  }
+  
+  const apiKeyLink = $id('apiKeyLink');
+  if (apiKeyLink) {
+    apiKeyLink.style.display = providerConfig?.apiKeyUrl ? '' : 'none';
+  }
+  
+  const testResult = $id('connectionTestResult');
+  if (testResult) {
+    testResult.textContent = '';
+  }
+}
+
 /**
  * Update model dropdown based on provider
  */
@@ -170,8 +306,10 @@ export async function updateModelDropdown() {
   try {
     // Try to fetch models dynamically
     const apiKey = state.settings.apiKeys[state.settings.provider];
+    const baseUrl = state.settings.providerBaseUrls?.[state.settings.provider];
+    const apiKeyOptional = CONFIG?.PROVIDERS?.[state.settings.provider]?.apiKeyOptional;
     // Add timeout to prevent hanging
-    const fetchPromise = MessageService.fetchModels(state.settings.provider, apiKey);
+    const fetchPromise = MessageService.fetchModels(state.settings.provider, apiKey, baseUrl);
     const timeoutPromise = new Promise((_, reject) => 
       setTimeout(() => reject(new Error('Model fetch timeout')), 3000)
     );
@@ -180,10 +318,12 @@ export async function updateModelDropdown() {
     
     let models = [];
     let needsApiKey = false;
+    let needsBaseUrl = false;
     
     if (response && response.success) {
       models = response.models || [];
       needsApiKey = response.needsApiKey || false;
+      needsBaseUrl = response.needsBaseUrl || false;
     } else if (response && response.models) {
       // Handle case where success flag might be missing
       models = response.models;
@@ -192,7 +332,16 @@ export async function updateModelDropdown() {
     // Clear and populate models
     modelSelect.innerHTML = '';
     
-    if (needsApiKey || (!apiKey && models.length === 0)) {
+    if (needsBaseUrl) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'Please add base URL to see available models';
+      modelSelect.appendChild(option);
+      modelSelect.disabled = true;
+      return;
+    }
+    
+    if (needsApiKey || (!apiKey && !apiKeyOptional && models.length === 0)) {
       const option = document.createElement('option');
       option.value = '';
       option.textContent = 'Please add API key to see available models';
@@ -364,6 +513,8 @@ export async function onProviderChange(e) {
     apiKeyLink.title = `Get ${state.settings.provider} API key`;
   }
   
+  updateProviderFields();
+  
   await StorageService.saveSettings(state.settings);
 }
 
@@ -385,14 +536,20 @@ export async function onModelChange(e) {
 export async function saveApiKey() {
   const input = $id(DOM_IDS.API_KEY_INPUT);
   const key = input.value.trim();
+  const apiKeyOptional = CONFIG?.PROVIDERS?.[state.settings.provider]?.apiKeyOptional;
   
-  if (!key) {
+  if (!key && !apiKeyOptional) {
     showStatus('Please enter an API key', 'error');
     return;
   }
   
-  await StorageService.saveApiKey(state.settings.provider, key);
-  state.settings.apiKeys[state.settings.provider] = key;
+  if (key) {
+    await StorageService.saveApiKey(state.settings.provider, key);
+    state.settings.apiKeys[state.settings.provider] = key;
+  } else {
+    // Local endpoints may not need a key - clear any previous one
+    delete state.settings.apiKeys[state.settings.provider];
+  }
   
   // Mark that user has configured settings
   state.settings.hasConfiguredSettings = true;
@@ -410,6 +567,408 @@ export async function saveApiKey() {
   await updateModelDropdown();
 }
 
+/**
+ * Build a host permission pattern for an endpoint base URL
+ * @param {string} baseUrl - Endpoint base URL
+ * @returns {string|null} Origin pattern (e.g. 'http://localhost:11434/*') or null if invalid
+ */
+function getOriginPattern(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.origin}/*`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Ask for host permission for the base URL of a custom endpoint
+ * Must run first in a click handler so the browser sees the user gesture
+ * @param {string} baseUrl - Endpoint base URL
+ * @returns {Promise<boolean>} True if permission is granted
+ */
+async function ensureEndpointPermission(baseUrl) {
+  const originPattern = getOriginPattern(baseUrl);
+  if (!originPattern) {
+    showStatus('Please enter a valid http(s) base URL', 'error');
+    return false;
+  }
+  
+  const granted = await ChromeAPIService.requestHostPermissions([originPattern]);
+  if (!granted) {
+    showStatus(`Permission to access ${new URL(baseUrl).origin} was denied`, 'error');
+  }
+  return granted;
+}
+
+/**
+ * Save base URL for custom OpenAI-compatible endpoint
+ */
+export async function saveBaseUrl() {
+  const input = $id(DOM_IDS.BASE_URL_INPUT);
+  const baseUrl = input.value.trim().replace(/\/+$/, '');
+  
+  if (!baseUrl) {
+    showStatus('Please enter a base URL', 'error');
+    return;
+  }
+  
+  if (!await ensureEndpointPermission(baseUrl)) {
+    return;
+  }
+  
+  if (!state.settings.providerBaseUrls) state.settings.providerBaseUrls = {};
+  state.settings.providerBaseUrls[state.settings.provider] = baseUrl;
+  state.settings.hasConfiguredSettings = true;
+  updateState('settings', state.settings);
+  
+  await StorageService.saveSettings(state.settings);
+  input.value = baseUrl;
+  
+  hideApiKeyPrompt();
+  
+  // Refresh models from the new endpoint
+  await updateModelDropdown();
+}
+
+/**
+ * Test connection to the selected provider by listing its models
+ */
+export async function testProviderConnection() {
+  const provider = state.settings.provider;
+  const providerConfig = CONFIG?.PROVIDERS?.[provider];
+  const resultDiv = $id('connectionTestResult');
+  
+  // Use the values currently in the form so users can test before saving
+  const apiKey = $id(DOM_IDS.API_KEY_INPUT)?.value.trim() || state.settings.apiKeys[provider];
+  let baseUrl;
+  if (providerConfig?.requiresBaseUrl) {
+    baseUrl = $id(DOM_IDS.BASE_URL_INPUT)?.value.trim() || state.settings.providerBaseUrls?.[provider];
+    if (!baseUrl) {
+      showStatus('Please enter a base URL', 'error');
+      return;
+    }
+    if (!await ensureEndpointPermission(baseUrl)) {
+      return;
+    }
+  }
+  
+  if (resultDiv) {
+    resultDiv.textContent = 'Testing connection...';
+  }
+  
+  try {
+    const result = await MessageService.testProviderConnection(provider, apiKey, baseUrl);
+    if (!resultDiv) return;
+    
+    if (result.success) {
+      const models = result.models || [];
+      const modelList = models.slice(0, 5).map(m => m.id).join(', ');
+      const more = models.length > 5 ? `, +${models.length - 5} more` : '';
+      resultDiv.textContent = `Connected in ${result.latencyMs} ms. ${models.length} model${models.length === 1 ? '' : 's'} available` +
+        (modelList ? `: ${modelList}${more}` : '');
+      resultDiv.style.color = 'var(--md-sys-color-primary)';
+    } else {
+      resultDiv.textContent = `Connection failed: ${result.error}`;
+      resultDiv.style.color = 'var(--md-sys-color-error)';
+    }
+  } catch (error) {
+    console.error('Error testing provider connection:', error);
+    if (resultDiv) {
+      resultDiv.textContent = `Connection failed: ${error.message}`;
+      resultDiv.style.color = 'var(--md-sys-color-error)';
+    }
+  }
+}
+
+/**
+ * Render the ordered fallback provider list
+ */
+function renderFallbackProviders() {
+  const list = $id(DOM_IDS.FALLBACK_PROVIDERS_LIST);
+  if (!list) return;
+  
+  list.innerHTML = '';
+  (state.settings.fallbackProviders || []).forEach(fallback => addFallbackProviderRow(list, fallback));
+}
+
+/**
+ * Add one fallback provider row (provider select + model ID input)
+ * @param {HTMLElement} list - Fallback list container
+ * @param {Object} fallback - { provider, model }
+ */
+function addFallbackProviderRow(list, fallback = {}) {
+  const row = document.createElement('div');
+  row.className = 'fallback-provider-row';
+  
+  const providerSelect = document.createElement('select');
+  providerSelect.className = 'setting-select fallback-provider-select';
+  populateProviderSelect(providerSelect);
+  providerSelect.value = fallback.provider || Object.keys(CONFIG?.PROVIDERS || {})[0] || '';
+  
+  const modelInput = document.createElement('input');
+  modelInput.type = 'text';
+  modelInput.className = 'setting-input fallback-model-input';
+  modelInput.placeholder = 'Model ID (e.g. gemini-2.0-flash)';
+  modelInput.value = fallback.model || '';
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'delete-rule-btn';
+  removeBtn.title = 'Remove fallback';
+  removeBtn.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="18" y1="6" x2="6" y2="18"></line>
+      <line x1="6" y1="6" x2="18" y2="18"></line>
+    </svg>`;
+  
+  providerSelect.addEventListener('change', saveFallbackProvidersFromUI);
+  modelInput.addEventListener('input', debounce(saveFallbackProvidersFromUI, 500));
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    saveFallbackProvidersFromUI();
+  });
+  
+  row.appendChild(providerSelect);
+  row.appendChild(modelInput);
+  row.appendChild(removeBtn);
+  list.appendChild(row);
+}
+
+/**
+ * Save fallback providers from UI (rows without a model are ignored)
+ */
+async function saveFallbackProvidersFromUI() {
+  const list = $id(DOM_IDS.FALLBACK_PROVIDERS_LIST);
+  if (!list) return;
+  
+  state.settings.fallbackProviders = Array.from(list.querySelectorAll('.fallback-provider-row'))
+    .map(row => ({
+      provider: row.querySelector('.fallback-provider-select').value,
+      model: row.querySelector('.fallback-model-input').value.trim()
+    }))
+    .filter(fallback => fallback.provider && fallback.model);
+  
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Render daily and monthly LLM spend per provider from the usage ledger
+ */
+export async function renderLLMUsageSummary() {
+  const container = $id('llmUsageContent');
+  if (!container || !window.tabDatabase) return;
+  
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const entries = await window.tabDatabase.getLLMUsage(monthStart);
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="setting-help-text">No LLM calls recorded this month.</div>';
+    return;
+  }
+  
+  // Aggregate per provider: { today: {...}, month: {...} }
+  const emptyTotals = () => ({ calls: 0, tokens: 0, cost: 0, estimatedCost: 0, unpriced: 0 });
+  const byProvider = {};
+  const monthTotal = emptyTotals();
+  entries.forEach(entry => {
+    if (!byProvider[entry.provider]) {
+      byProvider[entry.provider] = { today: emptyTotals(), month: emptyTotals() };
+    }
+    const periods = [byProvider[entry.provider].month, monthTotal];
+    if (entry.timestamp >= dayStart) {
+      periods.push(byProvider[entry.provider].today);
+    }
+    periods.forEach(totals => {
+      totals.calls++;
+      totals.tokens += (entry.inputTokens || 0) + (entry.outputTokens || 0);
+      if (entry.cost === null || entry.cost === undefined) {
+        totals.unpriced++;
+      } else if (entry.estimated) {
+        // Streams without reported usage are estimated from text length - kept apart from billed spend
+        totals.estimatedCost += entry.cost;
+      } else {
+        totals.cost += entry.cost;
+      }
+    });
+  });
+  
+  const formatCost = (totals) => `$${totals.cost.toFixed(4)}${totals.estimatedCost > 0 ? ` (+~$${totals.estimatedCost.toFixed(4)})` : ''}${totals.unpriced > 0 ? '*' : ''}`;
+  const escapeHtml = (str) => {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  };
+  
+  const rows = Object.entries(byProvider).map(([provider, { today, month }]) => `
+    <tr>
+      <td>${escapeHtml(CONFIG?.PROVIDERS?.[provider]?.label || provider)}</td>
+      <td>${today.calls} / ${formatCost(today)}</td>
+      <td>${month.calls} / ${month.tokens.toLocaleString()} / ${formatCost(month)}</td>
+    </tr>
+  `).join('');
+  
+  const budget = state.settings.monthlyBudget || 0;
+  const estimateNote = monthTotal.estimatedCost > 0
+    ? ` Another ~$${monthTotal.estimatedCost.toFixed(2)} is estimated for calls without reported usage${budget > 0 ? ' and counts toward the budget' : ''}.`
+    : '';
+  const budgetLine = (budget > 0
+    ? `Spent $${monthTotal.cost.toFixed(2)} of $${budget.toFixed(2)} monthly budget.`
+    : `Spent $${monthTotal.cost.toFixed(2)} this month.`) + estimateNote;
+  
+  container.innerHTML = `
+    <table class="llm-usage-table">
+      <thead>
+        <tr><th>Provider</th><th>Today (calls / cost)</th><th>This month (calls / tokens / cost)</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="setting-help-text">
+      ${budgetLine}${monthTotal.unpriced > 0 ? ' * Some calls used models without pricing data and are not included.' : ''}
+    </div>
+  `;
+}
+
+/**
+ * Handle monthly budget change
+ */
+async function onMonthlyBudgetChange(e) {
+  const value = parseFloat(e.target.value);
+  if (isNaN(value) || value < 0) {
+    e.target.value = state.settings.monthlyBudget || 0;
+    showStatus('Please enter a budget of 0 or more', 'error');
+    return;
+  }
+  
+  state.settings.monthlyBudget = value;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  await renderLLMUsageSummary();
+}
+
+/**
+ * Check whether the browser has native tab groups (Chrome and Edge do, Firefox doesn't)
+ */
+function hasTabStripGroups() {
+  return typeof browser.tabs?.group === 'function' && typeof browser.tabGroups?.query === 'function';
+}
+
+/**
+ * Handle "Apply to tab strip" mode change (the background regroups when settings change)
+ */
+async function onTabStripGroupsChange(e) {
+  state.settings.tabStripGroups = e.target.value;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Group the tab strip now instead of waiting for the next tab change
+ */
+async function applyTabStripGroups() {
+  if (!state.settings.tabStripGroups || state.settings.tabStripGroups === 'off') {
+    showStatus('Choose to group by category or by domain first', 'info', 2000);
+    return;
+  }
+  
+  try {
+    const results = await MessageService.syncTabStripGroups();
+    showStatus(results.grouped + results.ungrouped > 0
+      ? `${results.grouped} tabs grouped, ${results.ungrouped} ungrouped`
+      : 'Tabs are already grouped', 'success', 2000);
+  } catch (error) {
+    console.error('Error grouping tabs:', error);
+    showStatus(`Could not group tabs: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the domain lists only while page content extraction is on
+ */
+function updateContentExtractionVisibility() {
+  const domainsContainer = $id('contentExtractionDomains');
+  if (domainsContainer) {
+    domainsContainer.style.display = state.settings.useContentExtraction ? 'block' : 'none';
+  }
+}
+
+/**
+ * Handle page content extraction toggle
+ * Permission is requested here because the request must come from a user gesture.
+ */
+async function onContentExtractionChange(e) {
+  if (e.target.checked) {
+    const granted = await PageContentService.requestPermission();
+    if (!granted) {
+      e.target.checked = false;
+      showStatus('Page content permission was not granted', 'warning', 5000);
+      return;
+    }
+  }
+  
+  state.settings.useContentExtraction = e.target.checked;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  updateContentExtractionVisibility();
+}
+
+/**
+ * Parse a one-domain-per-line textarea
+ * @param {string} text - Textarea value
+ * @returns {Array<string>} Lowercase domains without schemes or paths
+ */
+function parseDomainList(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim().toLowerCase().replace(/^https?:\/\//, '').split('/')[0])
+    .filter(Boolean);
+}
+
+/**
+ * Handle content allow/deny list change
+ */
+async function onContentDomainsChange(e) {
+  const domains = parseDomainList(e.target.value);
+  if (e.target.id === DOM_IDS.CONTENT_ALLOW_DOMAINS_INPUT) {
+    state.settings.contentAllowDomains = domains;
+  } else {
+    state.settings.contentDenyDomains = domains;
+  }
+  e.target.value = domains.join('\n');
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Show the per-domain exceptions only while canonicalization is on
+ */
+function updateCanonicalizationVisibility() {
+  const field = $id('urlCanonicalizationOverridesField');
+  if (field) {
+    field.style.display = state.settings.canonicalizeUrls !== false ? 'block' : 'none';
+  }
+}
+
+/**
+ * Handle URL canonicalization checkbox and exceptions change
+ * The background merges saved URLs that become duplicates when it sees the new settings.
+ */
+async function onCanonicalizationChange(e) {
+  if (e.target.id === DOM_IDS.CANONICALIZE_URLS_CHECKBOX) {
+    state.settings.canonicalizeUrls = e.target.checked;
+    updateCanonicalizationVisibility();
+  } else {
+    state.settings.urlCanonicalizationOverrides = globalThis.urlCanonicalizer.parseOverrides(e.target.value);
+    e.target.value = globalThis.urlCanonicalizer.formatOverrides(state.settings.urlCanonicalizationOverrides);
+  }
+  globalThis.urlCanonicalizer.configure(state.settings);
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+}
+
 /**
  * Handle prompt change
  */
@@ -483,6 +1042,73 @@ export function onMaxTabsChange(e) {
   }
 }
 
+// Display labels for the rule condition editor
+const RULE_FIELD_LABELS = {
+  [RULE_CONDITION_FIELDS.URL]: 'URL',
+  [RULE_CONDITION_FIELDS.DOMAIN]: 'Domain',
+  [RULE_CONDITION_FIELDS.PATH]: 'Path',
+  [RULE_CONDITION_FIELDS.TITLE]: 'Title',
+  [RULE_CONDITION_FIELDS.QUERY_PARAM]: 'Query parameter',
+  [RULE_CONDITION_FIELDS.PINNED]: 'Pinned',
+  [RULE_CONDITION_FIELDS.AUDIBLE]: 'Playing audio',
+  [RULE_CONDITION_FIELDS.WINDOW]: 'Window',
+  [RULE_CONDITION_FIELDS.WINDOW_DOMAIN]: 'Window has a tab on',
+  [RULE_CONDITION_FIELDS.TIME_OPEN]: 'Time open',
+  [RULE_CONDITION_FIELDS.TIME_IDLE]: 'Time since last active',
+  [RULE_CONDITION_FIELDS.WEEKDAY]: 'Day',
+  [RULE_CONDITION_FIELDS.HOUR]: 'Time of day'
+};
+
+const RULE_OPERATOR_LABELS = {
+  [RULE_OPERATORS.IS]: 'is',
+  [RULE_OPERATORS.CONTAINS]: 'contains',
+  [RULE_OPERATORS.STARTS_WITH]: 'starts with',
+  [RULE_OPERATORS.ENDS_WITH]: 'ends with',
+  [RULE_OPERATORS.MATCHES]: 'matches regex',
+  [RULE_OPERATORS.HAS]: 'is present',
+  [RULE_OPERATORS.MORE_THAN]: 'more than',
+  [RULE_OPERATORS.LESS_THAN]: 'less than',
+  [RULE_OPERATORS.BETWEEN]: 'between'
+};
+
+// Fields whose value is picked from a fixed list
+const RULE_VALUE_OPTIONS = {
+  [RULE_CONDITION_FIELDS.PINNED]: [['true', 'yes'], ['false', 'no']],
+  [RULE_CONDITION_FIELDS.AUDIBLE]: [['true', 'yes'], ['false', 'no']],
+  [RULE_CONDITION_FIELDS.WINDOW]: [['current', 'current window'], ['other', 'other windows']],
+  [RULE_CONDITION_FIELDS.WEEKDAY]: [
+    ['weekdays', 'a weekday'], ['weekend', 'a weekend day'],
+    ['mon', 'Monday'], ['tue', 'Tuesday'], ['wed', 'Wednesday'], ['thu', 'Thursday'],
+    ['fri', 'Friday'], ['sat', 'Saturday'], ['sun', 'Sunday']
+  ]
+};
+
+const RULE_VALUE_PLACEHOLDERS = {
+  [RULE_CONDITION_FIELDS.URL]: 'e.g., youtube.com/watch',
+  [RULE_CONDITION_FIELDS.DOMAIN]: 'e.g., github.com',
+  [RULE_CONDITION_FIELDS.PATH]: 'e.g., /pull/\\d+',
+  [RULE_CONDITION_FIELDS.TITLE]: 'e.g., Draft',
+  [RULE_CONDITION_FIELDS.QUERY_PARAM]: 'e.g., utm_source or tab=settings',
+  [RULE_CONDITION_FIELDS.WINDOW_DOMAIN]: 'e.g., jira.example.com',
+  [RULE_CONDITION_FIELDS.TIME_OPEN]: 'e.g., 30m, 4h, 3d',
+  [RULE_CONDITION_FIELDS.TIME_IDLE]: 'e.g., 30m, 4h, 3d',
+  [RULE_CONDITION_FIELDS.HOUR]: 'e.g., 9-17 or 22:30-6'
+};
+
+// Rule action editor: label and the optional parameter each action takes
+const RULE_ACTION_EDITORS = {
+  [RULE_ACTIONS.CLOSE]: { label: 'Close', param: 'afterIdle', placeholder: 'after idle for, e.g. 3d (optional)' },
+  [RULE_ACTIONS.SAVE_AND_CLOSE]: { label: 'Save and close' },
+  [RULE_ACTIONS.PIN]: { label: 'Pin' },
+  [RULE_ACTIONS.MUTE]: { label: 'Mute' },
+  [RULE_ACTIONS.MOVE_TO_WINDOW]: { label: 'Move to window', param: 'window', placeholder: 'window name, e.g. Work' },
+  [RULE_ACTIONS.BOOKMARK]: { label: 'Bookmark', param: 'folder', placeholder: 'folder (optional)' },
+  [RULE_ACTIONS.EXCLUDE_FROM_LLM]: { label: 'Never send to LLM' }
+};
+
+// Bookmark actions need the optional bookmarks permission
+const BOOKMARK_PERMISSIONS = { permissions: ['bookmarks'] };
+
 /**
  * Initialize rules UI
  */
@@ -491,8 +1117,16 @@ export function initializeRulesUI() {
   if (!rulesContainer) {
     return;
   }
+  
+  // Remove any existing listeners to prevent duplicates
+  // (done before adding rules so their controls stay wired to the live container)
+  const newContainer = rulesContainer.cloneNode(true);
+  rulesContainer.parentNode.replaceChild(newContainer, rulesContainer);
+  
+  createCustomRuleSections(newContainer);
+  
   // Clear existing rules
-  rulesContainer.querySelectorAll('.rules-list').forEach(list => {
+  newContainer.querySelectorAll('.rules-list').forEach(list => {
     list.innerHTML = '';
     updateEmptyState(list);
   });
@@ -513,12 +1147,6 @@ export function initializeRulesUI() {
   // Update counters for each category
   updateRuleCategoryCounts();
   
-  // Set up collapsible headers
-  
-  // Remove any existing click listeners to prevent duplicates
-  const newContainer = rulesContainer.cloneNode(true);
-  rulesContainer.parentNode.replaceChild(newContainer, rulesContainer);
-  
   // Simple click handler for collapsible headers
   newContainer.addEventListener('click', (e) => {
     const header = e.target.closest('.rule-category-header');
@@ -546,14 +1174,60 @@ export function initializeRulesUI() {
     }
     
     e.stopPropagation();
-    const tr = deleteBtn.closest('tr');
-    const tbody = tr.closest('tbody');
+    const card = deleteBtn.closest('.rule-card');
+    const list = card.closest('.rules-list');
     
-    tr.remove();
-    updateEmptyState(tbody);
+    card.remove();
+    updateEmptyState(list);
     updateRuleCategoryCounts();
-    saveRulesFromUI();
+    onRulesEdited();
+  });
+  
+  // Event delegation for the condition editor (add/remove conditions and groups) and actions
+  newContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('.rule-add-condition-btn, .rule-add-group-btn, .rule-remove-node-btn, .rule-remove-action-btn');
+    if (!button) {
+      return;
+    }
+    
+    e.stopPropagation();
+    if (button.classList.contains('rule-remove-action-btn')) {
+      button.closest('.rule-action').remove();
+    } else if (button.classList.contains('rule-remove-node-btn')) {
+      button.closest('.rule-node').remove();
+    } else {
+      const children = button.closest('.rule-group').querySelector(':scope > .rule-group-children');
+      const isGroup = button.classList.contains('rule-add-group-btn');
+      children.appendChild(isGroup ? createGroupElement({ op: RULE_GROUP_OPS.AND, conditions: [] }) : createConditionElement());
+    }
+    onRulesEdited();
+  });
+  
+  // Changing a condition's field swaps its operator and value controls
+  newContainer.addEventListener('change', (e) => {
+    if (!e.target.closest('.rule-card')) {
+      return;
+    }
+    
+    if (e.target.classList.contains('rule-field-select')) {
+      const conditionEl = e.target.closest('.rule-condition');
+      renderConditionControls(conditionEl, { field: e.target.value });
+    } else if (e.target.classList.contains('rule-add-action-select')) {
+      const type = e.target.value;
+      const list = e.target.closest('.rule-actions-row').querySelector('.rule-actions-list');
+      // Each action type once per rule
+      if (type && !list.querySelector(`.rule-action[data-type="${type}"]`)) {
+        list.appendChild(createActionElement({ type }));
+      }
+      e.target.value = '';
+    }
+    onRulesEdited();
   });
+  newContainer.addEventListener('input', debounce((e) => {
+    if (e.target.matches('.rule-value-input, .rule-priority-input, .rule-action-param')) {
+      onRulesEdited();
+    }
+  }, 500));
   
   // Event delegation for delete category buttons
   newContainer.addEventListener('click', async (e) => {
@@ -565,8 +1239,8 @@ export function initializeRulesUI() {
     e.stopPropagation();
     const category = deleteCategoryBtn.dataset.category;
     const section = deleteCategoryBtn.closest('.rule-category-section');
-    const tbody = section.querySelector('.rules-list');
-    const ruleCount = tbody ? tbody.children.length : 0;
+    const list = section.querySelector('.rules-list');
+    const ruleCount = list ? list.children.length : 0;
     
     if (ruleCount === 0) {
       showStatus('No rules to delete in this category', 'info', 2000);
@@ -574,12 +1248,7 @@ export function initializeRulesUI() {
     }
     
     // Get category name for confirmation
-    const categoryNames = {
-      '1': 'Ignore',
-      '2': 'Useful', 
-      '3': 'Important'
-    };
-    const categoryName = categoryNames[category] || 'this category';
+    const categoryName = globalThis.categoryRegistry.getCategory(category)?.name || 'this category';
     
     // Confirm deletion
     const confirmed = await smartConfirm(
@@ -596,12 +1265,12 @@ export function initializeRulesUI() {
     }
     
     // Clear all rules in this category
-    tbody.innerHTML = '';
-    updateEmptyState(tbody);
+    list.innerHTML = '';
+    updateEmptyState(list);
     updateRuleCategoryCounts();
-    saveRulesFromUI();
+    onRulesEdited();
     
-    showStatus(`Deleted all rules in ${categoryName} category`, 'success', 2000);
+    showStatus(`Removed all rules in ${categoryName} category - save to apply`, 'info', 2000);
   });
   
   // Set up add rule buttons on the new container
@@ -623,26 +1292,59 @@ export function initializeRulesUI() {
       
       try {
         addRuleToUI(category);
+        onRulesEdited();
       } catch (error) {
         console.error('Error adding new rule:', error);
       }
     });
   });
+  
+  // A fresh editor shows the saved rules, so there is no draft
+  setRulesDraftVisible(false);
+  renderRuleIssues(state.settings.rules || []);
+}
+
+/**
+ * Add a rule section per user category (between Useful and Ignore), built from the Ignore section
+ * @param {HTMLElement} container - Rules container
+ */
+function createCustomRuleSections(container) {
+  container.querySelectorAll('.rule-category-section[data-custom-category]').forEach(section => section.remove());
+  
+  const ignoreSection = container.querySelector(`.rule-category-section[data-category="${TAB_CATEGORIES.CAN_CLOSE}"]`);
+  if (!ignoreSection) {
+    return;
+  }
+  
+  globalThis.categoryRegistry.getCustomCategories().forEach(category => {
+    const section = ignoreSection.cloneNode(true);
+    section.dataset.customCategory = 'true';
+    section.querySelectorAll('[data-category]').forEach(el => {
+      el.dataset.category = category.id;
+    });
+    section.dataset.category = category.id;
+    section.style.setProperty('--category-color', category.color);
+    
+    const icon = createElement('span', 'category-icon category-custom-icon', category.icon || category.name.charAt(0).toUpperCase());
+    section.querySelector('.rule-category-title .category-icon').replaceWith(icon);
+    section.querySelector('.rule-category-title > span:last-child').textContent = category.name;
+    
+    container.insertBefore(section, ignoreSection);
+  });
 }
 
 /**
  * Update empty state visibility
  */
-function updateEmptyState(tbody) {
-  const wrapper = tbody.closest('.rules-table-wrapper');
-  const table = wrapper.querySelector('.rules-table');
+function updateEmptyState(list) {
+  const wrapper = list.closest('.rules-table-wrapper');
   const emptyState = wrapper.querySelector('.rules-empty-state');
   
-  if (tbody.children.length === 0) {
-    table.style.display = 'none';
+  if (list.children.length === 0) {
+    list.style.display = 'none';
     emptyState.style.display = 'block';
   } else {
-    table.style.display = 'table';
+    list.style.display = 'block';
     emptyState.style.display = 'none';
   }
 }
@@ -651,7 +1353,7 @@ function updateEmptyState(tbody) {
  * Update rule category counts in headers
  */
 function updateRuleCategoryCounts() {
-  const categories = ['1', '2', '3']; // Ignore, Useful, Important
+  const categories = globalThis.categoryRegistry.getSavedCategoryIds(); // Ignore, Useful, Important, user categories
   
   categories.forEach(category => {
     const section = document.querySelector(`.rule-category-section[data-category="${category}"]`);
@@ -669,151 +1371,510 @@ function updateRuleCategoryCounts() {
   });
 }
 
+/**
+ * Create an element with a class and optional text
+ */
+function createElement(tag, className, text = null) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text !== null) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Create a select with [value, label] options
+ */
+function createSelect(className, options, selectedValue) {
+  const select = createElement('select', className);
+  options.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  if (selectedValue !== undefined && options.some(([value]) => value === String(selectedValue))) {
+    select.value = String(selectedValue);
+  }
+  return select;
+}
+
+/**
+ * Create the NOT toggle shown in front of conditions and groups
+ */
+function createNotToggle(negated) {
+  const label = createElement('label', 'rule-not-toggle');
+  label.title = 'Negate';
+  const checkbox = createElement('input', 'rule-not-checkbox');
+  checkbox.type = 'checkbox';
+  checkbox.checked = negated;
+  label.append(checkbox, 'NOT');
+  return label;
+}
+
+function createRemoveNodeButton() {
+  const button = createElement('button', 'rule-remove-node-btn', '×');
+  button.type = 'button';
+  button.title = 'Remove';
+  return button;
+}
+
+/**
+ * Create a group editor ({ op: 'and' | 'or', conditions })
+ * @param {Object} group - Group node
+ * @param {boolean} negated - Wrapped in a NOT
+ * @param {boolean} isRoot - Root group of a rule (can't be removed)
+ */
+function createGroupElement(group, negated = false, isRoot = false) {
+  const groupEl = createElement('div', 'rule-node rule-group');
+  const header = createElement('div', 'rule-group-header');
+  
+  const opSelect = createSelect('rule-group-op', [
+    [RULE_GROUP_OPS.AND, 'ALL of'],
+    [RULE_GROUP_OPS.OR, 'ANY of']
+  ], group.op);
+  
+  const addCondition = createElement('button', 'rule-add-condition-btn', '+ Condition');
+  addCondition.type = 'button';
+  const addGroup = createElement('button', 'rule-add-group-btn', '+ Group');
+  addGroup.type = 'button';
+  
+  header.append(createNotToggle(negated), opSelect, addCondition, addGroup);
+  if (!isRoot) {
+    header.appendChild(createRemoveNodeButton());
+  }
+  
+  const children = createElement('div', 'rule-group-children');
+  (group.conditions || []).forEach(child => {
+    children.appendChild(createNodeElement(child));
+  });
+  
+  groupEl.append(header, children);
+  return groupEl;
+}
+
+/**
+ * Create a condition editor ({ field, operator, value })
+ */
+function createConditionElement(condition = {}, negated = false) {
+  const conditionEl = createElement('div', 'rule-node rule-condition');
+  conditionEl.appendChild(createNotToggle(negated));
+  renderConditionControls(conditionEl, condition);
+  conditionEl.appendChild(createRemoveNodeButton());
+  return conditionEl;
+}
+
+/**
+ * Create the editor for any node, unwrapping NOT
+ */
+function createNodeElement(node) {
+  const negated = node.op === RULE_GROUP_OPS.NOT;
+  const inner = negated ? node.condition : node;
+  
+  if (inner.op === RULE_GROUP_OPS.AND || inner.op === RULE_GROUP_OPS.OR) {
+    return createGroupElement(inner, negated);
+  }
+  return createConditionElement(inner, negated);
+}
+
+/**
+ * (Re)build a condition's field, operator and value controls
+ */
+function renderConditionControls(conditionEl, { field = RULE_CONDITION_FIELDS.URL, operator, value = '' }) {
+  conditionEl.querySelectorAll('.rule-field-select, .rule-operator-select, .rule-value-input, .rule-value-select')
+    .forEach(control => control.remove());
+  
+  const fieldSelect = createSelect('rule-field-select', Object.entries(RULE_FIELD_LABELS), field);
+  
+  const operators = RULE_FIELD_OPERATORS[field] || RULE_FIELD_OPERATORS[RULE_CONDITION_FIELDS.URL];
+  const operatorSelect = createSelect(
+    'rule-operator-select',
+    operators.map(op => [op, RULE_OPERATOR_LABELS[op]]),
+    operator || operators[0]
+  );
+  
+  let valueControl;
+  if (RULE_VALUE_OPTIONS[field]) {
+    valueControl = createSelect('rule-value-select', RULE_VALUE_OPTIONS[field], value);
+  } else {
+    valueControl = createElement('input', 'rule-input rule-value-input');
+    valueControl.type = 'text';
+    valueControl.value = value;
+    valueControl.placeholder = RULE_VALUE_PLACEHOLDERS[field] || '';
+  }
+  
+  // Keep controls before the remove button when re-rendering
+  const removeButton = conditionEl.querySelector(':scope > .rule-remove-node-btn');
+  [fieldSelect, operatorSelect, valueControl].forEach(control => {
+    conditionEl.insertBefore(control, removeButton);
+  });
+}
+
+/**
+ * Create an action editor ({ type, ...param })
+ */
+function createActionElement(action) {
+  const editor = RULE_ACTION_EDITORS[action.type];
+  const actionEl = createElement('div', 'rule-action');
+  actionEl.dataset.type = action.type;
+  actionEl.appendChild(createElement('span', 'rule-action-label', editor?.label || action.type));
+  
+  if (editor?.param) {
+    const input = createElement('input', 'rule-input rule-action-param');
+    input.type = 'text';
+    input.value = action[editor.param] ?? '';
+    input.placeholder = editor.placeholder;
+    actionEl.appendChild(input);
+  }
+  
+  const removeButton = createElement('button', 'rule-remove-action-btn', '×');
+  removeButton.type = 'button';
+  removeButton.title = 'Remove action';
+  actionEl.appendChild(removeButton);
+  return actionEl;
+}
+
+/**
+ * Create the "Also" row listing a rule's actions
+ */
+function createActionsRow(actions = []) {
+  const row = createElement('div', 'rule-actions-row');
+  const list = createElement('div', 'rule-actions-list');
+  actions.forEach(action => list.appendChild(createActionElement(action)));
+  
+  const addSelect = createSelect('rule-add-action-select', [
+    ['', '+ Action'],
+    ...Object.entries(RULE_ACTION_EDITORS).map(([type, editor]) => [type, editor.label])
+  ], '');
+  addSelect.title = 'Also do this when the rule matches';
+  
+  row.append(createElement('span', 'rule-actions-title', 'Also:'), list, addSelect);
+  return row;
+}
+
+/**
+ * Read a rule card's actions
+ * @returns {Array} [{ type, ...param }]
+ */
+function readActionsFromUI(card) {
+  return [...card.querySelectorAll('.rule-action')].map(actionEl => {
+    const action = { type: actionEl.dataset.type };
+    const param = RULE_ACTION_EDITORS[action.type]?.param;
+    const value = actionEl.querySelector('.rule-action-param')?.value.trim();
+    if (param && value) {
+      action[param] = value;
+    }
+    return action;
+  });
+}
+
 /**
  * Add a rule to the UI
  */
 function addRuleToUI(category, rule = null) {
-  const tbody = document.querySelector(`.rules-list[data-category="${category}"]`);
-  if (!tbody) {
+  const list = document.querySelector(`.rules-list[data-category="${category}"]`);
+  if (!list) {
     return;
   }
   
-  const ruleId = Date.now() + Math.random();
-  const tr = document.createElement('tr');
-  tr.dataset.ruleId = ruleId;
-  
-  // Determine if this is a URL or title rule based on type or field
-  const isTitle = rule?.field === 'title' || rule?.type === 'titleContains';
-  const isRegex = rule?.type === 'regex';
+  const migrated = rule ? migrateRule(rule) : null;
+  const card = createElement('div', 'rule-card');
+  card.dataset.ruleId = migrated?.id || createRuleId();
   
-  const urlValue = !isTitle ? (rule?.value || '') : '';
-  const titleValue = isTitle ? (rule?.value || '') : '';
-  const urlIsRegex = !isTitle && isRegex;
-  const titleIsRegex = isTitle && isRegex;
+  // Rules from a pack stay part of it when edited, so the pack can still be toggled as a unit
+  const pack = migrated?.packId && (state.settings.rulePacks || []).find(p => p.id === migrated.packId);
+  if (migrated?.packId) {
+    card.dataset.packId = migrated.packId;
+    card.classList.toggle('pack-disabled', pack?.enabled === false);
+  }
   
-  // Escape HTML to prevent XSS
-  const escapeHtml = (str) => {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  };
+  // New rules start with a single empty condition
+  const condition = migrated?.condition || { op: RULE_GROUP_OPS.AND, conditions: [{ field: RULE_CONDITION_FIELDS.URL }] };
+  const negated = condition.op === RULE_GROUP_OPS.NOT;
+  let root = negated ? condition.condition : condition;
+  if (root.op !== RULE_GROUP_OPS.AND && root.op !== RULE_GROUP_OPS.OR) {
+    root = { op: RULE_GROUP_OPS.AND, conditions: [root] };
+  }
   
-  tr.innerHTML = `
-    <td>
-      <input type="text" class="rule-input rule-url-input" 
-             value="${escapeHtml(urlValue)}" 
-             placeholder="e.g., youtube.com/watch">
-    </td>
-    <td>
-      <input type="checkbox" class="rule-regex-checkbox rule-url-regex" 
-             ${urlIsRegex ? 'checked' : ''} 
-             title="Check to use regular expression matching">
-    </td>
-    <td>
-      <input type="text" class="rule-input rule-title-input" 
-             value="${escapeHtml(titleValue)}" 
-             placeholder="e.g., YouTube">
-    </td>
-    <td>
-      <input type="checkbox" class="rule-regex-checkbox rule-title-regex" 
-             ${titleIsRegex ? 'checked' : ''} 
-             title="Check to use regular expression matching">
-    </td>
-    <td>
-      <button class="delete-rule-btn" title="Delete rule">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polyline points="3 6 5 6 21 6"></polyline>
-          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-          <line x1="10" y1="11" x2="10" y2="17"></line>
-          <line x1="14" y1="11" x2="14" y2="17"></line>
-        </svg>
-      </button>
-    </td>
+  const deleteBtn = createElement('button', 'delete-rule-btn');
+  deleteBtn.type = 'button';
+  deleteBtn.title = 'Delete rule';
+  deleteBtn.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <polyline points="3 6 5 6 21 6"></polyline>
+      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+      <line x1="10" y1="11" x2="10" y2="17"></line>
+      <line x1="14" y1="11" x2="14" y2="17"></line>
+    </svg>
   `;
   
-  tbody.appendChild(tr);
-  updateEmptyState(tbody);
+  const priorityLabel = createElement('label', 'rule-priority', 'Priority');
+  priorityLabel.title = 'Rules with higher priority are checked first';
+  const priorityInput = createElement('input', 'rule-input rule-priority-input');
+  priorityInput.type = 'number';
+  priorityInput.step = '1';
+  priorityInput.value = migrated?.priority ?? 0;
+  priorityLabel.appendChild(priorityInput);
+  
+  const minimumLabel = createElement('label', 'rule-minimum');
+  minimumLabel.title = 'Don\'t decide the category - only make sure matching tabs end up in this category or a higher one';
+  const minimumCheckbox = createElement('input', 'rule-minimum-checkbox');
+  minimumCheckbox.type = 'checkbox';
+  minimumCheckbox.checked = Boolean(migrated?.minimum);
+  minimumLabel.append(minimumCheckbox, 'At least');
+  
+  const main = createElement('div', 'rule-card-main');
+  main.append(createGroupElement(root, negated, true), minimumLabel, priorityLabel, deleteBtn);
+  card.appendChild(main);
+  card.appendChild(createActionsRow(migrated?.actions));
+  if (pack) {
+    const packLabel = `From rule pack "${pack.name}"${pack.enabled === false ? ' (turned off)' : ''}`;
+    card.appendChild(createElement('div', 'rule-pack-label', packLabel));
+  }
+  card.appendChild(createElement('div', 'rule-issues'));
+  list.appendChild(card);
+  updateEmptyState(list);
   updateRuleCategoryCounts();
+}
+
+/**
+ * Read a condition or group editor back into a node
+ * @returns {Object|null} Node, or null if it has nothing to test
+ */
+function readNodeFromUI(nodeEl) {
+  let node;
+  
+  if (nodeEl.classList.contains('rule-group')) {
+    const conditions = [...nodeEl.querySelector(':scope > .rule-group-children').children]
+      .map(readNodeFromUI)
+      .filter(Boolean);
+    if (conditions.length === 0) return null;
+    node = { op: nodeEl.querySelector(':scope > .rule-group-header .rule-group-op').value, conditions };
+    
+  } else {
+    const field = nodeEl.querySelector('.rule-field-select').value;
+    const operator = nodeEl.querySelector('.rule-operator-select').value;
+    const valueControl = nodeEl.querySelector('.rule-value-input, .rule-value-select');
+    let value = valueControl.value.trim();
+    if (value === '') return null;
+    
+    if (field === RULE_CONDITION_FIELDS.PINNED || field === RULE_CONDITION_FIELDS.AUDIBLE) {
+      value = value === 'true';
+    } else if (field === RULE_CONDITION_FIELDS.TIME_OPEN || field === RULE_CONDITION_FIELDS.TIME_IDLE) {
+      // Plain numbers stay minutes; "3d" style durations are kept as typed
+      value = /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value.toLowerCase();
+    }
+    node = { field, operator, value };
+  }
   
-  // Add event listeners
-  const urlInput = tr.querySelector('.rule-url-input');
-  const titleInput = tr.querySelector('.rule-title-input');
-  const urlRegex = tr.querySelector('.rule-url-regex');
-  const titleRegex = tr.querySelector('.rule-title-regex');
-  
-  urlInput.addEventListener('input', debounce(saveRulesFromUI, 500));
-  titleInput.addEventListener('input', debounce(saveRulesFromUI, 500));
-  urlRegex.addEventListener('change', saveRulesFromUI);
-  titleRegex.addEventListener('change', saveRulesFromUI);
-  // Delete button now handled by event delegation in initializeRulesUI
+  const notCheckbox = nodeEl.querySelector(':scope > .rule-not-toggle > .rule-not-checkbox, :scope > .rule-group-header > .rule-not-toggle > .rule-not-checkbox');
+  return notCheckbox?.checked ? { op: RULE_GROUP_OPS.NOT, condition: node } : node;
 }
 
 /**
- * Save rules from UI
+ * Read the rules in the editor
+ * @returns {Array} Rules, including disabled rules (which the editor doesn't show)
  */
-function saveRulesFromUI() {
+function readRulesFromUI() {
   const rules = [];
   const rulesContainer = $id(DOM_IDS.RULES_CONTAINER);
-  if (!rulesContainer) return;
-  
-  // Process each rule row
-  rulesContainer.querySelectorAll('tbody tr').forEach(tr => {
-    const category = parseInt(tr.closest('.rule-category-section').dataset.category);
-    const urlInput = tr.querySelector('.rule-url-input');
-    const titleInput = tr.querySelector('.rule-title-input');
-    const urlIsRegex = tr.querySelector('.rule-url-regex').checked;
-    const titleIsRegex = tr.querySelector('.rule-title-regex').checked;
+  if (!rulesContainer) return state.settings.rules || [];
+  
+  // Process each rule card
+  rulesContainer.querySelectorAll('.rule-card').forEach(card => {
+    const category = parseInt(card.closest('.rule-category-section').dataset.category);
+    const condition = readNodeFromUI(card.querySelector('.rule-card-main > .rule-group'));
+    const priority = parseInt(card.querySelector('.rule-priority-input').value) || 0;
+    const minimum = card.querySelector('.rule-minimum-checkbox').checked;
+    const actions = readActionsFromUI(card);
     
-    // Add URL rule if present
-    if (urlInput.value.trim()) {
+    // Skip rules without any filled-in condition
+    if (condition) {
       rules.push({
-        type: urlIsRegex ? 'regex' : 'urlContains',
-        value: urlInput.value.trim(),
-        field: 'url',
+        id: card.dataset.ruleId,
         category: category,
-        enabled: true
+        enabled: true,
+        priority,
+        ...(minimum ? { minimum } : {}),
+        ...(actions.length > 0 ? { actions } : {}),
+        ...(card.dataset.packId ? { packId: card.dataset.packId } : {}),
+        condition
       });
     }
+  });
+  
+  // Disabled rules aren't shown in the editor - keep them
+  const disabledRules = (state.settings.rules || []).filter(rule => rule.enabled === false);
+  
+  return [...rules, ...disabledRules];
+}
+
+/**
+ * Editor changed - keep the changes as a draft until saved
+ */
+function onRulesEdited() {
+  const draft = readRulesFromUI();
+  const isDirty = getRulesSignature(draft) !== getRulesSignature(state.settings.rules || []);
+  
+  setRulesDraftVisible(isDirty);
+  renderRuleIssues(draft);
+  
+  // A preview of an earlier draft would be misleading
+  const dryRunPanel = $id(DOM_IDS.RULES_DRY_RUN_PANEL);
+  if (dryRunPanel) dryRunPanel.innerHTML = '';
+}
+
+// Comparable form of a rule set, ignoring list order and older rule formats
+function getRulesSignature(rules) {
+  return JSON.stringify(migrateRules(rules)
+    .map(rule => ({
+      id: rule.id,
+      category: rule.category,
+      enabled: rule.enabled !== false,
+      priority: getRulePriority(rule),
+      minimum: Boolean(rule.minimum),
+      actions: rule.actions || [],
+      packId: rule.packId || null,
+      condition: rule.condition
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id)));
+}
+
+function setRulesDraftVisible(visible) {
+  const draftBar = $id(DOM_IDS.RULES_DRAFT_BAR);
+  if (draftBar) draftBar.style.display = visible ? 'flex' : 'none';
+  
+  const dryRunPanel = $id(DOM_IDS.RULES_DRY_RUN_PANEL);
+  if (dryRunPanel && !visible) dryRunPanel.innerHTML = '';
+}
+
+/**
+ * Show analyzer issues (unreachable, duplicate, conflicting rules) on the rule cards
+ * @param {Array} rules - Rules to analyze
+ */
+function renderRuleIssues(rules) {
+  const rulesContainer = $id(DOM_IDS.RULES_CONTAINER);
+  if (!rulesContainer) return;
+  
+  // Rules in turned-off packs don't take part, so they can't shadow anything
+  const issuesByRule = new Map();
+  analyzeRules(getActiveRules({ rules, rulePacks: state.settings.rulePacks }))
+    .forEach(issue => issuesByRule.set(issue.ruleId, issue));
+  
+  rulesContainer.querySelectorAll('.rule-card').forEach(card => {
+    const issue = issuesByRule.get(card.dataset.ruleId);
+    const issuesEl = card.querySelector('.rule-issues');
     
-    // Add title rule if present
-    if (titleInput.value.trim()) {
-      rules.push({
-        type: titleIsRegex ? 'regex' : 'titleContains',
-        value: titleInput.value.trim(),
-        field: 'title',
-        category: category,
-        enabled: true
-      });
-    }
+    card.classList.toggle('has-issue', Boolean(issue));
+    card.dataset.issue = issue ? issue.type : '';
+    issuesEl.textContent = issue ? issue.message : '';
   });
   
+  // Sections start collapsed, so also summarize above them
+  const summary = $id(DOM_IDS.RULES_ISSUE_SUMMARY);
+  if (summary) {
+    summary.textContent = issuesByRule.size > 0
+      ? `${issuesByRule.size} rule${issuesByRule.size > 1 ? 's' : ''} never apply or conflict with another rule - see the highlighted rules below.`
+      : '';
+    summary.style.display = issuesByRule.size > 0 ? 'block' : 'none';
+  }
+}
+
+/**
+ * Save rules from UI
+ */
+async function saveRulesFromUI() {
+  const rules = readRulesFromUI();
+  
+  // Ask for the bookmarks permission while still in the click's user gesture (no prompt once granted)
+  const needsBookmarks = rules.some(rule => rule.actions?.some(action => action.type === RULE_ACTIONS.BOOKMARK));
+  if (needsBookmarks) {
+    const granted = await ChromeAPIService.requestPermissions(BOOKMARK_PERMISSIONS).catch(() => false);
+    if (!granted) {
+      showStatus('Bookmark actions won\'t run without the bookmarks permission', 'warning', 4000);
+    }
+  }
+  
   state.settings.rules = rules;
   updateState('settings', state.settings);
-  StorageService.saveSettings(state.settings);
+  await StorageService.saveSettings(state.settings);
+  
+  setRulesDraftVisible(false);
+  renderRuleIssues(state.settings.rules);
+  showStatus('Rules saved', 'success', 2000);
 }
 
+/**
+ * Save a new rule and add it to the editor
+ * Other unsaved edits in the editor stay a draft.
+ * @param {Object} rule - Rule to add
+ */
+export async function addRule(rule) {
+  state.settings.rules = [...(state.settings.rules || []), rule];
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  
+  addRuleToUI(rule.category, rule);
+  onRulesEdited();
+}
+
+/**
+ * Drop the draft and show the saved rules again
+ */
+function discardRulesDraft() {
+  initializeRulesUI();
+}
+
+/**
+ * Show which open and saved tabs the draft rules would re-categorize
+ */
+async function previewRulesDraft() {
+  const panel = $id(DOM_IDS.RULES_DRY_RUN_PANEL);
+  const previewBtn = $id(DOM_IDS.PREVIEW_RULES_BTN);
+  if (!panel) return;
+  
+  if (previewBtn) previewBtn.disabled = true;
+  panel.innerHTML = '<div class="setting-help-text">Checking tabs...</div>';
+  
+  try {
+    const { runRulesDryRun, renderRulesDryRun } = await import('./rules-dry-run.js');
+    const draftRules = getActiveRules({ rules: readRulesFromUI(), rulePacks: state.settings.rulePacks });
+    const result = await runRulesDryRun(draftRules, getActiveRules(state.settings));
+    renderRulesDryRun(result, panel);
+  } catch (error) {
+    console.error('Rules dry run failed:', error);
+    panel.innerHTML = '';
+    showStatus(`Preview failed: ${error.message}`, 'error', 3000);
+  } finally {
+    if (previewBtn) previewBtn.disabled = false;
+  }
+}
 
 /**
  * Restore default rules
  */
 async function onRestoreDefaultRules() {
   try {
-    const confirmed = await smartConfirm('This will replace all your current rules with the default rules. Are you sure?', { defaultAnswer: false });
+    const confirmed = await smartConfirm('This will replace all your current rules and rule packs with the default rules. Are you sure?', { defaultAnswer: false });
     if (!confirmed) {
       return;
     }
     
-    // Import the getDefaultRules function from state-manager
-    const { getDefaultRules } = await import('./state-manager.js');
+    // Import the built-in rule pack from state-manager
+    const { getBuiltInRulePack } = await import('./state-manager.js');
     
-    const defaultRules = getDefaultRules();
+    const { rules: defaultRules, ...builtInPack } = getBuiltInRulePack();
     
-    // Replace current rules with default rules
+    // Replace current rules with default rules (other packs' rules are gone, so drop the packs too)
     state.settings.rules = defaultRules;
+    state.settings.rulePacks = [{ ...builtInPack, enabled: true }];
     await StorageService.saveSettings(state.settings);
     
     // Refresh the UI
     initializeRulesUI();
+    const { renderRulePacks } = await import('./rule-packs.js');
+    renderRulePacks();
     // Rules table updates show this - no message needed
   } catch (error) {
     console.error('❌ RESTORE: Error restoring default rules:', error);
@@ -843,6 +1904,77 @@ export async function initializeSettings() {
     saveApiKeyBtn.addEventListener('click', saveApiKey);
   }
   
+  // Custom endpoint base URL save
+  const saveBaseUrlBtn = $id(DOM_IDS.SAVE_BASE_URL_BTN);
+  if (saveBaseUrlBtn) {
+    saveBaseUrlBtn.addEventListener('click', saveBaseUrl);
+  }
+  
+  // Provider connection test
+  const testConnectionBtn = $id(DOM_IDS.TEST_CONNECTION_BTN);
+  if (testConnectionBtn) {
+    testConnectionBtn.addEventListener('click', testProviderConnection);
+  }
+  
+  // Monthly LLM budget
+  const monthlyBudgetInput = $id(DOM_IDS.MONTHLY_BUDGET_INPUT);
+  if (monthlyBudgetInput) {
+    monthlyBudgetInput.addEventListener('change', onMonthlyBudgetChange);
+  }
+  
+  // Categorize-on-open (the background reads the setting from storage)
+  const autoCategorizeCheckbox = $id('autoCategorizeCheckbox');
+  if (autoCategorizeCheckbox) {
+    autoCategorizeCheckbox.addEventListener('change', async (e) => {
+      state.settings.autoCategorize = e.target.checked;
+      updateState('settings', state.settings);
+      await StorageService.saveSettings(state.settings);
+    });
+  }
+  
+  // Native tab groups
+  $id(DOM_IDS.TAB_STRIP_GROUPS_SELECT)?.addEventListener('change', onTabStripGroupsChange);
+  $id(DOM_IDS.TAB_STRIP_GROUPS_APPLY_BTN)?.addEventListener('click', applyTabStripGroups);
+  
+  // Explain mode
+  const explainCheckbox = $id('explainCategorizationCheckbox');
+  if (explainCheckbox) {
+    explainCheckbox.addEventListener('change', async (e) => {
+      state.settings.explainCategorization = e.target.checked;
+      updateState('settings', state.settings);
+      await StorageService.saveSettings(state.settings);
+    });
+  }
+  
+  // Page content extraction
+  const contentCheckbox = $id('useContentExtractionCheckbox');
+  if (contentCheckbox) {
+    contentCheckbox.addEventListener('change', onContentExtractionChange);
+  }
+  [DOM_IDS.CONTENT_ALLOW_DOMAINS_INPUT, DOM_IDS.CONTENT_DENY_DOMAINS_INPUT].forEach(id => {
+    const input = $id(id);
+    if (input) {
+      input.addEventListener('change', onContentDomainsChange);
+    }
+  });
+  
+  // URL canonicalization
+  [DOM_IDS.CANONICALIZE_URLS_CHECKBOX, DOM_IDS.URL_CANONICALIZATION_OVERRIDES_INPUT].forEach(id => {
+    const input = $id(id);
+    if (input) {
+      input.addEventListener('change', onCanonicalizationChange);
+    }
+  });
+  
+  // Fallback providers
+  const addFallbackBtn = $id(DOM_IDS.ADD_FALLBACK_PROVIDER_BTN);
+  if (addFallbackBtn) {
+    addFallbackBtn.addEventListener('click', () => {
+      const list = $id(DOM_IDS.FALLBACK_PROVIDERS_LIST);
+      if (list) addFallbackProviderRow(list);
+    });
+  }
+  
   // Prompt changes
   const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
   if (promptTextarea) {
@@ -854,6 +1986,34 @@ export async function initializeSettings() {
     resetPromptBtn.addEventListener('click', resetPrompt);
   }
   
+  // Prompt variants and test bench
+  const { initializePromptBench } = await import('./prompt-bench.js');
+  initializePromptBench();
+  
+  // Rules suggested from category corrections (reads ML data, so don't wait for it)
+  const { renderRuleSuggestions } = await import('./rule-suggestions.js');
+  renderRuleSuggestions();
+  
+  // Actions rules ran in the background
+  const { renderRuleActionLog } = await import('./rule-action-log.js');
+  renderRuleActionLog();
+  
+  // Rule pack import/export
+  const { initializeRulePacks } = await import('./rule-packs.js');
+  initializeRulePacks();
+  
+  // User categories
+  const { initializeCategoryEditor } = await import('./category-editor.js');
+  initializeCategoryEditor();
+  
+  // Retention rules
+  const { initializeRetentionSettings } = await import('./retention-settings.js');
+  initializeRetentionSettings();
+  
+  // Hibernation policy and savings
+  const { initializeHibernationSettings } = await import('./hibernation-settings.js');
+  initializeHibernationSettings();
+  
   // Max tabs change
   const maxTabsInput = $id(DOM_IDS.MAX_TABS_INPUT);
   if (maxTabsInput) {
@@ -899,7 +2059,10 @@ export async function initializeSettings() {
     });
   }
   
-  // Rules are now handled by the grouped UI with textareas
+  // Rule edits are a draft until saved
+  $id(DOM_IDS.SAVE_RULES_BTN)?.addEventListener('click', saveRulesFromUI);
+  $id(DOM_IDS.DISCARD_RULES_BTN)?.addEventListener('click', discardRulesDraft);
+  $id(DOM_IDS.PREVIEW_RULES_BTN)?.addEventListener('click', previewRulesDraft);
   
   // Restore default rules button
   const restoreBtn = $id('restoreDefaultRulesBtn');
@@ -1047,6 +2210,9 @@ export default {
   onProviderChange,
   onModelChange,
   saveApiKey,
+  saveBaseUrl,
+  testProviderConnection,
+  renderLLMUsageSummary,
   onPromptChange,
   resetPrompt,
   updatePromptStatus,
@@ -3,8 +3,9 @@
  * State management module - handles all state persistence and restoration
  */
 
-import { TAB_CATEGORIES } from '../utils/constants.js';
+import { TAB_CATEGORIES, BUILTIN_RULE_PACK_ID } from '../utils/constants.js';
 import StorageService from '../services/StorageService.js';
+import { migrateRules } from './rules-categorizer.js';
 import logger from '../utils/logger.js';
 
 // Global state object
@@ -47,13 +48,34 @@ export const state = {
     model: '',
     apiKeys: {},
     selectedModels: {},
+    providerBaseUrls: {}, // Base URLs for custom OpenAI-compatible endpoints
+    fallbackProviders: [], // Ordered [{ provider, model }] tried when the primary provider fails
+    explainCategorization: false, // Ask the LLM for confidence and a short reason per tab
+    monthlyBudget: 0, // Monthly LLM spend cap in USD (0 = no limit)
+    useContentExtraction: false, // Send a short page excerpt to the LLM (needs optional permissions)
+    contentAllowDomains: [], // If non-empty, only these domains are read
+    contentDenyDomains: null, // Domains never read (null = CONFIG.CONTENT_EXTRACTION.DEFAULT_DENY_DOMAINS)
+    canonicalizeUrls: true, // Strip tracking parameters, anchors, AMP/mobile variants before saving and deduplicating
+    urlCanonicalizationOverrides: [], // Per-domain exceptions [{ domain, off, keep, strip, keepFragment }]
+    customCategories: [], // User categories beyond Ignore/Useful/Important [{ id, name, color, icon, description, retention }]
+    lastCustomCategoryId: 0, // Highest user category ID ever used (IDs aren't reused, so old ML labels stay unambiguous)
+    retentionRules: [], // Archive/delete saved tabs nobody opened [{ domain, category, age, ageMs, action }] (none: Ignore expires after a year)
     customPrompt: '',
+    promptVariants: [], // Named prompt variants [{ id, name, history: [{ prompt, savedAt }] }]
+    activePromptVariantId: null, // Variant the current prompt was loaded from
     promptVersion: 1,
     isPromptCustomized: false,
     maxTabsToOpen: 50,
     rules: [],  // Array of rule objects
+    dismissedRuleSuggestions: [], // Keys of rule suggestions the user dismissed
+    rulePacks: [], // Installed rule packs [{ id, name, version, description, enabled, builtIn }] - their rules carry packId
     useLLM: true,  // Whether to use LLM for categorization
     useML: true,  // Whether to use ML categorization
+    autoCategorize: false, // Categorize tabs in the background as they load (rules + ML, LLM for unsure tabs)
+    autoHibernate: false, // Discard idle tabs in the categories below (they stay in the tab strip and reload when selected)
+    hibernateCategories: [2], // Categories the idle policy hibernates (Useful)
+    hibernateIdleMinutes: 120, // Idle time before a tab is hibernated
+    tabStripGroups: 'off', // Keep native tab groups per 'category' or 'domain' in the browser's tab strip ('off': leave it alone)
     mlEarlyStoppingPatience: 120,  // Stop after N epochs without improvement
     mlBatchSize: 64,  // Training batch size
     mlLearningRate: 0.001,  // Learning rate for training
@@ -200,8 +222,25 @@ export async function loadSavedState() {
       if (!Array.isArray(state.settings.rules)) {
         state.settings.rules = [];
       }
+      
+      // Convert flat rules ({ type, value }) saved by older versions to condition trees
+      if (state.settings.rules.some(rule => !rule.condition)) {
+        state.settings.rules = migrateRules(state.settings.rules);
+        await StorageService.saveSettings(state.settings);
+        logger.uiState('Migrated rules to condition format');
+      }
+      
+      // Default rules saved before rule packs existed become the built-in pack
+      if (state.settings.defaultRulesApplied && ensureBuiltInRulePack(state.settings)) {
+        await StorageService.saveSettings(state.settings);
+        logger.uiState('Moved default rules into the built-in rule pack');
+      }
     }
     
+    // Saving and duplicate detection canonicalize URLs with the user's options
+    globalThis.urlCanonicalizer?.configure(state.settings);
+    globalThis.categoryRegistry?.configure(state.settings);
+    
     // Apply defaults from CONFIG if available and not already set
     if (typeof CONFIG !== 'undefined') {
       if (!state.settings.provider || state.settings.provider === '') {
@@ -253,6 +292,7 @@ export async function loadSavedState() {
         state.settings.rules = [...defaultRules];
       }
       
+      ensureBuiltInRulePack(state.settings);
       state.settings.defaultRulesApplied = true;
       // Also mark as configured since we've set up default rules
       state.settings.hasConfiguredSettings = true;
@@ -299,12 +339,57 @@ export function restoreScrollPosition(containerId, scrollTop, retryCount = 0) {
   }
 }
 
+/**
+ * Get the built-in rule pack (the default rules)
+ * @returns {Object} { id, name, version, description, builtIn, rules }
+ */
+export function getBuiltInRulePack() {
+  return {
+    id: BUILTIN_RULE_PACK_ID,
+    name: 'Default Rules',
+    version: '1.0.0',
+    description: 'Checkout and unsaved pages as Important; search, homepages, auth and error pages as Ignore',
+    builtIn: true,
+    rules: getDefaultRules()
+  };
+}
+
+/**
+ * Make sure settings list the built-in pack and its rules are tagged with it
+ * @param {Object} settings - Settings to update in place
+ * @returns {boolean} True if settings changed
+ */
+export function ensureBuiltInRulePack(settings) {
+  const { rules, ...packInfo } = getBuiltInRulePack();
+  const builtInIds = new Set(rules.map(rule => rule.id));
+  let changed = false;
+  
+  if (!Array.isArray(settings.rulePacks)) {
+    settings.rulePacks = [];
+  }
+  if (!settings.rulePacks.some(pack => pack.id === BUILTIN_RULE_PACK_ID)) {
+    settings.rulePacks = [{ ...packInfo, enabled: true }, ...settings.rulePacks];
+    changed = true;
+  }
+  
+  settings.rules = (settings.rules || []).map(rule => {
+    if (!rule.packId && builtInIds.has(rule.id)) {
+      changed = true;
+      return { ...rule, packId: BUILTIN_RULE_PACK_ID };
+    }
+    return rule;
+  });
+  
+  return changed;
+}
+
 /**
  * Get default categorization rules
- * @returns {Array} Default rules
+ * @returns {Array} Default rules (the built-in pack's rules)
  */
 export function getDefaultRules() {
-  return [
+  // Defaults are written in the flat format for readability and converted to condition trees
+  return migrateRules([
     // Essential rules covering most common patterns - let ML learn user preferences over time
     
     // Category 3: Important - Specific content that's hard to find again
@@ -603,19 +688,14 @@ export function getDefaultRules() {
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     }
-  ];
+  ]).map(rule => ({ ...rule, packId: BUILTIN_RULE_PACK_ID }));
 }
 
 /**
  * Clear categorized tabs state
  */
 export function clearCategorizedTabs() {
-  state.categorizedTabs = {
-    [TAB_CATEGORIES.UNCATEGORIZED]: [],
-    [TAB_CATEGORIES.CAN_CLOSE]: [],
-    [TAB_CATEGORIES.SAVE_LATER]: [],
-    [TAB_CATEGORIES.IMPORTANT]: []
-  };
+  state.categorizedTabs = globalThis.categoryRegistry.createCategoryBuckets(true);
   state.urlToDuplicateIds = {};
   notifyStateListeners();
 }
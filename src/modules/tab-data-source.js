@@ -31,12 +31,7 @@ export async function getCurrentTabs() {
     console.error('Tab data source not initialized, returning empty state');
     // Return properly structured empty state
     return {
-      categorizedTabs: {
-        0: [], // uncategorized
-        1: [], // can close
-        2: [], // save later  
-        3: []  // important
-      },
+      categorizedTabs: globalThis.categoryRegistry.createCategoryBuckets(true),
       urlToDuplicateIds: {}
     };
   }
@@ -47,12 +42,7 @@ export async function getCurrentTabs() {
     console.error('Error fetching current tabs:', error);
     // Return properly structured empty state
     return {
-      categorizedTabs: {
-        0: [], // uncategorized
-        1: [], // can close
-        2: [], // save later
-        3: []  // important
-      },
+      categorizedTabs: globalThis.categoryRegistry.createCategoryBuckets(true),
       urlToDuplicateIds: {}
     };
   }
@@ -90,6 +90,9 @@ export async function showCurrentTabsContent(groupingType) {
       categories = [0, 1, 2, 3]; // Show all by default
     }
     
+    // User categories have no filter button - they are always shown
+    categories.push(...globalThis.categoryRegistry.getCustomCategories().map(category => category.id));
+    
     // Process data using clean architecture
     const processedData = await window.dataManager.getCurrentTabsData({
       searchQuery: searchQuery,
@@ -240,7 +243,7 @@ export async function displayGroupedView(groupingType, isFromSaved = false, tabs
   
   // Flatten all tabs from all categories
   const allTabs = [];
-  [TAB_CATEGORIES.UNCATEGORIZED, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(category => {
+  globalThis.categoryRegistry.getAllCategoryIds().forEach(category => {
     if (tabs[category]) {
       tabs[category].forEach(tab => {
         allTabs.push({ ...tab, category });
@@ -1559,7 +1562,8 @@ async function renderCategoryViewToContainer(container) {
   const categorizedTabs = state.categorizedTabs;
   
   // Create category sections
-  for (const category of [TAB_CATEGORIES.IMPORTANT, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.UNCATEGORIZED]) {
+  const customCategoryIds = globalThis.categoryRegistry.getCustomCategories().map(customCategory => customCategory.id);
+  for (const category of [TAB_CATEGORIES.IMPORTANT, TAB_CATEGORIES.SAVE_LATER, ...customCategoryIds, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.UNCATEGORIZED]) {
     const tabs = categorizedTabs[category] || [];
     if (tabs.length > 0) {
       const categorySection = await createUnifiedCategorySection(category, tabs, false);
@@ -3,8 +3,9 @@
  * Tab Operations Module - handles all tab CRUD operations
  */
 
-import { TAB_CATEGORIES, LIMITS } from '../utils/constants.js';
-import { getRootDomain, smartConfirm } from '../utils/helpers.js';
+import { TAB_CATEGORIES, LIMITS, DOM_IDS } from '../utils/constants.js';
+import { $id } from '../utils/dom-helpers.js';
+import { canonicalizeUrl, getOpenUrl, getRootDomain, smartConfirm, getCategoryName } from '../utils/helpers.js';
 import ChromeAPIService from '../services/ChromeAPIService.js';
 import { state } from './state-manager.js';
 import { showStatus, clearStatusByProcessKey, updateCategorizeBadge } from './ui-manager.js';
@@ -12,6 +13,10 @@ import { moveTabToCategory } from './categorization-service.js';
 import { markContentDirty, syncHiddenTabContent } from './content-manager.js';
 import { displayTabs } from './tab-display.js';
 import { getUnifiedDatabase } from '../services/UnifiedDatabaseService.js';
+import { captureSessionSnapshot } from './session-snapshots.js';
+import MessageService from '../services/MessageService.js';
+import { unifiedSearchService } from '../services/UnifiedSearchService.js';
+import { journalClosedTabs, journalDeletedSavedTabs, showUndoStatus } from './undo-journal.js';
 import logger from '../utils/logger.js';
 // Import database - using window.window.tabDatabase since it's a global
 
@@ -336,6 +341,9 @@ export async function saveAndCloseCategory(category) {
     // Collect all tab IDs including duplicates
     const allTabIds = collectAllTabIds(tabs, urlToDuplicateIds);
     
+    // Snapshot their windows so they can be restored as they were
+    await captureSessionSnapshot(allTabIds, `Saved ${getCategoryName(category)}`, 'category_save');
+    
     // Separate tabs by window
     const { current: currentWindowTabsToClose, other: otherWindowTabsToClose } = 
       separateTabsByWindow(allTabIds, windowInfo.tabIds);
@@ -368,6 +376,343 @@ export async function saveAndCloseCategory(category) {
   }
 }
 
+/**
+ * Hibernate tabs (the background discards them) and report what happened
+ * @param {Array} tabIds - Tab IDs
+ */
+async function hibernateTabIds(tabIds) {
+  if (tabIds.length === 0) return;
+  
+  try {
+    const { hibernated, skipped } = await MessageService.hibernateTabs(tabIds);
+    const skippedNote = skipped > 0 ? ` (${skipped} active, playing or already hibernated)` : '';
+    showStatus(`Hibernated ${hibernated} tab${hibernated === 1 ? '' : 's'}${skippedNote}`, hibernated > 0 ? 'success' : 'info', 3000);
+    
+    markContentDirty('all');
+    await displayTabs();
+  } catch (error) {
+    logger.error('Error hibernating tabs:', error);
+    showStatus(`Could not hibernate tabs: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Hibernate a single tab (and its duplicates): it stays in the tab strip without using memory
+ */
+export async function hibernateTab(tab) {
+  await hibernateTabIds(getTabIdsWithDuplicates(tab));
+}
+
+/**
+ * Hibernate all tabs in a category instead of saving and closing them
+ */
+export async function hibernateCategory(category) {
+  const { getCurrentTabs } = await import('./tab-data-source.js');
+  const { categorizedTabs, urlToDuplicateIds } = await getCurrentTabs();
+  const tabs = categorizedTabs[category] || [];
+  
+  await hibernateTabIds(collectAllTabIds(tabs, urlToDuplicateIds));
+}
+
+/**
+ * Hibernate all tabs in a group
+ */
+export async function hibernateTabsInGroup(tabs) {
+  if (!tabs || tabs.length === 0) return;
+  await hibernateTabIds(collectAllTabIds(tabs));
+}
+
+// ========== Window Operations ==========
+
+/**
+ * Move tabs into a window, keeping their order
+ * Tabs already in the window are left where they are, and so are tabs that can't cross between
+ * private and normal windows (a new window is private if its first tab is).
+ * @param {Array} tabIds - Tab IDs
+ * @param {number|null} windowId - Target window, or null for a new window
+ * @returns {Promise<{moved: number, windowId: number|null}>}
+ */
+async function moveTabsToWindow(tabIds, windowId) {
+  const moving = new Set(tabIds);
+  const candidates = (await ChromeAPIService.getAllTabs())
+    .filter(tab => moving.has(tab.id) && tab.windowId !== windowId)
+    .sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+  if (candidates.length === 0) return { moved: 0, windowId };
+  
+  const incognito = windowId === null
+    ? Boolean(candidates[0].incognito)
+    : Boolean((await browser.windows.get(windowId)).incognito);
+  const tabs = candidates.filter(tab => Boolean(tab.incognito) === incognito);
+  
+  if (tabs.length === 0) return { moved: 0, windowId };
+  
+  let targetWindowId = windowId;
+  let rest = tabs;
+  if (targetWindowId === null) {
+    // The new window is created around the first tab; not focused, so the popup stays open
+    const newWindow = await browser.windows.create({ tabId: tabs[0].id, focused: false });
+    targetWindowId = newWindow.id;
+    rest = tabs.slice(1);
+  }
+  
+  if (rest.length > 0) {
+    await browser.tabs.move(rest.map(tab => tab.id), { windowId: targetWindowId, index: -1 });
+  }
+  
+  return { moved: tabs.length, windowId: targetWindowId };
+}
+
+/**
+ * Ask which window to gather tabs into
+ * @param {number} tabCount - Number of tabs being gathered
+ * @returns {Promise<number|null|undefined>} Window ID, null for a new window, undefined if cancelled
+ */
+async function chooseTargetWindow(tabCount) {
+  const dialog = $id(DOM_IDS.WINDOW_PICKER_DIALOG);
+  const list = $id(DOM_IDS.WINDOW_PICKER_LIST);
+  if (!dialog || !list) return null;
+  
+  const currentWindow = await ChromeAPIService.getCurrentWindow();
+  const windows = (await browser.windows.getAll({ populate: true, windowTypes: ['normal'] }))
+    .filter(win => !win.incognito);
+  
+  dialog.querySelector('h3').textContent = `Gather ${tabCount} tab${tabCount === 1 ? '' : 's'} into:`;
+  list.innerHTML = '';
+  
+  const addOption = (label, meta, windowId) => {
+    const option = document.createElement('button');
+    option.className = 'dialog-btn secondary window-picker-option';
+    option.dataset.action = 'choose';
+    option.dataset.windowId = windowId === null ? '' : String(windowId);
+    option.innerHTML = '<span class="window-picker-label"></span><span class="window-picker-meta"></span>';
+    option.querySelector('.window-picker-label').textContent = label;
+    option.querySelector('.window-picker-meta').textContent = meta;
+    list.appendChild(option);
+  };
+  
+  addOption('New window', '', null);
+  windows.forEach(win => {
+    const activeTab = (win.tabs || []).find(tab => tab.active);
+    const tabs = `${win.tabs.length} tab${win.tabs.length === 1 ? '' : 's'}`;
+    addOption(activeTab?.title || 'Window', win.id === currentWindow.id ? `This window - ${tabs}` : tabs, win.id);
+  });
+  
+  return new Promise((resolve) => {
+    let result;
+    
+    const handleDialogClick = (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      
+      if (button.dataset.action === 'choose') {
+        result = button.dataset.windowId ? parseInt(button.dataset.windowId) : null;
+      }
+      dialog.close();
+    };
+    
+    // Closing with Escape never clicks a button, so the choice is read when the dialog closes
+    dialog.addEventListener('close', () => {
+      dialog.removeEventListener('click', handleDialogClick);
+      resolve(result);
+    }, { once: true });
+    
+    dialog.addEventListener('click', handleDialogClick);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Gather tabs into a window the user picks
+ * @param {Array} tabIds - Tab IDs
+ */
+async function gatherTabIds(tabIds) {
+  if (tabIds.length === 0) return;
+  
+  try {
+    const windowId = await chooseTargetWindow(tabIds.length);
+    if (windowId === undefined) return;
+    
+    const { moved } = await moveTabsToWindow(tabIds, windowId);
+    if (moved === 0) {
+      showStatus('These tabs are already in that window', 'info', 2000);
+      return;
+    }
+    
+    const target = windowId === null ? 'a new window' : 'the window';
+    showStatus(`Moved ${moved} tab${moved === 1 ? '' : 's'} to ${target}`, 'success', 3000);
+    
+    markContentDirty('all');
+    await displayTabs();
+  } catch (error) {
+    logger.error('Error gathering tabs:', error);
+    showStatus(`Could not move tabs: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Gather all tabs in a category (and their duplicates) into one window
+ */
+export async function gatherCategory(category) {
+  const { getCurrentTabs } = await import('./tab-data-source.js');
+  const { categorizedTabs, urlToDuplicateIds } = await getCurrentTabs();
+  const tabs = categorizedTabs[category] || [];
+  
+  await gatherTabIds(collectAllTabIds(tabs, urlToDuplicateIds));
+}
+
+/**
+ * Gather all tabs in a group into one window
+ */
+export async function gatherTabsInGroup(tabs) {
+  if (!tabs || tabs.length === 0) return;
+  await gatherTabIds(collectAllTabIds(tabs));
+}
+
+/**
+ * Gather the current tabs matching the search into one window
+ */
+export async function gatherSearchResults() {
+  if (!unifiedSearchService.searchQuery) {
+    showStatus('Search first to gather the matching tabs', 'info', 2000);
+    return;
+  }
+  
+  const { getCurrentTabs } = await import('./tab-data-source.js');
+  const { categorizedTabs, urlToDuplicateIds } = await getCurrentTabs();
+  const tabs = Object.values(categorizedTabs).flat().filter(tab => unifiedSearchService.matchesSearch(tab));
+  
+  if (tabs.length === 0) {
+    showStatus('No open tabs match the search', 'info', 2000);
+    return;
+  }
+  
+  await gatherTabIds(collectAllTabIds(tabs, urlToDuplicateIds));
+}
+
+/**
+ * Split the current window into one window per category
+ * Uncategorized and pinned tabs stay, and if nothing else would, so does the largest category.
+ */
+export async function splitWindowByCategory() {
+  try {
+    const windowInfo = await getCurrentWindowInfo();
+    const { getCurrentTabs } = await import('./tab-data-source.js');
+    const { categorizedTabs, urlToDuplicateIds } = await getCurrentTabs();
+    const pinnedTabIds = new Set(windowInfo.tabs.filter(tab => tab.pinned).map(tab => tab.id));
+    
+    // This window's tabs per category
+    const tabIdsByCategory = new Map();
+    Object.entries(categorizedTabs).forEach(([category, tabs]) => {
+      if (parseInt(category) === TAB_CATEGORIES.UNCATEGORIZED) return;
+      const tabIds = collectAllTabIds(tabs, urlToDuplicateIds)
+        .filter(tabId => windowInfo.tabIds.has(tabId) && !pinnedTabIds.has(tabId));
+      if (tabIds.length > 0) {
+        tabIdsByCategory.set(parseInt(category), tabIds);
+      }
+    });
+    
+    const movingCount = [...tabIdsByCategory.values()].reduce((sum, tabIds) => sum + tabIds.length, 0);
+    if (movingCount === windowInfo.tabIds.size && tabIdsByCategory.size > 0) {
+      const [largest] = [...tabIdsByCategory.entries()].sort((a, b) => b[1].length - a[1].length)[0];
+      tabIdsByCategory.delete(largest);
+    }
+    
+    if (tabIdsByCategory.size === 0) {
+      showStatus('Nothing to split - this window has one category', 'info', 2000);
+      return;
+    }
+    
+    const summary = [...tabIdsByCategory.entries()]
+      .map(([category, tabIds]) => `${getCategoryName(category)} (${tabIds.length})`)
+      .join(', ');
+    const windowCount = tabIdsByCategory.size;
+    if (!await smartConfirm(`Move ${summary} to ${windowCount} new window${windowCount === 1 ? '' : 's'}?`, { defaultAnswer: true })) {
+      return;
+    }
+    
+    showStatus('Splitting window...', 'loading', 0, 'window-ops');
+    
+    let movedCount = 0;
+    for (const tabIds of tabIdsByCategory.values()) {
+      const { moved } = await moveTabsToWindow(tabIds, null);
+      movedCount += moved;
+    }
+    
+    showStatus(`Moved ${movedCount} tabs to ${windowCount} new window${windowCount === 1 ? '' : 's'}`, 'success', 3000, 'window-ops');
+    
+    markContentDirty('all');
+    await displayTabs();
+  } catch (error) {
+    logger.error('Error splitting window:', error);
+    showStatus(`Could not split window: ${error.message}`, 'error', null, 'window-ops');
+  }
+}
+
+/**
+ * Merge all windows into the current one, closing tabs whose URL is already open
+ * Tabs already in this window are kept over their duplicates in other windows.
+ */
+export async function mergeAllWindows() {
+  try {
+    const currentWindow = await ChromeAPIService.getCurrentWindow();
+    const windows = (await browser.windows.getAll({ populate: true, windowTypes: ['normal'] }))
+      .filter(win => win.incognito === currentWindow.incognito);
+    const targetWindow = windows.find(win => win.id === currentWindow.id);
+    const otherWindows = windows.filter(win => win.id !== currentWindow.id);
+    
+    if (!targetWindow || otherWindows.length === 0) {
+      showStatus('There are no other windows to merge', 'info', 2000);
+      return;
+    }
+    
+    // This window's active tab comes first so it is never closed as a duplicate
+    const inOrder = win => [...(win.tabs || [])].sort((a, b) => a.index - b.index);
+    const targetTabs = inOrder(targetWindow);
+    const activeTab = targetTabs.find(tab => tab.active);
+    const allTabs = [
+      ...(activeTab ? [activeTab] : []),
+      ...targetTabs.filter(tab => tab !== activeTab),
+      ...otherWindows.flatMap(inOrder)
+    ];
+    
+    const seenUrls = new Set();
+    const duplicateIds = [];
+    const tabIdsToMove = [];
+    allTabs.forEach(tab => {
+      const key = canonicalizeUrl(tab.url);
+      if (seenUrls.has(key)) {
+        duplicateIds.push(tab.id);
+        return;
+      }
+      seenUrls.add(key);
+      if (tab.windowId !== targetWindow.id) {
+        tabIdsToMove.push(tab.id);
+      }
+    });
+    
+    const windowCount = otherWindows.length;
+    const duplicateNote = duplicateIds.length > 0 ? ` and close ${duplicateIds.length} duplicate${duplicateIds.length === 1 ? '' : 's'}` : '';
+    if (!await smartConfirm(`Move ${tabIdsToMove.length} tabs from ${windowCount} other window${windowCount === 1 ? '' : 's'} into this one${duplicateNote}?`, { defaultAnswer: true })) {
+      return;
+    }
+    
+    showStatus('Merging windows...', 'loading', 0, 'window-ops');
+    
+    const journalId = await journalClosedTabs(duplicateIds, `Closed ${duplicateIds.length} duplicate tabs merging windows`);
+    const closedCount = await closeTabsWithTracking(duplicateIds);
+    const { moved } = await moveTabsToWindow(tabIdsToMove, currentWindow.id);
+    
+    const closedNote = closedCount > 0 ? `, closed ${closedCount} duplicate${closedCount === 1 ? '' : 's'}` : '';
+    showUndoStatus(`Merged ${windowCount + 1} windows (${moved} tabs moved${closedNote})`, journalId, 'window-ops');
+    
+    markContentDirty('all');
+    await displayTabs();
+  } catch (error) {
+    logger.error('Error merging windows:', error);
+    showStatus(`Could not merge windows: ${error.message}`, 'error', null, 'window-ops');
+  }
+}
+
 /**
  * Close all categorized tabs
  */
@@ -379,11 +724,8 @@ export async function closeAllTabs() {
     
     // Check if there are uncategorized tabs
     const uncategorizedTabs = categorizedTabs[TAB_CATEGORIES.UNCATEGORIZED] || [];
-    const savedTabs = [
-      ...(categorizedTabs[TAB_CATEGORIES.CAN_CLOSE] || []),
-      ...(categorizedTabs[TAB_CATEGORIES.SAVE_LATER] || []),
-      ...(categorizedTabs[TAB_CATEGORIES.IMPORTANT] || [])
-    ];
+    const savedTabs = globalThis.categoryRegistry.getSavedCategoryIds()
+      .flatMap(category => categorizedTabs[category] || []);
     
     if (uncategorizedTabs.length > 0) {
       // Choose the appropriate dialog
@@ -441,7 +783,7 @@ async function closeAllTabsIncludingUncategorized(categorizedTabs, urlToDuplicat
   
   // Collect all tab IDs we're about to close (including uncategorized)
   const allTabIds = [];
-  for (const category of [TAB_CATEGORIES.UNCATEGORIZED, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT]) {
+  for (const category of globalThis.categoryRegistry.getAllCategoryIds()) {
     const tabs = categorizedTabs[category] || [];
     const categoryTabIds = collectAllTabIds(tabs, urlToDuplicateIds);
     allTabIds.push(...categoryTabIds);
@@ -450,6 +792,10 @@ async function closeAllTabsIncludingUncategorized(categorizedTabs, urlToDuplicat
   // Remove duplicates
   const uniqueTabIds = [...new Set(allTabIds)];
   
+  // Snapshot their windows so they can be restored as they were
+  await captureSessionSnapshot(uniqueTabIds, 'Close all', 'close_all');
+  const journalId = await journalClosedTabs(uniqueTabIds, `Closed ${uniqueTabIds.length} tabs`);
+  
   // Separate tabs by window
   const { current: currentWindowTabsToClose, other: otherWindowTabsToClose } = 
     separateTabsByWindow(uniqueTabIds, windowInfo.tabIds);
@@ -479,7 +825,7 @@ async function closeAllTabsIncludingUncategorized(categorizedTabs, urlToDuplicat
   
   await updateCategorizeBadge();
   
-  // UI already shows tabs are closed - no need for message
+  showUndoStatus(`Closed ${totalClosed} tabs`, journalId);
   
   // Update display
   await displayTabs();
@@ -496,7 +842,7 @@ async function closeAllTabsExceptUncategorized(categorizedTabs, urlToDuplicateId
   
   // Collect tab IDs excluding uncategorized
   const allTabIds = [];
-  for (const category of [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT]) {
+  for (const category of globalThis.categoryRegistry.getSavedCategoryIds()) {
     const tabs = categorizedTabs[category] || [];
     const categoryTabIds = collectAllTabIds(tabs, urlToDuplicateIds);
     allTabIds.push(...categoryTabIds);
@@ -505,6 +851,10 @@ async function closeAllTabsExceptUncategorized(categorizedTabs, urlToDuplicateId
   // Remove duplicates
   const uniqueTabIds = [...new Set(allTabIds)];
   
+  // Snapshot their windows so they can be restored as they were
+  await captureSessionSnapshot(uniqueTabIds, 'Close saved tabs', 'close_saved');
+  const journalId = await journalClosedTabs(uniqueTabIds, `Closed ${uniqueTabIds.length} saved tabs`);
+  
   // Separate tabs by window
   const { current: currentWindowTabsToClose, other: otherWindowTabsToClose } = 
     separateTabsByWindow(uniqueTabIds, windowInfo.tabIds);
@@ -534,7 +884,7 @@ async function closeAllTabsExceptUncategorized(categorizedTabs, urlToDuplicateId
   
   await updateCategorizeBadge();
   
-  showStatus(`Closed ${totalClosed} saved tabs`, 'success', null, 'closing-saved-tabs');
+  showUndoStatus(`Closed ${totalClosed} saved tabs`, journalId, 'closing-saved-tabs');
   
   // Update display
   await displayTabs();
@@ -559,6 +909,7 @@ export async function closeAllInCategory(category) {
     
     // Collect all tab IDs including duplicates
     const allTabIds = collectAllTabIds(tabs, urlToDuplicateIds);
+    const journalId = await journalClosedTabs(allTabIds, `Closed ${allTabIds.length} ${getCategoryName(category)} tabs`);
     
     // Separate tabs by window
     const { current: currentWindowTabsToClose, other: otherWindowTabsToClose } = 
@@ -582,7 +933,7 @@ export async function closeAllInCategory(category) {
     
     updateCategorizeBadge();
     
-    showStatus(`Closed ${closedCount} tabs`, 'success', null, 'closing-tabs');
+    showUndoStatus(`Closed ${closedCount} tabs`, journalId, 'closing-tabs');
     
     // Trigger display update
     const { displayTabs } = await import('./tab-display.js');
@@ -827,7 +1178,7 @@ export async function openAllTabsInGroup(groupNameOrTabs) {
       try {
         // Open tabs in the current window
         await ChromeAPIService.createTab({ 
-          url: tab.url,
+          url: getOpenUrl(tab),
           active: false, // Don't switch to each tab as it opens
           windowId: currentWindow.id
         });
@@ -883,11 +1234,13 @@ export function moveTab(tab, fromCategory, direction) {
  */
 export async function deleteSavedTab(urlId) {
   try {
+    const journalId = await journalDeletedSavedTabs([urlId], 'Deleted a saved tab');
+    
     // Use unified database service to handle ML cleanup
     const unifiedDb = await getUnifiedDatabase();
     await unifiedDb.deleteTabs(urlId);
     
-    // UI already shows tab is removed - no message needed
+    showUndoStatus('Deleted saved tab', journalId);
     
     // Update saved tab count
     const { loadSavedTabsCount } = await import('./saved-tabs-manager.js');
@@ -953,7 +1306,7 @@ export async function openSavedTabs(tabs) {
     for (const tab of tabs.slice(0, maxTabs)) {
       try {
         // First check if tab is already open
-        const existingTabs = await ChromeAPIService.queryTabs({ url: tab.url });
+        const existingTabs = await ChromeAPIService.queryTabs({ url: getOpenUrl(tab) });
         if (existingTabs && existingTabs.length > 0) {
           // Tab already exists, just activate it
           const existingTab = existingTabs[0];
@@ -961,7 +1314,7 @@ export async function openSavedTabs(tabs) {
         } else {
           // Open new tab in current window
           await ChromeAPIService.createTab({ 
-            url: tab.url,
+            url: getOpenUrl(tab),
             active: false, // Don't switch to each tab as it opens
             windowId: currentWindow.id
           });
@@ -1012,16 +1365,18 @@ export async function deleteTabsInGroup(tabsOrGroupName, groupDisplayName) {
       showStatus('Deleting tabs...', 'loading', 0, 'deleting-tabs');
     }
     
+    const tabIds = tabs.map(tab => tab.id);
+    const journalId = await journalDeletedSavedTabs(tabIds, `Deleted ${tabIds.length} saved tabs in "${cleanGroupName}"`);
+    
     // Use unified database service to handle ML cleanup
     const unifiedDb = await getUnifiedDatabase();
-    const tabIds = tabs.map(tab => tab.id);
     await unifiedDb.deleteTabs(tabIds);
     const deletedCount = tabIds.length;
     
-    // UI already shows tabs are removed - no message needed
     if (tabs.length > 5) {
       clearStatusByProcessKey('deleting-tabs');
     }
+    showUndoStatus(`Deleted ${deletedCount} tabs`, journalId);
     
     // Update saved tab count
     const { loadSavedTabsCount } = await import('./saved-tabs-manager.js');
@@ -1088,16 +1443,17 @@ export async function deleteTabsInCategory(tabs, categoryName) {
     
     // Collect all tab IDs
     const tabIds = tabs.filter(tab => tab.id).map(tab => tab.id);
+    const journalId = await journalDeletedSavedTabs(tabIds, `Deleted ${tabIds.length} saved tabs in "${categoryName}"`);
     
     if (tabIds.length > 0) {
       // Batch delete with ML cleanup
       await dbService.deleteTabs(tabIds);
     }
     
-    // UI already shows tabs are removed - no message needed
     if (tabs.length > 5) {
       clearStatusByProcessKey('deleting-tabs');
     }
+    showUndoStatus(`Deleted ${tabIds.length} tabs`, journalId);
     
     // Update saved tab count
     const { loadSavedTabsCount } = await import('./saved-tabs-manager.js');
@@ -1148,7 +1504,7 @@ export async function deleteTabsInCategory(tabs, categoryName) {
  */
 export async function restoreSavedTab(tab, deleteAfterRestore = false) {
   try {
-    const newTab = await openTabKeepingPopupOpen(tab.url);
+    const newTab = await openTabKeepingPopupOpen(getOpenUrl(tab));
     
     // Record open event in database
     if (window.tabDatabase) {
@@ -1194,17 +1550,18 @@ export async function restoreSavedTab(tab, deleteAfterRestore = false) {
 }
 
 /**
- * Check for duplicate tabs and mark them
+ * Check for duplicate tabs and mark them (URL variants of the same page count as duplicates)
  */
 export function markDuplicateTabs(tabs) {
   const urlCounts = {};
   
-  // Count occurrences of each URL
+  // Count occurrences of each canonical URL
   tabs.forEach(tab => {
-    if (!urlCounts[tab.url]) {
-      urlCounts[tab.url] = [];
+    const url = canonicalizeUrl(tab.url);
+    if (!urlCounts[url]) {
+      urlCounts[url] = [];
     }
-    urlCounts[tab.url].push(tab);
+    urlCounts[url].push(tab);
   });
   
   // Mark duplicates
@@ -1273,6 +1630,14 @@ export default {
   deleteTabsInGroup,
   deleteTabsInCategory,
   closeTabsInGroup,
+  hibernateTab,
+  hibernateCategory,
+  hibernateTabsInGroup,
+  gatherCategory,
+  gatherTabsInGroup,
+  gatherSearchResults,
+  splitWindowByCategory,
+  mergeAllWindows,
   restoreSavedTab,
   markDuplicateTabs,
   muteAllAudibleTabs,
@@ -0,0 +1,298 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Tag Manager - tags and collections on saved tabs: context menu, multi-select and selection bar
+ */
+
+import { on, createElement } from '../utils/dom-helpers.js';
+import { showPrompt, showConfirm } from '../utils/dialog-utils.js';
+import { showStatus } from './ui-manager.js';
+
+// Saved tab URL IDs selected with Ctrl/Cmd-click or Shift-click
+const selectedUrlIds = new Set();
+let lastSelectedUrlId = null;
+let openMenu = null;
+
+function getSavedTabItem(target) {
+  const tabItem = target.closest('.tab-item[data-tab-type="saved"]');
+  return tabItem && !target.closest('button') ? tabItem : null;
+}
+
+function getUrlId(tabItem) {
+  return parseInt(tabItem.dataset.tabId);
+}
+
+/**
+ * Re-apply the selection after the saved tabs list is re-rendered
+ * @param {HTMLElement} container - Saved tabs container
+ */
+export function applyTagSelection(container) {
+  if (!container) return;
+  container.querySelectorAll('.tab-item[data-tab-type="saved"]').forEach(tabItem => {
+    tabItem.classList.toggle('selected', selectedUrlIds.has(getUrlId(tabItem)));
+  });
+  updateSelectionBar();
+}
+
+/**
+ * Clear the selection
+ */
+export function clearTagSelection() {
+  selectedUrlIds.clear();
+  lastSelectedUrlId = null;
+  document.querySelectorAll('.tab-item.selected').forEach(tabItem => tabItem.classList.remove('selected'));
+  updateSelectionBar();
+}
+
+function toggleSelection(tabItem, extendRange) {
+  const urlId = getUrlId(tabItem);
+
+  if (extendRange && lastSelectedUrlId !== null) {
+    // Shift-click selects every visible saved tab between the last clicked one and this one
+    const visibleItems = Array.from(document.querySelectorAll('.tab-item[data-tab-type="saved"]'))
+      .filter(item => item.offsetParent !== null);
+    const ids = visibleItems.map(getUrlId);
+    const from = ids.indexOf(lastSelectedUrlId);
+    const to = ids.indexOf(urlId);
+    if (from !== -1 && to !== -1) {
+      ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedUrlIds.add(id));
+    }
+  } else if (selectedUrlIds.has(urlId)) {
+    selectedUrlIds.delete(urlId);
+  } else {
+    selectedUrlIds.add(urlId);
+  }
+
+  lastSelectedUrlId = urlId;
+  applyTagSelection(document);
+}
+
+function updateSelectionBar() {
+  let bar = document.querySelector('.tag-selection-bar');
+
+  if (selectedUrlIds.size === 0) {
+    bar?.remove();
+    return;
+  }
+
+  if (!bar) {
+    bar = createElement('div', { className: 'tag-selection-bar' });
+    bar.innerHTML = `
+      <span class="tag-selection-count"></span>
+      <button class="primary-btn tag-selection-tag">Tag…</button>
+      <button class="secondary-btn tag-selection-clear">Clear</button>
+    `;
+    bar.querySelector('.tag-selection-tag').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const rect = e.currentTarget.getBoundingClientRect();
+      showTagMenu(Array.from(selectedUrlIds), rect.left, rect.top);
+    });
+    bar.querySelector('.tag-selection-clear').addEventListener('click', clearTagSelection);
+    document.body.appendChild(bar);
+  }
+
+  bar.querySelector('.tag-selection-count').textContent =
+    `${selectedUrlIds.size} saved tab${selectedUrlIds.size === 1 ? '' : 's'} selected`;
+}
+
+function closeTagMenu() {
+  if (openMenu) {
+    openMenu.remove();
+    openMenu = null;
+  }
+}
+
+async function refreshSavedTabs() {
+  const { showSavedTabsContent } = await import('./saved-tabs-manager.js');
+  await showSavedTabsContent();
+}
+
+/**
+ * Add or remove a tag on the targeted saved tabs (removes it only if every target already has it)
+ */
+async function toggleTag(tag, urlIds) {
+  const hasTag = urlId => window.tabDatabase.getTagNamesForUrl(urlId).includes(tag.name);
+
+  try {
+    if (urlIds.every(hasTag)) {
+      await window.tabDatabase.removeTagFromUrls(tag.id, urlIds);
+      showStatus(`Removed "${tag.name}" from ${urlIds.length} tab${urlIds.length === 1 ? '' : 's'}`, 'success', 2000);
+    } else {
+      await window.tabDatabase.addTagToUrls(tag.id, urlIds);
+      showStatus(`Added "${tag.name}" to ${urlIds.length} tab${urlIds.length === 1 ? '' : 's'}`, 'success', 2000);
+    }
+    await refreshSavedTabs();
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    showStatus(`Could not update tags: ${error.message}`, 'error');
+  }
+}
+
+async function createAndAssignTag(kind, urlIds) {
+  const label = kind === 'collection' ? 'collection' : 'tag';
+  const name = await showPrompt(`Name of the new ${label}:`, {
+    title: kind === 'collection' ? 'New Collection' : 'New Tag',
+    placeholder: kind === 'collection' ? 'Project X research' : 'read-this-weekend',
+    confirmText: 'Create'
+  });
+  if (!name || !name.trim()) return;
+
+  try {
+    const tag = await window.tabDatabase.createTag(name, kind);
+    await window.tabDatabase.addTagToUrls(tag.id, urlIds);
+    showStatus(`Added "${tag.name}" to ${urlIds.length} tab${urlIds.length === 1 ? '' : 's'}`, 'success', 2000);
+    await refreshSavedTabs();
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    showStatus(`Could not create ${label}: ${error.message}`, 'error');
+  }
+}
+
+async function deleteTag(tag) {
+  const confirmed = await showConfirm(
+    `Delete "${tag.name}"? It will be removed from ${tag.count} saved tab${tag.count === 1 ? '' : 's'}; the tabs stay saved.`,
+    { title: 'Delete Tag', confirmText: 'Delete', confirmType: 'warning' }
+  );
+  if (!confirmed) return;
+
+  try {
+    await window.tabDatabase.deleteTag(tag.id);
+    showStatus(`Deleted "${tag.name}"`, 'success', 2000);
+    await refreshSavedTabs();
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    showStatus(`Could not delete tag: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the tag menu for saved tabs
+ * @param {number[]} urlIds - Saved tab URL IDs the menu acts on
+ * @param {number} x - Left position
+ * @param {number} y - Top position
+ */
+export async function showTagMenu(urlIds, x, y) {
+  closeTagMenu();
+  if (!window.tabDatabase || urlIds.length === 0) return;
+
+  const tags = await window.tabDatabase.getAllTags();
+  const tagCounts = new Map();
+  urlIds.forEach(urlId => {
+    window.tabDatabase.getTagNamesForUrl(urlId).forEach(name => tagCounts.set(name, (tagCounts.get(name) || 0) + 1));
+  });
+
+  const menu = createElement('div', { className: 'tag-menu' });
+  menu.appendChild(createElement('div', {
+    className: 'tag-menu-title',
+    textContent: urlIds.length === 1 ? 'Tags' : `Tags for ${urlIds.length} tabs`
+  }));
+
+  // Collections first, then tags
+  const sections = [
+    { kind: 'collection', tags: tags.filter(tag => tag.kind === 'collection') },
+    { kind: 'tag', tags: tags.filter(tag => tag.kind !== 'collection') }
+  ];
+  sections.forEach(section => {
+    section.tags.forEach(tag => {
+      const count = tagCounts.get(tag.name) || 0;
+      const option = createElement('div', {
+        className: `tag-menu-option${section.kind === 'collection' ? ' tag-menu-collection' : ''}`
+      });
+      const checkbox = createElement('input', { type: 'checkbox' });
+      checkbox.checked = count === urlIds.length;
+      checkbox.indeterminate = count > 0 && count < urlIds.length;
+      option.appendChild(checkbox);
+      option.appendChild(createElement('span', { className: 'tag-menu-name', textContent: tag.name }));
+      const deleteBtn = createElement('button', {
+        className: 'tag-menu-delete',
+        title: `Delete "${tag.name}"`,
+        textContent: '×'
+      });
+      option.appendChild(deleteBtn);
+
+      option.addEventListener('click', (e) => {
+        e.preventDefault();
+        closeTagMenu();
+        if (e.target === deleteBtn) {
+          deleteTag(tag);
+        } else {
+          toggleTag(tag, urlIds);
+        }
+      });
+      menu.appendChild(option);
+    });
+  });
+
+  if (tags.length > 0) {
+    menu.appendChild(createElement('div', { className: 'tag-menu-divider' }));
+  }
+
+  [
+    { kind: 'tag', text: 'New tag…' },
+    { kind: 'collection', text: 'New collection…' }
+  ].forEach(({ kind, text }) => {
+    const option = createElement('div', { className: 'tag-menu-option tag-menu-new', textContent: text });
+    option.addEventListener('click', () => {
+      closeTagMenu();
+      createAndAssignTag(kind, urlIds);
+    });
+    menu.appendChild(option);
+  });
+
+  document.body.appendChild(menu);
+  openMenu = menu;
+
+  // Keep the menu inside the popup
+  const rect = menu.getBoundingClientRect();
+  menu.style.left = `${Math.max(4, Math.min(x, window.innerWidth - rect.width - 4))}px`;
+  menu.style.top = `${Math.max(4, Math.min(y, window.innerHeight - rect.height - 4))}px`;
+}
+
+/**
+ * Set up the context menu and multi-select on saved tabs
+ */
+export function setupTagHandlers() {
+  // Ctrl/Cmd-click and Shift-click select saved tabs instead of opening them
+  // (capture phase, so the tab-info click handler never sees the click)
+  on(document, 'click', (e) => {
+    if (!(e.ctrlKey || e.metaKey || e.shiftKey)) return;
+    const tabItem = getSavedTabItem(e.target);
+    if (!tabItem) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    toggleSelection(tabItem, e.shiftKey);
+  }, true);
+
+  // Right-click acts on the selection if the tab is part of it, otherwise on the tab alone
+  on(document, 'contextmenu', (e) => {
+    const tabItem = getSavedTabItem(e.target);
+    if (!tabItem) return;
+
+    e.preventDefault();
+    const urlId = getUrlId(tabItem);
+    const urlIds = selectedUrlIds.has(urlId) ? Array.from(selectedUrlIds) : [urlId];
+    showTagMenu(urlIds, e.clientX, e.clientY);
+  });
+
+  // Close the menu on outside clicks and Escape
+  on(document, 'click', (e) => {
+    if (openMenu && !openMenu.contains(e.target)) {
+      closeTagMenu();
+    }
+  });
+  on(document, 'keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    if (openMenu) {
+      closeTagMenu();
+    } else if (selectedUrlIds.size > 0) {
+      clearTagSelection();
+    }
+  });
+}
+
+export default {
+  setupTagHandlers,
+  showTagMenu,
+  applyTagSelection,
+  clearTagSelection
+};
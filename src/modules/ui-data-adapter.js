@@ -3,7 +3,7 @@
  * Adapts processed data for UI rendering components
  */
 
-import { CATEGORY_NAMES } from '../utils/constants.js';
+import { getCategoryName } from '../utils/helpers.js';
 
 /**
  * UI Data Adapter
@@ -21,7 +21,7 @@ export class UIDataAdapter {
   setupDefaultFormatters() {
     // Category formatter
     this.formatters.set('category', (categoryId) => {
-      return CATEGORY_NAMES[categoryId] || `Category ${categoryId}`;
+      return getCategoryName(categoryId);
     });
 
     // Domain formatter
@@ -136,8 +136,8 @@ export class UIDataAdapter {
     // Special handling for category grouping to ensure proper order
     let groupEntries;
     if (metadata.grouping.fields.length === 1 && metadata.grouping.fields[0] === 'category') {
-      // For categories, manually create entries in the correct order: 0, 3, 2, 1
-      const categoryOrder = ['0', '3', '2', '1'];
+      // For categories, manually create entries in the correct order: 0, 3, 2, user categories, 1
+      const categoryOrder = globalThis.categoryRegistry.getDisplayOrder();
       groupEntries = [];
       
       for (const key of categoryOrder) {
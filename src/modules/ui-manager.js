@@ -274,9 +274,25 @@ function renderStatusMessages() {
         classes.push('exiting');
       }
       
-      fragments.push(`<div class="${classes.join(' ')}" data-message-id="${messageId}">${escapeHtml(msgData.message)}</div>`);
+      const actionButton = msgData.action
+        ? ` <button class="status-action-btn" data-message-id="${messageId}">${escapeHtml(msgData.action.label)}</button>`
+        : '';
+      fragments.push(`<div class="${classes.join(' ')}" data-message-id="${messageId}">${escapeHtml(msgData.message)}${actionButton}</div>`);
     });
     
+    // Message buttons (e.g. Undo) - one listener on the container survives re-renders
+    if (!containerEl.dataset.actionsBound) {
+      containerEl.dataset.actionsBound = 'true';
+      containerEl.addEventListener('click', (e) => {
+        const button = e.target.closest('.status-action-btn');
+        const msgData = button && messageStore.get(button.dataset.messageId);
+        if (!msgData?.action) return;
+        
+        removeStatusMessage(button.dataset.messageId);
+        msgData.action.onClick();
+      });
+    }
+    
     // Update container in one operation
     containerEl.innerHTML = fragments.join('');
     renderTimeout = null;
@@ -289,8 +305,9 @@ function renderStatusMessages() {
  * @param {string} type - Message type (success, error, warning, loading, info)
  * @param {number|null} duration - Duration in ms (0 = permanent, null = use default for type)
  * @param {string|null} processKey - Optional key to identify process messages that should replace each other
+ * @param {Object|null} action - Optional button in the message { label, onClick } (e.g. Undo)
  */
-export function showStatus(message, type = 'success', duration = null, processKey = null) {
+export function showStatus(message, type = 'success', duration = null, processKey = null, action = null) {
   // Always log status messages to console for debugging
   const timestamp = new Date().toISOString();
   
@@ -322,6 +339,7 @@ export function showStatus(message, type = 'success', duration = null, processKe
       const existingMsg = messageStore.get(existingMessageId);
       existingMsg.message = message;
       existingMsg.type = type;
+      existingMsg.action = action;
       
       // Update or clear the timeout
       const timerData = statusMessages.get(existingMessageId);
@@ -367,6 +385,7 @@ export function showStatus(message, type = 'success', duration = null, processKe
   messageStore.set(messageId, {
     message,
     type,
+    action,
     isEntering: true,
     isExiting: false
   });
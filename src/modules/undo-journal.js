@@ -0,0 +1,128 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Undo Journal - closing tabs and deleting saved tabs from the popup, recorded so they can be undone
+ */
+
+import ChromeAPIService from '../services/ChromeAPIService.js';
+import MessageService from '../services/MessageService.js';
+import { showStatus } from './ui-manager.js';
+import logger from '../utils/logger.js';
+
+// The journal is the action log the background keeps for rule actions (undo runs there too),
+// so it outlives the popup and the action history in Settings lists both
+export const JOURNAL_TYPES = {
+  CLOSE_TABS: 'close_tabs',
+  DELETE_SAVED: 'delete_saved'
+};
+
+// How long the Undo toast stays up
+const UNDO_TOAST_MS = 8000;
+
+/**
+ * Add an entry to the journal
+ * @param {Object} entry - { type, label, url, title, ... what undo needs }
+ * @returns {Promise<number|null>} Entry ID, or null if it couldn't be recorded
+ */
+async function recordEntry(entry) {
+  if (!window.tabDatabase) return null;
+
+  try {
+    const id = await window.tabDatabase.recordAction({ ruleId: null, ...entry });
+    await window.tabDatabase.pruneActionLog(CONFIG.UNDO_JOURNAL.LOG_LIMIT, Object.values(JOURNAL_TYPES));
+    return id;
+  } catch (error) {
+    logger.error('Error recording undo journal entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Record tabs about to be closed (their windows, positions and pinned state)
+ * @param {Array} tabIds - IDs of the tabs being closed
+ * @param {string} label - What happened, e.g. "Closed 12 tabs"
+ * @returns {Promise<number|null>} Entry ID
+ */
+export async function journalClosedTabs(tabIds, label) {
+  if (tabIds.length === 0) return null;
+
+  const closing = new Set(tabIds);
+  const tabs = (await ChromeAPIService.getAllTabs())
+    .filter(tab => closing.has(tab.id))
+    .map(tab => ({ url: tab.url, title: tab.title || '', windowId: tab.windowId, index: tab.index, pinned: tab.pinned }));
+  if (tabs.length === 0) return null;
+
+  return recordEntry({
+    type: JOURNAL_TYPES.CLOSE_TABS,
+    label,
+    url: tabs[0].url,
+    title: tabs.length === 1 ? tabs[0].title : `${tabs.length} tabs`,
+    tabs
+  });
+}
+
+/**
+ * Record saved tabs about to be deleted (their records, events, tags and ML training data)
+ * @param {Array} urlIds - IDs of the saved URLs being deleted
+ * @param {string} label - What happened, e.g. "Deleted 5 saved tabs"
+ * @returns {Promise<number|null>} Entry ID
+ */
+export async function journalDeletedSavedTabs(urlIds, label) {
+  if (!window.tabDatabase || urlIds.length === 0) return null;
+
+  const urls = await window.tabDatabase.snapshotUrlsForUndo(urlIds);
+  if (urls.length === 0) return null;
+
+  return recordEntry({
+    type: JOURNAL_TYPES.DELETE_SAVED,
+    label,
+    url: urls[0].record.url,
+    title: urls.length === 1 ? urls[0].record.title : `${urls.length} saved tabs`,
+    urls
+  });
+}
+
+/**
+ * Undo a journal entry (or a rule action) and refresh what it changed
+ * @param {number} id - Entry ID
+ * @returns {Promise<boolean>} True if it was undone
+ */
+export async function undoJournalEntry(id) {
+  try {
+    const entry = await MessageService.undoRuleAction(id);
+
+    // The background changed the database - reload this popup's copy
+    if (entry?.type === JOURNAL_TYPES.DELETE_SAVED || entry?.type === 'save_close') {
+      await window.tabDatabase.reloadCache();
+      const { loadSavedTabsCount } = await import('./saved-tabs-manager.js');
+      await loadSavedTabsCount();
+    }
+    const { markContentDirty } = await import('./content-manager.js');
+    markContentDirty('all');
+
+    showStatus('Undone', 'success', 2000);
+    return true;
+  } catch (error) {
+    logger.error('Error undoing action:', error);
+    showStatus(`Could not undo: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Show a message with an Undo button for a journal entry
+ * @param {string} message - Status message
+ * @param {number|null} entryId - Entry ID (no button without one)
+ * @param {string|null} processKey - Replaces the status message with this key
+ */
+export function showUndoStatus(message, entryId, processKey = null) {
+  const action = entryId !== null ? { label: 'Undo', onClick: () => undoJournalEntry(entryId) } : null;
+  showStatus(message, 'success', action ? UNDO_TOAST_MS : null, processKey, action);
+}
+
+export default {
+  JOURNAL_TYPES,
+  journalClosedTabs,
+  journalDeletedSavedTabs,
+  undoJournalEntry,
+  showUndoStatus
+};
@@ -3,9 +3,9 @@
  * Unified Group Renderer - handles rendering of groups and categories for both Current and Saved tabs
  */
 
-import { TAB_CATEGORIES, CATEGORY_NAMES, CSS_CLASSES, GROUPING_OPTIONS, LIMITS } from '../utils/constants.js';
+import { TAB_CATEGORIES, CSS_CLASSES, GROUPING_OPTIONS, LIMITS } from '../utils/constants.js';
 import { createElement, classes } from '../utils/dom-helpers.js';
-import { sortTabsInGroup, smartConfirm } from '../utils/helpers.js';
+import { sortTabsInGroup, smartConfirm, getCategoryName } from '../utils/helpers.js';
 import { createTabElement } from './unified-tab-renderer.js';
 import { state, shouldGroupBeCollapsed } from './state-manager.js';
 // import { unifiedSearchService } from '../services/UnifiedSearchService.js'; // Unused - kept for future use
@@ -106,6 +106,21 @@ export class CurrentGroupRenderStrategy extends GroupRenderStrategy {
         });
         categoryButtons.appendChild(usefulBtn);
         
+        // User category buttons
+        globalThis.categoryRegistry.getCustomCategories().forEach(customCategory => {
+          const customBtn = createElement('button', {
+            className: 'category-btn category-custom',
+            title: `Assign all ${tabs.length} tabs to ${customCategory.name}`,
+            textContent: customCategory.icon || customCategory.name.charAt(0).toUpperCase(),
+            dataset: {
+              action: 'assignAllUncategorized',
+              targetCategory: customCategory.id
+            }
+          });
+          customBtn.style.setProperty('--category-color', customCategory.color);
+          categoryButtons.appendChild(customBtn);
+        });
+        
         // Ignore button
         const ignoreBtn = createElement('button', {
           className: 'category-btn category-can-close',
@@ -121,6 +136,22 @@ export class CurrentGroupRenderStrategy extends GroupRenderStrategy {
         fragment.appendChild(categoryButtons);
       }
       
+      // Gather button (move the category's tabs into one window)
+      fragment.appendChild(renderer.prototype.createActionButton({
+        className: renderer.BUTTON_CLASSES.CATEGORY_GATHER,
+        title: 'Gather all tabs in this category into one window',
+        icon: renderer.SVG_ICONS.GATHER
+      }));
+      
+      // Hibernate All button (categorized tabs stay in the tab strip without using memory)
+      if (!hasUncategorized) {
+        fragment.appendChild(renderer.prototype.createActionButton({
+          className: renderer.BUTTON_CLASSES.CATEGORY_HIBERNATE,
+          title: 'Hibernate all tabs in this category (they stay open without using memory)',
+          icon: renderer.SVG_ICONS.HIBERNATE
+        }));
+      }
+      
       // Close All button
       const title = hasUncategorized ? 
         'Close all uncategorized tabs (WARNING: These tabs have not been saved)' : 
@@ -146,13 +177,25 @@ export class CurrentGroupRenderStrategy extends GroupRenderStrategy {
       
       return fragment;
     } else {
-      // Group section - Close All button
+      // Group section - Gather, Hibernate All and Close All buttons
+      const fragment = document.createDocumentFragment();
+      fragment.appendChild(renderer.prototype.createActionButton({
+        className: renderer.BUTTON_CLASSES.GROUP_GATHER,
+        title: 'Gather all tabs in this group into one window',
+        icon: renderer.SVG_ICONS.GATHER
+      }));
+      fragment.appendChild(renderer.prototype.createActionButton({
+        className: renderer.BUTTON_CLASSES.GROUP_HIBERNATE,
+        title: 'Hibernate all tabs in this group (they stay open without using memory)',
+        icon: renderer.SVG_ICONS.HIBERNATE
+      }));
+      
       const hasUncategorizedInGroup = tabs.some(tab => tab.category === TAB_CATEGORIES.UNCATEGORIZED);
       const title = hasUncategorizedInGroup ? 
         'Close all tabs in this group (WARNING: Includes uncategorized tabs)' : 
         'Close all tabs in this group';
       
-      return renderer.prototype.createActionButton({
+      fragment.appendChild(renderer.prototype.createActionButton({
         className: renderer.BUTTON_CLASSES.GROUP_CLOSE,
         title: title,
         icon: renderer.SVG_ICONS.CLOSE,
@@ -160,7 +203,9 @@ export class CurrentGroupRenderStrategy extends GroupRenderStrategy {
         onClick: () => {
           this.tabOperations.closeTabsInGroup(tabs);
         }
-      });
+      }));
+      
+      return fragment;
     }
   }
 
@@ -212,7 +257,7 @@ export class SavedGroupRenderStrategy extends GroupRenderStrategy {
         title: `Delete all ${tabs.length} tabs`,
         icon: renderer.SVG_ICONS.DELETE,
         onClick: () => {
-          this.tabOperations.deleteTabsInCategory(tabs, CATEGORY_NAMES[groupType]);
+          this.tabOperations.deleteTabsInCategory(tabs, getCategoryName(groupType));
         }
       });
       fragment.appendChild(deleteBtn);
@@ -376,21 +421,36 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
     // Category title section (old style)
     const categoryTitle = createElement('div', { className: 'category-header-title' });
 
+    // User categories show their own icon (or initial) in their color
+    const customCategory = globalThis.categoryRegistry.isCustomCategory(category)
+      ? globalThis.categoryRegistry.getCategory(category)
+      : null;
+    if (customCategory) {
+      header.style.setProperty('--category-color', customCategory.color);
+    }
+
     // Category icon (using old style SVG with proper attributes)
-    const categoryIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const categoryIcon = customCategory
+      ? createElement('span', {
+        className: 'category-icon category-custom-icon',
+        textContent: customCategory.icon || customCategory.name.charAt(0).toUpperCase()
+      })
+      : document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     categoryIcon.setAttribute('class', 'category-icon');
     categoryIcon.setAttribute('width', '18');
     categoryIcon.setAttribute('height', '18');
     categoryIcon.setAttribute('viewBox', '0 0 24 24');
     
     // Set category-specific attributes
-    const iconAttribs = this.getOldCategoryIconAttributes(category);
-    Object.entries(iconAttribs).forEach(([key, value]) => {
-      categoryIcon.setAttribute(key, value);
-    });
-    
-    // Set inner content
-    categoryIcon.innerHTML = this.getOldCategoryIcon(category);
+    if (!customCategory) {
+      const iconAttribs = this.getOldCategoryIconAttributes(category);
+      Object.entries(iconAttribs).forEach(([key, value]) => {
+        categoryIcon.setAttribute(key, value);
+      });
+      
+      // Set inner content
+      categoryIcon.innerHTML = this.getOldCategoryIcon(category);
+    }
 
     // Category name and count (inline format like "Important (9)")
     const categoryNameSpan = createElement('span', { 
@@ -483,12 +543,10 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
     const headerRight = createElement('div', { className: 'header-right' });
 
     // Count tabs by category (use full tabs list, not search-filtered)
-    const categoryCounts = { 
-      [TAB_CATEGORIES.UNCATEGORIZED]: 0,
-      [TAB_CATEGORIES.CAN_CLOSE]: 0, 
-      [TAB_CATEGORIES.SAVE_LATER]: 0, 
-      [TAB_CATEGORIES.IMPORTANT]: 0 
-    };
+    const categoryCounts = {};
+    globalThis.categoryRegistry.getAllCategoryIds().forEach(category => {
+      categoryCounts[category] = 0;
+    });
 
     tabs.forEach(tab => {
       if (categoryCounts[tab.category] !== undefined) {
@@ -524,6 +582,18 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
       stats.appendChild(saveForLaterStat);
     }
 
+    globalThis.categoryRegistry.getCustomCategories().forEach(customCategory => {
+      if (categoryCounts[customCategory.id] > 0) {
+        const customStat = createElement('span', {
+          className: 'stat-item custom-category',
+          title: customCategory.name,
+          textContent: `${customCategory.icon || customCategory.name.charAt(0).toUpperCase()} ${categoryCounts[customCategory.id]}`
+        });
+        customStat.style.setProperty('--category-color', customCategory.color);
+        stats.appendChild(customStat);
+      }
+    });
+
     if (categoryCounts[TAB_CATEGORIES.CAN_CLOSE] > 0) {
       const canCloseStat = createElement('span', {
         className: 'stat-item not-important',
@@ -573,7 +643,9 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
   static SVG_ICONS = {
     CLOSE: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',
     OPEN: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>',
-    DELETE: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>'
+    DELETE: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>',
+    HIBERNATE: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>',
+    GATHER: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="16" rx="2"></rect><polyline points="9 11 12 14 15 11"></polyline><line x1="12" y1="7" x2="12" y2="14"></line><line x1="8" y1="17" x2="16" y2="17"></line></svg>'
   };
 
   /**
@@ -583,7 +655,11 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
     CATEGORY_ACTION: 'icon-btn',           // Standard size for category actions (Open/Delete)
     GROUP_ACTION: 'icon-btn-small',       // Small size for group actions (Open/Delete)
     CATEGORY_CLOSE: 'category-close-btn', // Close button for category sections
-    GROUP_CLOSE: 'group-close-btn'        // Close button for group sections
+    GROUP_CLOSE: 'group-close-btn',       // Close button for group sections
+    CATEGORY_HIBERNATE: 'category-hibernate-btn', // Hibernate button for category sections
+    GROUP_HIBERNATE: 'group-hibernate-btn',       // Hibernate button for group sections
+    CATEGORY_GATHER: 'category-gather-btn',       // Gather-into-window button for category sections
+    GROUP_GATHER: 'group-gather-btn'              // Gather-into-window button for group sections
   };
 
   /**
@@ -663,7 +739,7 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
     const strategy = this.getStrategy(type);
     const isCategory = sectionType === 'category';
     const category = isCategory ? groupId : null;
-    const groupName = isCategory ? CATEGORY_NAMES[groupId] || `Category ${groupId}` : groupId;
+    const groupName = isCategory ? getCategoryName(groupId) : groupId;
     
     // Sort tabs if this is a group (categories don't need sorting)
     const sortedTabs = isCategory ? tabs : sortTabsInGroup(tabs, groupingType);
@@ -827,7 +903,7 @@ const tabsList = createElement('div', { className: CSS_CLASSES.TABS_LIST });
       case TAB_CATEGORIES.CAN_CLOSE:
         return ' not-important';
       default:
-        return '';
+        return globalThis.categoryRegistry.isCustomCategory(category) ? ' custom-category' : '';
     }
   }
 
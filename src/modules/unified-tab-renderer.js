@@ -5,6 +5,7 @@
 
 import { TAB_CATEGORIES, CSS_CLASSES } from '../utils/constants.js';
 import { createElement, classes } from '../utils/dom-helpers.js';
+import { getCategoryName, getOpenUrl } from '../utils/helpers.js';
 import { createOptimizedFavicon } from '../utils/favicon-loader.js';
 
 /**
@@ -61,14 +62,24 @@ export class CurrentTabRenderStrategy extends TabRenderStrategy {
   }
 
   createActionButtons() {
-    // Only close button for current tabs (category buttons moved to common area)
+    // Hibernate and close buttons for current tabs (category buttons moved to common area)
+    const fragment = document.createDocumentFragment();
+    
+    const hibernateBtn = createElement('button', {
+      className: 'hibernate-btn',
+      title: 'Hibernate tab (keep it open without using memory)',
+      innerHTML: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>'
+    });
+    fragment.appendChild(hibernateBtn);
+    
     const closeBtn = createElement('button', {
       className: 'close-btn',
       title: 'Close tab',
       innerHTML: '×',
     });
+    fragment.appendChild(closeBtn);
 
-    return closeBtn;
+    return fragment;
   }
 
 
@@ -100,6 +111,10 @@ export class CurrentTabRenderStrategy extends TabRenderStrategy {
       classes.push('already-categorized');
     }
     
+    if (tab.discarded) {
+      classes.push('tab-hibernated');
+    }
+    
     return classes.join(' ');
   }
 }
@@ -138,7 +153,7 @@ export class SavedTabRenderStrategy extends TabRenderStrategy {
       if (otherWindow) {
         // Open in the other window
         await browser.tabs.create({ 
-          url: tab.url,
+          url: getOpenUrl(tab),
           active: true,
           windowId: otherWindow.id
         });
@@ -147,7 +162,7 @@ export class SavedTabRenderStrategy extends TabRenderStrategy {
       } else {
         // No other window, create a new one
         await browser.windows.create({
-          url: tab.url,
+          url: getOpenUrl(tab),
           focused: true
         });
       }
@@ -158,7 +173,7 @@ export class SavedTabRenderStrategy extends TabRenderStrategy {
   }
 
   getSupportedGroupingOptions() {
-    return ['category', 'domain', 'savedDate', 'savedWeek', 'savedMonth', 'closeTime'];
+    return ['category', 'domain', 'tag', 'savedDate', 'savedWeek', 'savedMonth', 'closeTime'];
   }
 
   getTabModifierClasses(tab) {
@@ -224,6 +239,11 @@ export class UnifiedTabRenderer {
       }
     });
 
+    // Tag names for tag: search (names never contain ';')
+    if (tab.tags && tab.tags.length > 0) {
+      tabElement.dataset.tags = tab.tags.join(';');
+    }
+
     // Add favicon
     const favicon = createOptimizedFavicon(tab);
     tabElement.appendChild(favicon);
@@ -268,6 +288,8 @@ export class UnifiedTabRenderer {
       classes += ' category-save-later';
     } else if (category === TAB_CATEGORIES.CAN_CLOSE) {
       classes += ' category-can-close';
+    } else if (globalThis.categoryRegistry.isCustomCategory(category)) {
+      classes += ' category-custom';
     }
 
     // Add modifier classes
@@ -303,6 +325,28 @@ export class UnifiedTabRenderer {
     }
   }
 
+  /**
+   * Build the title tooltip, adding the LLM's reason when explain mode produced one
+   * @param {Object} tab - Tab object
+   * @param {string} titleText - Displayed title
+   * @returns {string}
+   */
+  getLLMExplanationTooltip(tab, titleText) {
+    const explanation = tab.llmExplanation;
+    if (!explanation || !explanation.reason) {
+      return titleText;
+    }
+    
+    let detail = 'AI';
+    if (explanation.category !== undefined && globalThis.categoryRegistry.isSavedCategory(explanation.category)) {
+      detail += `: ${getCategoryName(explanation.category)}`;
+    }
+    if (typeof explanation.confidence === 'number') {
+      detail += ` (${Math.round(explanation.confidence * 100)}%)`;
+    }
+    return `${titleText}\n${detail} - ${explanation.reason}`;
+  }
+
   /**
    * Create tab info section (title and URL)
    * @param {Object} tab - Tab object
@@ -323,7 +367,7 @@ export class UnifiedTabRenderer {
     const tabTitle = createElement('div', {
       className: 'tab-title',
       textContent: titleText,
-      title: titleText
+      title: this.getLLMExplanationTooltip(tab, titleText)
     });
     tabInfo.appendChild(tabTitle);
     
@@ -342,6 +386,20 @@ export class UnifiedTabRenderer {
     
     tabInfo.appendChild(tabUrl);
 
+    // Tags and collections of saved tabs
+    if (tab.tags && tab.tags.length > 0) {
+      const tabTags = createElement('div', { className: 'tab-tags' });
+      tab.tags.forEach(name => {
+        const isCollection = window.tabDatabase?.findTagByName(name)?.kind === 'collection';
+        tabTags.appendChild(createElement('span', {
+          className: isCollection ? 'tab-tag tab-tag-collection' : 'tab-tag',
+          textContent: name,
+          title: isCollection ? `Collection: ${name}` : `Tag: ${name}`
+        }));
+      });
+      tabInfo.appendChild(tabTags);
+    }
+
     return tabInfo;
   }
 
@@ -373,6 +431,19 @@ export class UnifiedTabRenderer {
     });
     categoryButtons.appendChild(saveLaterBtn);
     
+    // User category buttons (icon, or the first letter of the name)
+    globalThis.categoryRegistry.getCustomCategories().forEach(customCategory => {
+      const customBtn = createElement('button', {
+        className: 'category-btn category-custom',
+        disabled: category === customCategory.id,
+        title: `Mark as ${customCategory.name}`,
+        textContent: customCategory.icon || customCategory.name.charAt(0).toUpperCase(),
+        dataset: { targetCategory: customCategory.id }
+      });
+      customBtn.style.setProperty('--category-color', customCategory.color);
+      categoryButtons.appendChild(customBtn);
+    });
+    
     // Can Close category button
     const canCloseBtn = createElement('button', {
       className: 'category-btn category-can-close',
@@ -14,8 +14,9 @@ import { showSavedTabsContent } from './saved-tabs-manager.js';
 import { unifiedSearchService } from '../services/UnifiedSearchService.js';
 import { toggleAllGroups, updateToggleButtonIcon } from './ui-utilities.js';
 import { handleCategorize } from './categorization-service.js';
-import { closeAllTabs } from './tab-operations.js';
+import { closeAllTabs, gatherSearchResults, splitWindowByCategory, mergeAllWindows } from './tab-operations.js';
 import { exportToCSV } from './import-export.js';
+import { showSessionsView } from './session-snapshots.js';
 
 // Grouping options for different tabs
 const CURRENT_TAB_GROUPING_OPTIONS = [
@@ -23,12 +24,14 @@ const CURRENT_TAB_GROUPING_OPTIONS = [
   { value: 'domain', text: 'Domain' },
   { value: 'opened', text: 'Opened' },
   { value: 'lastActive', text: 'Last Active' },
-  { value: 'timeOpen', text: 'Time Open' }
+  { value: 'timeOpen', text: 'Time Open' },
+  { value: 'tabGroup', text: 'Tab Group' }
 ];
 
 const SAVED_TAB_GROUPING_OPTIONS = [
   { value: 'category', text: 'Category' },
   { value: 'domain', text: 'Domain' },
+  { value: 'tag', text: 'Tag' },
   { value: 'originallyOpened', text: 'Originally Opened' },
   { value: 'lastViewed', text: 'Last Viewed' },
   { value: 'saved', text: 'Saved' },
@@ -181,6 +184,16 @@ export function initializeUnifiedToolbar() {
     on(importBtn, 'click', () => $id('csvFileInput')?.click());
   }
   
+  const sessionsBtn = $id(DOM_IDS.SESSIONS_BTN);
+  if (sessionsBtn) {
+    on(sessionsBtn, 'click', showSessionsView);
+  }
+  
+  const windowsBtn = $id(DOM_IDS.WINDOWS_BTN);
+  if (windowsBtn) {
+    on(windowsBtn, 'click', showWindowsDialog);
+  }
+  
   // Set up granularity button listeners
   const granularityButtons = document.querySelectorAll('.granularity-btn');
   granularityButtons.forEach(btn => {
@@ -229,8 +242,9 @@ export async function updateToolbarVisibility(tabType, isInitializing = false) {
     // Set search placeholder
     searchInput.placeholder = 'Search tabs...';
     
-    // Populate grouping options for current tab
-    populateGroupingOptions(CURRENT_TAB_GROUPING_OPTIONS);
+    // Populate grouping options for current tab (browsers without tab groups, like Firefox, have no Tab Group)
+    const hasTabGroups = typeof browser.tabGroups?.query === 'function';
+    populateGroupingOptions(CURRENT_TAB_GROUPING_OPTIONS.filter(option => option.value !== 'tabGroup' || hasTabGroups));
     
     // Show the close all button
     const closeAllBtn = $id(DOM_IDS.CLOSE_ALL_BTN2);
@@ -667,6 +681,43 @@ async function updateMuteButtonState() {
   }
 }
 
+/**
+ * Show the window operations (gather the search results, split by category, merge all windows)
+ */
+function showWindowsDialog() {
+  const dialog = $id(DOM_IDS.WINDOWS_DIALOG);
+  if (!dialog) return;
+  
+  // Gathering search results needs a search
+  const gatherBtn = dialog.querySelector('[data-action="gather-search"]');
+  if (gatherBtn) {
+    gatherBtn.disabled = !unifiedSearchService.searchQuery;
+  }
+  
+  if (!dialog.dataset.initialized) {
+    dialog.dataset.initialized = 'true';
+    dialog.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (!action) return;
+      
+      dialog.close();
+      
+      switch (action) {
+        case 'gather-search':
+          gatherSearchResults();
+          break;
+        case 'split':
+          splitWindowByCategory();
+          break;
+        case 'merge':
+          mergeAllWindows();
+          break;
+      }
+    });
+  }
+  dialog.showModal();
+}
+
 // Export functions
 export { updateCategorizeButtonState, updateFilterButtonStates, getActiveCategoryIds, updateMuteButtonState };
 
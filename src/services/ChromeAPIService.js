@@ -164,6 +164,15 @@ export class ChromeAPIService {
     }
   }
   
+  /**
+   * Open a long-lived connection to the background script
+   * @param {string} name - Port name the background listens for
+   * @returns {Object} runtime.Port
+   */
+  static connect(name) {
+    return browser.runtime.connect({ name });
+  }
+  
   /**
    * Get extension URL
    * @param {string} path - Path within extension
@@ -204,6 +213,19 @@ export class ChromeAPIService {
     }
   }
   
+  /**
+   * Get the last focused normal browser window (not the extension's own popup window)
+   * @returns {Promise<Object>} Window object
+   */
+  static async getLastFocusedWindow() {
+    try {
+      return await browser.windows.getLastFocused({ windowTypes: ['normal'] });
+    } catch (error) {
+      console.error('Failed to get last focused window:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Update a window
    * @param {number} windowId - Window ID to update
@@ -219,6 +241,88 @@ export class ChromeAPIService {
     }
   }
   
+  // === Permissions ===
+  
+  /**
+   * Check whether host permissions are granted
+   * @param {Array<string>} origins - Origin match patterns (e.g. 'http://localhost:11434/*')
+   * @returns {Promise<boolean>} True if all origins are granted
+   */
+  static async hasHostPermissions(origins) {
+    try {
+      return await browser.permissions.contains({ origins });
+    } catch (error) {
+      console.error('Failed to check host permissions:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Request optional host permissions
+   * Must be called directly from a user gesture (e.g. click handler)
+   * @param {Array<string>} origins - Origin match patterns
+   * @returns {Promise<boolean>} True if granted
+   */
+  static async requestHostPermissions(origins) {
+    try {
+      return await browser.permissions.request({ origins });
+    } catch (error) {
+      console.error('Failed to request host permissions:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether optional API and host permissions are granted
+   * @param {Object} permissions - { permissions: ['scripting'], origins: [...] }
+   * @returns {Promise<boolean>} True if all are granted
+   */
+  static async hasPermissions(permissions) {
+    try {
+      return await browser.permissions.contains(permissions);
+    } catch (error) {
+      console.error('Failed to check permissions:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Request optional API and host permissions
+   * Must be called directly from a user gesture (e.g. click handler)
+   * @param {Object} permissions - { permissions: [...], origins: [...] }
+   * @returns {Promise<boolean>} True if granted
+   */
+  static async requestPermissions(permissions) {
+    try {
+      return await browser.permissions.request(permissions);
+    } catch (error) {
+      console.error('Failed to request permissions:', error);
+      throw error;
+    }
+  }
+  
+  // === Scripting ===
+  
+  /**
+   * Run a self-contained function in a tab's top frame and return its result
+   * Uses scripting.executeScript where available, tabs.executeScript on Firefox MV2
+   * @param {number} tabId - Tab ID
+   * @param {Function} func - Function to run (serialized - must not use closures)
+   * @param {Array} args - JSON-serializable arguments
+   * @returns {Promise<any>} Function result
+   */
+  static async executeScript(tabId, func, args = []) {
+    if (browser.scripting?.executeScript) {
+      const [injection] = await browser.scripting.executeScript({ target: { tabId }, func, args });
+      return injection?.result;
+    }
+    
+    const [result] = await browser.tabs.executeScript(tabId, {
+      code: `(${func.toString()})(...${JSON.stringify(args)})`
+    });
+    return result;
+  }
+  
   // === Utility Methods ===
   
   /**
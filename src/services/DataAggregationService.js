@@ -178,8 +178,8 @@ export class DataAggregationService {
     const groupingFields = this.groupingService.groupBy;
     
     if (groupingFields.length === 1 && groupingFields[0] === 'category') {
-      // For categories, manually create entries in the correct order
-      const categoryOrder = ['0', '3', '2', '1'];
+      // For categories, manually create entries in the correct order (user categories before Ignore)
+      const categoryOrder = globalThis.categoryRegistry.getDisplayOrder();
       groupEntries = [];
       for (const key of categoryOrder) {
         if (groups[key]) {
@@ -218,6 +218,13 @@ export class DataAggregationService {
           sortedGroupEntries = groupEntries.sort((a, b) => a[0].localeCompare(b[0]));
           break;
           
+        case 'tags':
+        case 'tabGroup':
+          // Sort alphabetically, untagged (or ungrouped) tabs last
+          sortedGroupEntries = groupEntries.sort((a, b) =>
+            (a[0] === 'Ungrouped') - (b[0] === 'Ungrouped') || a[0].localeCompare(b[0]));
+          break;
+          
         case 'savedDate':
         case 'lastAccessed':
         case 'lastAccessedDate':
@@ -3,7 +3,7 @@
  * Source-agnostic filtering functionality for any data type
  */
 
-import { extractDomain } from '../utils/helpers.js';
+import { extractDomain, parseTagSearch, matchesTagSearch } from '../utils/helpers.js';
 
 /**
  * Data Filtering Service
@@ -100,7 +100,14 @@ export class TextSearchFilter {
       return () => true; // No filtering if no query
     }
 
+    // tag: terms match the item's tags; the rest of the query is searched as text
+    const { tags, text } = parseTagSearch(this.query);
+
     return (item, schema) => {
+      if (!matchesTagSearch(item.tags, tags)) {
+        return false;
+      }
+
       // Determine searchable fields from schema or use provided fields
       const fieldsToSearch = this.searchFields.length > 0 
         ? this.searchFields 
@@ -113,11 +120,11 @@ export class TextSearchFilter {
         .toLowerCase();
 
       if (this.exactMatch) {
-        return searchableText === this.query;
+        return !text || searchableText === text;
       }
       
       // Multi-word search: split query and check that ALL words are present
-      const searchWords = this.query.split(/\s+/).filter(word => word.length > 0);
+      const searchWords = text.split(/\s+/).filter(word => word.length > 0);
       return searchWords.every(word => searchableText.includes(word));
     };
   }
@@ -81,8 +81,8 @@ export class DataGroupingService {
     
     // Special handling for category grouping to ensure proper order
     if (this.groupBy.length === 1 && this.groupBy[0] === 'category') {
-      // Process groups in the desired order: 0 (Uncategorized), 3 (Important), 2 (Save Later), 1 (Can Close)
-      const categoryOrder = ['0', '3', '2', '1'];
+      // Process groups in the desired order: 0 (Uncategorized), 3 (Important), 2 (Save Later), user categories, 1 (Can Close)
+      const categoryOrder = globalThis.categoryRegistry.getDisplayOrder();
       
       for (const groupKey of categoryOrder) {
         if (grouped[groupKey]) {
@@ -141,13 +141,19 @@ export class DataGroupingService {
     const groups = {};
 
     for (const item of data) {
-      const groupKey = this.generateGroupKey(item, groupFields);
+      // Multi-valued fields (tags) put the item in the group of each value
+      const values = groupFields.length === 1 ? this.extractFieldValue(item, groupFields[0]) : null;
+      const groupKeys = Array.isArray(values)
+        ? (values.length > 0 ? values.map(value => this.formatGroupValue(value, groupFields[0])) : ['__ungrouped__'])
+        : [this.generateGroupKey(item, groupFields)];
       
-      if (!groups[groupKey]) {
-        groups[groupKey] = [];
+      for (const groupKey of groupKeys) {
+        if (!groups[groupKey]) {
+          groups[groupKey] = [];
+        }
+        
+        groups[groupKey].push(item);
       }
-      
-      groups[groupKey].push(item);
     }
 
     return groups;
@@ -223,7 +229,7 @@ export class DataGroupingService {
       2: 'Useful',
       3: 'Important'
     };
-    return categoryNames[category] || `Category ${category}`;
+    return categoryNames[category] || globalThis.categoryRegistry.getCategory(category)?.name || `Category ${category}`;
   }
 
   /**
@@ -356,6 +362,16 @@ export class TabGroupingConfigurations {
     return service;
   }
 
+  /**
+   * Group by tag (for saved tabs; a tab with several tags is listed under each)
+   */
+  static byTag() {
+    const service = new DataGroupingService();
+    service.setGroupBy(['tags']);
+    service.setCountBy(['category', 'domain']);
+    return service;
+  }
+
   /**
    * Group by save date (for saved tabs)
    */
@@ -406,6 +422,16 @@ export class TabGroupingConfigurations {
     return service;
   }
 
+  /**
+   * Group by the browser's own tab groups (for current tabs; ungrouped tabs are listed last)
+   */
+  static byTabGroup() {
+    const service = new DataGroupingService();
+    service.setGroupBy(['tabGroup']);
+    service.setCountBy(['category', 'domain']);
+    return service;
+  }
+
   /**
    * Group by category and domain (nested grouping)
    */
@@ -122,6 +122,7 @@ export class CurrentTabsDataSource extends DataSourceInterface {
       index: { type: 'number', sortable: true },
       active: { type: 'boolean', indexed: true },
       pinned: { type: 'boolean', indexed: true, groupable: true },
+      tabGroup: { type: 'string', indexed: true, groupable: true },
       audible: { type: 'boolean', indexed: true },
       mutedInfo: { type: 'object' },
       lastAccessed: { type: 'number', sortable: true, indexed: true },
@@ -209,7 +210,8 @@ export class SavedTabsDataSource extends DataSourceInterface {
       lastAccessedWeekNumber: { type: 'number', groupable: true },
       lastAccessedMonthYear: { type: 'string', groupable: true },
       lastAccessedYearQuarter: { type: 'string', groupable: true },
-      isCurrentlyOpen: { type: 'boolean', indexed: true }
+      isCurrentlyOpen: { type: 'boolean', indexed: true },
+      tags: { type: 'array', searchable: true, groupable: true }
     };
   }
 
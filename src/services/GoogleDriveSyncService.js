@@ -4,6 +4,7 @@
  */
 
 import logger from '../utils/logger.js';
+import { canonicalizeUrl } from '../utils/helpers.js';
 
 /**
  * GoogleDriveSyncService - Manages data synchronization via Google Drive
@@ -258,6 +259,9 @@ export class GoogleDriveSyncService {
     // Get all saved tabs (categories 1-3)
     const allTabs = await window.tabDatabase.getAllSavedTabs();
     
+    // Tags and collections (tabs carry their tag names)
+    const tags = (await window.tabDatabase.getAllTags()).map(({ name, kind }) => ({ name, kind }));
+    
     // Get settings (excluding sensitive data)
     const settings = await this.getSyncableSettings();
     
@@ -266,6 +270,7 @@ export class GoogleDriveSyncService {
       deviceId: this.deviceId,
       lastModified: Date.now(),
       tabs: allTabs,
+      tags: tags,
       settings: settings
     };
   }
@@ -427,9 +432,10 @@ export class GoogleDriveSyncService {
       remote: { tabs: remoteData.tabs.length }
     });
     
-    // Create maps for efficient lookup
-    const localTabsMap = new Map(localData.tabs.map(tab => [tab.url, tab]));
-    const remoteTabsMap = new Map(remoteData.tabs.map(tab => [tab.url, tab]));
+    // Create maps for efficient lookup, by canonical URL so variants saved on another
+    // browser (or before canonicalization) merge with the local tab
+    const localTabsMap = this.mapTabsByCanonicalUrl(localData.tabs);
+    const remoteTabsMap = this.mapTabsByCanonicalUrl(remoteData.tabs);
     const mergedTabsMap = new Map();
     
     // Process all unique URLs
@@ -450,14 +456,20 @@ export class GoogleDriveSyncService {
         const localModified = new Date(localTab.lastCategorized || localTab.savedDate).getTime();
         const remoteModified = new Date(remoteTab.lastCategorized || remoteTab.savedDate).getTime();
         
-        if (localModified >= remoteModified) {
-          mergedTabsMap.set(url, localTab);
-        } else {
-          mergedTabsMap.set(url, remoteTab);
-        }
+        const newer = localModified >= remoteModified ? localTab : remoteTab;
+        
+        // Tag edits don't touch lastCategorized, so tags from both sides are kept
+        const tags = [...new Set([...(localTab.tags || []), ...(remoteTab.tags || [])])];
+        mergedTabsMap.set(url, { ...newer, tags });
       }
     }
     
+    // Tag definitions from both sides (local kind wins for the same name)
+    const mergedTags = new Map();
+    [...(remoteData.tags || []), ...(localData.tags || [])].forEach(tag => {
+      mergedTags.set(tag.name.toLowerCase(), tag);
+    });
+    
     // Merge settings (local takes precedence for non-synced items)
     const mergedSettings = {
       ...remoteData.settings,
@@ -469,6 +481,7 @@ export class GoogleDriveSyncService {
       deviceId: this.deviceId,
       lastModified: Date.now(),
       tabs: Array.from(mergedTabsMap.values()),
+      tags: Array.from(mergedTags.values()),
       settings: mergedSettings
     };
     
@@ -480,30 +493,44 @@ export class GoogleDriveSyncService {
     return mergedData;
   }
   
+  /**
+   * Map tabs by canonical URL (the most recently categorized variant wins)
+   */
+  mapTabsByCanonicalUrl(tabs) {
+    const modified = tab => new Date(tab.lastCategorized || tab.savedDate).getTime() || 0;
+    const tabsMap = new Map();
+    
+    tabs.forEach(tab => {
+      const url = canonicalizeUrl(tab.url);
+      const existing = tabsMap.get(url);
+      if (!existing || modified(tab) > modified(existing)) {
+        tabsMap.set(url, { ...tab, url });
+      }
+    });
+    
+    return tabsMap;
+  }
+  
   /**
    * Update local database with merged data
    */
   async updateLocalData(mergedData, localData) {
     // Create set of local URLs for comparison
-    const localUrls = new Set(localData.tabs.map(tab => tab.url));
+    const localUrls = new Set(localData.tabs.map(tab => canonicalizeUrl(tab.url)));
     
     // Find new tabs from remote
-    const newTabs = mergedData.tabs.filter(tab => !localUrls.has(tab.url));
+    const newTabs = mergedData.tabs.filter(tab => !localUrls.has(canonicalizeUrl(tab.url)));
     
     if (newTabs.length === 0) {
       logger.serviceSync('📊 No new tabs to add from sync');
+      await this.applySyncedTags(mergedData);
       return;
     }
     
     logger.serviceSync('💾 Adding new tabs from sync', { count: newTabs.length });
     
     // Group tabs by category for batch saving
-    const categorizedTabs = {
-      0: [],
-      1: [],
-      2: [],
-      3: []
-    };
+    const categorizedTabs = globalThis.categoryRegistry.createCategoryBuckets(true);
     
     for (const tab of newTabs) {
       const category = tab.category || 0;
@@ -521,6 +548,8 @@ export class GoogleDriveSyncService {
       savedAt: Date.now()
     });
     
+    await this.applySyncedTags(mergedData);
+    
     // Update syncable settings
     if (mergedData.settings) {
       const currentSettings = await chrome.storage.local.get(['settings']);
@@ -534,6 +563,35 @@ export class GoogleDriveSyncService {
     }
   }
   
+  /**
+   * Add tags from merged data to the local saved tabs (tags are only ever added by sync)
+   */
+  async applySyncedTags(mergedData) {
+    const kinds = {};
+    (mergedData.tags || []).forEach(tag => {
+      kinds[tag.name] = tag.kind;
+    });
+    
+    let tagged = 0;
+    for (const tab of mergedData.tabs) {
+      if (!tab.tags || tab.tags.length === 0) continue;
+      
+      const localUrl = await window.tabDatabase.getUrlByUrl(tab.url);
+      if (!localUrl) continue;
+      
+      const localTags = window.tabDatabase.getTagNamesForUrl(localUrl.id).map(name => name.toLowerCase());
+      const missing = tab.tags.filter(name => !localTags.includes(name.toLowerCase()));
+      if (missing.length > 0) {
+        await window.tabDatabase.addTagNamesToUrl(localUrl.id, missing, kinds);
+        tagged++;
+      }
+    }
+    
+    if (tagged > 0) {
+      logger.serviceSync('🏷️ Added tags from sync', { tabs: tagged });
+    }
+  }
+  
   /**
    * Generate a unique device ID
    */
@@ -26,21 +26,33 @@ export class MessageService {
    * @param {string} params.provider - LLM provider
    * @param {string} params.model - Model name
    * @param {string} params.customPrompt - Custom prompt (optional)
+   * @param {string} params.baseUrl - Endpoint base URL for custom providers (optional)
+   * @param {Array} params.fallbacks - Ordered [{ provider, model, apiKey, baseUrl }] tried if the primary fails
+   * @param {boolean} params.explain - Ask the LLM for confidence and reason per tab
+   * @param {number} params.monthlyBudget - Monthly spend cap in USD (0 = no limit)
    * @param {Array} params.savedUrls - Already saved URLs to exclude
+   * @param {Object} [options]
+   * @param {Function} [options.onPartial] - Streams the request; called with { [category]: tabs }
+   *   as each tab's category is parsed from the response
    * @returns {Promise<Object>} Categorized tabs
    */
-  static async categorizeTabs({ tabs, apiKey, provider, model, customPrompt, savedUrls = [] }) {
-    const response = await ChromeAPIService.sendMessage({
-      action: 'categorizeTabs',
-      data: {
-        tabs,
-        apiKey,
-        provider,
-        model,
-        customPrompt,
-        savedUrls
-      }
-    });
+  static async categorizeTabs({ tabs, apiKey, provider, model, customPrompt, baseUrl, fallbacks = [], explain = false, monthlyBudget = 0, savedUrls = [] }, { onPartial = null } = {}) {
+    const data = {
+      tabs,
+      apiKey,
+      provider,
+      model,
+      customPrompt,
+      baseUrl,
+      fallbacks,
+      explain,
+      monthlyBudget,
+      savedUrls
+    };
+    
+    const response = onPartial
+      ? await this.categorizeTabsStreaming(data, onPartial)
+      : await ChromeAPIService.sendMessage({ action: 'categorizeTabs', data });
     
     if (!response.success) {
       throw new Error(response.error || 'Categorization failed');
@@ -49,22 +61,172 @@ export class MessageService {
     return response.data;
   }
   
+  /**
+   * Run categorization over a port so partial results arrive before the final response
+   * @param {Object} data - categorizeTabs parameters
+   * @param {Function} onPartial - Partial result callback
+   * @returns {Promise<Object>} Final background response
+   */
+  static categorizeTabsStreaming(data, onPartial) {
+    return new Promise((resolve, reject) => {
+      const port = ChromeAPIService.connect('categorize-stream');
+      let settled = false;
+      
+      port.onMessage.addListener((message) => {
+        if (message.type === 'partial') {
+          onPartial(message.data);
+        } else if (message.type === 'result') {
+          settled = true;
+          port.disconnect();
+          resolve(message.result);
+        }
+      });
+      
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          reject(new Error('Background disconnected during categorization'));
+        }
+      });
+      
+      port.postMessage({ data });
+    });
+  }
+  
   /**
    * Fetch available models for a provider
    * @param {string} provider - Provider name
    * @param {string} apiKey - API key
+   * @param {string} baseUrl - Endpoint base URL for custom providers (optional)
    * @returns {Promise<Array>} Available models
    */
-  static async fetchModels(provider, apiKey) {
+  static async fetchModels(provider, apiKey, baseUrl) {
     const response = await ChromeAPIService.sendMessage({
       action: 'fetchModels',
-      data: { provider, apiKey }
+      data: { provider, apiKey, baseUrl }
     });
     
     // Return the full response object so the caller can handle it
     return response;
   }
   
+  /**
+   * Test that a provider endpoint is reachable
+   * @param {string} provider - Provider name
+   * @param {string} apiKey - API key (optional for local endpoints)
+   * @param {string} baseUrl - Endpoint base URL for custom providers (optional)
+   * @returns {Promise<Object>} { success, latencyMs, models, error }
+   */
+  static async testProviderConnection(provider, apiKey, baseUrl) {
+    return ChromeAPIService.sendMessage({
+      action: 'testProviderConnection',
+      data: { provider, apiKey, baseUrl }
+    });
+  }
+  
+  /**
+   * Categorize a labelled sample with one prompt variant (nothing is saved)
+   * @param {Object} params - { tabs, provider, model, apiKey, baseUrl, prompt }
+   * @returns {Promise<Object>} { predictions: { [tabId]: category }, latencyMs }
+   */
+  static async runPromptBench({ tabs, provider, model, apiKey, baseUrl, prompt }) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'runPromptBench',
+      data: { tabs, provider, model, apiKey, baseUrl, prompt }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Prompt bench run failed');
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Undo an action a rule ran on a tab
+   * @param {number} id - Action log entry ID
+   * @returns {Promise<Object>} Updated log entry
+   */
+  static async undoRuleAction(id) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'undoRuleAction',
+      data: { id }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to undo action');
+    }
+    
+    return response.entry;
+  }
+  
+  /**
+   * Apply the retention rules now (normally run by the background on a schedule)
+   * @returns {Promise<Object>} Run summary { timestamp, archived, deleted, errors }
+   */
+  static async applyRetention() {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'applyRetention'
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to apply retention rules');
+    }
+    
+    return response.lastRun;
+  }
+  
+  /**
+   * Restore a session snapshot's windows, skipping URLs that are already open
+   * @param {number} id - Session ID
+   * @returns {Promise<Object>} { windows, restored, skipped }
+   */
+  static async restoreSession(id) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'restoreSession',
+      data: { id }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to restore session');
+    }
+    
+    return response.results;
+  }
+  
+  /**
+   * Hibernate tabs (discard them so they stay in the tab strip without using memory)
+   * @param {Array<number>} tabIds - Tab IDs
+   * @returns {Promise<Object>} { hibernated, skipped } - active and playing tabs are skipped
+   */
+  static async hibernateTabs(tabIds) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'hibernateTabs',
+      data: { tabIds }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to hibernate tabs');
+    }
+    
+    return response.results;
+  }
+  
+  /**
+   * Group the browser's tabs into native tab groups now ("Apply to tab strip" mode)
+   * @returns {Promise<Object>} { supported, mode, windows, grouped, ungrouped }
+   */
+  static async syncTabStripGroups() {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'syncTabStripGroups'
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to group tabs');
+    }
+    
+    return response.results;
+  }
+  
   /**
    * Open multiple tabs with rate limiting
    * @param {Array<string>} urls - URLs to open
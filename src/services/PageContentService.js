@@ -0,0 +1,153 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Page content service - opt-in extraction of a short readable excerpt from open tabs
+ */
+
+import ChromeAPIService from './ChromeAPIService.js';
+
+// Reading pages needs the scripting API plus access to the pages themselves
+const CONTENT_PERMISSIONS = {
+  permissions: ['scripting'],
+  origins: ['http://*/*', 'https://*/*']
+};
+
+/**
+ * Runs inside the page via executeScript, so it must be self-contained
+ * @param {number} maxDescriptionChars - Meta description limit
+ * @param {number} maxExcerptChars - Visible text limit
+ * @returns {Object} { description, excerpt }
+ */
+function extractPageContent(maxDescriptionChars, maxExcerptChars) {
+  const clean = (text, max) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+  const meta = document.querySelector('meta[name="description"]') ||
+    document.querySelector('meta[property="og:description"]');
+  // Prefer the main content region so navigation menus don't fill the excerpt
+  const root = document.querySelector('main, article, [role="main"]') || document.body;
+
+  return {
+    description: clean(meta?.getAttribute('content'), maxDescriptionChars),
+    excerpt: clean(root?.innerText, maxExcerptChars)
+  };
+}
+
+/**
+ * PageContentService - Reads bounded page excerpts for content-aware categorization
+ */
+export class PageContentService {
+
+  /**
+   * Check whether a hostname is one of the domains or a subdomain of one
+   * @param {string} hostname - Hostname to check
+   * @param {Array<string>} domains - Domain list
+   * @returns {boolean}
+   */
+  static matchesDomain(hostname, domains) {
+    return domains.some(domain => {
+      const normalized = domain.trim().toLowerCase().replace(/^\*?\./, '');
+      return normalized && (hostname === normalized || hostname.endsWith(`.${normalized}`));
+    });
+  }
+
+  /**
+   * Get the effective deny list (user edited, or the defaults)
+   * @param {Object} settings - Extension settings
+   * @returns {Array<string>}
+   */
+  static getDenyDomains(settings) {
+    return settings.contentDenyDomains ?? CONFIG.CONTENT_EXTRACTION.DEFAULT_DENY_DOMAINS;
+  }
+
+  /**
+   * Check whether a tab's page may be read
+   * The deny list always wins; a non-empty allow list restricts reading to its domains.
+   * @param {string} url - Tab URL
+   * @param {Object} settings - Extension settings
+   * @returns {boolean}
+   */
+  static isAllowed(url, settings) {
+    let hostname;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+      hostname = parsed.hostname.toLowerCase();
+    } catch (e) {
+      return false;
+    }
+
+    if (this.matchesDomain(hostname, this.getDenyDomains(settings))) {
+      return false;
+    }
+
+    const allowDomains = settings.contentAllowDomains || [];
+    return allowDomains.length === 0 || this.matchesDomain(hostname, allowDomains);
+  }
+
+  /**
+   * Check whether page content permissions are granted
+   * @returns {Promise<boolean>}
+   */
+  static async hasPermission() {
+    return ChromeAPIService.hasPermissions(CONTENT_PERMISSIONS);
+  }
+
+  /**
+   * Request page content permissions (must run from a user gesture)
+   * @returns {Promise<boolean>} True if granted
+   */
+  static async requestPermission() {
+    return ChromeAPIService.requestPermissions(CONTENT_PERMISSIONS);
+  }
+
+  /**
+   * Read one tab's content, resolving null on timeout or failure
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object|null>} { description, excerpt } or null
+   */
+  static async extractFromTab(tabId) {
+    const { MAX_DESCRIPTION_CHARS, MAX_EXCERPT_CHARS, TIMEOUT_MS } = CONFIG.CONTENT_EXTRACTION;
+
+    const extraction = ChromeAPIService.executeScript(tabId, extractPageContent, [MAX_DESCRIPTION_CHARS, MAX_EXCERPT_CHARS])
+      .catch(() => null); // Restricted pages (stores, PDFs, error pages) can't be scripted
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), TIMEOUT_MS));
+
+    const content = await Promise.race([extraction, timeout]);
+    return content && (content.description || content.excerpt) ? content : null;
+  }
+
+  /**
+   * Attach page content to the tabs that may be read
+   * Tabs that are denied, excluded from the LLM by a rule, discarded or unreadable are returned unchanged.
+   * @param {Array} tabs - Tabs to categorize
+   * @param {Object} settings - Extension settings
+   * @returns {Promise<Array>} Tabs, with pageContent: { description, excerpt } where available
+   */
+  static async extractForTabs(tabs, settings) {
+    if (!await this.hasPermission()) {
+      console.warn('Page content permission not granted - categorizing by title and URL only');
+      return tabs;
+    }
+
+    const results = [...tabs];
+    const queue = tabs
+      .map((tab, index) => ({ tab, index }))
+      .filter(({ tab }) => tab.id !== undefined && !tab.discarded && !tab.excludeFromLLM && this.isAllowed(tab.url, settings));
+
+    // Fixed number of workers pulling from the queue keeps concurrent injections bounded
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { tab, index } = queue.shift();
+        const pageContent = await this.extractFromTab(tab.id);
+        if (pageContent) {
+          results[index] = { ...tab, pageContent };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: CONFIG.CONTENT_EXTRACTION.CONCURRENCY }, worker));
+
+    return results;
+  }
+}
+
+// Export as default as well
+export default PageContentService;
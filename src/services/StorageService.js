@@ -156,6 +156,28 @@ export class StorageService {
     };
   }
   
+  // === Prompt Bench ===
+  
+  /**
+   * Save the prompt bench fixture (labelled sample + recorded responses)
+   * @param {Object} fixture - Fixture object
+   * @returns {Promise<void>}
+   */
+  static async savePromptBenchFixture(fixture) {
+    return ChromeAPIService.setStorageData({
+      [STORAGE_KEYS.PROMPT_BENCH_FIXTURE]: fixture
+    });
+  }
+  
+  /**
+   * Load the prompt bench fixture
+   * @returns {Promise<Object|null>} Fixture or null
+   */
+  static async loadPromptBenchFixture() {
+    const data = await ChromeAPIService.getStorageData(STORAGE_KEYS.PROMPT_BENCH_FIXTURE);
+    return data[STORAGE_KEYS.PROMPT_BENCH_FIXTURE] || null;
+  }
+  
   // === Utility Methods ===
   
   /**
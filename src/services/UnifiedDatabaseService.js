@@ -299,7 +299,7 @@ class UnifiedDatabaseService {
         item.category !== null &&
         Number.isInteger(item.category) &&
         item.category >= 0 && 
-        item.category <= 3 &&
+        item.category < globalThis.categoryRegistry.getNumClasses() &&
         (item.trainingConfidence || 0) > 0
       );
       
@@ -408,7 +408,7 @@ class UnifiedDatabaseService {
       // Handle all categories if they exist
       Object.keys(categorizedTabs).forEach(category => {
         const categoryNum = parseInt(category);
-        if (categorizedTabs[categoryNum] && categoryNum >= 1 && categoryNum <= 3) {
+        if (categorizedTabs[categoryNum] && globalThis.categoryRegistry.isSavedCategory(categoryNum)) {
           categorizedTabs[categoryNum].forEach(tab => {
             // Get prediction data for this tab (predictions are indexed by URL)
             const predictionData = predictions?.[tab.url] || {};
@@ -516,6 +516,7 @@ class UnifiedDatabaseService {
             trainingData.push({
               url: tab.url,
               title: tab.title || '',
+              pageContent: tab.pageContent || null, // Excerpt from opt-in content extraction
               category: categoryNum,
               source: source,
               corrected: corrected,
@@ -572,7 +573,7 @@ class UnifiedDatabaseService {
   async _recordPredictionAccuracy(categorizedTabs, predictions) {
     try {
       // Compare predictions with actual user choices
-      [1, 2, 3].forEach(category => {
+      globalThis.categoryRegistry.getSavedCategoryIds().forEach(category => {
         if (categorizedTabs[category]) {
           categorizedTabs[category].forEach(tab => {
             const prediction = predictions[tab.url];
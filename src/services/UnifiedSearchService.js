@@ -5,7 +5,7 @@
 
 import { TAB_CATEGORIES, CSS_CLASSES, LIMITS } from '../utils/constants.js';
 import { classes } from '../utils/dom-helpers.js';
-import { extractDomain } from '../utils/helpers.js';
+import { extractDomain, parseTagSearch, matchesTagSearch } from '../utils/helpers.js';
 import { showStatus } from '../modules/ui-manager.js';
 
 // Search configuration
@@ -49,6 +49,15 @@ export class UnifiedSearchService {
   matchesSearch(tab, isDOMElement = false) {
     if (!this.searchQuery) return true;
 
+    // tag: terms match the tab's tags; the rest of the query is searched as text
+    const { tags, text } = parseTagSearch(this.searchQuery);
+    const tabTags = isDOMElement
+      ? (tab.dataset.tags ? tab.dataset.tags.split(';') : [])
+      : tab.tags;
+    if (!matchesTagSearch(tabTags, tags)) {
+      return false;
+    }
+
     let searchFields;
     
     if (isDOMElement) {
@@ -70,7 +79,7 @@ export class UnifiedSearchService {
     const searchableText = searchFields.join(' ').toLowerCase();
     
     // Multi-word search: split query and check that ALL words are present
-    const searchWords = this.searchQuery.split(/\s+/).filter(word => word.length > 0);
+    const searchWords = text.split(/\s+/).filter(word => word.length > 0);
     return searchWords.every(word => searchableText.includes(word));
   }
 
@@ -0,0 +1,252 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Category Registry - the built-in categories plus the ones the user defines in settings
+ */
+
+// Loaded as a classic script so the background, the popup, the offscreen document and the
+// categorization worker agree on the categories:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+// - Popup and offscreen document: <script> tag (re-exported by src/utils/helpers.js)
+// - Categorization worker: importScripts in categorization-worker.js
+
+// What happens to saved tabs nobody opened within the retention period when no retention rule
+// matches them (see src/utils/retention-policy.js)
+const CATEGORY_RETENTION = {
+  KEEP: 'keep',     // Kept until deleted
+  EXPIRE: 'expire'  // Deleted like Ignore tabs (CONFIG.DATABASE.URL_RETENTION_SECONDS)
+};
+
+const UNCATEGORIZED_ID = 0;
+
+// Ignore (1), Useful (2) and Important (3) can't be removed; user categories get IDs from 4 up
+const BUILT_IN_CATEGORIES = [
+  { id: 1, name: 'Ignore', color: '#757575', icon: '', description: '', retention: CATEGORY_RETENTION.EXPIRE, builtIn: true },
+  { id: 2, name: 'Useful', color: '#1976d2', icon: '', description: '', retention: CATEGORY_RETENTION.KEEP, builtIn: true },
+  { id: 3, name: 'Important', color: '#d32f2f', icon: '', description: '', retention: CATEGORY_RETENTION.KEEP, builtIn: true }
+];
+const FIRST_CUSTOM_ID = 4;
+const DEFAULT_CUSTOM_COLOR = '#00897b';
+
+let customCategories = [];
+
+/**
+ * Clean up a user category from settings
+ * @param {Object} category - { id, name, color, icon, description, retention }
+ * @returns {Object|null} Category, or null if it has no usable ID or name
+ */
+function normalizeCategory(category) {
+  const id = Number(category?.id);
+  const name = String(category?.name || '').trim();
+  if (!Number.isInteger(id) || id < FIRST_CUSTOM_ID || !name) return null;
+
+  return {
+    id,
+    name,
+    color: /^#[0-9a-f]{6}$/i.test(category.color) ? category.color : DEFAULT_CUSTOM_COLOR,
+    icon: String(category.icon || '').trim().substring(0, 4),
+    description: String(category.description || '').trim(),
+    retention: category.retention === CATEGORY_RETENTION.EXPIRE ? CATEGORY_RETENTION.EXPIRE : CATEGORY_RETENTION.KEEP,
+    builtIn: false
+  };
+}
+
+/**
+ * Set the user categories from settings
+ * @param {Object} settings - { customCategories: [{ id, name, color, icon, description, retention }] }
+ */
+function configure(settings = {}) {
+  const seen = new Set();
+  customCategories = (Array.isArray(settings.customCategories) ? settings.customCategories : [])
+    .map(normalizeCategory)
+    .filter(category => category && !seen.has(category.id) && seen.add(category.id))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Get the user categories
+ * @returns {Array} Categories sorted by ID
+ */
+function getCustomCategories() {
+  return customCategories.map(category => ({ ...category }));
+}
+
+/**
+ * Get every category a tab can be saved in (built-in first, then user categories)
+ * @returns {Array} [{ id, name, color, icon, description, retention, builtIn }]
+ */
+function getCategories() {
+  return [...BUILT_IN_CATEGORIES, ...customCategories].map(category => ({ ...category }));
+}
+
+/**
+ * Get a category by ID
+ * @param {number} id - Category ID
+ * @returns {Object|null} Category, or null for Uncategorized and unknown IDs
+ */
+function getCategory(id) {
+  const numericId = Number(id);
+  const category = BUILT_IN_CATEGORIES.find(c => c.id === numericId) || customCategories.find(c => c.id === numericId);
+  return category ? { ...category } : null;
+}
+
+/**
+ * Get the display name of a category
+ * @param {number} id - Category ID
+ * @returns {string} Name ('Uncategorized' for 0 and unknown IDs)
+ */
+function getCategoryName(id) {
+  return getCategory(id)?.name || 'Uncategorized';
+}
+
+/**
+ * Find a category by name (case-insensitive)
+ * @param {string} name - Category name
+ * @returns {Object|null} Category
+ */
+function findCategoryByName(name) {
+  const lower = String(name || '').trim().toLowerCase();
+  return getCategories().find(category => category.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Check whether a user category
+ * @param {number} id - Category ID
+ * @returns {boolean} True for categories defined in settings
+ */
+function isCustomCategory(id) {
+  return customCategories.some(category => category.id === Number(id));
+}
+
+/**
+ * Check whether tabs can be saved in a category (any category but Uncategorized)
+ * @param {number} id - Category ID
+ * @returns {boolean} True for built-in and user categories
+ */
+function isSavedCategory(id) {
+  return getCategory(id) !== null;
+}
+
+/**
+ * Get the IDs of every category a tab can be saved in
+ * @returns {number[]} [1, 2, 3, ...user category IDs]
+ */
+function getSavedCategoryIds() {
+  return getCategories().map(category => category.id);
+}
+
+/**
+ * Get every category ID including Uncategorized
+ * @returns {number[]} [0, 1, 2, 3, ...user category IDs]
+ */
+function getAllCategoryIds() {
+  return [UNCATEGORIZED_ID, ...getSavedCategoryIds()];
+}
+
+/**
+ * Create an object with an empty array per category
+ * @param {boolean} includeUncategorized - Also add a bucket for 0
+ * @returns {Object} { 1: [], 2: [], 3: [], ... }
+ */
+function createCategoryBuckets(includeUncategorized = false) {
+  const buckets = {};
+  (includeUncategorized ? getAllCategoryIds() : getSavedCategoryIds()).forEach(id => {
+    buckets[id] = [];
+  });
+  return buckets;
+}
+
+/**
+ * Get category IDs in display order: Uncategorized, Important, Useful, user categories, Ignore
+ * @returns {string[]} Category IDs as strings (group keys)
+ */
+function getDisplayOrder() {
+  return ['0', '3', '2', ...customCategories.map(category => String(category.id)), '1'];
+}
+
+/**
+ * Get how much a category keeps a tab, for "at least" rules (Ignore < Useful < Important)
+ * User categories save their tabs like Useful does, so they rank alongside it.
+ * @param {number} id - Category ID
+ * @returns {number} Rank (0 for Uncategorized)
+ */
+function getCategoryRank(id) {
+  const numericId = Number(id);
+  if (numericId >= UNCATEGORIZED_ID && numericId < FIRST_CUSTOM_ID) return numericId;
+  return isCustomCategory(numericId) ? 2 : UNCATEGORIZED_ID;
+}
+
+/**
+ * Get the number of classifier outputs (one per category ID up to the highest, including Uncategorized)
+ * @returns {number} Number of classes
+ */
+function getNumClasses() {
+  return Math.max(...getSavedCategoryIds()) + 1;
+}
+
+/**
+ * Get the IDs of categories whose saved tabs expire
+ * @returns {number[]} Category IDs
+ */
+function getExpiringCategoryIds() {
+  return getCategories()
+    .filter(category => category.retention === CATEGORY_RETENTION.EXPIRE)
+    .map(category => category.id);
+}
+
+/**
+ * Get the ID for a new user category
+ * @param {Array} categories - User categories in settings (including ones being edited)
+ * @param {number} highestUsedId - Highest ID ever used (IDs of deleted categories aren't reused)
+ * @returns {number} New category ID
+ */
+function getNextCustomId(categories = customCategories, highestUsedId = 0) {
+  return Math.max(FIRST_CUSTOM_ID - 1, highestUsedId, ...categories.map(category => Number(category.id) || 0)) + 1;
+}
+
+/**
+ * List the category numbers for the LLM prompt
+ * @returns {string} "1, 2, or 3", "1, 2, 3, or 4"...
+ */
+function getPromptCategoryList() {
+  const ids = getSavedCategoryIds();
+  return `${ids.slice(0, -1).join(', ')}, or ${ids[ids.length - 1]}`;
+}
+
+/**
+ * Describe the user categories for the LLM prompt
+ * @returns {string} Prompt text, or '' without user categories
+ */
+function describeCategoriesForPrompt() {
+  if (customCategories.length === 0) return '';
+
+  const lines = customCategories.map(category =>
+    `  ${category.id}. ${category.name}${category.description ? `: ${category.description}` : ''}`);
+  return `
+
+  Additional categories (use one when a tab clearly belongs to it, otherwise 1, 2 or 3):
+${lines.join('\n')}`;
+}
+
+globalThis.categoryRegistry = {
+  CATEGORY_RETENTION,
+  FIRST_CUSTOM_ID,
+  configure,
+  getCustomCategories,
+  getCategories,
+  getCategory,
+  getCategoryName,
+  findCategoryByName,
+  isCustomCategory,
+  isSavedCategory,
+  getSavedCategoryIds,
+  getAllCategoryIds,
+  createCategoryBuckets,
+  getDisplayOrder,
+  getCategoryRank,
+  getNumClasses,
+  getExpiringCategoryIds,
+  getNextCustomId,
+  getPromptCategoryList,
+  describeCategoriesForPrompt
+};
@@ -60,7 +60,15 @@ export const DOM_IDS = {
   EXPORT_CSV_BTN: 'exportCSVBtn',
   IMPORT_CSV_BTN: 'importCSVBtn',
   SAVE_API_KEY_BTN: 'saveApiKeyBtn',
+  SAVE_BASE_URL_BTN: 'saveBaseUrlBtn',
+  TEST_CONNECTION_BTN: 'testConnectionBtn',
+  ADD_FALLBACK_PROVIDER_BTN: 'addFallbackProviderBtn',
   RESET_PROMPT_BTN: 'resetPromptBtn',
+  SAVE_PROMPT_VARIANT_BTN: 'savePromptVariantBtn',
+  DELETE_PROMPT_VARIANT_BTN: 'deletePromptVariantBtn',
+  RUN_PROMPT_BENCH_BTN: 'runPromptBenchBtn',
+  EXPORT_BENCH_FIXTURE_BTN: 'exportBenchFixtureBtn',
+  IMPORT_BENCH_FIXTURE_BTN: 'importBenchFixtureBtn',
   OPEN_SETTINGS_BTN: 'openSettingsBtn',
   TOGGLE_ALL_GROUPS_BTN: 'toggleAllGroupsBtn',
   TOGGLE_CATEGORIZE_GROUPS_BTN: 'toggleCategorizeGroupsBtn',
@@ -71,19 +79,73 @@ export const DOM_IDS = {
   SEARCH_INPUT: 'searchInput',
   SAVED_SEARCH_INPUT: 'savedSearchInput',
   API_KEY_INPUT: 'apiKeyInput',
+  BASE_URL_INPUT: 'baseUrlInput',
   MAX_TABS_INPUT: 'maxTabsInput',
+  MONTHLY_BUDGET_INPUT: 'monthlyBudgetInput',
+  CONTENT_ALLOW_DOMAINS_INPUT: 'contentAllowDomainsInput',
+  CONTENT_DENY_DOMAINS_INPUT: 'contentDenyDomainsInput',
+  CANONICALIZE_URLS_CHECKBOX: 'canonicalizeUrlsCheckbox',
+  URL_CANONICALIZATION_OVERRIDES_INPUT: 'urlCanonicalizationOverridesInput',
   PROMPT_TEXTAREA: 'promptTextarea',
+  PROMPT_VARIANT_NAME_INPUT: 'promptVariantNameInput',
   CSV_FILE_INPUT: 'csvFileInput',
   
   // Select elements
   GROUPING_SELECT: 'groupingSelect',
   SAVED_GROUPING_SELECT: 'savedGroupingSelect',
   PROVIDER_SELECT: 'providerSelect',
+  FALLBACK_PROVIDERS_LIST: 'fallbackProvidersList',
   MODEL_SELECT: 'modelSelect',
+  PROMPT_VARIANT_SELECT: 'promptVariantSelect',
+  PROMPT_HISTORY_SELECT: 'promptHistorySelect',
   
   // Rule management
   RULES_CONTAINER: 'rulesContainer',
   ADD_RULE_BTN: 'addRuleBtn',
+  RULES_DRAFT_BAR: 'rulesDraftBar',
+  SAVE_RULES_BTN: 'saveRulesBtn',
+  DISCARD_RULES_BTN: 'discardRulesBtn',
+  PREVIEW_RULES_BTN: 'previewRulesBtn',
+  RULES_DRY_RUN_PANEL: 'rulesDryRunPanel',
+  RULES_ISSUE_SUMMARY: 'rulesIssueSummary',
+  RULE_SUGGESTIONS_LIST: 'ruleSuggestionsList',
+  RULE_PACKS_LIST: 'rulePacksList',
+  RULE_PACK_IMPORT_PREVIEW: 'rulePackImportPreview',
+  RULE_ACTION_LOG: 'ruleActionLog',
+  
+  // User categories
+  CUSTOM_CATEGORIES_LIST: 'customCategoriesList',
+  ADD_CATEGORY_BTN: 'addCategoryBtn',
+  
+  // Retention rules
+  RETENTION_RULES_INPUT: 'retentionRulesInput',
+  RETENTION_PREVIEW_BTN: 'retentionPreviewBtn',
+  RETENTION_RUN_BTN: 'retentionRunBtn',
+  RETENTION_LAST_RUN: 'retentionLastRun',
+  RETENTION_PREVIEW: 'retentionPreview',
+  
+  // Native tab groups
+  TAB_STRIP_GROUPS_SELECT: 'tabStripGroupsSelect',
+  TAB_STRIP_GROUPS_APPLY_BTN: 'tabStripGroupsApplyBtn',
+  TAB_STRIP_GROUPS_NOTE: 'tabStripGroupsNote',
+  
+  // Hibernation
+  AUTO_HIBERNATE_CHECKBOX: 'autoHibernateCheckbox',
+  HIBERNATION_POLICY_FIELDS: 'hibernationPolicyFields',
+  HIBERNATE_IDLE_SELECT: 'hibernateIdleSelect',
+  HIBERNATE_CATEGORIES_LIST: 'hibernateCategoriesList',
+  HIBERNATION_STATS: 'hibernationStats',
+  
+  // Session snapshots
+  SESSIONS_BTN: 'sessionsBtn',
+  SESSIONS_DIALOG: 'sessionsDialog',
+  SESSIONS_LIST: 'sessionsList',
+  
+  // Window operations
+  WINDOWS_BTN: 'windowsBtn',
+  WINDOWS_DIALOG: 'windowsDialog',
+  WINDOW_PICKER_DIALOG: 'windowPickerDialog',
+  WINDOW_PICKER_LIST: 'windowPickerList',
   
   // Sync settings
   SYNC_ENABLED_CHECKBOX: 'syncEnabledCheckbox',
@@ -182,12 +244,14 @@ export const GROUPING_OPTIONS = {
   OPENED: 'opened',
   LAST_ACTIVE: 'lastActive',
   TIME_OPEN: 'timeOpen',
+  TAB_GROUP: 'tabGroup', // The browser's own tab groups
   // Saved tabs time-based groupings  
   ORIGINALLY_OPENED: 'originallyOpened',
   LAST_VIEWED: 'lastViewed',
   SAVED: 'saved',
   TOTAL_AGE: 'totalAge',
   TIME_SINCE_VIEWED: 'timeSinceViewed',
+  TAG: 'tag',
   // ML-based groupings
   PREDICTION_CONFIDENCE: 'predictionConfidence',
   PREDICTION_AGREEMENT: 'predictionAgreement',
@@ -221,7 +285,11 @@ export const LIMITS = {
   BATCH_SIZE_DEFAULT: 100,      // Default batch size for categorization
   BATCH_SIZE_CSV: 100,          // Batch size for CSV imports
   BATCH_SIZE_MIN: 10,           // Minimum batch size
-  BATCH_SIZE_MAX: 500           // Maximum batch size
+  BATCH_SIZE_MAX: 500,          // Maximum batch size
+  PROMPT_HISTORY_MAX: 20,       // Revisions kept per prompt variant
+  PROMPT_BENCH_SAMPLE_DEFAULT: 60, // Labelled tabs per prompt bench run
+  STREAM_RENDER_DELAY_MS: 250,  // Coalesces view refreshes while LLM results stream in
+  SESSIONS_KEPT: 50             // Session snapshots kept (oldest are dropped)
 };
 
 // External URLs
@@ -237,7 +305,8 @@ export const STORAGE_KEYS = {
   SETTINGS: 'settings',
   THEME: 'theme',
   SYNC_STATUS: 'syncStatus',
-  SYNC_LAST_TIME: 'syncLastTime'
+  SYNC_LAST_TIME: 'syncLastTime',
+  PROMPT_BENCH_FIXTURE: 'promptBenchFixture'
 };
 
 // Status Messages
@@ -247,7 +316,9 @@ export const STATUS_MESSAGES = {
   SUCCESS_SAVED: 'tabs saved and closed successfully!',
   SUCCESS_CLOSED: 'tabs closed successfully!',
   ERROR_NO_API_KEY: 'Please configure your LLM provider and API key in Settings',
+  WARNING_BUDGET_EXCEEDED: 'Monthly LLM budget reached - categorizing with rules and ML only',
   ERROR_CATEGORIZATION: 'Error categorizing tabs:',
+  LOADING_PAGE_CONTENT: 'Reading page content...',
   WARNING_NO_TABS: 'No tabs to save',
   WARNING_CLOSE_UNCATEGORIZED: 'Are you sure you want to close all uncategorized tabs? They have not been saved yet.'
 };
@@ -264,4 +335,80 @@ export const RULE_TYPES = {
 export const RULE_FIELDS = {
   URL: 'url',
   TITLE: 'title'
+};
+
+// Rule expression groups: { op, conditions: [...] } or { op: 'not', condition }
+export const RULE_GROUP_OPS = {
+  AND: 'and',
+  OR: 'or',
+  NOT: 'not'
+};
+
+// Fields a rule condition can test: { field, operator, value }
+export const RULE_CONDITION_FIELDS = {
+  URL: 'url',
+  DOMAIN: 'domain',
+  PATH: 'path',
+  TITLE: 'title',
+  QUERY_PARAM: 'query_param',   // value is a parameter name, or name=value with "is"
+  PINNED: 'pinned',
+  AUDIBLE: 'audible',
+  WINDOW: 'window',             // value is 'current' or 'other' (relative to the focused window)
+  WINDOW_DOMAIN: 'window_domain', // a tab in the same window is on this domain
+  TIME_OPEN: 'time_open',       // duration: minutes, or e.g. 30m, 4h, 3d, 2w
+  TIME_IDLE: 'time_idle',       // duration since the tab was last active
+  WEEKDAY: 'weekday',           // value is 'weekdays', 'weekend' or a day ('mon' … 'sun')
+  HOUR: 'hour'                  // value is a local time range, e.g. 9-17 or 22:30-6
+};
+
+export const RULE_OPERATORS = {
+  IS: 'is',
+  CONTAINS: 'contains',
+  STARTS_WITH: 'starts_with',
+  ENDS_WITH: 'ends_with',
+  MATCHES: 'matches',           // Case-insensitive regular expression
+  HAS: 'has',
+  MORE_THAN: 'more_than',
+  LESS_THAN: 'less_than',
+  BETWEEN: 'between'
+};
+
+// Actions a matching rule can run on the tab (in the background), besides assigning its category
+export const RULE_ACTIONS = {
+  CLOSE: 'close',                   // { afterIdle } optional duration the tab must be idle first
+  SAVE_AND_CLOSE: 'save_close',     // Saves with the rule's category, then closes
+  PIN: 'pin',
+  MUTE: 'mute',
+  MOVE_TO_WINDOW: 'move_to_window', // { window } name; the window is opened on first use
+  BOOKMARK: 'bookmark',             // { folder } optional folder name
+  EXCLUDE_FROM_LLM: 'no_llm'        // Never sent to the LLM or read for page content
+};
+
+// Problems the rule analyzer reports
+export const RULE_ISSUE_TYPES = {
+  UNREACHABLE: 'unreachable', // Every tab it matches is matched by a higher-priority rule first
+  DUPLICATE: 'duplicate',     // Same condition and category as a higher-priority rule
+  CONFLICT: 'conflict'        // Same domain or condition mapped to a different category
+};
+
+// Rule pack files
+export const RULE_PACK_SCHEMA = 'ai-tab-manager/rule-pack';
+export const RULE_PACK_SCHEMA_VERSION = 1;
+export const BUILTIN_RULE_PACK_ID = 'builtin-defaults';
+
+// Operators offered per field in the rule editor (first one is the default)
+export const RULE_FIELD_OPERATORS = {
+  [RULE_CONDITION_FIELDS.URL]: ['contains', 'is', 'starts_with', 'ends_with', 'matches'],
+  [RULE_CONDITION_FIELDS.DOMAIN]: ['is', 'contains', 'ends_with', 'matches'],
+  [RULE_CONDITION_FIELDS.PATH]: ['contains', 'is', 'starts_with', 'ends_with', 'matches'],
+  [RULE_CONDITION_FIELDS.TITLE]: ['contains', 'is', 'starts_with', 'ends_with', 'matches'],
+  [RULE_CONDITION_FIELDS.QUERY_PARAM]: ['has', 'is'],
+  [RULE_CONDITION_FIELDS.PINNED]: ['is'],
+  [RULE_CONDITION_FIELDS.AUDIBLE]: ['is'],
+  [RULE_CONDITION_FIELDS.WINDOW]: ['is'],
+  [RULE_CONDITION_FIELDS.WINDOW_DOMAIN]: ['is'],
+  [RULE_CONDITION_FIELDS.TIME_OPEN]: ['more_than', 'less_than'],
+  [RULE_CONDITION_FIELDS.TIME_IDLE]: ['more_than', 'less_than'],
+  [RULE_CONDITION_FIELDS.WEEKDAY]: ['is'],
+  [RULE_CONDITION_FIELDS.HOUR]: ['between']
 };
\ No newline at end of file
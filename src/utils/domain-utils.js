@@ -0,0 +1,76 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Domain Utils - root domains and per-window domains, computed the same way everywhere
+ */
+
+// Loaded as a classic script so the popup's Domain grouping, rule conditions and the background's
+// tab strip groups agree on domains:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+// - Popup and offscreen document: <script> tag (re-exported by src/utils/helpers.js and
+//   src/modules/rules-categorizer.js)
+// - Categorization worker: importScripts in categorization-worker.js
+
+/**
+ * Extract root domain from a full domain
+ * @param {string} domain - Full domain (e.g., 'sub.example.co.uk')
+ * @returns {string} Root domain (e.g., 'example.co.uk')
+ */
+function getRootDomain(domain) {
+  if (!domain) return 'unknown';
+
+  // Handle special cases
+  if (domain.startsWith('chrome://')) return 'chrome';
+  if (domain.startsWith('file://')) return 'local-file';
+  if (domain.startsWith('chrome-extension://')) return 'extension';
+
+  // Remove www. prefix
+  domain = domain.replace(/^www\./, '');
+
+  // Handle special TLDs (could be expanded)
+  const specialTLDs = ['co.uk', 'com.au', 'co.jp', 'co.in', 'com.br'];
+  for (const tld of specialTLDs) {
+    if (domain.endsWith('.' + tld)) {
+      const parts = domain.split('.');
+      // For special TLDs, we want to keep the last 3 parts (domain.co.uk)
+      if (parts.length >= 3) {
+        return parts.slice(-3).join('.');
+      }
+      return domain;
+    }
+  }
+
+  // Default: last two parts
+  const parts = domain.split('.');
+  if (parts.length > 2) {
+    return parts.slice(-2).join('.');
+  }
+  return domain;
+}
+
+/**
+ * Map each window to the domains of its tabs, for "window has a tab on" conditions
+ * @param {Array} tabs - Open tabs with url and windowId
+ * @returns {Object} { [windowId]: [hostname] } (lowercase, without www.)
+ */
+function getWindowDomains(tabs) {
+  const windowDomains = {};
+  (tabs || []).forEach(tab => {
+    let hostname;
+    try {
+      hostname = new URL(tab.url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+      return;
+    }
+    if (!hostname || tab.windowId === undefined) return;
+
+    const domains = windowDomains[tab.windowId] || (windowDomains[tab.windowId] = []);
+    if (!domains.includes(hostname)) domains.push(hostname);
+  });
+  return windowDomains;
+}
+
+globalThis.domainUtils = {
+  getRootDomain,
+  getWindowDomains
+};
@@ -3,7 +3,7 @@
  * Pure helper functions extracted from popup.js
  */
 
-import { TEST_MODE } from './constants.js';
+import { TEST_MODE, CATEGORY_NAMES } from './constants.js';
 
 /**
  * Dialog testing utilities for programmatic control
@@ -239,39 +239,12 @@ export async function smartConfirm(message, options = {}) {
 
 /**
  * Extract root domain from a full domain
+ * Shared with the background's tab strip groups (src/utils/domain-utils.js).
  * @param {string} domain - Full domain (e.g., 'sub.example.co.uk')
  * @returns {string} Root domain (e.g., 'example.co.uk')
  */
 export function getRootDomain(domain) {
-  if (!domain) return 'unknown';
-  
-  // Handle special cases
-  if (domain.startsWith('chrome://')) return 'chrome';
-  if (domain.startsWith('file://')) return 'local-file';
-  if (domain.startsWith('chrome-extension://')) return 'extension';
-  
-  // Remove www. prefix
-  domain = domain.replace(/^www\./, '');
-  
-  // Handle special TLDs (could be expanded)
-  const specialTLDs = ['co.uk', 'com.au', 'co.jp', 'co.in', 'com.br'];
-  for (const tld of specialTLDs) {
-    if (domain.endsWith('.' + tld)) {
-      const parts = domain.split('.');
-      // For special TLDs, we want to keep the last 3 parts (domain.co.uk)
-      if (parts.length >= 3) {
-        return parts.slice(-3).join('.');
-      }
-      return domain;
-    }
-  }
-  
-  // Default: last two parts
-  const parts = domain.split('.');
-  if (parts.length > 2) {
-    return parts.slice(-2).join('.');
-  }
-  return domain;
+  return globalThis.domainUtils.getRootDomain(domain);
 }
 
 /**
@@ -653,6 +626,66 @@ export function extractDomain(url) {
   }
 }
 
+/**
+ * Canonicalize a URL the way saved URLs are stored
+ * The canonicalizer is a classic script shared with the background (src/utils/url-canonicalizer.js).
+ * @param {string} url - URL as the browser reports it
+ * @returns {string} Canonical URL (unchanged if the canonicalizer isn't loaded)
+ */
+export function canonicalizeUrl(url) {
+  return globalThis.urlCanonicalizer ? globalThis.urlCanonicalizer.canonicalizeUrl(url) : url;
+}
+
+/**
+ * Get the URL to open for a saved tab
+ * Saved tabs are stored under their canonical URL, which may not load the same page, so the
+ * URL as last visited is kept on the record too.
+ * @param {Object} tab - Saved tab
+ * @returns {string} URL to open
+ */
+export function getOpenUrl(tab) {
+  return tab.originalUrl || tab.url;
+}
+
+/**
+ * Get the display name of a category, including user categories
+ * The category registry is a classic script shared with the background (src/utils/category-registry.js).
+ * @param {number|string} category - Category ID
+ * @returns {string} Category name
+ */
+export function getCategoryName(category) {
+  return globalThis.categoryRegistry
+    ? globalThis.categoryRegistry.getCategoryName(category)
+    : (CATEGORY_NAMES[category] || CATEGORY_NAMES[0]);
+}
+
+/**
+ * Split tag: terms out of a search query
+ * tag:reading matches tabs tagged "reading"; quote names with spaces (tag:"project x").
+ * @param {string} query - Search query
+ * @returns {Object} { tags: lowercase tag names, text: the rest of the query }
+ */
+export function parseTagSearch(query) {
+  const tags = [];
+  const text = String(query || '').replace(/(?:^|\s)tag:(?:"([^"]*)"|(\S+))/gi, (match, quoted, bare) => {
+    const name = (quoted ?? bare).trim().toLowerCase();
+    if (name) tags.push(name);
+    return ' ';
+  });
+  return { tags, text: text.trim() };
+}
+
+/**
+ * Check a tab's tags against the tags of a parsed search (all must be present)
+ * @param {string[]} tabTags - Tag names of the tab
+ * @param {string[]} searchTags - Lowercase tag names from parseTagSearch
+ * @returns {boolean} True if the tab has every searched tag
+ */
+export function matchesTagSearch(tabTags, searchTags) {
+  const names = (tabTags || []).map(tag => tag.toLowerCase());
+  return searchTags.every(tag => names.includes(tag));
+}
+
 /**
  * Format timestamp to readable date
  * @param {number} timestamp - Unix timestamp
@@ -0,0 +1,187 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Retention Policy - which saved tabs nobody opened for a while are archived or deleted
+ */
+
+// Loaded as a classic script so the background cleanup and the popup preview pick the same tabs:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+// - Popup: <script> tag in popup.html
+
+// What happens to a saved tab a retention rule matches
+const RETENTION_ACTIONS = {
+  KEEP: 'keep',        // Never removed (overrides broader rules and expiring categories)
+  ARCHIVE: 'archive',  // Removed from the lists; a tombstone and the ML training data are kept
+  DELETE: 'delete'     // Removed with its events, predictions and training data
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { d: DAY_MS, w: 7 * DAY_MS, mo: 30 * DAY_MS, y: 365 * DAY_MS };
+
+/**
+ * Parse an age like 30d, 2w, 18mo or 1y
+ * @param {string} text - Age
+ * @returns {number|null} Milliseconds, or null if it isn't an age
+ */
+function parseAge(text) {
+  const match = String(text || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)(d|w|mo|y)$/);
+  return match ? Math.round(parseFloat(match[1]) * AGE_UNITS[match[2]]) : null;
+}
+
+/**
+ * Format an age in the largest unit that divides it
+ * @param {number} ms - Milliseconds
+ * @returns {string} Age like 30d or 18mo
+ */
+function formatAge(ms) {
+  const unit = ['y', 'mo', 'w', 'd'].find(u => ms % AGE_UNITS[u] === 0) || 'd';
+  return `${Math.round(ms / AGE_UNITS[unit])}${unit}`;
+}
+
+/**
+ * Parse the rules text, one rule per line:
+ * [domain] [category] [age] action - e.g. "Ignore 30d delete", "Useful 18mo archive",
+ * "youtube.com 90d delete", "github.com keep". Names with spaces are quoted ("To buy").
+ * @param {string} text - Textarea value
+ * @returns {Object} { rules: [{ domain, category, age, ageMs, action }], errors: [string] }
+ */
+function parseRules(text) {
+  const rules = [];
+  const errors = [];
+  const actions = Object.values(RETENTION_ACTIONS);
+
+  String(text || '').split('\n').forEach((line, index) => {
+    const tokens = (line.trim().match(/"[^"]*"|\S+/g) || []).map(token => token.replace(/^"|"$/g, ''));
+    if (tokens.length === 0 || tokens[0].startsWith('#')) return;
+
+    const rule = { domain: '', category: null, age: null, ageMs: null, action: null };
+    const problems = [];
+    tokens.forEach(token => {
+      const lower = token.toLowerCase();
+      const category = globalThis.categoryRegistry?.findCategoryByName(token);
+      if (actions.includes(lower)) {
+        rule.action = lower;
+      } else if (parseAge(token) !== null) {
+        rule.age = lower;
+        rule.ageMs = parseAge(token);
+      } else if (category) {
+        rule.category = category.id;
+      } else if (lower.includes('.')) {
+        rule.domain = lower.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+      } else {
+        problems.push(`"${token}" isn't a category, domain, age or action`);
+      }
+    });
+
+    if (!rule.action) {
+      problems.push('needs an action (keep, archive or delete)');
+    } else if (rule.action !== RETENTION_ACTIONS.KEEP && rule.ageMs === null) {
+      problems.push(`needs an age for ${rule.action} (e.g. 30d, 18mo)`);
+    }
+
+    if (problems.length > 0) {
+      errors.push(`Line ${index + 1}: ${problems.join(', ')}`);
+    } else {
+      rules.push(rule);
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Format rules back to text
+ * @param {Array} rules - From parseRules
+ * @returns {string} One rule per line
+ */
+function formatRules(rules = []) {
+  return rules.map(rule => {
+    const name = rule.category !== null ? globalThis.categoryRegistry?.getCategoryName(rule.category) : '';
+    return [
+      rule.domain,
+      name && name.includes(' ') ? `"${name}"` : name,
+      rule.ageMs !== null && rule.action !== RETENTION_ACTIONS.KEEP ? (rule.age || formatAge(rule.ageMs)) : '',
+      rule.action
+    ].filter(Boolean).join(' ');
+  }).join('\n');
+}
+
+/**
+ * Check whether a host is a domain or one of its subdomains
+ */
+function matchesDomain(host, domain) {
+  const bare = String(host || '').toLowerCase().replace(/^www\./, '');
+  return bare === domain || bare.endsWith('.' + domain);
+}
+
+/**
+ * Find the rule for a saved tab: the most specific domain wins, then a rule naming the
+ * category over one that doesn't, then the first in the list
+ * Without a matching rule, tabs in expiring categories (Ignore and user categories set to
+ * expire) are deleted after the default retention age.
+ * @param {Object} record - Saved URL record { domain, category }
+ * @param {Array} rules - Retention rules
+ * @param {number} defaultAgeMs - Age for expiring categories
+ * @returns {Object|null} Rule, or null if the tab is kept
+ */
+function findRule(record, rules, defaultAgeMs) {
+  let found = null;
+  let foundScore = -1;
+  rules.forEach(rule => {
+    if (rule.category !== null && rule.category !== record.category) return;
+    if (rule.domain && !matchesDomain(record.domain, rule.domain)) return;
+    const score = (rule.domain ? rule.domain.length * 2 : 0) + (rule.category !== null ? 1 : 0);
+    if (score > foundScore) {
+      found = rule;
+      foundScore = score;
+    }
+  });
+  if (found) return found;
+
+  const expiring = globalThis.categoryRegistry ? globalThis.categoryRegistry.getExpiringCategoryIds() : [1];
+  return expiring.includes(record.category)
+    ? { domain: '', category: record.category, ageMs: defaultAgeMs, action: RETENTION_ACTIONS.DELETE, isDefault: true }
+    : null;
+}
+
+/**
+ * Pick the saved tabs to archive or delete
+ * @param {Array} records - Saved URL records { id, url, title, domain, category, lastAccessed }
+ * @param {Array} rules - Retention rules
+ * @param {Object} options - { defaultAgeMs, now }
+ * @returns {Array} [{ id, url, title, domain, category, lastAccessed, action, rule }] oldest first
+ */
+function planRetention(records, rules = [], { defaultAgeMs = 365 * DAY_MS, now = Date.now() } = {}) {
+  return records
+    .filter(record => record.category !== 0)
+    .map(record => {
+      const rule = findRule(record, rules, defaultAgeMs);
+      if (!rule || rule.action === RETENTION_ACTIONS.KEEP) return null;
+
+      const lastAccessed = new Date(record.lastAccessed || record.savedDate || 0).getTime();
+      if (now - lastAccessed < rule.ageMs) return null;
+
+      return {
+        id: record.id,
+        url: record.url,
+        title: record.title,
+        domain: record.domain,
+        category: record.category,
+        lastAccessed: record.lastAccessed,
+        action: rule.action,
+        rule: rule.isDefault ? 'default' : formatRules([rule])
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.lastAccessed || 0) - new Date(b.lastAccessed || 0));
+}
+
+globalThis.retentionPolicy = {
+  RETENTION_ACTIONS,
+  parseAge,
+  formatAge,
+  parseRules,
+  formatRules,
+  findRule,
+  planRetention
+};
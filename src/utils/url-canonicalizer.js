@@ -0,0 +1,241 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * URL Canonicalizer - maps URL variants of the same page to one URL before saving and deduplicating
+ */
+
+// Loaded as a classic script so the database, the background and the popup canonicalize alike:
+// - Chrome: importScripts in background-wrapper.js
+// - Firefox: background scripts list in manifest.json.v2
+// - Popup: <script> tag in popup.html (re-exported by src/utils/helpers.js)
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'vero_id', 'vero_conv', '_ga', '_gl', 'ref_src', 'ref_url', 'spm', 'scid', 'cmpid', 'wt_mc'
+]);
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+// Query parameters that carry a server session and never identify a page
+const SESSION_PARAMS = new Set([
+  'jsessionid', 'phpsessid', 'aspsessionid', 'sessionid', 'session_id', 'cfid', 'cftoken', 'zenid'
+]);
+
+// Parameters that only select an AMP rendering
+const AMP_PARAMS = new Set(['amp', 'amp_js_v', 'amp_gsa', 'usqp']);
+
+// Parameters too generic to strip everywhere (sid, outputType), removed only on these domains;
+// overrides add more with strip=
+const DOMAIN_PARAMS = {
+  'washingtonpost.com': ['outputtype']
+};
+
+// Host labels of mobile sites (m.example.com, en.m.wikipedia.org)
+const MOBILE_LABELS = new Set(['m', 'mobile', 'touch']);
+
+// Fragments that are plain in-page anchors; anything else (#/route, #!state, #key=value) may select content
+const ANCHOR_FRAGMENT = /^#[A-Za-z][\w\-.:%]*$/;
+
+let options = {
+  enabled: true,
+  overrides: []
+};
+
+/**
+ * Set the options from settings
+ * @param {Object} settings - { canonicalizeUrls, urlCanonicalizationOverrides }
+ */
+function configure(settings = {}) {
+  options = {
+    enabled: settings.canonicalizeUrls !== false,
+    overrides: Array.isArray(settings.urlCanonicalizationOverrides) ? settings.urlCanonicalizationOverrides : []
+  };
+}
+
+/**
+ * Get a stable key for the current options (changes when saved URLs need re-merging)
+ * @returns {string} Options signature
+ */
+function getSignature() {
+  return JSON.stringify(options);
+}
+
+/**
+ * Find the override for a host (the most specific domain wins)
+ * @param {string} host - Lowercase host name
+ * @returns {Object|null} { domain, off, amp, keep, strip, keepFragment }
+ */
+function findOverride(host) {
+  let found = null;
+  options.overrides.forEach(override => {
+    const domain = String(override.domain || '').toLowerCase();
+    if (!domain || !isOnDomain(host, domain)) return;
+    if (!found || domain.length > found.domain.length) {
+      found = { ...override, domain };
+    }
+  });
+  return found;
+}
+
+/**
+ * Check whether a host is a domain or one of its subdomains
+ */
+function isOnDomain(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * Unwrap AMP cache URLs to the page they serve
+ * www.google.com/amp/s/example.com/a -> https://example.com/a
+ * example-com.cdn.ampproject.org/c/s/example.com/a -> https://example.com/a
+ * @returns {Object} { parsed, unwrapped }
+ */
+function unwrapAmpCache(parsed) {
+  const host = parsed.hostname;
+  let match = null;
+  if (/^(www\.)?google\.[a-z.]+$/.test(host)) {
+    match = parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  } else if (host.endsWith('.cdn.ampproject.org')) {
+    match = parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  }
+  if (!match) return { parsed, unwrapped: false };
+
+  try {
+    return { parsed: new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}${parsed.hash}`), unwrapped: true };
+  } catch (e) {
+    return { parsed, unwrapped: false };
+  }
+}
+
+/**
+ * Canonicalize a URL
+ * Strips tracking and session parameters, plain anchor fragments, AMP and mobile variants and
+ * trailing slashes. AMP path segments are only removed on AMP hosts (amp.* labels, AMP cache URLs
+ * and domains with the "amp" override), since /amp is an ordinary path elsewhere.
+ * Non-web URLs and URLs that fail to parse come back unchanged.
+ * @param {string} url - URL as the browser reports it
+ * @returns {string} Canonical URL
+ */
+function canonicalizeUrl(url) {
+  if (!options.enabled || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    return url;
+  }
+
+  let parsed;
+  let unwrapped;
+  try {
+    ({ parsed, unwrapped } = unwrapAmpCache(new URL(url)));
+  } catch (e) {
+    return url;
+  }
+
+  const override = findOverride(parsed.hostname);
+  if (override?.off) {
+    return url;
+  }
+  const keep = new Set((override?.keep || []).map(param => param.toLowerCase()));
+  const strip = new Set((override?.strip || []).map(param => param.toLowerCase()));
+
+  // Mobile and AMP hosts: drop the label, but always leave a registrable-looking domain
+  const labels = parsed.hostname.split('.');
+  const hostLabels = labels.filter((label, index) =>
+    index >= labels.length - 2 || !(MOBILE_LABELS.has(label) || label === 'amp'));
+  const ampHost = unwrapped || override?.amp || labels.slice(0, -2).includes('amp');
+  parsed.hostname = hostLabels.join('.');
+
+  Object.entries(DOMAIN_PARAMS).forEach(([domain, params]) => {
+    if (isOnDomain(parsed.hostname, domain)) params.forEach(param => strip.add(param));
+  });
+
+  // Session IDs carried as path parameters (/page;jsessionid=...)
+  let path = parsed.pathname.replace(/;(jsessionid|phpsessid)=[^/]*/gi, '');
+
+  // AMP paths (/article.amp.html anywhere; /amp/article and /article/amp only on AMP hosts)
+  path = path.replace(/\.amp(\.html?)$/, '$1');
+  if (ampHost) {
+    path = path
+      .replace(/^\/amp(?=\/)/, '')
+      .replace(/\/amp$/, '');
+  }
+
+  // Trailing slash variants (the root path keeps its slash)
+  if (path.length > 1) {
+    path = path.replace(/\/+$/, '');
+  }
+  parsed.pathname = path || '/';
+
+  const params = [...parsed.searchParams.entries()].filter(([name]) => {
+    const lower = name.toLowerCase();
+    if (keep.has(lower)) return true;
+    if (strip.has(lower)) return false;
+    if (TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix))) return false;
+    if (SESSION_PARAMS.has(lower) || AMP_PARAMS.has(lower)) return false;
+    return true;
+  });
+  if (params.length !== [...parsed.searchParams.keys()].length) {
+    parsed.search = new URLSearchParams(params).toString();
+  }
+
+  if (!override?.keepFragment && (parsed.hash === '' || parsed.hash === '#' || ANCHOR_FRAGMENT.test(parsed.hash))) {
+    parsed.hash = '';
+  }
+
+  // URL serializes an emptied query or fragment as nothing; a bare "?" or "#" left by the source is dropped too
+  return parsed.href.replace(/[?#]$/, '');
+}
+
+/**
+ * Parse the override text (one domain per line: "example.com keep=page,ref strip=sort fragment amp" or "example.com off")
+ * @param {string} text - Textarea value
+ * @returns {Array} [{ domain, off, amp, keep, strip, keepFragment }]
+ */
+function parseOverrides(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim().split(/\s+/).filter(Boolean))
+    .filter(tokens => tokens.length > 0)
+    .map(([domain, ...flags]) => {
+      const override = {
+        domain: domain.toLowerCase().replace(/^https?:\/\//, '').split('/')[0],
+        off: false,
+        amp: false,
+        keep: [],
+        strip: [],
+        keepFragment: false
+      };
+      flags.forEach(flag => {
+        const [name, value = ''] = flag.toLowerCase().split('=');
+        const params = value.split(',').filter(Boolean);
+        if (name === 'off') override.off = true;
+        else if (name === 'amp') override.amp = true;
+        else if (name === 'fragment') override.keepFragment = true;
+        else if (name === 'keep') override.keep.push(...params);
+        else if (name === 'strip') override.strip.push(...params);
+      });
+      return override;
+    });
+}
+
+/**
+ * Format overrides back to text
+ * @param {Array} overrides - From parseOverrides
+ * @returns {string} One domain per line
+ */
+function formatOverrides(overrides = []) {
+  return overrides.map(override => [
+    override.domain,
+    override.off ? 'off' : '',
+    override.keep?.length ? `keep=${override.keep.join(',')}` : '',
+    override.strip?.length ? `strip=${override.strip.join(',')}` : '',
+    override.keepFragment ? 'fragment' : '',
+    override.amp ? 'amp' : ''
+  ].filter(Boolean).join(' ')).join('\n');
+}
+
+globalThis.urlCanonicalizer = {
+  configure,
+  getSignature,
+  canonicalizeUrl,
+  parseOverrides,
+  formatOverrides
+};
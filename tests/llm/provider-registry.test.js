@@ -0,0 +1,459 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Provider adapter tests - request and response mapping of each LLM adapter against a local mock server
+ */
+
+// Run with Node 18+ (no dependencies): node --test tests/
+// Requests built by each adapter are sent to a local http.createServer mock standing in for the
+// provider, which checks what the provider would receive and answers in the provider's format.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const path = require('node:path');
+
+// The registry and stream parser are classic scripts that publish themselves on globalThis
+require(path.join(__dirname, '../../src/llm/provider-registry.js'));
+require(path.join(__dirname, '../../src/llm/stream-parser.js'));
+
+const registry = globalThis.llmProviderRegistry;
+const schema = globalThis.buildCategorizationSchema();
+
+const PROMPT = 'Categorize these tabs';
+const CATEGORIZATIONS = { categorizations: [{ id: '1', category: 2 }, { id: '2', category: 3 }] };
+
+let server;
+let origin;
+let received;   // Last request the mock received: { method, path, headers, body }
+let reply;      // Next answer: { body } for JSON or { events } for server-sent events
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      received = { method: req.method, path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      if (reply.events) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        reply.events.forEach(event => res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`));
+        res.end();
+      } else {
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send an adapter request to the mock, keeping its path and query
+ * @param {Object} request - { url, options } from buildRequest or getModelsRequest
+ * @param {Object} answer - What the mock answers with
+ * @returns {Promise<Response>}
+ */
+async function send({ url, options }, answer) {
+  reply = answer;
+  const target = new URL(url);
+  return fetch(origin + target.pathname + target.search, options);
+}
+
+/**
+ * Read a streamed response through the adapter, as the background does
+ * @returns {Promise<Object>} { text, usage }
+ */
+async function readStream(adapter, response) {
+  let text = '';
+  let usage = null;
+  await globalThis.readServerSentEvents(response, event => {
+    const delta = adapter.parseStreamEvent(event);
+    text += delta.text;
+    if (delta.usage) usage = { ...usage, ...delta.usage };
+  });
+  return { text, usage };
+}
+
+test('registry has an adapter per provider', () => {
+  assert.deepEqual(registry.getNames(), ['Claude', 'OpenAI', 'Gemini', 'DeepSeek', 'Grok', 'Custom']);
+});
+
+// === Claude ===
+
+test('Claude sends the prompt as a user message and parses the text block', async () => {
+  const adapter = registry.get('Claude');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'claude-test', apiKey: 'sk-ant' }), {
+    body: { content: [{ type: 'text', text: '{"1": 2}' }] }
+  });
+
+  assert.equal(received.method, 'POST');
+  assert.equal(received.path, '/v1/messages');
+  assert.equal(received.headers['x-api-key'], 'sk-ant');
+  assert.equal(received.headers['anthropic-version'], '2023-06-01');
+  assert.equal(received.body.model, 'claude-test');
+  assert.deepEqual(received.body.messages, [{ role: 'user', content: PROMPT }]);
+
+  assert.equal(adapter.parseResponse(await response.json()), '{"1": 2}');
+});
+
+test('Claude sends a forced tool call and parses the tool input', async () => {
+  const adapter = registry.get('Claude');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'claude-test', apiKey: 'sk-ant', schema }), {
+    body: { content: [{ type: 'tool_use', name: 'categorize_tabs', input: CATEGORIZATIONS }] }
+  });
+
+  assert.equal(received.body.tools[0].name, 'categorize_tabs');
+  assert.deepEqual(received.body.tools[0].input_schema, schema);
+  assert.deepEqual(received.body.tool_choice, { type: 'tool', name: 'categorize_tabs' });
+
+  assert.deepEqual(JSON.parse(adapter.parseResponse(await response.json())), CATEGORIZATIONS);
+});
+
+test('Claude lists models newest first', async () => {
+  const adapter = registry.get('Claude');
+  const response = await send(adapter.getModelsRequest('sk-ant'), {
+    body: { data: [
+      { id: 'claude-old', display_name: 'Claude Old', created_at: '2024-01-01T00:00:00Z' },
+      { id: 'claude-new', display_name: 'Claude New', created_at: '2025-01-01T00:00:00Z' }
+    ] }
+  });
+
+  assert.equal(received.path, '/v1/models');
+  assert.equal(received.headers['x-api-key'], 'sk-ant');
+  assert.deepEqual(adapter.parseModels(await response.json()).map(model => model.name), ['Claude New', 'Claude Old']);
+});
+
+// === OpenAI ===
+
+test('OpenAI sends a system message before the prompt', async () => {
+  const adapter = registry.get('OpenAI');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'gpt-test', apiKey: 'sk-openai' }), {
+    body: { choices: [{ message: { content: '{"1": 3}' } }] }
+  });
+
+  assert.equal(received.path, '/v1/chat/completions');
+  assert.equal(received.headers.authorization, 'Bearer sk-openai');
+  assert.equal(received.body.model, 'gpt-test');
+  assert.equal(received.body.messages[0].role, 'system');
+  assert.deepEqual(received.body.messages[1], { role: 'user', content: PROMPT });
+
+  assert.equal(adapter.parseResponse(await response.json()), '{"1": 3}');
+});
+
+test('OpenAI sends a strict json_schema response format', async () => {
+  const adapter = registry.get('OpenAI');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'gpt-test', apiKey: 'sk-openai', schema }), {
+    body: { choices: [{ message: { content: JSON.stringify(CATEGORIZATIONS) } }] }
+  });
+
+  assert.equal(received.body.response_format.type, 'json_schema');
+  assert.equal(received.body.response_format.json_schema.name, 'categorize_tabs');
+  assert.equal(received.body.response_format.json_schema.strict, true);
+  assert.deepEqual(received.body.response_format.json_schema.schema, schema);
+
+  assert.deepEqual(JSON.parse(adapter.parseResponse(await response.json())), CATEGORIZATIONS);
+});
+
+test('OpenAI lists chat models newest first', async () => {
+  const adapter = registry.get('OpenAI');
+  const response = await send(adapter.getModelsRequest('sk-openai'), {
+    body: { data: [
+      { id: 'gpt-old', created: 1 },
+      { id: 'whisper-1', created: 3 },
+      { id: 'gpt-new', created: 2 }
+    ] }
+  });
+
+  assert.equal(received.path, '/v1/models');
+  assert.equal(received.headers.authorization, 'Bearer sk-openai');
+  assert.deepEqual(adapter.parseModels(await response.json()).map(model => model.id), ['gpt-new', 'gpt-old']);
+});
+
+// === Gemini ===
+
+test('Gemini puts the model and key in the URL', async () => {
+  const adapter = registry.get('Gemini');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'gemini-test', apiKey: 'AIza' }), {
+    body: { candidates: [{ content: { parts: [{ text: '{"2": 1}' }] } }] }
+  });
+
+  assert.equal(received.path, '/v1beta/models/gemini-test:generateContent?key=AIza');
+  assert.deepEqual(received.body.contents, [{ parts: [{ text: PROMPT }] }]);
+  assert.equal(received.body.generationConfig.maxOutputTokens, 4096);
+
+  assert.equal(adapter.parseResponse(await response.json()), '{"2": 1}');
+});
+
+test('Gemini asks for JSON with a converted response schema', async () => {
+  const adapter = registry.get('Gemini');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'gemini-test', apiKey: 'AIza', schema }), {
+    body: { candidates: [{ content: { parts: [{ text: JSON.stringify(CATEGORIZATIONS) }] } }] }
+  });
+
+  const { responseMimeType, responseSchema } = received.body.generationConfig;
+  assert.equal(responseMimeType, 'application/json');
+  // Gemini rejects additionalProperties and enums on non-string types
+  assert.equal(JSON.stringify(responseSchema).includes('additionalProperties'), false);
+  assert.equal(responseSchema.properties.categorizations.items.properties.category.enum, undefined);
+  assert.equal(responseSchema.properties.categorizations.items.properties.category.type, 'integer');
+
+  assert.deepEqual(JSON.parse(adapter.parseResponse(await response.json())), CATEGORIZATIONS);
+});
+
+test('Gemini lists only models that generate content', async () => {
+  const adapter = registry.get('Gemini');
+  const response = await send(adapter.getModelsRequest('AIza'), {
+    body: { models: [
+      { name: 'models/gemini-a', displayName: 'Gemini A', supportedGenerationMethods: ['generateContent'] },
+      { name: 'models/embedding', supportedGenerationMethods: ['embedContent'] },
+      { name: 'models/gemini-b', supportedGenerationMethods: ['generateContent'] }
+    ] }
+  });
+
+  assert.equal(received.path, '/v1beta/models?key=AIza');
+  assert.deepEqual(adapter.parseModels(await response.json()), [
+    { id: 'gemini-b', name: 'gemini-b' },
+    { id: 'gemini-a', name: 'Gemini A' }
+  ]);
+});
+
+// === DeepSeek ===
+
+test('DeepSeek sends the prompt without a system message', async () => {
+  const adapter = registry.get('DeepSeek');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'deepseek-chat', apiKey: 'sk-ds' }), {
+    body: { choices: [{ message: { content: '{"1": 1}' } }] }
+  });
+
+  assert.equal(received.path, '/v1/chat/completions');
+  assert.equal(received.headers.authorization, 'Bearer sk-ds');
+  assert.deepEqual(received.body.messages, [{ role: 'user', content: PROMPT }]);
+
+  assert.equal(adapter.parseResponse(await response.json()), '{"1": 1}');
+});
+
+test('DeepSeek never sends a response format', async () => {
+  const adapter = registry.get('DeepSeek');
+  await send(adapter.buildRequest({ prompt: PROMPT, model: 'deepseek-chat', apiKey: 'sk-ds', schema }), {
+    body: { choices: [{ message: { content: '{"1": 1}' } }] }
+  });
+
+  assert.equal(received.body.response_format, undefined);
+});
+
+test('DeepSeek lists models alphabetically', async () => {
+  const adapter = registry.get('DeepSeek');
+  const response = await send(adapter.getModelsRequest('sk-ds'), {
+    body: { data: [{ id: 'deepseek-reasoner' }, { id: 'deepseek-chat' }] }
+  });
+
+  assert.deepEqual(adapter.parseModels(await response.json()).map(model => model.id), ['deepseek-chat', 'deepseek-reasoner']);
+});
+
+// === Grok ===
+
+test('Grok sends the prompt with its key', async () => {
+  const adapter = registry.get('Grok');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'grok-test', apiKey: 'xai-key' }), {
+    body: { choices: [{ message: { content: '{"1": 2}' } }] }
+  });
+
+  assert.equal(received.path, '/v1/chat/completions');
+  assert.equal(received.headers.authorization, 'Bearer xai-key');
+  assert.equal(received.body.model, 'grok-test');
+
+  assert.equal(adapter.parseResponse(await response.json()), '{"1": 2}');
+});
+
+test('Grok sends a json_schema response format', async () => {
+  const adapter = registry.get('Grok');
+  await send(adapter.buildRequest({ prompt: PROMPT, model: 'grok-test', apiKey: 'xai-key', schema }), {
+    body: { choices: [{ message: { content: JSON.stringify(CATEGORIZATIONS) } }] }
+  });
+
+  assert.equal(received.body.response_format.json_schema.name, 'categorize_tabs');
+});
+
+// === Custom ===
+
+test('Custom calls the configured base URL without a key', async () => {
+  const adapter = registry.get('Custom');
+  const request = adapter.buildRequest({ prompt: PROMPT, model: 'llama-test', apiKey: '', baseUrl: `${origin}/v1/`, schema });
+  assert.equal(request.url, `${origin}/v1/chat/completions`);
+
+  const response = await send(request, {
+    body: { choices: [{ message: { content: '{"2": 1}' } }] }
+  });
+
+  assert.equal(received.headers.authorization, undefined);
+  assert.deepEqual(received.body.messages, [{ role: 'user', content: PROMPT }]);
+  // Structured output support varies by server
+  assert.equal(received.body.response_format, undefined);
+
+  assert.equal(adapter.parseResponse(await response.json()), '{"2": 1}');
+});
+
+test('Custom sends the key when one is set', async () => {
+  const adapter = registry.get('Custom');
+  await send(adapter.buildRequest({ prompt: PROMPT, model: 'llama-test', apiKey: 'local-key', baseUrl: `${origin}/v1` }), {
+    body: { choices: [{ message: { content: '{}' } }] }
+  });
+
+  assert.equal(received.headers.authorization, 'Bearer local-key');
+});
+
+test('Custom requires a base URL', () => {
+  const adapter = registry.get('Custom');
+  assert.throws(() => adapter.buildRequest({ prompt: PROMPT, model: 'llama-test', baseUrl: ' ' }), /Base URL is required/);
+});
+
+test('Custom lists models from the base URL alphabetically', async () => {
+  const adapter = registry.get('Custom');
+  const request = adapter.getModelsRequest('', `${origin}/v1`);
+  assert.equal(request.url, `${origin}/v1/models`);
+
+  const response = await send(request, { body: { data: [{ id: 'qwen' }, { id: 'llama' }] } });
+  assert.deepEqual(adapter.parseModels(await response.json()), [
+    { id: 'llama', name: 'llama' },
+    { id: 'qwen', name: 'qwen' }
+  ]);
+});
+
+test('Custom is the only provider that needs a base URL and works without a key', () => {
+  const providers = registry.toConfig();
+  assert.equal(providers.Custom.requiresBaseUrl, true);
+  assert.equal(providers.Custom.apiKeyOptional, true);
+  assert.equal(providers.Custom.label, 'Custom (OpenAI-compatible)');
+  assert.equal(providers.OpenAI.requiresBaseUrl, false);
+  assert.equal(providers.OpenAI.apiKeyOptional, false);
+});
+
+// === Usage ===
+
+// Each provider's usage fields in a completion, and the tokens they amount to
+const USAGE_BODIES = {
+  Claude: { content: [{ type: 'text', text: '{}' }], usage: { input_tokens: 120, output_tokens: 30 } },
+  OpenAI: { choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 120, completion_tokens: 30 } },
+  Gemini: { candidates: [{ content: { parts: [{ text: '{}' }] } }], usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30 } },
+  DeepSeek: { choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 120, completion_tokens: 30 } },
+  Grok: { choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 120, completion_tokens: 30 } },
+  Custom: { choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 120, completion_tokens: 30 } }
+};
+
+Object.entries(USAGE_BODIES).forEach(([name, body]) => {
+  test(`${name} reports token usage`, async () => {
+    const adapter = registry.get(name);
+    const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'test-model', apiKey: 'key', baseUrl: `${origin}/v1` }), { body });
+
+    assert.deepEqual(adapter.parseUsage(await response.json()), { inputTokens: 120, outputTokens: 30 });
+  });
+});
+
+test('adapters without usage report none', () => {
+  registry.getNames().forEach(name => {
+    assert.equal(registry.get(name).parseUsage({}), null, name);
+  });
+});
+
+// === Streaming ===
+
+test('Claude streams text deltas with usage from the start and delta events', async () => {
+  const adapter = registry.get('Claude');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'claude-test', apiKey: 'sk-ant', schema, stream: true }), {
+    events: [
+      { type: 'message_start', message: { usage: { input_tokens: 80 } } },
+      { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{"categorizations":' } },
+      { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '[]}' } },
+      { type: 'message_delta', usage: { output_tokens: 12 } },
+      { type: 'message_stop' }
+    ]
+  });
+
+  assert.equal(received.body.stream, true);
+  assert.deepEqual(await readStream(adapter, response), {
+    text: '{"categorizations":[]}',
+    usage: { inputTokens: 80, outputTokens: 12 }
+  });
+});
+
+test('Claude surfaces stream errors', async () => {
+  const adapter = registry.get('Claude');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'claude-test', apiKey: 'sk-ant', stream: true }), {
+    events: [{ type: 'error', error: { message: 'Overloaded' } }]
+  });
+
+  await assert.rejects(readStream(adapter, response), /Overloaded/);
+});
+
+test('OpenAI asks for usage in streams and reads it from the final chunk', async () => {
+  const adapter = registry.get('OpenAI');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'gpt-test', apiKey: 'sk-openai', stream: true }), {
+    events: [
+      { choices: [{ delta: { content: '{"1":' } }] },
+      { choices: [{ delta: { content: ' 2}' } }] },
+      { choices: [], usage: { prompt_tokens: 50, completion_tokens: 4 } },
+      '[DONE]'
+    ]
+  });
+
+  assert.equal(received.body.stream, true);
+  assert.deepEqual(received.body.stream_options, { include_usage: true });
+  assert.deepEqual(await readStream(adapter, response), {
+    text: '{"1": 2}',
+    usage: { inputTokens: 50, outputTokens: 4 }
+  });
+});
+
+test('Gemini streams from the SSE endpoint', async () => {
+  const adapter = registry.get('Gemini');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'gemini-test', apiKey: 'AIza', stream: true }), {
+    events: [
+      { candidates: [{ content: { parts: [{ text: '{"1": ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: '3}' }] } }], usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 5 } }
+    ]
+  });
+
+  assert.equal(received.path, '/v1beta/models/gemini-test:streamGenerateContent?alt=sse&key=AIza');
+  assert.deepEqual(await readStream(adapter, response), {
+    text: '{"1": 3}',
+    usage: { inputTokens: 40, outputTokens: 5 }
+  });
+});
+
+test('Custom asks for usage in streams', async () => {
+  const adapter = registry.get('Custom');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'llama-test', baseUrl: `${origin}/v1`, stream: true }), {
+    events: [
+      { choices: [{ delta: { content: '{"1": 2}' } }] },
+      { choices: [], usage: { prompt_tokens: 30, completion_tokens: 3 } },
+      '[DONE]'
+    ]
+  });
+
+  assert.equal(received.body.stream, true);
+  assert.deepEqual(received.body.stream_options, { include_usage: true });
+  assert.deepEqual(await readStream(adapter, response), {
+    text: '{"1": 2}',
+    usage: { inputTokens: 30, outputTokens: 3 }
+  });
+});
+
+test('Custom streams from servers that ignore stream_options report no usage', async () => {
+  const adapter = registry.get('Custom');
+  const response = await send(adapter.buildRequest({ prompt: PROMPT, model: 'llama-test', baseUrl: `${origin}/v1`, stream: true }), {
+    events: [
+      { choices: [{ delta: { content: '{"1": 2}' } }] },
+      '[DONE]'
+    ]
+  });
+
+  assert.deepEqual(await readStream(adapter, response), { text: '{"1": 2}', usage: null });
+});
+
+test('adapters without content parse to null', () => {
+  registry.getNames().forEach(name => {
+    assert.equal(registry.get(name).parseResponse({}), null, name);
+  });
+});